@@ -0,0 +1,46 @@
+// Chemical disposal workflow
+// Stock is quarantined (taken out of usable stock), a disposal is requested,
+// reviewed by an admin and finally handed to a licensed waste contractor, who
+// issues a waste manifest. TRANSITIONS lists the actions allowed in each status
+// and the status each one leads to.
+
+const DISPOSAL_REASONS = {
+  expired: 'Expired',
+  damaged: 'Damaged or leaking container',
+  contaminated: 'Contaminated',
+  obsolete: 'No longer used',
+  other: 'Other'
+};
+
+const DISPOSAL_METHODS = {
+  incineration: 'Incineration',
+  chemical_treatment: 'Chemical treatment',
+  neutralization: 'Neutralization',
+  solvent_recovery: 'Solvent recovery',
+  secure_landfill: 'Secure landfill',
+  return_to_supplier: 'Return to supplier',
+  other: 'Other'
+};
+
+// Units the handed-over waste is weighed or measured in
+const WASTE_UNITS = ['g', 'kg', 'mL', 'L'];
+
+const DISPOSAL_STATUSES = ['quarantined', 'requested', 'approved', 'rejected', 'disposed', 'cancelled'];
+
+// status -> { action: next status }; 'cancel' puts the quarantined stock back
+const TRANSITIONS = {
+  quarantined: { request: 'requested', cancel: 'cancelled' },
+  requested: { approve: 'approved', reject: 'rejected', cancel: 'cancelled' },
+  rejected: { request: 'requested', cancel: 'cancelled' },
+  approved: { dispose: 'disposed', cancel: 'cancelled' },
+  disposed: {},
+  cancelled: {}
+};
+
+module.exports = {
+  DISPOSAL_REASONS,
+  DISPOSAL_METHODS,
+  WASTE_UNITS,
+  DISPOSAL_STATUSES,
+  TRANSITIONS
+};
@@ -0,0 +1,96 @@
+// Chemical safety registry
+// GHS hazard classes with the pictogram printed for them, the two GHS signal
+// words, the storage classes used to decide what may be stored together
+// (TRGS 510 numbering) and the protective equipment a lab assistant can be
+// told to wear. Product.safety only accepts keys from these lists.
+
+const HAZARD_CLASSES = {
+  // Physical hazards
+  explosive: { label: 'Explosive', pictogram: 'GHS01' },
+  flammable_gas: { label: 'Flammable gas', pictogram: 'GHS02' },
+  flammable_liquid: { label: 'Flammable liquid', pictogram: 'GHS02' },
+  flammable_solid: { label: 'Flammable solid', pictogram: 'GHS02' },
+  pyrophoric: { label: 'Pyrophoric', pictogram: 'GHS02' },
+  water_reactive: { label: 'Emits flammable gas in contact with water', pictogram: 'GHS02' },
+  oxidizer: { label: 'Oxidizer', pictogram: 'GHS03' },
+  compressed_gas: { label: 'Gas under pressure', pictogram: 'GHS04' },
+  corrosive_to_metals: { label: 'Corrosive to metals', pictogram: 'GHS05' },
+
+  // Health hazards
+  acute_toxicity: { label: 'Acute toxicity (fatal or toxic)', pictogram: 'GHS06' },
+  harmful: { label: 'Acute toxicity (harmful)', pictogram: 'GHS07' },
+  skin_corrosion: { label: 'Skin corrosion', pictogram: 'GHS05' },
+  serious_eye_damage: { label: 'Serious eye damage', pictogram: 'GHS05' },
+  irritant: { label: 'Skin / eye irritant', pictogram: 'GHS07' },
+  sensitizer: { label: 'Skin sensitizer', pictogram: 'GHS07' },
+  respiratory_sensitizer: { label: 'Respiratory sensitizer', pictogram: 'GHS08' },
+  carcinogenicity: { label: 'Carcinogen', pictogram: 'GHS08' },
+  mutagenicity: { label: 'Germ cell mutagen', pictogram: 'GHS08' },
+  reproductive_toxicity: { label: 'Reproductive toxicant', pictogram: 'GHS08' },
+  organ_toxicity: { label: 'Specific target organ toxicity', pictogram: 'GHS08' },
+  aspiration_hazard: { label: 'Aspiration hazard', pictogram: 'GHS08' },
+
+  // Environmental hazards
+  aquatic_toxicity: { label: 'Hazardous to the aquatic environment', pictogram: 'GHS09' }
+};
+
+const PICTOGRAMS = {
+  GHS01: 'Exploding bomb',
+  GHS02: 'Flame',
+  GHS03: 'Flame over circle',
+  GHS04: 'Gas cylinder',
+  GHS05: 'Corrosion',
+  GHS06: 'Skull and crossbones',
+  GHS07: 'Exclamation mark',
+  GHS08: 'Health hazard',
+  GHS09: 'Environment'
+};
+
+// "danger" is the more severe of the two
+const SIGNAL_WORDS = ['danger', 'warning'];
+
+const STORAGE_CLASSES = {
+  '1': 'Explosives',
+  '2A': 'Gases',
+  '2B': 'Aerosols and lighters',
+  '3': 'Flammable liquids',
+  '4.1A': 'Self-reactive substances',
+  '4.1B': 'Flammable solids',
+  '4.2': 'Pyrophoric or self-heating substances',
+  '4.3': 'Substances that release flammable gases with water',
+  '5.1A': 'Strongly oxidizing substances',
+  '5.1B': 'Oxidizing substances',
+  '5.1C': 'Ammonium nitrate and preparations',
+  '5.2': 'Organic peroxides',
+  '6.1A': 'Combustible, acute toxic category 1 and 2',
+  '6.1B': 'Non-combustible, acute toxic category 1 and 2',
+  '6.1C': 'Combustible, acute toxic category 3 / toxic',
+  '6.1D': 'Non-combustible, acute toxic category 3 / toxic',
+  '6.2': 'Infectious substances',
+  '7': 'Radioactive substances',
+  '8A': 'Combustible corrosive substances',
+  '8B': 'Non-combustible corrosive substances',
+  '10': 'Combustible liquids',
+  '11': 'Combustible solids',
+  '12': 'Non-combustible liquids',
+  '13': 'Non-combustible solids'
+};
+
+const PPE_TYPES = {
+  gloves: 'Chemical-resistant gloves',
+  safety_goggles: 'Safety goggles',
+  face_shield: 'Face shield',
+  lab_coat: 'Lab coat',
+  apron: 'Chemical-resistant apron',
+  respirator: 'Respirator',
+  fume_hood: 'Handle in a fume hood',
+  closed_shoes: 'Closed shoes'
+};
+
+module.exports = {
+  HAZARD_CLASSES,
+  PICTOGRAMS,
+  SIGNAL_WORDS,
+  STORAGE_CLASSES,
+  PPE_TYPES
+};
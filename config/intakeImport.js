@@ -0,0 +1,50 @@
+// Bulk intake import (services/intakeImportService.js)
+// A CSV or XLSX sheet of central-store intake lines is uploaded for one
+// category, validated row by row (dry run) and, once the sheet is clean,
+// committed through the same add-to-central path as JSON intake. Sheet headers
+// are matched case-, space- and punctuation-insensitively against COLUMNS.
+
+// field -> { header aliases, categories the column applies to }
+const COLUMNS = {
+  name: { aliases: ['name', 'product', 'productname', 'chemical', 'chemicalname', 'item', 'itemname'], categories: ['chemical', 'glassware', 'equipment', 'others'] },
+  variant: { aliases: ['variant', 'size', 'specification', 'spec'], categories: ['glassware', 'equipment', 'others'] },
+  quantity: { aliases: ['quantity', 'qty'], categories: ['chemical', 'glassware', 'equipment', 'others'] },
+  unit: { aliases: ['unit', 'units', 'uom'], categories: ['chemical', 'equipment'] },
+  vendor: { aliases: ['vendor', 'supplier', 'vendorname'], categories: ['chemical', 'glassware', 'equipment', 'others'] },
+  pricePerUnit: { aliases: ['priceperunit', 'price', 'rate', 'unitprice', 'cost'], categories: ['chemical', 'glassware', 'equipment', 'others'] },
+  department: { aliases: ['department', 'dept'], categories: ['chemical', 'glassware', 'equipment', 'others'] },
+  expiryDate: { aliases: ['expirydate', 'expiry', 'exp', 'expdate', 'bestbefore'], categories: ['chemical', 'equipment'] },
+  manufacturerBatch: { aliases: ['manufacturerbatch', 'batch', 'batchno', 'batchnumber', 'lot', 'lotno', 'lotnumber'], categories: ['chemical'] },
+  warranty: { aliases: ['warranty'], categories: ['equipment'] },
+  maintenanceCycle: { aliases: ['maintenancecycle', 'maintenance'], categories: ['equipment'] }
+};
+
+const IMPORT_CATEGORIES = ['chemical', 'glassware', 'equipment', 'others'];
+
+// Columns a row of the category cannot do without
+const REQUIRED_FIELDS = {
+  chemical: ['name', 'quantity', 'vendor'],
+  glassware: ['name', 'quantity'],
+  equipment: ['name', 'quantity'],
+  others: ['name', 'quantity']
+};
+
+// validated -> committing -> committed; invalid sheets are re-uploaded, and a
+// commit that breaks off after stock started moving ends in failed
+const IMPORT_STATUSES = ['validated', 'invalid', 'committing', 'committed', 'failed'];
+
+const MAX_IMPORT_ROWS = 2000;
+const MAX_IMPORT_FILE_SIZE = 5 * 1024 * 1024; // 5 MB
+
+// Equipment is registered one asset per unit
+const MAX_EQUIPMENT_QUANTITY = 500;
+
+module.exports = {
+  COLUMNS,
+  IMPORT_CATEGORIES,
+  REQUIRED_FIELDS,
+  IMPORT_STATUSES,
+  MAX_IMPORT_ROWS,
+  MAX_IMPORT_FILE_SIZE,
+  MAX_EQUIPMENT_QUANTITY
+};
@@ -0,0 +1,35 @@
+// Label sheet layouts (services/labelSheetService.js)
+// A4 sticker sheets in millimetres, matching the common 99.1 / 63.5 mm wide
+// sheets: label size, first label's offset from the top-left corner of the
+// page, and the gaps between labels. ZPL prints one label per item on a
+// thermal roll of the given size and printer resolution.
+
+const LABEL_LAYOUTS = {
+  'a4-8': { description: '8 per sheet, 2 x 4, 99.1 x 67.7 mm', columns: 2, rows: 4, width: 99.1, height: 67.7, top: 13.1, left: 4.65, columnGap: 2.5, rowGap: 0 },
+  'a4-14': { description: '14 per sheet, 2 x 7, 99.1 x 38.1 mm', columns: 2, rows: 7, width: 99.1, height: 38.1, top: 15.15, left: 4.65, columnGap: 2.5, rowGap: 0 },
+  'a4-21': { description: '21 per sheet, 3 x 7, 63.5 x 38.1 mm', columns: 3, rows: 7, width: 63.5, height: 38.1, top: 15.15, left: 7.2, columnGap: 2.5, rowGap: 0 },
+  'a4-24': { description: '24 per sheet, 3 x 8, 63.5 x 33.9 mm', columns: 3, rows: 8, width: 63.5, height: 33.9, top: 12.9, left: 7.2, columnGap: 2.5, rowGap: 0 }
+};
+const DEFAULT_LAYOUT = 'a4-21';
+
+const LABEL_FORMATS = ['pdf', 'zpl'];
+const LABEL_CATEGORIES = ['chemical', 'glassware', 'equipment', 'others'];
+
+// Thermal labels: size in mm, resolution in dots per inch
+const ZPL_DEFAULTS = { width: 50, height: 25, dpi: 203 };
+const ZPL_DPIS = [203, 300, 600];
+
+// Labels in one sheet request, copies included
+const MAX_LABELS = 1000;
+const MAX_COPIES = 50;
+
+module.exports = {
+  LABEL_LAYOUTS,
+  DEFAULT_LAYOUT,
+  LABEL_FORMATS,
+  LABEL_CATEGORIES,
+  ZPL_DEFAULTS,
+  ZPL_DPIS,
+  MAX_LABELS,
+  MAX_COPIES
+};
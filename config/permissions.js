@@ -0,0 +1,156 @@
+// Permission registry
+// Every protected action has a permission name (`<area>.<action>`) mapped to the
+// roles that may perform it. `labAccess` marks lab-scoped permissions: roles that
+// are not in GLOBAL_ROLES also need an active assignment to the lab in question
+// ('read' is satisfied by read or read_write assignments, 'write' only by read_write).
+// Routes use requirePermission() from middleware/permissionMiddleware.js.
+
+// Roles that see and act on every lab
+const GLOBAL_ROLES = ['admin', 'central_store_admin'];
+
+const ADMINS = ['admin', 'central_store_admin'];
+const STAFF = ['admin', 'central_store_admin', 'lab_assistant'];
+const EVERYONE = ['admin', 'central_store_admin', 'lab_assistant', 'faculty'];
+
+const PERMISSIONS = {
+  // Chemicals
+  'chemical.add': { roles: ADMINS, description: 'Add chemicals to the central store' },
+  'chemical.allocate': { roles: ADMINS, description: 'Allocate chemicals from the central store to labs' },
+  'chemical.view_master': { roles: ADMINS, description: 'View the central chemical master' },
+  'chemical.view_lab': { roles: STAFF, labAccess: 'read', description: 'View chemical stock of a lab' },
+  'chemical.view_distribution': { roles: STAFF, description: 'View chemical distribution across labs' },
+  'chemical.view_out_of_stock': { roles: STAFF, description: 'View out-of-stock chemicals' },
+  'chemical.search': { roles: EVERYONE, description: 'Search chemicals with lab quantities' },
+  'chemical.manage_expired': { roles: ADMINS, description: 'Review and act on expired chemicals' },
+  'chemical.open': { roles: STAFF, labAccess: 'write', description: 'Record chemical containers of a lab as opened' },
+  'chemical.scan': { roles: EVERYONE, description: 'Scan chemical container labels' },
+  'chemical.return': { roles: STAFF, labAccess: 'write', description: 'Return scanned chemical containers of a lab to the central store' },
+  'label.print': { roles: STAFF, labAccess: 'read', description: 'Print QR label sheets of the items of a lab' },
+
+  // Legacy inventory endpoints
+  'inventory.view': { roles: STAFF, description: 'View inventory and live stock' },
+  'inventory.view_lab': { roles: STAFF, labAccess: 'read', description: 'View inventory of a lab' },
+  'inventory.add': { roles: ADMINS, description: 'Add chemicals to the inventory' },
+  'inventory.allocate': { roles: STAFF, labAccess: 'write', description: 'Allocate inventory to a lab' },
+
+  // Glassware, equipment and other products
+  'glassware.transact': { roles: STAFF, description: 'Record glassware transactions' },
+  'glassware.allocate': { roles: ADMINS, description: 'Allocate or transfer glassware between labs' },
+  'glassware.view_all': { roles: ADMINS, description: 'View all glassware transactions and statistics' },
+  'glassware.view_lab': { roles: STAFF, labAccess: 'read', description: 'View glassware transactions of a lab' },
+  'equipment.add': { roles: ADMINS, description: 'Register equipment in the central store' },
+  'equipment.allocate_lab': { roles: ADMINS, description: 'Allocate equipment to labs' },
+  'equipment.issue': { roles: STAFF, description: 'Issue, scan-allocate and return equipment items' },
+  'equipment.view': { roles: STAFF, description: 'View equipment stock and item history' },
+  'equipment.browse': { roles: EVERYONE, description: 'Browse available equipment and scan QR codes' },
+  'equipment.stock_check': { roles: STAFF, description: 'Run and view equipment stock checks' },
+  'others.add': { roles: ADMINS, description: 'Add other products to the central store' },
+  'others.allocate_lab': { roles: ADMINS, description: 'Allocate other products to labs' },
+  'others.issue': { roles: STAFF, description: 'Issue other products to faculty' },
+  'others.view': { roles: STAFF, description: 'View other product stock' },
+  'others.scan': { roles: EVERYONE, description: 'Scan other product QR codes' },
+  'intake.import': { roles: ADMINS, description: 'Import central-store intake of any category from CSV / XLSX sheets' },
+
+  // Storage locations inside labs
+  'location.view': { roles: STAFF, labAccess: 'read', description: 'View storage locations and location moves of a lab' },
+  'location.manage': { roles: STAFF, labAccess: 'write', description: 'Create, rename, re-order and delete storage locations of a lab' },
+  'location.move': { roles: STAFF, labAccess: 'write', description: 'Move stock between storage locations inside a lab' },
+  'storage_compatibility.manage': { roles: ADMINS, description: 'Edit the chemical storage compatibility matrix' },
+
+  // Controlled substances
+  'controlled.manage': { roles: ADMINS, description: 'Mark chemical products as controlled substances' },
+  'controlled.witness': { roles: STAFF, labAccess: 'read', description: 'Countersign movements of controlled substances' },
+  'controlled.view_register': { roles: ADMINS, description: 'View and print the controlled substance register' },
+
+  // Disposal of chemical waste
+  'disposal.view': { roles: STAFF, labAccess: 'read', description: 'View quarantined and disposed chemicals of a lab' },
+  'disposal.quarantine': { roles: STAFF, labAccess: 'write', description: 'Quarantine chemical stock of a lab and request its disposal' },
+  'disposal.approve': { roles: ADMINS, description: 'Approve or reject disposal requests' },
+  'disposal.complete': { roles: ADMINS, description: 'Record the hand-over of chemical waste to a contractor' },
+
+  // Per-lab min / par / max stock levels
+  'stock_level.view': { roles: STAFF, labAccess: 'read', description: 'View stock levels and replenishment needs of a lab' },
+  'stock_level.manage': { roles: STAFF, labAccess: 'write', description: 'Set the min, par and max stock levels of a lab' },
+
+  // Lab-to-lab transfers (source lab dispatches, destination lab receives)
+  'transfer.view': { roles: STAFF, labAccess: 'read', description: 'View transfers into or out of a lab' },
+  'transfer.request': { roles: STAFF, labAccess: 'write', description: 'Request a transfer into or out of a lab and cancel it before dispatch' },
+  'transfer.approve': { roles: ADMINS, description: 'Approve or reject transfer requests' },
+  'transfer.dispatch': { roles: STAFF, labAccess: 'write', description: 'Dispatch approved transfers out of a lab' },
+  'transfer.receive': { roles: STAFF, labAccess: 'write', description: 'Receive dispatched transfers into a lab' },
+
+  // Requests
+  'request.create': { roles: ['faculty'], description: 'Create and delete own requests' },
+  'request.view_own': { roles: ['faculty'], description: 'View own requests' },
+  'request.view': { roles: STAFF, description: 'View all requests' },
+  'request.view_lab': { roles: STAFF, labAccess: 'read', description: 'View requests of a lab' },
+  'request.view_dashboard': { roles: ADMINS, description: 'View request statistics and queues' },
+  'request.approve': { roles: ['admin'], description: 'Approve requests as admin' },
+  'request.edit': { roles: ['admin'], description: 'Edit requests, override dates and item states' },
+  'request.reject': { roles: STAFF, description: 'Reject requests' },
+  'request.allocate': { roles: STAFF, description: 'Allocate, fulfil and complete requests' },
+
+  // Audits
+  'audit.view': { roles: ['admin', 'faculty'], description: 'View audit dashboards, assignments and executions' },
+  'audit.assign': { roles: ['admin'], description: 'Create audit assignments' },
+  'audit.execute': { roles: ['faculty'], description: 'Carry out assigned audits' },
+
+  // Reporting and alerts
+  'ledger.view': { roles: ADMINS, description: 'View the stock ledger and point-in-time balances' },
+  'reconciliation.view': { roles: ADMINS, description: 'Run historical stock replay and reconciliation' },
+  'expiry_alert.manage': { roles: ADMINS, description: 'Configure and run expiry alerts' },
+  'reorder.manage': { roles: ADMINS, description: 'Review reorder suggestions and run the reorder engine' },
+  'activity.view': { roles: ADMINS, description: 'View the activity trail and entity change history' }
+};
+
+// Access level a user has to a lab: 'read_write', 'read' or null
+function getLabAccess(user, labId) {
+  if (!user || !labId) return null;
+  const assignment = (user.labAssignments || []).find(a => a.labId === labId && a.isActive !== false);
+  if (assignment) return assignment.permission || 'read';
+  // Legacy single-lab assistants own their lab
+  if (user.labId && user.labId === labId) return 'read_write';
+  return null;
+}
+
+// Labs a lab-scoped user can read (active assignments + legacy labId)
+const readableLabs = (user) =>
+  [...new Set([user.labId, ...(user.labAssignments || []).map(a => a.labId)])]
+    .filter(labId => labId && getLabAccess(user, labId));
+
+const satisfiesLabAccess = (access, required) =>
+  Boolean(access) && (required !== 'write' || access === 'read_write');
+
+/**
+ * Whether `user` holds `permission`, optionally for a specific lab.
+ * @returns {{ allowed: boolean, reason?: string }}
+ */
+function checkPermission(user, permission, labId) {
+  const definition = PERMISSIONS[permission];
+  if (!definition) {
+    return { allowed: false, reason: `Unknown permission ${permission}` };
+  }
+  if (!user || !definition.roles.includes(user.role)) {
+    return { allowed: false, reason: 'role' };
+  }
+  if (!definition.labAccess || labId === undefined || GLOBAL_ROLES.includes(user.role)) {
+    return { allowed: true };
+  }
+  if (!satisfiesLabAccess(getLabAccess(user, labId), definition.labAccess)) {
+    return { allowed: false, reason: 'lab' };
+  }
+  return { allowed: true };
+}
+
+// Permission names a role holds (e.g. for the frontend to hide actions)
+const permissionsForRole = (role) =>
+  Object.keys(PERMISSIONS).filter(permission => PERMISSIONS[permission].roles.includes(role));
+
+module.exports = {
+  GLOBAL_ROLES,
+  PERMISSIONS,
+  getLabAccess,
+  readableLabs,
+  checkPermission,
+  permissionsForRole
+};
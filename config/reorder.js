@@ -0,0 +1,52 @@
+// Reorder engine settings (utils/reorderEngine.js)
+// A product is reordered when its free central-store stock plus what is already
+// on order falls below its reorder point: Product.thresholdValue plus the demand
+// expected while an order is on its way (lead time). Demand is the average
+// daily outflow of the central store over the look-back window. The suggested
+// quantity tops the stock up to the reorder point plus `coverDays` of demand.
+
+const envNumber = (name, fallback) => {
+  const value = Number(process.env[name]);
+  return Number.isFinite(value) && value >= 0 ? value : fallback;
+};
+
+const REORDER_DEFAULTS = {
+  lookbackDays: envNumber('REORDER_LOOKBACK_DAYS', 90),
+  leadTimeDays: envNumber('REORDER_LEAD_TIME_DAYS', 14), // when the product sets no leadTimeDays
+  coverDays: envNumber('REORDER_COVER_DAYS', 30)
+};
+
+// Draft the engine fills: a central-store 'quotation' or 'indent'
+const REORDER_TARGETS = ['quotation', 'indent'];
+const REORDER_TARGET = REORDER_TARGETS.includes(process.env.REORDER_TARGET) ? process.env.REORDER_TARGET : 'quotation';
+
+// Ledger movements that take stock out of the central store (negative rows only)
+const DEMAND_MOVEMENTS = ['allocation', 'issue', 'transfer'];
+
+// Statuses of central-store documents whose lines are already on order
+const ON_ORDER_STATUSES = {
+  quotation: ['suggestions', 'approved', 'purchasing'],
+  indent: ['pending', 'reviewed']
+};
+
+// Line list and name field per product category. Quotations and indents have
+// no list for other products, so they are ordered as equipment lines.
+const ORDER_LINES = {
+  chemical: { list: 'chemicals', nameField: 'chemicalName' },
+  glassware: { list: 'glassware', nameField: 'glasswareName' },
+  equipment: { list: 'equipment', nameField: 'equipmentName' },
+  others: { list: 'equipment', nameField: 'equipmentName' }
+};
+
+// Unit of lines for counted products that have no unit of their own
+const COUNT_UNIT = 'pcs';
+
+module.exports = {
+  REORDER_DEFAULTS,
+  REORDER_TARGETS,
+  REORDER_TARGET,
+  DEMAND_MOVEMENTS,
+  ON_ORDER_STATUSES,
+  ORDER_LINES,
+  COUNT_UNIT
+};
@@ -0,0 +1,47 @@
+// Chemical storage compatibility matrix
+// Chemicals are sorted into compatibility groups, from their GHS hazard classes
+// and storage class (config/hazards.js) or set explicitly on the product
+// (safety.compatibilityGroups: acid / base cannot be told apart from GHS data).
+// A rule names two groups that must not share a storage level: 'shelf' (may
+// share a cabinet), 'cabinet' (may share a room) or 'room'. Rules here are the
+// defaults; admins override or disable them per pair (CompatibilityRule).
+
+const COMPATIBILITY_GROUPS = {
+  explosive: { label: 'Explosives', hazardClasses: ['explosive'], storageClasses: ['1'] },
+  flammable: {
+    label: 'Flammables',
+    hazardClasses: ['flammable_gas', 'flammable_liquid', 'flammable_solid'],
+    storageClasses: ['3', '4.1B', '5.2', '10']
+  },
+  pyrophoric: { label: 'Pyrophorics', hazardClasses: ['pyrophoric'], storageClasses: ['4.2'] },
+  water_reactive: { label: 'Water-reactives', hazardClasses: ['water_reactive'], storageClasses: ['4.3'] },
+  oxidizer: { label: 'Oxidizers', hazardClasses: ['oxidizer'], storageClasses: ['5.1A', '5.1B', '5.1C', '5.2'] },
+  compressed_gas: { label: 'Gases under pressure', hazardClasses: ['compressed_gas'], storageClasses: ['2A'] },
+  toxic: { label: 'Acute toxics', hazardClasses: ['acute_toxicity'], storageClasses: ['6.1A', '6.1B', '6.1C', '6.1D'] },
+  acid: { label: 'Acids', hazardClasses: [], storageClasses: [] },
+  base: { label: 'Bases', hazardClasses: [], storageClasses: [] },
+  cyanide: { label: 'Cyanides and sulfides', hazardClasses: [], storageClasses: [] }
+};
+
+// Ordered from the narrowest to the widest separation
+const SEPARATION_LEVELS = ['shelf', 'cabinet', 'room'];
+
+const DEFAULT_RULES = [
+  { groups: ['oxidizer', 'flammable'], separation: 'cabinet', reason: 'Oxidizers intensify fires and can ignite flammables' },
+  { groups: ['oxidizer', 'pyrophoric'], separation: 'cabinet', reason: 'Pyrophorics ignite in air; oxidizers feed the fire' },
+  { groups: ['acid', 'base'], separation: 'cabinet', reason: 'Acids and bases react violently and generate heat' },
+  { groups: ['acid', 'cyanide'], separation: 'cabinet', reason: 'Acids release toxic gas (HCN, H2S) from cyanides and sulfides' },
+  { groups: ['water_reactive', 'acid'], separation: 'cabinet', reason: 'Aqueous acids release flammable gas from water-reactives' },
+  { groups: ['water_reactive', 'base'], separation: 'cabinet', reason: 'Aqueous bases release flammable gas from water-reactives' },
+  { groups: ['pyrophoric', 'flammable'], separation: 'cabinet', reason: 'Pyrophorics can ignite nearby flammables' },
+  { groups: ['explosive', 'flammable'], separation: 'room', reason: 'Explosives must be kept away from fire loads' },
+  { groups: ['explosive', 'oxidizer'], separation: 'room', reason: 'Oxidizers can initiate explosives' },
+  { groups: ['compressed_gas', 'flammable'], separation: 'shelf', reason: 'Cylinders must not stand among flammable containers' },
+  { groups: ['toxic', 'acid'], separation: 'shelf', reason: 'Spilt acids can release toxic vapours from acute toxics' }
+];
+
+module.exports = {
+  COMPATIBILITY_GROUPS,
+  SEPARATION_LEVELS,
+  DEFAULT_RULES
+};
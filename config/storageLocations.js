@@ -0,0 +1,27 @@
+// Storage location hierarchy
+// A lab holds rooms, a room holds cabinets, a cabinet holds shelves or bins and
+// a shelf holds bins. `parents` lists the types a location of each type may be
+// placed under (null: directly under the lab).
+
+const LOCATION_TYPES = {
+  room: { label: 'Room', parents: [null] },
+  cabinet: { label: 'Cabinet', parents: ['room'] },
+  shelf: { label: 'Shelf', parents: ['cabinet'] },
+  bin: { label: 'Bin', parents: ['cabinet', 'shelf'] }
+};
+
+// Stock records that can be put away, by the itemType used in the API
+const LOCATABLE_MODELS = {
+  chemical: 'ChemicalLive',
+  glassware: 'GlasswareLive',
+  others: 'OtherProductLive'
+};
+
+// Separator of the human-readable path ("Room 101 / Cabinet A / Shelf 2")
+const PATH_SEPARATOR = ' / ';
+
+module.exports = {
+  LOCATION_TYPES,
+  LOCATABLE_MODELS,
+  PATH_SEPARATOR
+};
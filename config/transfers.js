@@ -0,0 +1,36 @@
+// Lab-to-lab transfer workflow
+// A lab asks to move stock to another lab: the units are reserved in the source
+// lab straight away, an admin approves (or rejects), the source lab dispatches
+// and the destination lab receives, which is when the stock actually moves.
+// TRANSITIONS lists the actions allowed in each status and where they lead.
+
+// Transferable stock per category: the live model and whether it is counted
+// (quantity) or tracked item by item (equipment, one asset per line)
+const TRANSFER_CATEGORIES = {
+  chemical: { model: 'ChemicalLive', counted: true },
+  glassware: { model: 'GlasswareLive', counted: true },
+  others: { model: 'OtherProductLive', counted: true },
+  equipment: { model: 'EquipmentLive', counted: false }
+};
+
+// Equipment in these statuses can be transferred; it is 'In Transfer' meanwhile
+const TRANSFERABLE_EQUIPMENT_STATUSES = ['Available', 'Issued'];
+
+const TRANSFER_STATUSES = ['requested', 'approved', 'dispatched', 'received', 'rejected', 'cancelled'];
+
+// status -> { action: next status }; reject and cancel release the reservation
+const TRANSITIONS = {
+  requested: { approve: 'approved', reject: 'rejected', cancel: 'cancelled' },
+  approved: { dispatch: 'dispatched', reject: 'rejected', cancel: 'cancelled' },
+  dispatched: { receive: 'received' },
+  received: {},
+  rejected: {},
+  cancelled: {}
+};
+
+module.exports = {
+  TRANSFER_CATEGORIES,
+  TRANSFERABLE_EQUIPMENT_STATUSES,
+  TRANSFER_STATUSES,
+  TRANSITIONS
+};
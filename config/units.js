@@ -0,0 +1,34 @@
+// Unit-of-measure registry
+// Every unit has a canonical symbol, a dimension and the factor that converts
+// one of it into the base unit of that dimension (g, mL, pcs). Aliases are
+// matched case-insensitively, so "ml", "ML" and "millilitre" all mean mL.
+// Quantities only convert within a dimension; unitService.convertQuantity()
+// rejects anything else.
+
+const DIMENSIONS = {
+  mass: { baseUnit: 'g', description: 'Weight' },
+  volume: { baseUnit: 'mL', description: 'Liquid volume' },
+  count: { baseUnit: 'pcs', description: 'Pieces' }
+};
+
+const UNITS = {
+  // Mass
+  ug: { dimension: 'mass', factor: 0.000001, aliases: ['µg', 'mcg', 'microgram', 'micrograms'] },
+  mg: { dimension: 'mass', factor: 0.001, aliases: ['milligram', 'milligrams', 'mgs'] },
+  g: { dimension: 'mass', factor: 1, aliases: ['gm', 'gms', 'gram', 'grams', 'gr'] },
+  kg: { dimension: 'mass', factor: 1000, aliases: ['kgs', 'kilo', 'kilogram', 'kilograms'] },
+
+  // Volume
+  uL: { dimension: 'volume', factor: 0.001, aliases: ['µl', 'microlitre', 'microliter', 'microlitres', 'microliters'] },
+  mL: { dimension: 'volume', factor: 1, aliases: ['millilitre', 'milliliter', 'millilitres', 'milliliters', 'mls', 'cc'] },
+  L: { dimension: 'volume', factor: 1000, aliases: ['ltr', 'ltrs', 'lt', 'litre', 'liter', 'litres', 'liters'] },
+
+  // Count
+  pcs: { dimension: 'count', factor: 1, aliases: ['pc', 'piece', 'pieces', 'nos', 'no', 'no.', 'number', 'numbers', 'each', 'ea', 'unit', 'units', 'item', 'items'] },
+  dozen: { dimension: 'count', factor: 12, aliases: ['dz', 'doz', 'dozens'] }
+};
+
+module.exports = {
+  DIMENSIONS,
+  UNITS
+};
@@ -4,7 +4,35 @@ const ChemicalLive = require('../models/ChemicalLive');
 const Transaction = require('../models/Transaction');
 const ExpiredChemicalLog = require('../models/ExpiredChemicalLog');
 const OutOfStockChemical = require('../models/OutOfStockChemical');
+const Lot = require('../models/Lot');
 const Lab = require('../models/Lab');
+const { runStockTransaction } = require('../utils/stockTransaction');
+const { decrementStock, incrementStock, setStockQuantity, freeQuantity, isWriteConflict } = require('../services/stockService');
+const { recordMovement } = require('../services/ledgerService');
+const {
+  resolveBatchOptions,
+  planBatches,
+  findChemicalBatches,
+  describeBatch,
+  describeExclusions
+} = require('../services/batchSelectionService');
+const {
+  createLot,
+  resolveChemicalProduct,
+  productStockFilter,
+  lotStockFilter,
+  labStockInsert
+} = require('../services/lotService');
+const { hazardWarningsFor } = require('../services/hazardService');
+const { requireWitness } = require('../services/controlledSubstanceService');
+const { quarantineStock } = require('../services/disposalService');
+const { markOpened, openContainer, effectiveExpiry, expiryBasis, expiresBeforeFilter } = require('../services/shelfLifeService');
+const { assertPutAwayLocation, putAway } = require('../services/locationService');
+const { checkStoragePlacement, uniqueViolations } = require('../services/compatibilityService');
+const { convertQuantity, roundQuantity } = require('../services/unitService');
+const { GLOBAL_ROLES, checkPermission, readableLabs } = require('../config/permissions');
+const { chemicalLabel, ensureChemicalLabel, resolveScannedChemical, verifyChemicalLabel, scannedStockFilter } = require('../services/labelService');
+const { getBaseName } = require('../utils/chemicalProductIntegration');
 const { default: mongoose } = require('mongoose');
 
 // Helper function to get valid lab IDs from database
@@ -80,43 +108,22 @@ async function removeFromOutOfStock(displayName) {
   await OutOfStockChemical.deleteOne({ displayName });
 }
 
-// Helper: Re-index chemical names after a batch is deleted
-async function reindexChemicalNames(displayName) {
-  const batches = await ChemicalLive.find({
-    displayName,
-    labId: 'central-store',
-    quantity: { $gt: 0 },
-  }).sort({ expiryDate: 1 });
-  if (batches.length === 0) return;
-  // First batch gets base name, others get suffixes
-  for (let i = 0; i < batches.length; i++) {
-    let newName = displayName;
-    if (i > 0) newName = `${displayName} - ${String.fromCharCode(65 + i - 1)}`;
-    // Update both chemicalName and displayName for consistency
-    batches[i].chemicalName = newName;
-    await batches[i].save();
-    // Also update master if needed
-    await ChemicalMaster.updateOne(
-      { _id: batches[i].chemicalMasterId },
-      { chemicalName: newName }
-    );
-  }
-}
-
-// Patch: After allocation, handle out-of-stock and reindexing
+// Patch: After allocation, handle out-of-stock
 async function handlePostAllocation(chemicalLiveDoc) {
   if (chemicalLiveDoc.quantity > 0) return;
-  // Check for other batches with same displayName
+  // Other lots of the same chemical still in stock?
+  const sameChemical = chemicalLiveDoc.productId
+    ? { productId: chemicalLiveDoc.productId }
+    : { displayName: chemicalLiveDoc.displayName };
   const others = await ChemicalLive.find({
-    displayName: chemicalLiveDoc.displayName,
+    ...sameChemical,
     labId: 'central-store',
     _id: { $ne: chemicalLiveDoc._id },
     quantity: { $gt: 0 },
   });
   if (others.length > 0) {
-    // Delete this batch and reindex
+    // Drop the empty lot record; the lot itself stays for history
     await chemicalLiveDoc.deleteOne();
-    await reindexChemicalNames(chemicalLiveDoc.displayName);
   } else {
     // Move to out-of-stock
     await moveToOutOfStock(chemicalLiveDoc);
@@ -128,14 +135,38 @@ async function handleRestock(displayName) {
   await removeFromOutOfStock(displayName);
 }
 
+const sameDay = (a, b) => (!a && !b) || (a && b && a.getTime() === b.getTime());
+
+// Existing lot a manual intake line tops up: same product, vendor, unit, expiry
+// and manufacturer batch. Invoice lines always start a lot of their own.
+async function findLotToTopUp(product, line) {
+  if (line.invoiceLineItemId) return null;
+  const candidates = await Lot.find({
+    productId: product._id,
+    vendor: line.vendor,
+    unit: line.unit,
+    manufacturerBatch: line.manufacturerBatch || null
+  });
+  return candidates.find(lot => sameDay(lot.expiryDate, line.expiryDate)) || null;
+}
+
 // Main controller
+// Every intake line becomes (or tops up) a Lot with its own ChemicalMaster and
+// central ChemicalLive record; lots of a chemical share the product name.
+// Controlled substances need a witness (body `witness`, or req.witness already
+// verified by the invoice that forwards its lines here).
 exports.addChemicalsToCentral = asyncHandler(async (req, res) => {
-  const { chemicals, usePreviousBatchId } = req.body;
+  const { chemicals, usePreviousBatchId, ledgerReference } = req.body;
 
   if (!Array.isArray(chemicals) || chemicals.length === 0) {
     return res.status(400).json({ message: 'No chemicals provided' });
   }
 
+  const witness = req.witness !== undefined
+    ? req.witness
+    : await requireWitness(req.body.witness, chemicals, { actorId: req.userId });
+  const ledger = intakeLedger(req.userId, ledgerReference, witness);
+
   console.log('🔬 Adding chemicals to central store:', {
     count: chemicals.length,
     chemicals: chemicals.map(c => ({
@@ -143,7 +174,8 @@ exports.addChemicalsToCentral = asyncHandler(async (req, res) => {
       quantity: c.quantity,
       unit: c.unit,
       vendor: c.vendor,
-      expiryDate: c.expiryDate
+      expiryDate: c.expiryDate,
+      manufacturerBatch: c.manufacturerBatch
     }))
   });
 
@@ -155,326 +187,163 @@ exports.addChemicalsToCentral = asyncHandler(async (req, res) => {
   }
 
   const savedChemicals = [];
+  // Lines that could not be stored, reported back instead of dropped
+  const errors = [];
 
-  for (const chem of chemicals) {
+  for (const [index, chem] of chemicals.entries()) {
     try {
-      let { productId, chemicalName, quantity, unit, expiryDate, vendor, pricePerUnit, department } = chem;
-      
+      let { productId, chemicalName, quantity, unit, expiryDate, vendor } = chem;
+
       // Validate required fields
       if (!chemicalName || !quantity || !unit || !vendor) {
-        console.error('❌ Missing required fields for chemical:', {
-          chemicalName,
-          quantity,
-          unit,
-          vendor,
-          expiryDate
-        });
+        errors.push({ index, chemicalName, message: 'chemicalName, quantity, unit and vendor are required' });
         continue; // Skip this chemical
       }
-      
+
       // Convert expiry date if provided
       if (expiryDate) {
-        try {
-          expiryDate = new Date(expiryDate);
-          if (isNaN(expiryDate.getTime())) {
-            console.warn('⚠️ Invalid expiry date, treating as no-expiry:', expiryDate);
-            expiryDate = null;
-          }
-        } catch (error) {
-          console.warn('⚠️ Error parsing expiry date, treating as no-expiry:', error.message);
+        expiryDate = new Date(expiryDate);
+        if (isNaN(expiryDate.getTime())) {
+          console.warn('⚠️ Invalid expiry date, treating as no-expiry:', chem.expiryDate);
           expiryDate = null;
         }
-      }
-    // PATCH: Refined logic for no-expiry chemicals
-    if (!expiryDate) {
-      // Enhanced matching: find by base name (without suffix) and vendor, unit
-      const baseName = chemicalName.split(' - ')[0]; // Remove any existing suffix
-      const existingChems = await ChemicalMaster.find({
-        $or: [
-          { chemicalName: chemicalName }, // Exact match
-          { chemicalName: new RegExp(`^${baseName}( - [A-Z])?$`, 'i') } // Base name with optional suffix
-        ],
-        vendor,
-        unit
-      });
-      console.log('Existing no-expiry chemicals:', existingChems);
-      // Check for a no-expiry batch (strict: only null or undefined)
-      const noExpiryBatch = existingChems.find(c => c.expiryDate == null);
-      
-      console.log('🔍 No-expiry batch check:', {
-        chemicalName,
-        existingChems: existingChems.map(c => ({
-          name: c.chemicalName,
-          expiryDate: c.expiryDate,
-          vendor: c.vendor,
-          unit: c.unit
-        })),
-        noExpiryBatch: noExpiryBatch ? {
-          name: noExpiryBatch.chemicalName,
-          expiryDate: noExpiryBatch.expiryDate
-        } : null
-      });
-      
-      if (noExpiryBatch) {
-        // Add to existing no-expiry batch
-        noExpiryBatch.quantity += Number(quantity);
-        noExpiryBatch.unit = unit; // Ensure unit is set
-        noExpiryBatch.vendor = vendor || noExpiryBatch.vendor; // Update vendor if provided
-        noExpiryBatch.pricePerUnit = pricePerUnit || noExpiryBatch.pricePerUnit; // Update price if provided
-        noExpiryBatch.department = department || noExpiryBatch.department; // Update department if provided
-        await noExpiryBatch.save();
-        const live = await ChemicalLive.findOne({
-          chemicalMasterId: noExpiryBatch._id,
-          labId: 'central-store'
-        });
-        if (live) {
-          live.quantity += Number(quantity);
-          live.originalQuantity += Number(quantity);
-          await live.save();
-        } else {
-          // Create missing ChemicalLive entry
-          console.log(`⚠️ Missing ChemicalLive for master ${noExpiryBatch._id}, creating...`);
-          await ChemicalLive.create({
-            chemicalMasterId: noExpiryBatch._id,
-            chemicalName: noExpiryBatch.chemicalName,
-            displayName: noExpiryBatch.chemicalName.split(' - ')[0],
-            unit: noExpiryBatch.unit,
-            expiryDate: noExpiryBatch.expiryDate,
-            labId: 'central-store',
-            quantity: noExpiryBatch.quantity,
-            originalQuantity: noExpiryBatch.quantity,
-            isAllocated: false
-          });
-        }
-        await createTransaction(
-          noExpiryBatch.chemicalName, 'entry', noExpiryBatch._id,
-          'central-store', 'central-store', quantity, unit, req.userId
-        );
-        
-        // Remove from out-of-stock if this chemical was previously out-of-stock
-        await handleRestock(chemicalName);
-        
-        savedChemicals.push(noExpiryBatch);
-        continue;
-      } else if (existingChems.length > 0) {
-        // All existing batches have expiry, create a new no-expiry batch (base name, no suffix)
-        const masterEntry = await createNewChemical(
-          chemicalName, quantity, unit, null,
-          batchId, vendor, pricePerUnit, department, req.userId, productId
-        );
-        savedChemicals.push(masterEntry);
-        continue;
       } else {
-        // No existing batch, create new no-expiry batch
-        const masterEntry = await createNewChemical(
-          chemicalName, quantity, unit, null,
-          batchId, vendor, pricePerUnit, department, req.userId, productId
-        );
-        savedChemicals.push(masterEntry);
-        continue;
+        expiryDate = null;
       }
-    }
-    // 1. Enhanced matching: Check for existing chemical with same base name, vendor AND unit
-    const baseName = chemicalName.split(' - ')[0]; // Remove any existing suffix
-    const existingChems = await ChemicalMaster.find({
-      $or: [
-        { chemicalName: chemicalName }, // Exact match
-        { chemicalName: new RegExp(`^${baseName}( - [A-Z])?$`, 'i') } // Base name with optional suffix
-      ],
-      vendor,
-      unit
-    });
 
-    // 2. If no matching chemical exists
-    if (existingChems.length === 0) {
-      const masterEntry = await createNewChemical(
-        chemicalName, quantity, unit, expiryDate,
-        batchId, vendor, pricePerUnit, department, req.userId, productId
-      );
-      savedChemicals.push(masterEntry);
-      continue;
-    }
+      const product = await findOrCreateProduct(productId, chemicalName, unit);
+      const line = { ...chem, quantity: Number(quantity), expiryDate };
 
-    // 3. Check for exact match (name+vendor+unit+expiry)
-    const exactMatch = existingChems.find(c => {
-      // Handle null/undefined expiry dates
-      if (!c.expiryDate && !expiryDate) return true; // Both null/undefined
-      if (!c.expiryDate || !expiryDate) return false; // One is null, other isn't
-      return c.expiryDate.getTime() === expiryDate.getTime();
-    });
-
-    console.log('🔍 Exact match check:', {
-      chemicalName,
-      existingChems: existingChems.map(c => ({
-        name: c.chemicalName,
-        expiryDate: c.expiryDate,
-        vendor: c.vendor,
-        unit: c.unit
-      })),
-      targetExpiry: expiryDate,
-      exactMatch: exactMatch ? {
-        name: exactMatch.chemicalName,
-        expiryDate: exactMatch.expiryDate
-      } : null
-    });
-
-    if (exactMatch) {
-      // Update quantities
-      exactMatch.quantity += Number(quantity);
-      await exactMatch.save();
-
-      const live = await ChemicalLive.findOne({
-        chemicalMasterId: exactMatch._id,
-        labId: 'central-store'
-      });
-      if (live) {
-        live.quantity += Number(quantity);
-        live.originalQuantity += Number(quantity);
-        await live.save();
+      const lot = await findLotToTopUp(product, line);
+      if (lot) {
+        savedChemicals.push(await topUpLot(lot, product, line, req.userId, ledger));
       } else {
-        // Create missing ChemicalLive entry
-        console.log(`⚠️ Missing ChemicalLive for master ${exactMatch._id}, creating...`);
-        await ChemicalLive.create({
-          chemicalMasterId: exactMatch._id,
-          chemicalName: exactMatch.chemicalName,
-          displayName: exactMatch.chemicalName.split(' - ')[0],
-          unit: exactMatch.unit,
-          expiryDate: exactMatch.expiryDate,
-          labId: 'central-store',
-          quantity: exactMatch.quantity,
-          originalQuantity: exactMatch.quantity,
-          isAllocated: false
-        });
-      }
-
-      await createTransaction(
-        exactMatch.chemicalName, 'entry', exactMatch._id,
-        'central-store', 'central-store', quantity, unit, req.userId
-      );
-
-      // Remove from out-of-stock if this chemical was previously out-of-stock
-      await handleRestock(chemicalName);
-
-      savedChemicals.push(exactMatch);
-    } else {
-      // Handle expiry date conflicts
-      const newExpiry = expiryDate.getTime();
-      const existingWithEarlierExpiry = existingChems.find(c => {
-        // Skip chemicals with null/undefined expiry dates
-        if (!c.expiryDate) return false;
-        return c.expiryDate.getTime() < newExpiry;
-      });
-
-      if (existingWithEarlierExpiry) {
-        // Existing has earlier expiry - it keeps name, new gets suffix
-        const suffix = await getNextSuffix(chemicalName);
-        const suffixedName = `${chemicalName} - ${suffix}`;
-
-        const masterEntry = await createNewChemical(
-          suffixedName, quantity, unit, expiryDate,
-          batchId, vendor, pricePerUnit, department, req.userId, productId
-        );
-        savedChemicals.push(masterEntry);
-      } else {
-        // New has earlier expiry - rename existing, keep new as base
-        const suffix = await getNextSuffix(chemicalName);
-
-        // Rename all existing
-        for (const chem of existingChems) {
-          const newName = `${chemicalName} - ${suffix}`;
-          chem.chemicalName = newName;
-          await chem.save();
-
-          const live = await ChemicalLive.findOne({
-            chemicalMasterId: chem._id,
-            labId: 'central-store'
-          });
-          if (live) {
-            live.chemicalName = newName;
-            await live.save();
-          }
-        }
-
-        // Create new with base name
-        const masterEntry = await createNewChemical(
-          chemicalName, quantity, unit, expiryDate,
-          batchId, vendor, pricePerUnit, department, req.userId, productId
-        );
-        savedChemicals.push(masterEntry);
+        savedChemicals.push(await createChemicalLot(product, line, batchId, req.userId, ledger));
       }
-    }
     } catch (error) {
       console.error('❌ Error processing chemical:', {
         chemical: chem,
         error: error.message,
         stack: error.stack
       });
+      errors.push({ index, chemicalName: chem.chemicalName, message: error.message });
       // Continue with next chemical instead of failing entire batch
       continue;
     }
   }
 
+  if (savedChemicals.length === 0) {
+    return res.status(400).json({ message: 'No chemicals were added', errors });
+  }
+
   res.status(201).json({
-    message: 'Chemicals added/updated successfully',
+    message: errors.length
+      ? `${savedChemicals.length} chemical line(s) added/updated, ${errors.length} rejected`
+      : 'Chemicals added/updated successfully',
     batchId,
-    chemicals: savedChemicals
+    chemicals: savedChemicals,
+    errors
   });
 });
 
-// Helper: Create new chemical (master + live)
-async function createNewChemical(name, qty, unit, expiry, batchId, vendor, price, dept, userId, productId = null) {
-  // Find or create Product for this chemical
+// Helper: Product for an intake line (by id, else by name; created if missing)
+async function findOrCreateProduct(productId, chemicalName, unit) {
   const Product = require('../models/Product');
-  let product;
-  
   if (productId) {
-    // Use provided productId
-    product = await Product.findById(productId);
+    const product = await Product.findById(productId);
     if (!product) {
       throw new Error(`Product with ID ${productId} not found`);
     }
-  } else {
-    // Find or create Product for this chemical
-    product = await Product.findOne({ 
-      name: name.split(' - ')[0], // Remove any suffix for product lookup
-      category: 'chemical' 
+    return product;
+  }
+
+  const product = await resolveChemicalProduct({ chemicalName });
+  if (product) return product;
+  return Product.create({
+    name: getBaseName(chemicalName.trim()),
+    unit,
+    category: 'chemical',
+    thresholdValue: 10 // Default threshold for chemicals
+  });
+}
+
+// Helper: Add quantity to an existing lot (master + central live)
+async function topUpLot(lot, product, line, userId, ledger) {
+  const { quantity, unit } = line;
+  const updates = {};
+  if (line.pricePerUnit) updates.pricePerUnit = line.pricePerUnit;
+  if (line.department) updates.department = line.department;
+  // Not save(): its post-save hook would recreate an emptied central record at the full master quantity
+  const master = await ChemicalMaster.findByIdAndUpdate(
+    lot.chemicalMasterId,
+    { $inc: { quantity }, $set: updates },
+    { new: true }
+  );
+
+  lot.quantityReceived += quantity;
+  await lot.save();
+
+  const live = await ChemicalLive.findOne({ lotId: lot._id, labId: 'central-store' });
+  if (live) {
+    await incrementStock(ChemicalLive, live._id, quantity, {
+      alsoInc: { originalQuantity: quantity },
+      ledger
     });
-    
-    if (!product) {
-      product = await Product.create({
-        name: name.split(' - ')[0],
-        unit: unit,
-        category: 'chemical',
-        thresholdValue: 10 // Default threshold for chemicals
-      });
-    }
+  } else {
+    // The lot was emptied and its record removed: start a new central record
+    await createCentralLive(master, lot, product, quantity, ledger);
   }
-  
+
+  await createTransaction(
+    product.name, 'entry', master._id,
+    'central-store', 'central-store', quantity, unit, userId
+  );
+
+  // Remove from out-of-stock if this chemical was previously out-of-stock
+  await handleRestock(product.name);
+
+  console.log(`✅ Topped up lot ${lot.lotNumber} (${product.name}) by ${quantity} ${unit}`);
+  return master;
+}
+
+// Helper: Create a new lot (Lot + master + central live)
+async function createChemicalLot(product, line, batchId, userId, ledger) {
+  const { quantity, unit, expiryDate, vendor, pricePerUnit, department } = line;
+  const masterId = new mongoose.Types.ObjectId();
+
+  const lot = await createLot({
+    productId: product._id,
+    chemicalMasterId: masterId,
+    manufacturerBatch: line.manufacturerBatch,
+    receivedDate: line.receivedDate,
+    expiryDate,
+    vendor,
+    unit,
+    quantityReceived: quantity,
+    costPerUnit: pricePerUnit,
+    invoiceId: line.invoiceId,
+    invoiceLineItemId: line.invoiceLineItemId,
+    intakeBatchId: batchId,
+    createdBy: userId
+  });
+
   const masterEntry = await ChemicalMaster.create({
+    _id: masterId,
     productId: product._id,
-    chemicalName: name,
-    quantity: qty,
+    lotId: lot._id,
+    chemicalName: product.name,
+    quantity,
     unit,
-    expiryDate: expiry,
+    expiryDate,
     batchId,
     vendor,
-    pricePerUnit: price,
-    department: dept
+    pricePerUnit,
+    department
   });
 
   try {
-    await ChemicalLive.create({
-      chemicalMasterId: masterEntry._id,
-      chemicalName: masterEntry.chemicalName,
-      displayName: name.split(' - ')[0], // Store clean name without suffix
-      unit,
-      expiryDate: expiry,
-      labId: 'central-store',
-      quantity: qty,
-      originalQuantity: qty,
-      isAllocated: false
-    });
-    console.log(`✅ Created ChemicalLive for master: ${masterEntry._id} (${name})`);
+    await createCentralLive(masterEntry, lot, product, quantity, ledger);
+    console.log(`✅ Created lot ${lot.lotNumber} for master: ${masterEntry._id} (${product.name})`);
   } catch (error) {
     console.error(`❌ Failed to create ChemicalLive for master ${masterEntry._id}:`, error);
     // Don't throw here to avoid breaking the entire batch, but log the error
@@ -487,30 +356,53 @@ async function createNewChemical(name, qty, unit, expiry, batchId, vendor, price
     masterEntry._id,
     'central-store',
     'central-store',
-    qty,
+    quantity,
     unit,
     userId
   );
 
   // Remove from out-of-stock if this chemical was previously out-of-stock
-  await handleRestock(name.split(' - ')[0]);
+  await handleRestock(product.name);
 
   return masterEntry;
 }
 
-async function getNextSuffix(baseName) {
-  const existing = await ChemicalMaster.find({
-    chemicalName: new RegExp(`^${baseName} - [A-Z]$`, 'i')
-  });
-
-  const usedSuffixes = existing.map(c => {
-    const parts = c.chemicalName.split(' - ');
-    return parts[1]?.charAt(0);
-  }).filter(Boolean);
+// Helper: Central-store record of a lot, with the lot's signed label.
+// ChemicalMaster's post-save hook may already have created it; it is then
+// linked to the lot rather than duplicated.
+async function createCentralLive(master, lot, product, quantity, ledger) {
+  const fields = {
+    productId: product._id,
+    lotId: lot._id,
+    chemicalName: product.name,
+    displayName: product.name,
+    unit: master.unit,
+    expiryDate: master.expiryDate
+  };
+  Object.assign(fields, await chemicalLabel({ ...fields, chemicalMasterId: master._id }, lot));
+
+  let live = await ChemicalLive.findOneAndUpdate(
+    { chemicalMasterId: master._id, labId: 'central-store' },
+    { $set: fields },
+    { new: true }
+  );
+  if (!live) {
+    live = await ChemicalLive.create({
+      ...fields,
+      chemicalMasterId: master._id,
+      labId: 'central-store',
+      quantity,
+      originalQuantity: quantity,
+      isAllocated: false
+    });
+  }
+  await recordMovement({ ...ledger, item: live, quantity });
+  return live;
+}
 
-  if (usedSuffixes.length === 0) return 'A';
-  const lastChar = usedSuffixes.sort().pop().toUpperCase();
-  return String.fromCharCode(lastChar.charCodeAt(0) + 1);
+// Ledger details of intake into the central store
+function intakeLedger(userId, reference, witness) {
+  return { movementType: 'intake', counterpartyLabId: 'vendor', reference, userId, witnessId: witness ? witness._id : undefined };
 }
 
 async function createTransaction(name, type, chemId, fromLab, toLab, qty, unit, userId) {
@@ -527,7 +419,152 @@ async function createTransaction(name, type, chemId, fromLab, toLab, qty, unit,
   });
 }
 
-// Allocate chemicals to lab (with FIFO enforcement and transaction safety)
+// Central-store lots of the product an allocation line names (productId,
+// chemicalMasterId or chemicalName). planBatches() decides the order.
+async function findCentralStocks(alloc, session) {
+  const product = await resolveChemicalProduct(alloc);
+  return findChemicalBatches(productStockFilter(product, 'central-store', alloc.chemicalName), session);
+}
+
+// Signals that one item could not be allocated and the whole batch must roll back
+function allocationFailure(outcome) {
+  const error = new Error(outcome.reason);
+  error.allocationOutcome = outcome;
+  return error;
+}
+
+// Move one requested chemical from central store to the lab inside the unit of work.
+// Batches are picked by resolveBatchOptions()/planBatches(): expired and near-expiry
+// stock is never moved. The lab records are put away at alloc.locationId (or the
+// lab's default location) and, with alloc.markOpened, recorded as opened.
+// Throws allocationFailure() when the item cannot be fully allocated.
+// witnessId countersigns the movement of controlled substances.
+async function allocateChemicalToLab(tx, alloc, labId, userId, batchOptions, witnessId) {
+  const { chemicalName, quantity } = alloc;
+  const outcome = { chemicalName, quantity, originalQuantity: quantity };
+
+  if (!chemicalName || typeof quantity !== 'number' || quantity <= 0) {
+    throw allocationFailure({ ...outcome, status: 'failed', reason: 'Invalid chemical name or quantity' });
+  }
+
+  const centralStocks = await findCentralStocks(alloc, tx.session);
+  const plan = planBatches(centralStocks, quantity, batchOptions);
+  const skippedBatches = describeExclusions(plan.excluded);
+
+  console.log('🔍 Found central stocks for allocation:', {
+    chemicalName,
+    foundStocks: centralStocks.length,
+    strategy: batchOptions.strategy,
+    allocatable: plan.allocatable,
+    skipped: skippedBatches.length
+  });
+
+  if (plan.shortfall > 0) {
+    const reasons = ['Insufficient stock or not found'];
+    if (skippedBatches.length) reasons.push(`${skippedBatches.length} expired, near-expiry or unconvertible batch(es) skipped`);
+    if (plan.missingBatchIds.length) reasons.push(`batches not found: ${plan.missingBatchIds.join(', ')}`);
+    throw allocationFailure({
+      ...outcome,
+      status: 'failed',
+      reason: reasons.join('; '),
+      availableQuantity: plan.allocatable,
+      skippedBatches
+    });
+  }
+
+  const batches = [];
+  const labStocks = new Map();
+
+  // allocQty is in the batch's own unit (the request may be in another one)
+  for (const { batch: centralStock, quantity: requestedQty, stockQuantity: allocQty } of plan.picks) {
+
+    // Guarded decrement: a concurrent allocation that drained the batch first
+    // makes this throw StockConflictError, which rolls the whole batch back
+    let updatedCentral;
+    try {
+      updatedCentral = await decrementStock(ChemicalLive, centralStock._id, allocQty, {
+        tx,
+        ledger: { movementType: 'allocation', counterpartyLabId: labId, userId, witnessId }
+      });
+    } catch (error) {
+      if (error.name !== 'StockConflictError') throw error;
+      const conflict = allocationFailure({
+        ...outcome,
+        status: 'failed',
+        reason: 'Stock changed during allocation, please retry',
+        retryable: true
+      });
+      conflict.statusCode = 409;
+      throw conflict;
+    }
+
+    // Add/update lab stock
+    const labStock = await incrementStock(
+      ChemicalLive,
+      lotStockFilter(centralStock, labId),
+      allocQty,
+      {
+        tx,
+        ledger: { movementType: 'allocation', counterpartyLabId: 'central-store', userId, witnessId },
+        insert: labStockInsert(centralStock, allocQty, labId)
+      }
+    );
+
+    const location = await putAway(ChemicalLive, labStock, alloc.locationId, { tx, userId });
+    const opened = alloc.markOpened === true || alloc.markOpened === 'true'
+      ? (await markOpened(labStock, { userId, tx })).record
+      : labStock;
+    labStocks.set(String(labStock._id), opened);
+
+    await tx.create(Transaction, {
+      chemicalName: centralStock.chemicalName,
+      transactionType: 'allocation',
+      chemicalLiveId: labStock._id,
+      fromLabId: 'central-store',
+      toLabId: labId,
+      quantity: allocQty,
+      unit: centralStock.unit,
+      createdBy: userId
+    });
+
+    // Out-of-stock handling only after commit
+    if (updatedCentral.quantity <= 0) {
+      tx.afterCommit(() => handlePostAllocation(updatedCentral));
+    }
+
+    batches.push(describeBatch(centralStock, {
+      chemicalMasterId: centralStock.chemicalMasterId,
+      quantity: requestedQty,
+      stockQuantity: allocQty,
+      unit: centralStock.unit,
+      labStockId: labStock._id,
+      location: location ? location.path : null,
+      labOpenedAt: opened.openedAt || null,
+      labOpenedExpiryDate: opened.openedExpiryDate || null
+    }));
+  }
+
+  // Segregation check where the stock was put away (flagged, not blocked)
+  const storageWarnings = [];
+  for (const labStock of labStocks.values()) {
+    storageWarnings.push(...await checkStoragePlacement(labStock, { session: tx.session }));
+  }
+
+  const lastBatch = batches[batches.length - 1];
+  return {
+    ...outcome,
+    status: 'success',
+    allocatedQuantity: quantity,
+    expiryDate: lastBatch.expiryDate,
+    chemicalMasterId: lastBatch.chemicalMasterId,
+    strategy: batchOptions.strategy,
+    batches,
+    skippedBatches,
+    storageWarnings: uniqueViolations(storageWarnings)
+  };
+}
+
+// Allocate chemicals to lab (FEFO by default, never expired stock, all-or-nothing across the whole batch)
 exports.allocateChemicalsToLab = asyncHandler(async (req, res) => {
   const { labId, allocations } = req.body;
 
@@ -536,12 +573,37 @@ exports.allocateChemicalsToLab = asyncHandler(async (req, res) => {
     return res.status(400).json({ message: 'labId and allocations required' });
   }
 
+  // strategy / minShelfLifeDays / useBy from the body; each allocation may override them
+  let batchOptions;
+  try {
+    batchOptions = allocations.map(alloc => resolveBatchOptions(alloc, req.body));
+  } catch (error) {
+    return res.status(400).json({ message: error.message });
+  }
+
   // Validate lab ID dynamically from database
   const validLabIds = await getValidLabIds();
   if (!validLabIds.includes(labId) && labId !== 'central-store') {
     return res.status(400).json({ message: 'Invalid lab ID' });
   }
 
+  // Put-away location for every line (a line's own locationId wins over the body's);
+  // markOpened records the lab's containers as opened on arrival
+  const lines = allocations.map(alloc => ({
+    ...alloc,
+    locationId: alloc.locationId || req.body.locationId,
+    markOpened: alloc.markOpened ?? req.body.markOpened
+  }));
+  try {
+    await Promise.all([...new Set(lines.map(line => line.locationId).filter(Boolean))]
+      .map(locationId => assertPutAwayLocation(labId, locationId)));
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ message: error.message });
+  }
+
+  // Controlled substances leave the central store only with a second signatory
+  const witness = await requireWitness(req.body.witness, allocations, { actorId: req.userId, labId });
+
   console.log('🧪 Starting allocation process:', {
     labId,
     allocationCount: allocations.length,
@@ -551,247 +613,61 @@ exports.allocateChemicalsToLab = asyncHandler(async (req, res) => {
     }))
   });
 
-  try {
-    const results = [];
-    let hasError = false;
-
-    for (const alloc of allocations) {
-      const { chemicalName, quantity } = alloc;
-      if (!chemicalName || typeof quantity !== 'number' || quantity <= 0) {
-        results.push({
-          chemicalName,
-          quantity: quantity,
-          status: 'failed',
-          reason: 'Invalid chemical name or quantity',
-          originalQuantity: quantity
-        });
-        hasError = true;
-        continue;
-      }
-
-      // Enhanced chemical finding with better matching
-      let remainingQty = quantity;
-      
-      // Try exact match first
-      let centralStocks = await ChemicalLive.find({
-        displayName: chemicalName,
-        labId: 'central-store',
-        quantity: { $gt: 0 }
-      }).sort({ expiryDate: 1 });
-      
-      // If no exact match, try case-insensitive and fuzzy matching
-      if (centralStocks.length === 0) {
-        const baseName = chemicalName.trim().replace(/\s+/g, ' ');
-        centralStocks = await ChemicalLive.find({
-          $or: [
-            { displayName: new RegExp(`^${baseName}$`, 'i') },
-            { displayName: new RegExp(`^${baseName.split(' - ')[0]}( - [A-Z])?$`, 'i') }
-          ],
-          labId: 'central-store',
-          quantity: { $gt: 0 }
-        }).sort({ expiryDate: 1 });
-      }
-      
-      console.log('🔍 Found central stocks for allocation:', {
-        chemicalName,
-        foundStocks: centralStocks.length,
-        stocks: centralStocks.map(s => ({
-          displayName: s.displayName,
-          quantity: s.quantity,
-          expiryDate: s.expiryDate
-        }))
-      });
-
-      if (!centralStocks.length) {
-        results.push({
-          chemicalName,
-          quantity: quantity,
-          status: 'failed',
-          reason: 'Insufficient stock or not found',
-          originalQuantity: quantity
-        });
-        hasError = true;
-        continue;
-      }
+  const results = [];
 
-      let totalAllocated = 0;
-      let lastExpiry = null;
-      let lastCentralStock = null;
-      let allocationFailed = false;
-      const allocationSteps = []; // Track steps for potential rollback
-
-      for (const centralStock of centralStocks) {
-        if (remainingQty <= 0) break;
-        const allocQty = Math.min(centralStock.quantity, remainingQty);
-        
-        try {
-          // Decrement central stock with retry mechanism
-          let updatedCentral = null;
-          let retryCount = 0;
-          const maxRetries = 3;
-          
-          while (retryCount < maxRetries && !updatedCentral) {
-            // Get fresh stock data
-            const freshStock = await ChemicalLive.findById(centralStock._id);
-            if (!freshStock || freshStock.quantity < allocQty) {
-              console.warn(`⚠️ Insufficient stock for ${chemicalName}: requested ${allocQty}, available ${freshStock?.quantity || 0}`);
-              break;
-            }
-            
-            updatedCentral = await ChemicalLive.findOneAndUpdate(
-              {
-                _id: centralStock._id,
-                quantity: { $gte: allocQty }
-              },
-              { $inc: { quantity: -allocQty } },
-              { new: true }
-            );
-            
-            if (!updatedCentral) {
-              retryCount++;
-              if (retryCount < maxRetries) {
-                console.warn(`⚠️ Retry ${retryCount}/${maxRetries} for ${chemicalName}`);
-                await new Promise(resolve => setTimeout(resolve, 100)); // Small delay
-              }
-            }
-          }
-          
-          if (!updatedCentral) {
-            console.error(`❌ Failed to allocate ${allocQty} of ${chemicalName} after ${maxRetries} retries`);
-            allocationFailed = true;
-            break;
-          }
-          
-          // Track allocation step for potential rollback
-          allocationSteps.push({
-            centralStockId: centralStock._id,
-            allocatedQty: allocQty,
-            originalQty: centralStock.quantity
-          });
-          
-          // PATCH: handle out-of-stock and reindexing with error handling
-          try {
-            await handlePostAllocation(updatedCentral);
-          } catch (postAllocError) {
-            console.error('⚠️ Error in post-allocation handling:', postAllocError.message);
-            // Don't fail the allocation for this error, just log it
-          }
-        // Add/update lab stock
-        const labStock = await ChemicalLive.findOneAndUpdate(
-          {
-            chemicalMasterId: centralStock.chemicalMasterId,
-            labId
-          },
-          {
-            $inc: { quantity: allocQty },
-            $setOnInsert: {
-              chemicalName: centralStock.chemicalName,
-              displayName: centralStock.displayName,
-              unit: centralStock.unit,
-              expiryDate: centralStock.expiryDate,
-              originalQuantity: allocQty,
-              isAllocated: true
-            }
-          },
-          {
-            new: true,
-            upsert: true
-          }
-        );
-        // Create transaction record
-        await Transaction.create({
-          chemicalName: centralStock.chemicalName,
-          transactionType: 'allocation',
-          chemicalLiveId: labStock._id,
-          fromLabId: 'central-store',
-          toLabId: labId,
-          quantity: allocQty,
-          unit: centralStock.unit,
-          createdBy: req.userId,
-          timestamp: new Date()
-        });
-          totalAllocated += allocQty;
-          lastExpiry = centralStock.expiryDate;
-          lastCentralStock = centralStock;
-          remainingQty -= allocQty;
-        } catch (stepError) {
-          console.error(`❌ Error in allocation step for ${chemicalName}:`, stepError.message);
-          allocationFailed = true;
-          break;
-        }
-      }
-
-      if (allocationFailed || totalAllocated < quantity) {
-        hasError = true;
-        
-        // Rollback partial allocations
-        if (allocationSteps.length > 0) {
-          console.log(`🔄 Rolling back ${allocationSteps.length} allocation steps for ${chemicalName}`);
-          try {
-            for (const step of allocationSteps) {
-              await ChemicalLive.findByIdAndUpdate(
-                step.centralStockId,
-                { $inc: { quantity: step.allocatedQty } }
-              );
-            }
-            console.log(`✅ Successfully rolled back allocations for ${chemicalName}`);
-          } catch (rollbackError) {
-            console.error(`❌ Failed to rollback allocations for ${chemicalName}:`, rollbackError.message);
-          }
-        }
-        
-        results.push({
-          chemicalName,
-          quantity: quantity,
-          status: 'failed',
-          reason: 'Insufficient stock or concurrency error',
-          allocatedQuantity: totalAllocated,
-          originalQuantity: quantity,
-          attemptedSteps: allocationSteps.length
-        });
-        continue;
+  try {
+    await runStockTransaction(async (tx) => {
+      for (const [index, alloc] of lines.entries()) {
+        results.push(await allocateChemicalToLab(tx, alloc, labId, req.userId, batchOptions[index], witness && witness._id));
       }
+    });
+  } catch (error) {
+    // Everything was rolled back: report the failing item, undo the ones before it
+    const failedOutcome = error.allocationOutcome || {
+      chemicalName: allocations[results.length]?.chemicalName,
+      quantity: allocations[results.length]?.quantity,
+      status: 'failed',
+      reason: error.message
+    };
+    const rolledBack = results.map(r => ({
+      ...r,
+      status: 'rolled_back',
+      reason: `Rolled back because ${failedOutcome.chemicalName} could not be allocated`
+    }));
+    const notAttempted = allocations.slice(results.length + 1).map(a => ({
+      chemicalName: a.chemicalName,
+      quantity: a.quantity,
+      status: 'not_attempted'
+    }));
 
-      results.push({
-        chemicalName,
-        quantity: quantity,
-        status: 'success',
-        allocatedQuantity: totalAllocated,
-        originalQuantity: quantity,
-        expiryDate: lastExpiry,
-        chemicalMasterId: lastCentralStock ? lastCentralStock.chemicalMasterId : undefined
-      });
-    }
-
-    // Separate successful and failed allocations
-    const successfulAllocations = results.filter(r => r.status === 'success');
-    const failedAllocations = results.filter(r => r.status === 'failed');
-
-    if (hasError) {
-      return res.status(400).json({
-        message: `${failedAllocations.length} allocation(s) failed, ${successfulAllocations.length} succeeded`,
-        success: false,
-        successfulAllocations,
-        failedAllocations,
-        results
-      });
+    if (!error.allocationOutcome) {
+      console.error('Allocation error:', error);
     }
 
-    res.status(200).json({
-      message: 'All allocations completed successfully',
-      success: true,
-      successfulAllocations,
-      failedAllocations: [],
-      results
-    });
-
-  } catch (error) {
-    console.error('Allocation error:', error);
-    res.status(500).json({
-      message: 'Allocation process failed',
-      error: error.message
+    const conflict = error.statusCode === 409 || isWriteConflict(error);
+    if (conflict) res.set('Retry-After', '1');
+
+    return res.status(conflict ? 409 : error.allocationOutcome ? 400 : 500).json({
+      message: `Allocation of ${failedOutcome.chemicalName} failed: ${failedOutcome.reason}. No stock was moved.`,
+      success: false,
+      retryable: conflict,
+      rolledBack: true,
+      rollbackErrors: error.rollbackErrors,
+      successfulAllocations: [],
+      failedAllocations: [failedOutcome],
+      results: [...rolledBack, failedOutcome, ...notAttempted]
     });
   }
+
+  res.status(200).json({
+    message: 'All allocations completed successfully',
+    success: true,
+    successfulAllocations: results,
+    failedAllocations: [],
+    results,
+    hazardWarnings: await hazardWarningsFor(allocations),
+    storageWarnings: uniqueViolations(results.flatMap(r => r.storageWarnings || []))
+  });
 });
 
 // Get all Central Store master chemicals
@@ -803,8 +679,9 @@ exports.getCentralMasterChemicals = asyncHandler(async (req, res) => {
 // Get live stock of Central Store (frontend sees displayName)
 exports.getCentralLiveStock = asyncHandler(async (req, res) => {
   const stock = await ChemicalLive.find({ labId: 'central-store' })
-    .select('displayName quantity unit expiryDate chemicalMasterId')
-    .populate('chemicalMasterId', 'batchId vendor');
+    .select('displayName quantity unit expiryDate chemicalMasterId productId lotId')
+    .populate('chemicalMasterId', 'batchId vendor')
+    .populate('lotId', 'lotNumber manufacturerBatch receivedDate');
   res.status(200).json(stock);
 });
 
@@ -812,11 +689,41 @@ exports.getCentralLiveStock = asyncHandler(async (req, res) => {
 exports.getLiveStockByLab = asyncHandler(async (req, res) => {
   const { labId } = req.params;
   const stock = await ChemicalLive.find({ labId })
-    .select('displayName quantity unit expiryDate chemicalMasterId originalQuantity')
-    .populate('chemicalMasterId', 'batchId vendor');
+    .select('displayName quantity unit expiryDate chemicalMasterId productId lotId originalQuantity')
+    .populate('chemicalMasterId', 'batchId vendor')
+    .populate('lotId', 'lotNumber manufacturerBatch receivedDate');
   res.status(200).json(stock);
 });
 
+// Get lots (filter by productId, invoiceId or lotNumber prefix)
+exports.getLots = asyncHandler(async (req, res) => {
+  const { productId, invoiceId, lotNumber } = req.query;
+  const filter = {};
+  if (productId) filter.productId = productId;
+  if (invoiceId) filter.invoiceId = invoiceId;
+  if (lotNumber) filter.lotNumber = { $regex: `^${lotNumber.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}`, $options: 'i' };
+  const lots = await Lot.find(filter)
+    .populate('productId', 'name unit')
+    .sort({ receivedDate: -1 });
+  res.status(200).json(lots);
+});
+
+// Get one lot with its stock in every lab
+exports.getLotById = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+    return res.status(400).json({ message: 'Invalid lot ID' });
+  }
+  const lot = await Lot.findById(req.params.id)
+    .populate('productId', 'name unit')
+    .populate('invoiceId', 'invoiceId invoiceNumber invoiceDate vendorName');
+  if (!lot) {
+    return res.status(404).json({ message: 'Lot not found' });
+  }
+  const stock = await ChemicalLive.find({ lotId: lot._id })
+    .select('labId displayName quantity originalQuantity unit expiryDate');
+  res.status(200).json({ lot, stock });
+});
+
 // Get master chemicals of a specific lab
 exports.getLabMasterChemicals = asyncHandler(async (req, res) => {
   const { labId } = req.params;
@@ -984,18 +891,199 @@ exports.getCentralLiveSimplified = asyncHandler(async (req, res) => {
   }
 });
 
-// Get expired chemicals for central-store
+// Get expired chemicals for central-store (manufacturer expiry or use-by date after opening)
 exports.getExpiredChemicals = asyncHandler(async (req, res) => {
   const now = new Date();
   const expired = await ChemicalLive.find({
     labId: 'central-store',
-    expiryDate: { $lt: now }
+    ...expiresBeforeFilter(now)
+  });
+  res.status(200).json(expired.map(chem => ({
+    ...chem.toObject(),
+    effectiveExpiryDate: effectiveExpiry(chem),
+    expiredBy: expiryBasis(chem) === 'openedExpiryDate' ? 'opening' : 'manufacturer'
+  })));
+});
+
+// @desc    Record that a container was opened (scan its label: chemicalLiveId, or lotNumber + labId)
+// @route   POST /api/chemicals/open
+// @access  Private (staff with write access to the lab)
+exports.openChemicalContainer = asyncHandler(async (req, res) => {
+  const { chemicalLiveId, lotNumber, labId, openedAt } = req.body;
+  const { record, alreadyOpen } = await openContainer({
+    chemicalLiveId,
+    lotNumber,
+    labId,
+    openedAt,
+    userId: req.user._id
+  });
+
+  res.status(alreadyOpen ? 200 : 201).json({
+    success: true,
+    message: alreadyOpen
+      ? `${record.displayName} was already opened on ${record.openedAt.toISOString().slice(0, 10)}`
+      : `${record.displayName} marked as opened`,
+    data: {
+      chemicalLiveId: record._id,
+      displayName: record.displayName,
+      labId: record.labId,
+      openedAt: record.openedAt,
+      expiryDate: record.expiryDate || null,
+      openedExpiryDate: record.openedExpiryDate,
+      effectiveExpiryDate: effectiveExpiry(record)
+    }
+  });
+});
+
+// @desc    Label of a chemical stock record (created for records from before labels)
+// @route   GET /api/chemicals/label/:chemicalLiveId
+// @access  Private (staff with read access to the record's lab)
+exports.getChemicalLabel = asyncHandler(async (req, res) => {
+  if (!mongoose.Types.ObjectId.isValid(req.params.chemicalLiveId)) {
+    return res.status(400).json({ message: 'Invalid stock record ID' });
+  }
+  const record = await ChemicalLive.findById(req.params.chemicalLiveId).populate('lotId', 'lotNumber');
+  if (!record) {
+    return res.status(404).json({ message: 'Stock record not found' });
+  }
+  if (!checkPermission(req.user, 'chemical.view_lab', record.labId).allowed) {
+    return res.status(403).json({ message: `No access to ${record.labId}` });
+  }
+
+  await ensureChemicalLabel(record);
+  res.status(200).json({
+    success: true,
+    data: {
+      chemicalLiveId: record._id,
+      displayName: record.displayName,
+      labId: record.labId,
+      lotNumber: record.lotId ? record.lotId.lotNumber : null,
+      expiryDate: record.expiryDate || null,
+      unit: record.unit,
+      qrCodeData: record.qrCodeData,
+      qrCodeImage: record.qrCodeImage
+    }
+  });
+});
+
+// @desc    Scan a chemical label: the lot's stock in the labs the user can see, and its transactions
+// @route   POST /api/chemicals/scan
+// @access  Private (all roles)
+exports.scanChemicalQRCode = asyncHandler(async (req, res) => {
+  const label = verifyChemicalLabel(req.body.qrCodeData);
+  const filter = scannedStockFilter(label);
+  if (!GLOBAL_ROLES.includes(req.user.role)) {
+    filter.labId = { $in: readableLabs(req.user) };
+  }
+
+  const stock = await ChemicalLive.find(filter)
+    .select('-qrCodeImage')
+    .populate('lotId', 'lotNumber manufacturerBatch receivedDate expiryDate vendor')
+    .populate('locationId', 'name path');
+  const transactions = await Transaction.find({ chemicalLiveId: { $in: stock.map(record => record._id) } })
+    .populate('createdBy', 'name email')
+    .sort({ createdAt: -1 })
+    .limit(100);
+
+  res.status(200).json({
+    label,
+    stock: stock.map(record => ({ ...record.toObject(), effectiveExpiryDate: effectiveExpiry(record) })),
+    transactions
+  });
+});
+
+// @desc    Allocate from the scanned lot in the central store to a lab (quantity required);
+//          the rest of the body is passed on to allocateChemicalsToLab (locationId, markOpened, witness...)
+// @route   POST /api/chemicals/allocate/scan
+// @access  Private (Admin/Central Store Admin)
+exports.allocateChemicalByScan = asyncHandler(async (req, res, next) => {
+  const { qrCodeData, quantity, unit } = req.body;
+  const { record } = await resolveScannedChemical(qrCodeData, 'central-store');
+
+  req.body = {
+    ...req.body,
+    allocations: [{
+      productId: record.productId,
+      chemicalMasterId: record.chemicalMasterId,
+      chemicalName: record.displayName,
+      quantity: Number(quantity),
+      unit: unit || record.unit,
+      strategy: 'manual',
+      batchIds: [String(record._id)]
+    }]
+  };
+  return exports.allocateChemicalsToLab(req, res, next);
+});
+
+// @desc    Return the scanned container from a lab to its lot in the central store
+//          (all of the lab's free stock of the lot unless quantity/unit are given)
+// @route   POST /api/chemicals/return/scan
+// @access  Private (staff with write access to the lab)
+exports.returnChemicalByScan = asyncHandler(async (req, res) => {
+  const { qrCodeData, labId, quantity, unit, witness: credentials } = req.body;
+  const userId = req.user._id;
+  if (labId === 'central-store') {
+    return res.status(400).json({ message: 'Scan the container in the lab it is returned from' });
+  }
+
+  const { record } = await resolveScannedChemical(qrCodeData, labId);
+  const amount = roundQuantity(quantity === undefined
+    ? freeQuantity(record)
+    : convertQuantity(Number(quantity), unit || record.unit, record.unit));
+  if (!(amount > 0)) {
+    return res.status(409).json({ message: `${record.displayName} in ${labId} has no free stock to return` });
+  }
+  const expiry = effectiveExpiry(record);
+  if (expiry && expiry <= new Date()) {
+    return res.status(409).json({ message: `${record.displayName} expired on ${expiry.toISOString().slice(0, 10)}; quarantine it for disposal instead` });
+  }
+
+  const witness = await requireWitness(credentials, [record], { actorId: userId, labId });
+  const witnessId = witness ? witness._id : undefined;
+
+  let central;
+  await runStockTransaction(async (tx) => {
+    const updated = await decrementStock(ChemicalLive, record._id, amount, {
+      tx,
+      ledger: { movementType: 'return', counterpartyLabId: 'central-store', userId, witnessId }
+    });
+    central = await incrementStock(ChemicalLive, lotStockFilter(record, 'central-store'), amount, {
+      tx,
+      ledger: { movementType: 'return', counterpartyLabId: labId, userId, witnessId },
+      insert: { ...labStockInsert(record, amount, 'central-store'), isAllocated: false }
+    });
+    await tx.create(Transaction, {
+      chemicalName: record.chemicalName,
+      transactionType: 'return',
+      chemicalLiveId: record._id,
+      fromLabId: labId,
+      toLabId: 'central-store',
+      quantity: amount,
+      unit: record.unit,
+      createdBy: userId
+    });
+    record.quantity = updated.quantity;
+    tx.afterCommit(() => handleRestock(record.displayName));
+  });
+
+  console.log(`↩️ ${amount} ${record.unit} of ${record.displayName} returned from ${labId} to central store by scan`);
+  res.status(200).json({
+    success: true,
+    message: `${amount} ${record.unit} of ${record.displayName} returned to the central store`,
+    data: {
+      chemicalLiveId: record._id,
+      centralChemicalLiveId: central._id,
+      displayName: record.displayName,
+      quantity: amount,
+      unit: record.unit,
+      remainingInLab: record.quantity,
+      centralQuantity: central.quantity
+    }
   });
-  res.status(200).json(expired);
 });
 
 // Process admin action for expired chemical
-// action: 'merge', 'delete', 'update_expiry'
+// action: 'merge', 'delete', 'update_expiry', 'quarantine' (opens a disposal, see /api/disposals)
 exports.processExpiredChemicalAction = asyncHandler(async (req, res) => {
   // Accept both chemicalLiveId and chemicalId for backward/forward compatibility
   const chemicalId = req.body.chemicalLiveId || req.body.chemicalId;
@@ -1004,13 +1092,30 @@ exports.processExpiredChemicalAction = asyncHandler(async (req, res) => {
   const chem = await ChemicalLive.findById(chemicalId);
   if (!chem) return res.status(404).json({ message: 'ChemicalLive not found' });
 
+  // Merging or writing off a controlled substance needs a second signatory
+  const witness = ['merge', 'delete'].includes(action) && chem.quantity > 0
+    ? await requireWitness(req.body.witness, [chem], { actorId: userId, labId: chem.labId })
+    : null;
+  const witnessId = witness ? witness._id : undefined;
+
   if (action === 'merge') {
     if (!mergeToId) return res.status(400).json({ message: 'Invalid merge target ID' });
     const mergeTo = await ChemicalLive.findById(mergeToId);
     if (!mergeTo) return res.status(404).json({ message: 'Target chemical not found' });
-    mergeTo.quantity += chem.quantity;
-    mergeTo.originalQuantity += chem.quantity;
-    await mergeTo.save();
+    if (chem.quantity > 0) {
+      // Drain the expired batch only if nobody touched it since we read it
+      await runStockTransaction(async (tx) => {
+        await setStockQuantity(ChemicalLive, chem._id, 0, chem.quantity, {
+          tx,
+          ledger: { movementType: 'adjustment', counterpartyLabId: mergeTo.labId, userId, witnessId, note: 'Merged expired batch' }
+        });
+        await incrementStock(ChemicalLive, mergeTo._id, chem.quantity, {
+          tx,
+          alsoInc: { originalQuantity: chem.quantity },
+          ledger: { movementType: 'adjustment', counterpartyLabId: chem.labId, userId, witnessId, note: 'Merged expired batch' }
+        });
+      });
+    }
     // Always log, even if quantity is 0
     await ExpiredChemicalLog.create({
       chemicalLiveId: chem._id,
@@ -1026,7 +1131,12 @@ exports.processExpiredChemicalAction = asyncHandler(async (req, res) => {
     await chem.deleteOne();
     return res.json({ message: 'Merged and deleted expired chemical' });
   } else if (action === 'delete') {
-    // Just delete
+    // Write the remaining quantity off the books, then delete
+    if (chem.quantity > 0) {
+      await setStockQuantity(ChemicalLive, chem._id, 0, chem.quantity, {
+        ledger: { movementType: 'disposal', counterpartyLabId: 'disposal', userId, witnessId, note: reason || 'Deleted expired chemical' }
+      });
+    }
     // Always log, even if quantity is 0
     await ExpiredChemicalLog.create({
       chemicalLiveId: chem._id,
@@ -1041,6 +1151,19 @@ exports.processExpiredChemicalAction = asyncHandler(async (req, res) => {
     });
     await chem.deleteOne();
     return res.json({ message: 'Deleted expired chemical' });
+  } else if (action === 'quarantine') {
+    // Hold the batch for disposal instead of writing it off here
+    if (chem.quantity <= 0) return res.status(400).json({ message: 'Nothing left to quarantine' });
+    const disposal = await quarantineStock({
+      labId: chem.labId,
+      items: [{ chemicalLiveId: chem._id }],
+      reason: 'expired',
+      notes: reason,
+      userId,
+      witness: req.body.witness,
+      requestDisposal: true
+    });
+    return res.json({ message: `Quarantined for disposal ${disposal.disposalNumber}`, disposal });
   } else if (action === 'update_expiry') {
     // Update expiry date
     chem.expiryDate = newExpiryDate;
@@ -1,5 +1,6 @@
 const Transaction = require('../models/Transaction');
 const ChemicalLive = require('../models/ChemicalLive');
+const { decrementStock, incrementStock } = require('../services/stockService');
 const { validationResult } = require('express-validator');
 const asyncHandler = require('express-async-handler');
 const { logTransaction } = require('../utils/transactionLogger');  // Assuming you have a utility to log transactions
@@ -41,13 +42,17 @@ exports.createTransaction = asyncHandler(async (req, res) => {
     if (chemicalLive.quantity < quantity) {
       return res.status(400).json({ msg: 'Insufficient stock for allocation' });
     }
-    chemicalLive.quantity -= quantity; // Deduct from live stock
+    // Deduct from live stock (409 on conflict)
+    await decrementStock(ChemicalLive, chemicalLive._id, quantity, {
+      ledger: { movementType: 'allocation', counterpartyLabId: toLabId, userId }
+    });
   } else if (transactionType === 'restock') {
-    chemicalLive.quantity += quantity; // Add to live stock
+    // Add to live stock
+    await incrementStock(ChemicalLive, chemicalLive._id, quantity, {
+      ledger: { movementType: 'intake', counterpartyLabId: fromLabId || 'vendor', userId }
+    });
   }
 
-  await chemicalLive.save(); // Save updated live stock
-
   // Optionally log the transaction (you can call the logTransaction utility here)
   await logTransaction({
     chemicalLiveId,
@@ -0,0 +1,83 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const ActivityLog = require('../models/ActivityLog');
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+async function paginatedActivity(req, res, filter) {
+  const { page = 1, limit = 50 } = req.query;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+
+  const [entries, total] = await Promise.all([
+    ActivityLog.find(filter)
+      .sort({ createdAt: -1 })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('actor', 'name email role'),
+    ActivityLog.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: entries,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      totalCount: total,
+      limit: parseInt(limit)
+    }
+  });
+}
+
+// @desc    List activity (filter by entity, entityId, user, action, route and a from/to date range)
+// @route   GET /api/activity
+// @access  Private (Admin/Central Store Admin)
+exports.getActivity = asyncHandler(async (req, res) => {
+  const { entity, entityId, user, action, route, from, to } = req.query;
+
+  if (user && !mongoose.Types.ObjectId.isValid(user)) {
+    return res.status(400).json({ message: 'Invalid user' });
+  }
+
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to);
+  if (fromDate === undefined || toDate === undefined) {
+    return res.status(400).json({ message: 'from/to must be valid dates' });
+  }
+
+  const filter = {};
+  if (entity) filter.entityType = entity;
+  if (entityId) filter.entityId = entityId;
+  if (user) filter.actor = user;
+  if (action) filter.action = action;
+  if (route) filter.path = { $regex: `^${route.replace(/[.*+?^${}()|[\]\\]/g, '\\$&')}` };
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+
+  await paginatedActivity(req, res, filter);
+});
+
+/**
+ * Handler for GET /api/<entities>/:id/history.
+ * @param {string} entityType - model name the activity plugin records under
+ * @param {{ param?: string, key?: string }} [options] - `key` also matches entities
+ *   addressed by a business key instead of _id (e.g. labs by labId)
+ */
+exports.getEntityHistory = (entityType, { param = 'id', key } = {}) =>
+  asyncHandler(async (req, res) => {
+    const id = req.params[param];
+    const filter = { entityType };
+    if (key) {
+      filter.$or = [{ entityId: id }, { [`after.${key}`]: id }, { [`before.${key}`]: id }];
+    } else {
+      filter.entityId = id;
+    }
+    await paginatedActivity(req, res, filter);
+  });
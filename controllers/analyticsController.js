@@ -4,7 +4,14 @@ const ChemicalLive = require('../models/ChemicalLive');
 const Transaction = require('../models/Transaction');
 const Request = require('../models/Request');
 const Quotation = require('../models/Quotation');
+const Disposal = require('../models/Disposal');
 const { DateTime } = require('luxon');
+const { baseQuantityExpr, baseUnitExpr } = require('../services/unitService');
+
+// Quantities are summed in the base unit of their dimension (g, mL, pcs), so
+// 500 mL and 1 L of the same chemical add up to 1500 mL
+const sumBase = (quantityPath = '$quantity', unitPath = '$unit') => ({ $sum: baseQuantityExpr(quantityPath, unitPath) });
+const firstBaseUnit = (unitPath = '$unit') => ({ $first: baseUnitExpr(unitPath) });
 
 // Helper: Get time ranges for analytics
 const getTimeRanges = () => {
@@ -110,8 +117,9 @@ exports.getChemicalAnalytics = asyncHandler(async (req, res) => {
       { $match: { ...baseQuery, ...chemicalFilter } },
       { $group: {
         _id: '$chemicalName',
-        totalQuantity: { $sum: '$quantity' },
-        labs: { $push: { labId: '$labId', quantity: '$quantity' } }
+        totalQuantity: sumBase(),
+        unit: firstBaseUnit(),
+        labs: { $push: { labId: '$labId', quantity: '$quantity', unit: '$unit' } }
       }},
       { $sort: { totalQuantity: -1 } },
       { $limit: 20 }
@@ -127,10 +135,12 @@ exports.getChemicalAnalytics = asyncHandler(async (req, res) => {
       }},
       { $group: {
         _id: '$chemicalName',
-        totalConsumed: { $sum: '$quantity' },
+        totalConsumed: sumBase(),
+        unit: firstBaseUnit(),
         transactions: { $push: {
           date: '$createdAt',
           quantity: '$quantity',
+          unit: '$unit',
           type: '$transactionType',
           fromLab: '$fromLabId',
           toLab: '$toLabId'
@@ -160,6 +170,7 @@ exports.getChemicalAnalytics = asyncHandler(async (req, res) => {
         chemicalName: 1,
         labId: 1,
         quantity: 1,
+        unit: 1,
         expiryDate: 1,
         daysToExpiry: {
           $divide: [
@@ -253,11 +264,13 @@ exports.getLabAnalytics = asyncHandler(async (req, res) => {
           dayOfWeek: { $dayOfWeek: '$createdAt' },
           hour: { $hour: '$createdAt' }
         },
-        totalQuantity: { $sum: '$quantity' },
+        totalQuantity: sumBase(),
+        unit: firstBaseUnit(),
         transactionCount: { $sum: 1 }
       }},
       { $group: {
         _id: '$_id.chemical',
+        unit: { $first: '$unit' },
         usagePattern: {
           $push: {
             dayOfWeek: '$_id.dayOfWeek',
@@ -279,7 +292,8 @@ exports.getLabAnalytics = asyncHandler(async (req, res) => {
       }},
       { $group: {
         _id: '$chemicalName',
-        totalUsed: { $sum: '$quantity' },
+        totalUsed: sumBase(),
+        unit: firstBaseUnit(),
         transactionCount: { $sum: 1 }
       }},
       { $sort: { totalUsed: -1 } },
@@ -336,8 +350,9 @@ exports.getFacultyAnalytics = asyncHandler(async (req, res) => {
       { $unwind: '$experiments.chemicals' },
       { $group: {
         _id: '$experiments.chemicals.chemicalName',
-        totalRequested: { $sum: '$experiments.chemicals.quantity' },
-        totalAllocated: { $sum: '$experiments.chemicals.allocatedQuantity' },
+        totalRequested: sumBase('$experiments.chemicals.quantity', '$experiments.chemicals.unit'),
+        totalAllocated: sumBase('$experiments.chemicals.allocatedQuantity', '$experiments.chemicals.unit'),
+        unit: firstBaseUnit('$experiments.chemicals.unit'),
         experimentCount: { $sum: 1 }
       }},
       { $sort: { totalRequested: -1 } },
@@ -404,13 +419,15 @@ exports.getPredictiveAnalytics = asyncHandler(async (req, res) => {
           month: { $month: '$createdAt' },
           year: { $year: '$createdAt' }
         },
-        totalConsumed: { $sum: '$quantity' },
+        totalConsumed: sumBase(),
+        unit: firstBaseUnit(),
         transactionCount: { $sum: 1 }
       }
     },
     {
       $group: {
         _id: '$_id.chemical',
+        unit: { $first: '$unit' },
         monthlyConsumption: {
           $push: {
             month: '$_id.month',
@@ -425,6 +442,7 @@ exports.getPredictiveAnalytics = asyncHandler(async (req, res) => {
     {
       $project: {
         chemical: '$_id',
+        unit: 1,
         monthlyConsumption: 1,
         avgConsumption: { $round: ['$avgConsumption', 2] },
         forecast: {
@@ -453,7 +471,8 @@ exports.getPredictiveAnalytics = asyncHandler(async (req, res) => {
     {
       $group: {
         _id: '$chemicalName',
-        totalExpiring: { $sum: '$quantity' },
+        totalExpiring: sumBase(),
+        unit: firstBaseUnit(),
         earliestExpiry: { $min: '$expiryDate' },
         labs: { $addToSet: '$labId' }
       }
@@ -461,6 +480,7 @@ exports.getPredictiveAnalytics = asyncHandler(async (req, res) => {
     {
       $project: {
         chemical: '$_id',
+        unit: 1,
         totalExpiring: 1,
         earliestExpiry: 1,
         labCount: { $size: '$labs' },
@@ -482,4 +502,122 @@ exports.getPredictiveAnalytics = asyncHandler(async (req, res) => {
     forecastPeriod: `${months} months`,
     generatedAt: new Date()
   });
-});
\ No newline at end of file
+});
+
+// @desc    Get wastage analytics: value of disposed chemicals (at ChemicalMaster.pricePerUnit)
+//          by lab, reason, method, chemical and month, plus what is still quarantined
+// @route   GET /api/analytics/wastage
+// @access  Admin, Central Store Admin, Lab Assistant (own lab)
+exports.getWastageAnalytics = asyncHandler(async (req, res) => {
+  if(req.user.role === 'faculty') {
+    return res.status(403).json({ error: 'Access denied' });
+  }
+
+  const timeRanges = getTimeRanges();
+  const { labId, timeRange = 'thisYear' } = req.query;
+
+  let labFilter = {};
+  if(req.user.role === 'lab_assistant') {
+    labFilter = { labId: req.user.labId };
+  } else if(labId) {
+    labFilter = { labId };
+  }
+
+  const disposed = {
+    ...labFilter,
+    status: 'disposed',
+    disposedAt: { $gte: timeRanges[timeRange] }
+  };
+  const byField = (field) => Disposal.aggregate([
+    { $match: disposed },
+    {
+      $group: {
+        _id: `$${field}`,
+        value: { $sum: '$totalValue' },
+        disposals: { $sum: 1 }
+      }
+    },
+    { $project: { [field]: '$_id', value: { $round: ['$value', 2] }, disposals: 1, _id: 0 } },
+    { $sort: { value: -1 } }
+  ]);
+
+  const [
+    totals,
+    byLab,
+    byReason,
+    byMethod,
+    topChemicals,
+    monthlyTrend,
+    pending
+  ] = await Promise.all([
+    Disposal.aggregate([
+      { $match: disposed },
+      { $group: { _id: null, value: { $sum: '$totalValue' }, disposals: { $sum: 1 } } }
+    ]),
+    byField('labId'),
+    byField('reason'),
+    byField('method'),
+
+    // Chemicals written off for the most money
+    Disposal.aggregate([
+      { $match: disposed },
+      { $unwind: '$items' },
+      {
+        $group: {
+          _id: '$items.chemicalName',
+          value: { $sum: '$items.value' },
+          quantity: sumBase('$items.quantity', '$items.unit'),
+          unit: firstBaseUnit('$items.unit'),
+          labs: { $addToSet: '$labId' }
+        }
+      },
+      {
+        $project: {
+          chemical: '$_id',
+          value: { $round: ['$value', 2] },
+          quantity: 1,
+          unit: 1,
+          labCount: { $size: '$labs' },
+          _id: 0
+        }
+      },
+      { $sort: { value: -1 } },
+      { $limit: 20 }
+    ]),
+
+    Disposal.aggregate([
+      { $match: disposed },
+      {
+        $group: {
+          _id: { year: { $year: '$disposedAt' }, month: { $month: '$disposedAt' } },
+          value: { $sum: '$totalValue' },
+          disposals: { $sum: 1 }
+        }
+      },
+      { $project: { year: '$_id.year', month: '$_id.month', value: { $round: ['$value', 2] }, disposals: 1, _id: 0 } },
+      { $sort: { year: 1, month: 1 } }
+    ]),
+
+    // Stock held in quarantine that will become wastage once disposed
+    Disposal.aggregate([
+      { $match: { ...labFilter, status: { $in: ['quarantined', 'requested', 'approved', 'rejected'] } } },
+      { $group: { _id: '$status', value: { $sum: '$totalValue' }, disposals: { $sum: 1 } } },
+      { $project: { status: '$_id', value: { $round: ['$value', 2] }, disposals: 1, _id: 0 } }
+    ])
+  ]);
+
+  res.json({
+    totalValue: totals.length ? Math.round(totals[0].value * 100) / 100 : 0,
+    disposalCount: totals.length ? totals[0].disposals : 0,
+    byLab,
+    byReason,
+    byMethod,
+    topChemicals,
+    monthlyTrend,
+    pending,
+    timeRange: {
+      start: timeRanges[timeRange],
+      end: new Date()
+    }
+  });
+});
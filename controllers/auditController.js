@@ -8,6 +8,9 @@ const EquipmentLive = require('../models/EquipmentLive');
 const GlasswareLive = require('../models/GlasswareLive');
 const OtherProductLive = require('../models/OtherProductLive');
 const Notification = require('../models/Notification');
+const StorageLocation = require('../models/StorageLocation');
+const { locationOrder } = require('../services/locationService');
+const { verifyChemicalLabel, scannedStockFilter } = require('../services/labelService');
 
 // @desc    Create new audit assignment
 // @route   POST /api/audit/assignments
@@ -314,25 +317,28 @@ exports.startAuditExecution = asyncHandler(async (req, res) => {
   });
 });
 
-// Helper function to generate detailed checklist for execution
+// Helper function to generate detailed checklist for execution.
+// Items are listed in storage-location walking order (room, cabinet, shelf, bin)
+// so the auditor can go shelf by shelf; items without a location come last.
 async function generateExecutionChecklist(category, labId) {
   let items = [];
-  
+
   switch (category) {
     case 'chemical':
       items = await ChemicalLive.find({ labId })
-        .select('_id chemicalName displayName quantity unit location')
+        .select('_id chemicalName displayName quantity unit locationId')
         .lean();
-      return items.map(item => ({
+      return orderByLocation(items.map(item => ({
         itemId: item._id.toString(),
         itemName: item.displayName || item.chemicalName,
         itemType: 'chemical',
-        expectedLocation: item.location || labId,
+        expectedLocationId: item.locationId,
         expectedQuantity: item.quantity,
         status: 'not_checked'
-      }));
+      })), labId);
       
     case 'equipment':
+      // Equipment keeps its free-text location
       items = await EquipmentLive.find({ labId })
         .select('itemId name variant quantity location condition')
         .lean();
@@ -343,39 +349,54 @@ async function generateExecutionChecklist(category, labId) {
         expectedLocation: item.location,
         expectedQuantity: item.quantity || 1,
         status: 'not_checked'
-      }));
+      })).sort((a, b) =>
+        (a.expectedLocation || '').localeCompare(b.expectedLocation || '') || a.itemName.localeCompare(b.itemName));
       
     case 'glassware':
       items = await GlasswareLive.find({ labId })
-        .select('_id name variant quantity condition location')
+        .select('_id name variant quantity condition locationId')
         .lean();
-      return items.map(item => ({
+      return orderByLocation(items.map(item => ({
         itemId: item._id.toString(), // Use _id since GlasswareLive doesn't have itemId
         itemName: `${item.name}${item.variant ? ` (${item.variant})` : ''}`,
         itemType: 'glassware',
-        expectedLocation: item.location || labId,
+        expectedLocationId: item.locationId,
         expectedQuantity: item.quantity || 1,
         status: 'not_checked'
-      }));
+      })), labId);
       
     case 'others':
       items = await OtherProductLive.find({ labId })
-        .select('_id name variant quantity location')
+        .select('_id name variant quantity locationId')
         .lean();
-      return items.map(item => ({
+      return orderByLocation(items.map(item => ({
         itemId: item._id.toString(), // Use _id since OtherProductLive doesn't have itemId
         itemName: `${item.name}${item.variant ? ` (${item.variant})` : ''}`,
         itemType: 'others',
-        expectedLocation: item.location || labId,
+        expectedLocationId: item.locationId,
         expectedQuantity: item.quantity || 1,
         status: 'not_checked'
-      }));
+      })), labId);
       
     default:
       return [];
   }
 }
 
+// Fill in location paths and sort checklist items by the lab's location tree
+async function orderByLocation(checklistItems, labId) {
+  const order = await locationOrder(labId);
+  const rankOf = (item) => {
+    const entry = item.expectedLocationId && order.get(item.expectedLocationId.toString());
+    return entry ? entry.rank : Infinity;
+  };
+  checklistItems.forEach(item => {
+    const entry = item.expectedLocationId && order.get(item.expectedLocationId.toString());
+    item.expectedLocation = entry ? entry.path : labId;
+  });
+  return checklistItems.sort((a, b) => (rankOf(a) - rankOf(b)) || a.itemName.localeCompare(b.itemName));
+}
+
 // @desc    Update checklist item status
 // @route   PUT /api/audit/executions/:id/items/:itemId
 // @access  Private (Faculty)
@@ -430,6 +451,74 @@ exports.updateChecklistItem = asyncHandler(async (req, res) => {
   });
 });
 
+// @desc    Check a chemical off the checklist by scanning its label (optional locationId,
+//          actualQuantity, condition, remarks); a different location or quantity is a mismatch
+// @route   POST /api/audit/executions/:id/scan
+// @access  Private (Faculty)
+exports.scanChecklistItem = asyncHandler(async (req, res) => {
+  const { qrCodeData, locationId, actualQuantity, condition, remarks } = req.body;
+
+  const execution = await AuditExecution.findById(req.params.id);
+  if (!execution) {
+    return res.status(404).json({ message: 'Audit execution not found' });
+  }
+  if (execution.executedBy.toString() !== req.user._id.toString()) {
+    return res.status(403).json({ message: 'Access denied' });
+  }
+  if (execution.status === 'completed') {
+    return res.status(409).json({ message: 'Audit execution is already completed' });
+  }
+  if (execution.category !== 'chemical') {
+    return res.status(400).json({ message: 'Label scans are only taken by chemical audits' });
+  }
+
+  const label = verifyChemicalLabel(qrCodeData);
+  let location = null;
+  if (locationId) {
+    location = await StorageLocation.findOne({ _id: locationId, labId: execution.labId });
+    if (!location) {
+      return res.status(400).json({ message: `Location ${locationId} is not in ${execution.labId}` });
+    }
+  }
+
+  const record = await ChemicalLive.findOne(scannedStockFilter(label, execution.labId)).select('_id');
+  const item = record && execution.checklistItems.find(i => i.itemId === record._id.toString());
+  if (!item) {
+    // Recorded as an unknown container found during the audit
+    execution.addQRScan(qrCodeData, location ? location.path : undefined, 'unknown');
+    await execution.save();
+    return res.status(404).json({
+      message: `${label.name}${label.lotNumber ? ` (${label.lotNumber})` : ''} is not on this audit's checklist for ${execution.labId}`,
+      label
+    });
+  }
+
+  const quantity = actualQuantity !== undefined && actualQuantity !== null ? Number(actualQuantity) : item.expectedQuantity;
+  if (location && String(item.expectedLocationId || '') !== String(location._id)) {
+    item.status = 'location_mismatch';
+  } else if (quantity !== item.expectedQuantity) {
+    item.status = 'quantity_mismatch';
+  } else {
+    item.status = 'present';
+  }
+  item.actualLocation = location ? location.path : item.expectedLocation;
+  item.actualQuantity = quantity;
+  if (condition !== undefined) item.condition = condition;
+  if (remarks !== undefined) item.remarks = remarks;
+  item.checkedAt = new Date();
+
+  execution.addQRScan(qrCodeData, item.actualLocation, item.status === 'present' ? 'match' : 'mismatch');
+  execution.updateSummary();
+  await execution.save();
+
+  res.status(200).json({
+    success: true,
+    message: `${item.itemName} checked: ${item.status.replace('_', ' ')}`,
+    data: item,
+    completion: execution.getCompletionPercentage()
+  });
+});
+
 // @desc    Complete audit execution
 // @route   POST /api/audit/executions/:id/complete
 // @access  Private (Faculty)
@@ -4,7 +4,10 @@ const jwt = require('jsonwebtoken');
 const User = require('../models/User');
 const { validationResult } = require('express-validator');
 const crypto = require('crypto');
-const SibApiV3Sdk = require('sib-api-v3-sdk');
+const PasswordReset = require('../models/PasswordReset');
+const { sendEmail } = require('../utils/emailSender');
+const { permissionsForRole } = require('../config/permissions');
+const { createSession, rotateRefreshToken, revokeSession, revokeSessionByRefreshToken, revokeUserSessions } = require('../services/sessionService');
 
 // Register a new user
 exports.register = async (req, res) => {
@@ -207,7 +210,7 @@ exports.register = async (req, res) => {
         }
       };
 
-      await apiInstance.sendTransacEmail(emailData);
+      await sendEmail(emailData);
       console.log('Welcome email sent to:', email);
       
     } catch (emailError) {
@@ -271,18 +274,17 @@ exports.login = async (req, res) => {
     user.lastLogin = Date.now();
     await user.save();
     console.log(user.userId, user.role)
-    // Create JWT payload and send token
-    const payload = {
-      user: {
-        id: user._id,
-        userId: user.userId,
-        role: user.role,
-        labId: user.labId
-      }
-    };
-    jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: '10d' }, (err, token) => {
-      if (err) throw err;
-      res.json({ token, user: { userId: user.userId, role: user.role } });
+    // Short-lived access token plus a rotating refresh token tied to a new session
+    const { token, refreshToken, expiresIn, refreshTokenExpiresAt } = await createSession(user, {
+      userAgent: req.get('user-agent'),
+      ip: req.ip
+    });
+    res.json({
+      token,
+      refreshToken,
+      expiresIn,
+      refreshTokenExpiresAt,
+      user: { userId: user.userId, role: user.role }
     });
   } catch (error) {
     console.error(error.message);
@@ -290,6 +292,52 @@ exports.login = async (req, res) => {
   }
 };
 
+// Exchange a refresh token for a new access token and refresh token
+exports.refresh = async (req, res) => {
+  try {
+    const { refreshToken } = req.body;
+    if (!refreshToken) return res.status(400).json({ msg: 'Refresh token is required' });
+
+    const tokens = await rotateRefreshToken(refreshToken, (id) => User.findById(id).select('-password'));
+    if (!tokens) {
+      return res.status(401).json({ msg: 'Invalid or expired refresh token', code: 'SESSION_REVOKED' });
+    }
+    res.json(tokens);
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Log out: revoke the session of the given refresh token, or of the (possibly expired) access token
+exports.logout = async (req, res) => {
+  try {
+    // A refresh token only ends its own session: its hash must match the stored one
+    if (req.body.refreshToken) {
+      const session = await revokeSessionByRefreshToken(req.body.refreshToken, 'logout');
+      if (!session) return res.status(401).json({ msg: 'Invalid refresh token' });
+      return res.json({ msg: 'Logged out successfully' });
+    }
+
+    const accessToken = req.header('Authorization')?.replace('Bearer ', '');
+    if (!accessToken) return res.status(400).json({ msg: 'Refresh token or access token is required' });
+
+    let sessionId;
+    try {
+      sessionId = jwt.verify(accessToken, process.env.JWT_SECRET, { ignoreExpiration: true }).sid;
+    } catch (error) {
+      sessionId = null;
+    }
+    if (!sessionId) return res.status(401).json({ msg: 'Invalid access token' });
+
+    await revokeSession(sessionId, 'logout');
+    res.json({ msg: 'Logged out successfully' });
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server error');
+  }
+};
+
 // Get current logged-in user with lab assignments for lab assistants
 exports.getCurrentUser = async (req, res) => {
   try {
@@ -298,14 +346,15 @@ exports.getCurrentUser = async (req, res) => {
       return res.status(404).json({ msg: 'User not found' });
     }
     
+    const userData = user.toObject();
+    userData.permissions = permissionsForRole(user.role);
+
     // For lab assistants, include active lab assignments
     if (user.role === 'lab_assistant') {
-      const userWithAssignments = user.toObject();
-      userWithAssignments.activeLabAssignments = user.getActiveLabAssignments();
-      return res.json(userWithAssignments);
+      userData.activeLabAssignments = user.getActiveLabAssignments();
     }
     
-    res.json(user);
+    res.json(userData);
   } catch (error) {
     console.error(error.message);
     res.status(500).send('Server error');
@@ -314,40 +363,22 @@ exports.getCurrentUser = async (req, res) => {
 
 
 
-// Initialize Brevo client
-const apiKey = process.env.BREVO_API_KEY;
-const defaultClient = SibApiV3Sdk.ApiClient.instance;
-defaultClient.authentications['api-key'].apiKey = apiKey;
-const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
-
-// In-memory OTP storage
-const otpStorage = new Map();
-
-// Request password reset (step 1: send OTP via Brevo)
-exports.requestPasswordReset = async (req, res) => {
-  try {
-    const { email } = req.body;
-    if (!email) return res.status(400).json({ msg: 'Email is required' });
-
-    const user = await User.findOne({ email });
-    if (!user) return res.status(404).json({ msg: 'No user found with this email' });
+// Password reset limits
+const OTP_TTL_MINUTES = 10;
+const RESET_TOKEN_TTL_MINUTES = 15;
+const MAX_OTP_ATTEMPTS = 5;
+const LOCKOUT_MINUTES = 15;
 
-    // Generate OTP
-    const otp = Math.floor(100000 + Math.random() * 900000).toString();
-    const otpExpiry = Date.now() + 10 * 60 * 1000; // 10 min expiry
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+const latestOf = (...dates) => new Date(Math.max(...dates.filter(Boolean).map(date => date.getTime())));
+const normalizeEmail = (email) => String(email).trim().toLowerCase();
 
-    // Store OTP in memory
-    otpStorage.set(email, {
-      otp,
-      expiry: otpExpiry,
-      verified: false
-    });
+const lockedResponse = (res, reset) => res.status(429).json({
+  msg: 'Too many invalid attempts. Try again later.',
+  lockedUntil: reset.lockedUntil
+});
 
-    // Prepare email content using your style approach
-    const emailData = {
-      to: [{ email }],
-      subject: 'Your Password Reset OTP',
-      htmlContent: `
+const otpEmailHtml = (name, otp) => `
         <div style="font-family: 'Segoe UI', Roboto, 'Helvetica Neue', Arial, sans-serif; background: #0f172a; padding: 30px; border-radius: 12px; color: #ffffff; max-width: 600px; margin: 0 auto; box-shadow: 0 4px 20px rgba(0, 0, 0, 0.3); border: 1px solid #1e293b;">
     <!-- Header with logo -->
     <div style="text-align: center; margin-bottom: 25px; border-bottom: 1px solid #1e293b; padding-bottom: 20px;">
@@ -360,7 +391,7 @@ exports.requestPasswordReset = async (req, res) => {
     </div>
     
     <!-- Greeting -->
-    <p style="color: #94a3b8; font-size: 16px; line-height: 1.6; margin-bottom: 20px;">Hello ${user.name || 'User'},</p>
+    <p style="color: #94a3b8; font-size: 16px; line-height: 1.6; margin-bottom: 20px;">Hello ${name || 'User'},</p>
     
     <!-- Main content -->
     <p style="color: #94a3b8; font-size: 16px; line-height: 1.6; margin-bottom: 25px;">You've requested to reset your password. Use the following verification code to proceed:</p>
@@ -369,7 +400,7 @@ exports.requestPasswordReset = async (req, res) => {
     <div style="background: #1e293b; border-radius: 8px; padding: 25px; text-align: center; margin: 30px 0; border: 1px solid #334155; box-shadow: inset 0 1px 3px rgba(0, 0, 0, 0.5);">
         <div style="color: #64748b; font-size: 14px; margin-bottom: 8px; letter-spacing: 1px;">YOUR VERIFICATION CODE</div>
         <div style="color: #38bdf8; font-size: 36px; letter-spacing: 8px; font-weight: 700; font-family: 'Courier New', monospace; margin: 15px 0;">${otp}</div>
-        <div style="color: #64748b; font-size: 13px; letter-spacing: 0.5px;">Valid for 10 minutes</div>
+        <div style="color: #64748b; font-size: 13px; letter-spacing: 0.5px;">Valid for ${OTP_TTL_MINUTES} minutes</div>
     </div>
     
     <!-- Security notice -->
@@ -385,18 +416,52 @@ exports.requestPasswordReset = async (req, res) => {
         <p style="color: #64748b; font-size: 12px; margin: 0;">© ${new Date().getFullYear()} PydahSoft. All rights reserved.</p>
     </div>
 </div>
-      `,
-      sender: { 
+`;
+
+// Request password reset (step 1: send OTP via email)
+exports.requestPasswordReset = async (req, res) => {
+  try {
+    const { email } = req.body;
+    if (!email) return res.status(400).json({ msg: 'Email is required' });
+
+    const user = await User.findOne({ email });
+    if (!user) return res.status(404).json({ msg: 'No user found with this email' });
+
+    const normalizedEmail = normalizeEmail(email);
+    const existing = await PasswordReset.findOne({ email: normalizedEmail });
+    if (existing && existing.isLocked()) {
+      return lockedResponse(res, existing);
+    }
+
+    // A new OTP replaces any pending OTP or reset token; failed attempts only reset after a lockout
+    const otp = crypto.randomInt(100000, 1000000).toString();
+    const otpExpiresAt = minutesFromNow(OTP_TTL_MINUTES);
+    const lockoutServed = existing && existing.lockedUntil;
+    await PasswordReset.findOneAndUpdate(
+      { email: normalizedEmail },
+      {
+        $set: {
+          user: user._id,
+          otpHash: await PasswordReset.hashOtp(otp),
+          otpExpiresAt,
+          expiresAt: otpExpiresAt,
+          ...(lockoutServed ? { attempts: 0 } : {})
+        },
+        $unset: { resetTokenHash: 1, resetTokenExpiresAt: 1, ...(lockoutServed ? { lockedUntil: 1 } : {}) }
+      },
+      { upsert: true, new: true, setDefaultsOnInsert: true }
+    );
+
+    await sendEmail({
+      to: [{ email }],
+      subject: 'Your Password Reset OTP',
+      htmlContent: otpEmailHtml(user.name, otp),
+      sender: {
         email: process.env.BREVO_SENDER_EMAIL || 'ravi@pydahsoft.in',
         name: process.env.BREVO_SENDER_NAME || 'Pydah Pharmacy Stocks Management System'
       }
-    };
-    console.log(email);
-
-    // Send email via Brevo
-    await apiInstance.sendTransacEmail(emailData);
-    console.log('OTP sent to:', email);
-    console.log('OTP:', otp); // For debugging, remove in production
+    });
+    console.log('📧 Password reset OTP sent to:', email);
 
     res.json({ msg: 'OTP sent to your registered email address' });
   } catch (error) {
@@ -408,49 +473,88 @@ exports.requestPasswordReset = async (req, res) => {
   }
 };
 
-// Keep your existing verifyOtp and resetPassword functions
-// Verify OTP (step 2: verify the OTP)
+// Verify OTP (step 2: verify the OTP and issue a single-use reset token)
 exports.verifyOtp = async (req, res) => {
   try {
     const { email, otp } = req.body;
     if (!email || !otp) return res.status(400).json({ msg: 'Email and OTP are required' });
 
-    const storedOtpData = otpStorage.get(email);
-    if (!storedOtpData) return res.status(400).json({ msg: 'OTP expired or not found' });
+    const reset = await PasswordReset.findOne({ email: normalizeEmail(email) });
+    if (reset && reset.isLocked()) return lockedResponse(res, reset);
+    if (!reset || !reset.otpHash) return res.status(400).json({ msg: 'OTP expired or not found' });
 
-    // Check if OTP matches and is not expired
-    if (storedOtpData.otp !== otp) {
-      return res.status(400).json({ msg: 'Invalid OTP' });
-    }
-
-    if (Date.now() > storedOtpData.expiry) {
-      otpStorage.delete(email);
+    if (reset.otpExpiresAt < new Date()) {
+      await PasswordReset.updateOne({ _id: reset._id }, { $unset: { otpHash: 1, otpExpiresAt: 1 } });
       return res.status(400).json({ msg: 'OTP has expired' });
     }
 
-    // Mark OTP as verified
-    otpStorage.set(email, { ...storedOtpData, verified: true });
+    if (!(await reset.compareOtp(otp))) {
+      // Counted atomically so parallel guesses cannot slip past the limit
+      const failed = await PasswordReset.findOneAndUpdate(
+        { _id: reset._id },
+        { $inc: { attempts: 1 } },
+        { new: true }
+      );
+      if (failed.attempts >= MAX_OTP_ATTEMPTS) {
+        const lockedUntil = minutesFromNow(LOCKOUT_MINUTES);
+        await PasswordReset.updateOne(
+          { _id: reset._id },
+          { $set: { lockedUntil, expiresAt: lockedUntil }, $unset: { otpHash: 1, otpExpiresAt: 1 } }
+        );
+        console.warn(`🔒 Password reset locked for ${reset.email} after ${failed.attempts} invalid OTPs`);
+        return lockedResponse(res, { lockedUntil });
+      }
+      return res.status(400).json({ msg: 'Invalid OTP', attemptsRemaining: MAX_OTP_ATTEMPTS - failed.attempts });
+    }
 
-    res.json({ msg: 'OTP verified successfully', token: 'temp_token_for_reset' });
+    // Consume the OTP; only one verification can win it
+    const resetToken = crypto.randomBytes(32).toString('hex');
+    const resetTokenExpiresAt = minutesFromNow(RESET_TOKEN_TTL_MINUTES);
+    const consumed = await PasswordReset.findOneAndUpdate(
+      { _id: reset._id, otpHash: reset.otpHash },
+      {
+        $set: {
+          resetTokenHash: PasswordReset.hashToken(resetToken),
+          resetTokenExpiresAt,
+          attempts: 0,
+          expiresAt: latestOf(resetTokenExpiresAt, reset.lockedUntil)
+        },
+        $unset: { otpHash: 1, otpExpiresAt: 1 }
+      },
+      { new: true }
+    );
+    if (!consumed) return res.status(400).json({ msg: 'OTP expired or not found' });
+
+    res.json({ msg: 'OTP verified successfully', token: resetToken, expiresAt: resetTokenExpiresAt });
   } catch (error) {
     console.error(error.message);
     res.status(500).send('Server error');
   }
 };
 
-// Reset password (step 3: update password after OTP verification)
+// Reset password (step 3: update password with the reset token from step 2)
 exports.resetPassword = async (req, res) => {
   try {
     const { email, newPassword } = req.body;
+    const token = req.body.token || req.body.resetToken;
     if (!email || !newPassword) return res.status(400).json({ msg: 'Email and new password are required' });
-
-    const storedOtpData = otpStorage.get(email);
-    if (!storedOtpData || !storedOtpData.verified) {
+    if (!token) return res.status(400).json({ msg: 'Reset token is required' });
+
+    // Single use: the token is removed in the same update that validates it
+    const reset = await PasswordReset.findOneAndUpdate(
+      {
+        email: normalizeEmail(email),
+        resetTokenHash: PasswordReset.hashToken(token),
+        resetTokenExpiresAt: { $gt: new Date() }
+      },
+      { $unset: { resetTokenHash: 1, resetTokenExpiresAt: 1 } }
+    );
+    if (!reset) {
       return res.status(400).json({ msg: 'OTP not verified or session expired' });
     }
 
     // Find user and update password
-    const user = await User.findOne({ email });
+    const user = await User.findById(reset.user);
     if (!user) return res.status(404).json({ msg: 'User not found' });
 
     // Hash new password
@@ -458,12 +562,12 @@ exports.resetPassword = async (req, res) => {
     user.password = await bcrypt.hash(newPassword, salt);
     await user.save();
 
-    // Clear OTP from storage
-    otpStorage.delete(email);
+    await PasswordReset.deleteOne({ _id: reset._id });
+    await revokeUserSessions(user._id, 'password_change');
 
     res.json({ msg: 'Password updated successfully' });
   } catch (error) {
     console.error(error.message);
     res.status(500).send('Server error');
   }
-};
\ No newline at end of file
+};
@@ -0,0 +1,95 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const Product = require('../models/Product');
+const ControlledRegisterEntry = require('../models/ControlledRegisterEntry');
+const ControlledRegisterBalance = require('../models/ControlledRegisterBalance');
+const { registerReport, renderRegisterHtml } = require('../services/controlledSubstanceService');
+
+// A bare date (2025-03-31) as the end of a period means "at the end of that day"
+const parseDate = (value, endOfDay) => {
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  if (endOfDay && /^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+// Period of ?from=&to= (defaults: first day of the current month until now)
+function parsePeriod(query) {
+  const now = new Date();
+  const from = query.from
+    ? parseDate(query.from, false)
+    : new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), 1));
+  const to = query.to ? parseDate(query.to, true) : now;
+  if (!from || !to) return { error: 'from and to must be valid dates' };
+  if (from > to) return { error: 'from must be before to' };
+  return { from, to };
+}
+
+// @desc    Controlled substance register for a period, per lab and product
+//          (?from=2025-03-01&to=2025-03-31&labId=LAB03&productId=&format=html for a printable page)
+// @route   GET /api/controlled-register
+// @access  Private (Admin/Central Store Admin)
+exports.getRegister = asyncHandler(async (req, res) => {
+  const { labId, productId, format } = req.query;
+  const { from, to, error } = parsePeriod(req.query);
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+  if (productId && !mongoose.Types.ObjectId.isValid(productId)) {
+    return res.status(400).json({ success: false, message: 'Invalid productId' });
+  }
+
+  const report = await registerReport({ from, to, labId, productId });
+  console.log(`🔏 Controlled register ${from.toISOString().slice(0, 10)}..${to.toISOString().slice(0, 10)} (lab: ${labId || 'all'}): ${report.summary.entries} entries`);
+
+  if (format === 'html') {
+    return res.status(200).type('html').send(renderRegisterHtml(report));
+  }
+  res.status(200).json({ success: true, data: report });
+});
+
+// @desc    Register entries not countersigned by a witness (?labId=&from=&to=)
+// @route   GET /api/controlled-register/unwitnessed
+// @access  Private (Admin/Central Store Admin)
+exports.getUnwitnessedEntries = asyncHandler(async (req, res) => {
+  const { from, to, error } = parsePeriod({ from: req.query.from || '1970-01-01', to: req.query.to });
+  if (error) {
+    return res.status(400).json({ success: false, message: error });
+  }
+
+  const filter = { witnessedBy: null, createdAt: { $gte: from, $lte: to } };
+  if (req.query.labId) filter.labId = req.query.labId;
+  const entries = await ControlledRegisterEntry.find(filter)
+    .sort({ createdAt: -1 })
+    .populate('performedBy', 'name email role');
+
+  res.status(200).json({ success: true, count: entries.length, data: entries });
+});
+
+// @desc    Controlled products with their current register balance per lab
+// @route   GET /api/controlled-register/products
+// @access  Private (Admin/Central Store Admin)
+exports.getControlledProducts = asyncHandler(async (req, res) => {
+  const products = await Product.find({ 'controlled.isControlled': true })
+    .select('name unit controlled safety.casNumber')
+    .sort({ name: 1 });
+  const balances = await ControlledRegisterBalance.find({ productId: { $in: products.map(p => p._id) } })
+    .select('productId labId unit balance sequence updatedAt')
+    .sort({ labId: 1 })
+    .lean();
+
+  const data = products.map(product => ({
+    productId: product._id,
+    name: product.name,
+    unit: product.unit,
+    casNumber: product.safety ? product.safety.casNumber : null,
+    controlled: product.controlled,
+    balances: balances
+      .filter(balance => String(balance.productId) === String(product._id))
+      .map(({ labId, unit, balance, sequence, updatedAt }) => ({ labId, unit, balance, entries: sequence, lastMovementAt: updatedAt }))
+  }));
+
+  res.status(200).json({ success: true, count: data.length, data });
+});
@@ -0,0 +1,167 @@
+const asyncHandler = require('express-async-handler');
+const Disposal = require('../models/Disposal');
+const { GLOBAL_ROLES, checkPermission, readableLabs } = require('../config/permissions');
+const disposalService = require('../services/disposalService');
+
+const MAX_DISPOSALS = 200;
+
+// Disposal :id, or a 404/403 response when it is missing or in a lab the user cannot act on
+async function loadDisposal(req, res, permission) {
+  const disposal = await Disposal.findById(req.params.id);
+  if (!disposal) {
+    res.status(404).json({ success: false, message: 'Disposal not found' });
+    return null;
+  }
+  if (!checkPermission(req.user, permission, disposal.labId).allowed) {
+    res.status(403).json({ success: false, message: `No access to ${disposal.labId}` });
+    return null;
+  }
+  return disposal;
+}
+
+// @desc    Disposals of the labs the user can see (?labId=&status=&reason=&limit=)
+// @route   GET /api/disposals
+// @access  Private (staff with read access to the lab)
+const getDisposals = asyncHandler(async (req, res) => {
+  const { labId, status, reason } = req.query;
+  const filter = {};
+  if (status) filter.status = status;
+  if (reason) filter.reason = reason;
+
+  if (GLOBAL_ROLES.includes(req.user.role)) {
+    if (labId) filter.labId = labId;
+  } else if (labId) {
+    if (!checkPermission(req.user, 'disposal.view', labId).allowed) {
+      return res.status(403).json({ success: false, message: `No access to ${labId}` });
+    }
+    filter.labId = labId;
+  } else {
+    filter.labId = { $in: readableLabs(req.user) };
+  }
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_DISPOSALS);
+  const disposals = await Disposal.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('quarantinedBy requestedBy reviewedBy disposedBy', 'name email role');
+
+  res.status(200).json({ success: true, count: disposals.length, data: disposals });
+});
+
+// @desc    One disposal with its history
+// @route   GET /api/disposals/:id
+// @access  Private (staff with read access to the lab)
+const getDisposal = asyncHandler(async (req, res) => {
+  const disposal = await loadDisposal(req, res, 'disposal.view');
+  if (!disposal) return;
+
+  await disposal.populate('quarantinedBy requestedBy reviewedBy disposedBy witnessedBy history.by', 'name email role');
+  res.status(200).json({ success: true, data: disposal });
+});
+
+// @desc    Quarantine chemical stock of a lab (optionally requesting disposal right away);
+//          controlled substances need `witness` { email, password }
+// @route   POST /api/disposals
+// @access  Private (staff with write access to the lab)
+const createDisposal = asyncHandler(async (req, res) => {
+  const { labId, items, reason, notes, requestDisposal, witness } = req.body;
+  const disposal = await disposalService.quarantineStock({
+    labId,
+    items,
+    reason,
+    notes,
+    userId: req.user._id,
+    witness,
+    requestDisposal: requestDisposal === true || requestDisposal === 'true'
+  });
+
+  res.status(201).json({
+    success: true,
+    message: `${disposal.items.length} item(s) quarantined under ${disposal.disposalNumber}`,
+    data: disposal
+  });
+});
+
+// @desc    Request approval to dispose of quarantined (or previously rejected) stock
+// @route   POST /api/disposals/:id/request
+// @access  Private (staff with write access to the lab)
+const requestDisposal = asyncHandler(async (req, res) => {
+  const disposal = await loadDisposal(req, res, 'disposal.quarantine');
+  if (!disposal) return;
+
+  const updated = await disposalService.requestDisposal(disposal, { userId: req.user._id, note: req.body.note });
+  res.status(200).json({ success: true, message: 'Disposal requested', data: updated });
+});
+
+// @desc    Approve or reject a disposal request (comments required to reject)
+// @route   POST /api/disposals/:id/review
+// @access  Private (Admin/Central Store Admin)
+const reviewDisposal = asyncHandler(async (req, res) => {
+  const disposal = await loadDisposal(req, res, 'disposal.approve');
+  if (!disposal) return;
+
+  const { decision, comments } = req.body;
+  const updated = await disposalService.reviewDisposal(disposal, { decision, comments, userId: req.user._id });
+  console.log(`☣️ ${updated.disposalNumber} ${updated.status} by ${req.user.name || req.user._id}`);
+  res.status(200).json({ success: true, message: `Disposal ${updated.status}`, data: updated });
+});
+
+// @desc    Record the hand-over to the waste contractor (method, weight/volume, manifest)
+// @route   POST /api/disposals/:id/dispose
+// @access  Private (Admin/Central Store Admin)
+const completeDisposal = asyncHandler(async (req, res) => {
+  const disposal = await loadDisposal(req, res, 'disposal.complete');
+  if (!disposal) return;
+
+  const { contractor, method, wasteAmount, manifestNumber, disposedAt, notes, witness } = req.body;
+  const updated = await disposalService.completeDisposal(disposal, {
+    contractor,
+    method,
+    wasteAmount,
+    manifestNumber,
+    disposedAt,
+    notes,
+    userId: req.user._id,
+    witness
+  });
+  res.status(200).json({ success: true, message: 'Disposal recorded', data: updated });
+});
+
+// @desc    Cancel a disposal that has not happened yet; its stock returns to the lab
+// @route   POST /api/disposals/:id/cancel
+// @access  Private (staff with write access to the lab)
+const cancelDisposal = asyncHandler(async (req, res) => {
+  const disposal = await loadDisposal(req, res, 'disposal.quarantine');
+  if (!disposal) return;
+
+  const updated = await disposalService.cancelDisposal(disposal, { userId: req.user._id, note: req.body.note, witness: req.body.witness });
+  res.status(200).json({ success: true, message: 'Disposal cancelled, stock returned', data: updated });
+});
+
+// @desc    Disposal certificate as a PDF
+// @route   GET /api/disposals/:id/certificate
+// @access  Private (staff with read access to the lab)
+const getDisposalCertificate = asyncHandler(async (req, res) => {
+  const disposal = await loadDisposal(req, res, 'disposal.view');
+  if (!disposal) return;
+  if (disposal.status !== 'disposed') {
+    return res.status(409).json({ success: false, message: `No certificate yet: disposal is ${disposal.status}` });
+  }
+
+  await disposal.populate('quarantinedBy requestedBy reviewedBy disposedBy witnessedBy', 'name');
+  res.status(200)
+    .type('application/pdf')
+    .set('Content-Disposition', `inline; filename="${disposal.disposalNumber}.pdf"`);
+  disposalService.writeDisposalCertificate(disposal, res);
+});
+
+module.exports = {
+  getDisposals,
+  getDisposal,
+  createDisposal,
+  requestDisposal,
+  reviewDisposal,
+  completeDisposal,
+  cancelDisposal,
+  getDisposalCertificate
+};
@@ -8,6 +8,7 @@ const { v4: uuidv4 } = require('uuid');
 const EquipmentTransaction = require('../models/EquipmentTransaction');
 const EquipmentAuditLog = require('../models/EquipmentAuditLog');
 const EquipmentStockCheck = require('../models/EquipmentStockCheck');
+const { recordMovement } = require('../services/ledgerService');
 const User = require('../models/User');
 const path = require('path');
 const fs = require('fs');
@@ -50,7 +51,7 @@ async function generateQRCodeImage(qrData) {
 
 // Add equipment to central store after invoice (item-level)
 const addEquipmentToCentral = asyncHandler(async (req, res) => {
-  const { items, usePreviousBatchId, userId, userRole } = req.body;
+  const { items, usePreviousBatchId, userId, userRole, ledgerReference } = req.body;
   if (!Array.isArray(items) || items.length === 0) {
     return res.status(400).json({ message: 'No equipment items provided' });
   }
@@ -99,6 +100,14 @@ const addEquipmentToCentral = asyncHandler(async (req, res) => {
       });
       savedItems.push(newItem);
       qrCodes.push({ itemId, qrCodeImage });
+      await recordMovement({
+        item: newItem,
+        quantity: 1,
+        movementType: 'intake',
+        counterpartyLabId: 'vendor',
+        reference: ledgerReference,
+        userId: req.userId || userId
+      });
       // Audit log for registration
       await EquipmentAuditLog.create({
         itemId,
@@ -224,6 +233,9 @@ const allocateEquipmentToLabByScan = asyncHandler(async (req, res) => {
   item.location = toLabId;
   item.assignedTo = toLabId;
   await item.save();
+  // One item leaves the central store and lands in the lab
+  await recordMovement({ item, labId: 'central-store', quantity: -1, movementType: 'allocation', counterpartyLabId: toLabId, userId: req.userId });
+  await recordMovement({ item, quantity: 1, movementType: 'allocation', counterpartyLabId: 'central-store', userId: req.userId });
   // Log transaction
   await EquipmentTransaction.create({
     itemId,
@@ -261,18 +273,21 @@ const returnEquipmentToCentral = asyncHandler(async (req, res) => {
   if (item.status !== 'Issued') {
     return res.status(400).json({ message: 'Item is not currently issued' });
   }
+  const returnedFrom = item.labId;
   item.status = 'Available';
   item.labId = 'central-store';
   item.location = 'Central Store';
   item.assignedTo = null;
   await item.save();
+  await recordMovement({ item, labId: returnedFrom, quantity: -1, movementType: 'return', counterpartyLabId: 'central-store', userId: req.userId });
+  await recordMovement({ item, quantity: 1, movementType: 'return', counterpartyLabId: returnedFrom, userId: req.userId });
   // Log transaction
   await EquipmentTransaction.create({
     itemId,
     action: 'return',
     performedBy: req.userId || req.user?._id || new mongoose.Types.ObjectId('68272133e26ef88fb399cd75'),
     performedByRole: req.userRole || req.user?.role ||'admin',
-    fromLocation: item.labId,
+    fromLocation: returnedFrom,
     toLocation: 'central-store',
     assignedTo: null,
     remarks: 'Returned to central',
@@ -797,7 +812,7 @@ const getCurrentMonthStockCheckReports = asyncHandler(async (req, res) => {
 
 // Internal function for allocating equipment to faculty (for unified request fulfillment)
 // allocations: [{ name, variant, itemIds: [itemId, ...] }]
-exports.allocateEquipmentToFacultyInternal = async function({ allocations, fromLabId }) {
+exports.allocateEquipmentToFacultyInternal = async function({ allocations, fromLabId, adminId, reference }) {
   try {
     for (const alloc of allocations) {
       const { name, variant, itemIds } = alloc;
@@ -821,6 +836,15 @@ exports.allocateEquipmentToFacultyInternal = async function({ allocations, fromL
         item.location = 'faculty';
         item.assignedTo = 'faculty';
         await item.save();
+        await recordMovement({
+          item,
+          labId: fromLabId,
+          quantity: -1,
+          movementType: 'issue',
+          counterpartyLabId: 'faculty',
+          reference,
+          userId: adminId
+        });
         await EquipmentTransaction.create({
           itemId: item.itemId,
           action: 'issue',
@@ -0,0 +1,82 @@
+const asyncHandler = require('express-async-handler');
+const ExpiryAlertSetting = require('../models/ExpiryAlertSetting');
+const ExpiryAlertLog = require('../models/ExpiryAlertLog');
+const { CATEGORIES, getThresholdSettings, runExpiryAlerts } = require('../utils/expiryAlerts');
+
+// @desc    Get expiry alert thresholds for every product category
+// @route   GET /api/expiry-alerts/settings
+// @access  Private (Admin/Central Store Admin)
+exports.getSettings = asyncHandler(async (req, res) => {
+  const settings = await getThresholdSettings();
+  res.status(200).json({
+    success: true,
+    data: Object.values(settings)
+  });
+});
+
+// @desc    Update expiry alert thresholds for a category
+// @route   PUT /api/expiry-alerts/settings/:category
+// @access  Private (Admin/Central Store Admin)
+exports.updateSetting = asyncHandler(async (req, res) => {
+  const { category } = req.params;
+  const { thresholds, isActive } = req.body;
+
+  if (!CATEGORIES.includes(category)) {
+    return res.status(400).json({ message: `Category must be one of: ${CATEGORIES.join(', ')}` });
+  }
+
+  let setting = await ExpiryAlertSetting.findOne({ category });
+  if (!setting) {
+    setting = new ExpiryAlertSetting({ category });
+  }
+  if (thresholds !== undefined) setting.thresholds = thresholds;
+  if (isActive !== undefined) setting.isActive = isActive;
+  setting.updatedBy = req.userId;
+  await setting.save();
+
+  res.status(200).json({
+    success: true,
+    message: 'Expiry alert settings updated',
+    data: setting
+  });
+});
+
+// @desc    Run the expiry scan immediately
+// @route   POST /api/expiry-alerts/run
+// @access  Private (Admin/Central Store Admin)
+exports.runNow = asyncHandler(async (req, res) => {
+  const result = await runExpiryAlerts();
+  res.status(200).json({
+    success: true,
+    message: `${result.alerted} new expiry alert(s) sent`,
+    data: result
+  });
+});
+
+// @desc    List alerts already sent (filter by labId, category, threshold)
+// @route   GET /api/expiry-alerts/log
+// @access  Private (Admin/Central Store Admin)
+exports.getAlertLog = asyncHandler(async (req, res) => {
+  const { labId, category, threshold, page = 1, limit = 50 } = req.query;
+  const filter = {};
+  if (labId) filter.labId = labId;
+  if (category) filter.category = category;
+  if (threshold !== undefined) filter.threshold = Number(threshold);
+
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const [alerts, total] = await Promise.all([
+    ExpiryAlertLog.find(filter).sort({ createdAt: -1 }).skip(skip).limit(parseInt(limit)),
+    ExpiryAlertLog.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: alerts,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      totalCount: total,
+      limit: parseInt(limit)
+    }
+  });
+});
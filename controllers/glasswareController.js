@@ -5,6 +5,20 @@ const asyncHandler = require('express-async-handler');
 const mongoose = require('mongoose');
 const QRCode = require('qrcode');
 const { logGlasswareTransaction } = require('../utils/glasswareTransactionLogger');
+const { runStockTransaction } = require('../utils/stockTransaction');
+const { decrementStock, incrementStock } = require('../services/stockService');
+const { recordMovement, recordTransfer } = require('../services/ledgerService');
+const { assertPutAwayLocation, putAway } = require('../services/locationService');
+
+// GlasswareTransaction types mapped onto stock ledger movement types
+const LEDGER_MOVEMENT = {
+  entry: 'intake',
+  return: 'return',
+  issue: 'issue',
+  allocation: 'allocation',
+  transfer: 'transfer',
+  broken: 'disposal'
+};
 
 
 // Helper: generate glassware batch ID following same pattern as chemicals
@@ -32,7 +46,8 @@ async function getLastUsedGlasswareBatchId() {
 }
 
 const addGlasswareToCentral = asyncHandler(async (req, res) => {
-  const { items, usePreviousBatchId } = req.body; // [{ productId, name, variant, quantity }]
+  const { items, usePreviousBatchId, ledgerReference } = req.body; // [{ productId, name, variant, quantity }]
+  const intakeLedger = { movementType: 'intake', counterpartyLabId: 'vendor', reference: ledgerReference, userId: req.userId };
 
   if (!Array.isArray(items) || items.length === 0) {
     return res.status(400).json({ message: 'No glassware items provided' });
@@ -74,6 +89,7 @@ const addGlasswareToCentral = asyncHandler(async (req, res) => {
         qrCodeData,
         qrCodeImage
       });
+      await recordMovement({ ...intakeLedger, item: newItem, quantity: newItem.quantity });
 
       // Log glassware transaction for entry
       await GlasswareTransaction.create({
@@ -99,8 +115,7 @@ const addGlasswareToCentral = asyncHandler(async (req, res) => {
     }
 
     // 3. If matching variant exists, just update quantity
-    existingItem.quantity += Number(quantity);
-    await existingItem.save();
+    const updatedItem = await incrementStock(GlasswareLive, existingItem._id, Number(quantity), { ledger: intakeLedger });
 
     // Log glassware transaction for additional entry
     await GlasswareTransaction.create({
@@ -116,7 +131,7 @@ const addGlasswareToCentral = asyncHandler(async (req, res) => {
       createdBy: req.userId || req._id || new mongoose.Types.ObjectId('68272133e26ef88fb399cd75') // Fallback admin ID
     });
 
-    savedItems.push(existingItem);
+    savedItems.push(updatedItem);
   }
 
   res.status(201).json({
@@ -173,6 +188,15 @@ const allocateGlasswareToLab = asyncHandler(async (req, res) => {
     }
   }
 
+  // Put-away location for every line (a line's own locationId wins over the body's)
+  const locationIds = allocations.map(alloc => alloc.locationId || req.body.locationId);
+  try {
+    await Promise.all([...new Set(locationIds.filter(Boolean))]
+      .map(locationId => assertPutAwayLocation(toLabId, locationId)));
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ success: false, message: error.message });
+  }
+
   const session = await mongoose.startSession({
     defaultTransactionOptions: {
       maxTimeMS: 30000 // 30 seconds timeout
@@ -186,10 +210,11 @@ const allocateGlasswareToLab = asyncHandler(async (req, res) => {
     const allocationResults = [];
     let hasErrors = false;
 
-    for (const alloc of allocations) {
+    for (const [index, alloc] of allocations.entries()) {
       try {
         const { glasswareId, quantity } = alloc;
         let remainingQty = quantity;
+        let location = null;
 
 
         // Get glassware details (including variant if exists)
@@ -263,6 +288,17 @@ const allocateGlasswareToLab = asyncHandler(async (req, res) => {
             },
             { session, new: true, upsert: true }
           );
+          await recordTransfer({
+            from: updatedCentral,
+            to: labStock,
+            quantity: allocQty,
+            movementType: 'allocation',
+            userId: req.user?._id || req.userId
+          }, { session });
+          location = await putAway(GlasswareLive, labStock, locationIds[index], {
+            session,
+            userId: req.user?._id || req.userId
+          }) || location;
 
           // Create glassware-specific transaction record
           await GlasswareTransaction.create([{
@@ -300,6 +336,7 @@ const allocateGlasswareToLab = asyncHandler(async (req, res) => {
             glasswareId,
             success: true,
             allocated: totalAllocated,
+            location: location ? location.path : null,
             message: 'Allocation successful'
           });
         }
@@ -357,8 +394,10 @@ const allocateGlasswareToFaculty = asyncHandler(async (req, res) => {
   if (!labStock || labStock.quantity < quantity) {
     return res.status(400).json({ message: 'Insufficient stock in lab' });
   }
-  labStock.quantity -= quantity;
-  await labStock.save();
+  // Guarded decrement: 409 if the lab stock changed since the check above
+  await decrementStock(GlasswareLive, labStock._id, quantity, {
+    ledger: { movementType: 'issue', counterpartyLabId: 'faculty', userId: req.userId }
+  });
 
   // Log glassware transaction for faculty allocation
   await GlasswareTransaction.create({
@@ -378,35 +417,36 @@ const allocateGlasswareToFaculty = asyncHandler(async (req, res) => {
 });
 
 // Internal function for allocating glassware to faculty (for unified request fulfillment)
-exports.allocateGlasswareToFacultyInternal = async function({ allocations, fromLabId, adminId }) {
+exports.allocateGlasswareToFacultyInternal = async function({ allocations, fromLabId, adminId, reference }) {
   // allocations: [{ glasswareId, quantity }]
+  // All-or-nothing: a shortage or a concurrent change undoes the earlier deductions
   try {
-    for (const alloc of allocations) {
-      const { glasswareId, quantity } = alloc;
-      const labStock = await GlasswareLive.findOne({ _id: glasswareId, labId: fromLabId });
-      if (!labStock || labStock.quantity < quantity) {
-        return { success: false, message: `Insufficient stock for glassware ${glasswareId}` };
-      }
-      labStock.quantity -= quantity;
-      await labStock.save();
+    await runStockTransaction(async (tx) => {
+      for (const alloc of allocations) {
+        const { glasswareId, quantity } = alloc;
+        const labStock = await decrementStock(GlasswareLive, { _id: glasswareId, labId: fromLabId }, quantity, {
+          tx,
+          ledger: { movementType: 'issue', counterpartyLabId: 'faculty', reference, userId: adminId }
+        });
 
-      // Create glassware-specific transaction record only
-      await GlasswareTransaction.create({
-        glasswareLiveId: labStock._id,
-        glasswareName: labStock.name,
-        transactionType: 'transfer',
-        quantity: quantity,
-        variant: labStock.variant,
-        fromLabId,
-        toLabId: 'faculty',
-        condition: 'good',
-        notes: `Internal transfer to faculty from ${fromLabId}`,
-        createdBy: adminId
-      });
-    }
+        // Create glassware-specific transaction record only
+        await tx.create(GlasswareTransaction, {
+          glasswareLiveId: labStock._id,
+          glasswareName: labStock.name,
+          transactionType: 'transfer',
+          quantity: quantity,
+          variant: labStock.variant,
+          fromLabId,
+          toLabId: 'faculty',
+          condition: 'good',
+          notes: `Internal transfer to faculty from ${fromLabId}`,
+          createdBy: adminId
+        });
+      }
+    });
     return { success: true };
   } catch (err) {
-    return { success: false, message: err.message };
+    return { success: false, message: err.message, retryable: err.name === 'StockConflictError' };
   }
 };
 
@@ -544,6 +584,36 @@ const createGlasswareTransaction = asyncHandler(async (req, res) => {
       }
     }
 
+    // Update glassware quantity based on transaction type (guarded, 409 on conflict)
+    let quantityChange = 0;
+    switch (transactionType) {
+      case 'entry':
+      case 'return':
+        quantityChange = Number(quantity);
+        break;
+      case 'issue':
+      case 'allocation':
+      case 'transfer':
+      case 'broken':
+        quantityChange = -Number(quantity);
+        break;
+    }
+
+    const ledger = {
+      movementType: LEDGER_MOVEMENT[transactionType] || 'adjustment',
+      counterpartyLabId: quantityChange > 0 ? fromLabId : toLabId,
+      userId: req.userId,
+      note: reason
+    };
+    if (quantityChange > 0) {
+      await incrementStock(GlasswareLive, glassware._id, quantityChange, { ledger });
+    } else if (quantityChange < 0) {
+      await decrementStock(GlasswareLive, glassware._id, -quantityChange, { ledger });
+    }
+    if (condition) {
+      await GlasswareLive.updateOne({ _id: glassware._id }, { $set: { condition } });
+    }
+
     // Create the transaction
     const transaction = await GlasswareTransaction.create({
       glasswareLiveId,
@@ -560,27 +630,6 @@ const createGlasswareTransaction = asyncHandler(async (req, res) => {
       createdBy: req.userId
     });
 
-    // Update glassware quantity based on transaction type
-    let quantityChange = 0;
-    switch (transactionType) {
-      case 'entry':
-      case 'return':
-        quantityChange = quantity;
-        break;
-      case 'issue':
-      case 'allocation':
-      case 'transfer':
-      case 'broken':
-        quantityChange = -quantity;
-        break;
-    }
-
-    glassware.quantity += quantityChange;
-    if (condition) {
-      glassware.condition = condition;
-    }
-    await glassware.save();
-
     res.status(201).json({
       success: true,
       message: 'Glassware transaction created successfully',
@@ -588,6 +637,9 @@ const createGlasswareTransaction = asyncHandler(async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'StockConflictError') {
+      return res.status(409).json({ success: false, message: error.message, retryable: true });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to create transaction',
@@ -691,6 +743,11 @@ const markGlasswareAsBroken = asyncHandler(async (req, res) => {
       });
     }
 
+    // Update glassware quantity (guarded, 409 if it changed since the check above)
+    await decrementStock(GlasswareLive, glassware._id, Number(quantity), {
+      ledger: { movementType: 'disposal', counterpartyLabId: 'broken', userId: req.userId, note: reason }
+    });
+
     // Create broken transaction
     await GlasswareTransaction.create({
       glasswareLiveId: id,
@@ -706,16 +763,15 @@ const markGlasswareAsBroken = asyncHandler(async (req, res) => {
       createdBy: req.userId
     });
 
-    // Update glassware quantity
-    glassware.quantity -= quantity;
-    await glassware.save();
-
     res.status(200).json({
       success: true,
       message: 'Glassware marked as broken successfully'
     });
 
   } catch (error) {
+    if (error.name === 'StockConflictError') {
+      return res.status(409).json({ success: false, message: error.message, retryable: true });
+    }
     res.status(500).json({
       success: false,
       message: 'Failed to mark glassware as broken',
@@ -3,6 +3,19 @@ const GlasswareLive = require('../models/GlasswareLive');
 const { validationResult } = require('express-validator');
 const asyncHandler = require('express-async-handler');
 const { logGlasswareTransaction } = require('../utils/glasswareTransactionLogger');
+const { runStockTransaction } = require('../utils/stockTransaction');
+const { decrementStock, incrementStock } = require('../services/stockService');
+
+// Transaction types mapped onto stock ledger movement types
+const LEDGER_MOVEMENT = {
+  entry: 'intake',
+  issue: 'issue',
+  allocation: 'allocation',
+  transfer: 'transfer',
+  return: 'return',
+  broken: 'disposal',
+  maintenance: 'maintenance'
+};
 
 // @desc    Create a new glassware transaction
 // @route   POST /api/glassware-transactions/create
@@ -47,13 +60,15 @@ const createTransaction = asyncHandler(async (req, res) => {
     const previousCondition = glasswareLive.condition || 'good';
 
     // Validate transaction based on type
-    let updatedQuantity = glasswareLive.quantity;
-    let targetLabGlassware = null;
+    // quantityChange applies to the source row; allocations/transfers also credit the target lab
+    const amount = Number(quantity);
+    let quantityChange = 0;
+    let creditTargetLab = false;
 
     switch (transactionType) {
       case 'entry':
         // Adding new stock
-        updatedQuantity += quantity;
+        quantityChange = amount;
         break;
 
       case 'issue':
@@ -64,7 +79,7 @@ const createTransaction = asyncHandler(async (req, res) => {
             message: 'Insufficient stock for issue transaction' 
           });
         }
-        updatedQuantity -= quantity;
+        quantityChange = -amount;
         break;
 
       case 'allocation':
@@ -76,32 +91,8 @@ const createTransaction = asyncHandler(async (req, res) => {
           });
         }
         
-        // Find or create target lab inventory
-        targetLabGlassware = await GlasswareLive.findOne({
-          productId: glasswareLive.productId,
-          name: glasswareLive.name,
-          variant: glasswareLive.variant,
-          labId: toLabId
-        });
-
-        if (targetLabGlassware) {
-          targetLabGlassware.quantity += quantity;
-          await targetLabGlassware.save();
-        } else {
-          // Create new entry for target lab
-          await GlasswareLive.create({
-            productId: glasswareLive.productId,
-            name: glasswareLive.name,
-            variant: glasswareLive.variant,
-            labId: toLabId,
-            quantity: quantity,
-            unit: glasswareLive.unit,
-            batchId: batchId || glasswareLive.batchId,
-            addedBy: userId._id
-          });
-        }
-        
-        updatedQuantity -= quantity;
+        creditTargetLab = true;
+        quantityChange = -amount;
         break;
 
       case 'transfer':
@@ -113,37 +104,13 @@ const createTransaction = asyncHandler(async (req, res) => {
           });
         }
 
-        // Find or create target lab inventory
-        targetLabGlassware = await GlasswareLive.findOne({
-          productId: glasswareLive.productId,
-          name: glasswareLive.name,
-          variant: glasswareLive.variant,
-          labId: toLabId
-        });
-
-        if (targetLabGlassware) {
-          targetLabGlassware.quantity += quantity;
-          await targetLabGlassware.save();
-        } else {
-          // Create new entry for target lab
-          await GlasswareLive.create({
-            productId: glasswareLive.productId,
-            name: glasswareLive.name,
-            variant: glasswareLive.variant,
-            labId: toLabId,
-            quantity: quantity,
-            unit: glasswareLive.unit,
-            batchId: batchId || glasswareLive.batchId,
-            addedBy: userId._id
-          });
-        }
-        
-        updatedQuantity -= quantity;
+        creditTargetLab = true;
+        quantityChange = -amount;
         break;
 
       case 'return':
         // Returning glassware to inventory
-        updatedQuantity += quantity;
+        quantityChange = amount;
         break;
 
       case 'broken':
@@ -154,7 +121,7 @@ const createTransaction = asyncHandler(async (req, res) => {
             message: 'Cannot mark more items as broken than available' 
           });
         }
-        updatedQuantity -= quantity;
+        quantityChange = -amount;
         break;
 
       case 'maintenance':
@@ -165,7 +132,7 @@ const createTransaction = asyncHandler(async (req, res) => {
             message: 'Cannot send more items for maintenance than available' 
           });
         }
-        updatedQuantity -= quantity;
+        quantityChange = -amount;
         break;
 
       default:
@@ -192,15 +159,55 @@ const createTransaction = asyncHandler(async (req, res) => {
       createdBy: userId._id,
     });
 
+    // Move the stock as one guarded unit (409 if it changed since the checks above)
+    const ledger = {
+      movementType: LEDGER_MOVEMENT[transactionType],
+      userId: req.userId,
+      note: reason
+    };
+    await runStockTransaction(async (tx) => {
+      if (quantityChange < 0) {
+        await decrementStock(GlasswareLive, glasswareLive._id, -quantityChange, {
+          tx,
+          ledger: { ...ledger, counterpartyLabId: toLabId }
+        });
+      } else if (quantityChange > 0) {
+        await incrementStock(GlasswareLive, glasswareLive._id, quantityChange, {
+          tx,
+          ledger: { ...ledger, counterpartyLabId: fromLabId }
+        });
+      }
+
+      if (creditTargetLab) {
+        // Find or create target lab inventory
+        await incrementStock(
+          GlasswareLive,
+          {
+            productId: glasswareLive.productId,
+            name: glasswareLive.name,
+            variant: glasswareLive.variant,
+            labId: toLabId
+          },
+          amount,
+          {
+            tx,
+            ledger: { ...ledger, counterpartyLabId: glasswareLive.labId },
+            insert: {
+              unit: glasswareLive.unit,
+              batchId: batchId || glasswareLive.batchId,
+              addedBy: userId._id
+            }
+          }
+        );
+      }
+    });
+
     // Save the transaction
     await newTransaction.save();
 
-    // Update the source glassware inventory
-    glasswareLive.quantity = updatedQuantity;
     if (condition && ['broken', 'damaged', 'under_maintenance'].includes(condition)) {
-      glasswareLive.condition = condition;
+      await GlasswareLive.updateOne({ _id: glasswareLive._id }, { $set: { condition } });
     }
-    await glasswareLive.save();
 
     // Log the transaction
     await logGlasswareTransaction({
@@ -227,6 +234,9 @@ const createTransaction = asyncHandler(async (req, res) => {
     });
 
   } catch (error) {
+    if (error.name === 'StockConflictError') {
+      return res.status(409).json({ success: false, message: error.message, retryable: true });
+    }
     console.error('Error creating glassware transaction:', error);
     res.status(500).json({ 
       success: false,
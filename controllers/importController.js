@@ -0,0 +1,218 @@
+const asyncHandler = require('express-async-handler');
+const IntakeImport = require('../models/IntakeImport');
+const { addChemicalsToCentral } = require('./ChemicalController');
+const { addGlasswareToCentral } = require('./glasswareController');
+const { addOtherProductToCentral } = require('./otherProductController');
+const { addEquipmentToCentral } = require('./equipmentController');
+const {
+  ImportError,
+  validateIntakeRows,
+  createImport,
+  intakeItems,
+  previewLine,
+  templateCsv
+} = require('../services/intakeImportService');
+const { COLUMNS, IMPORT_CATEGORIES, REQUIRED_FIELDS, MAX_IMPORT_ROWS } = require('../config/intakeImport');
+
+const PEOPLE = 'createdBy committedBy';
+const PREVIEW_LINES = 100;
+const MAX_IMPORTS = 200;
+
+// Summary of an import without its rows
+const summaryOf = (intake) => ({
+  _id: intake._id,
+  category: intake.category,
+  fileName: intake.fileName,
+  status: intake.status,
+  rowCount: intake.rows.length,
+  errorCount: intake.rowErrors.length,
+  createdBy: intake.createdBy,
+  createdAt: intake.createdAt,
+  committedBy: intake.committedBy,
+  committedAt: intake.committedAt
+});
+
+// Run the add-to-central controller of the category on the import's lines;
+// resolves with what it responded
+async function addToCentral(intake, lines, req) {
+  const items = intakeItems(intake.category, lines);
+  const ledgerReference = { type: 'IntakeImport', id: intake._id };
+  let response;
+  const res = { status: (statusCode) => ({ json: (data) => { response = { statusCode, data }; } }) };
+
+  if (intake.category === 'chemical') {
+    await addChemicalsToCentral({ body: { chemicals: items, witness: req.body.witness, ledgerReference }, userId: req.userId }, res);
+  } else if (intake.category === 'glassware') {
+    await addGlasswareToCentral({ body: { items, ledgerReference }, userId: req.userId }, res);
+  } else if (intake.category === 'others') {
+    await addOtherProductToCentral({ body: { items, ledgerReference }, userId: req.userId }, res);
+  } else {
+    await addEquipmentToCentral({ body: { items, userId: req.userId, userRole: req.user.role, ledgerReference }, userId: req.userId, userRole: req.user.role }, res);
+  }
+
+  if (!response || response.statusCode >= 400) {
+    const data = (response && response.data) || {};
+    throw new ImportError(data.message || 'Intake did not complete', 500, data.errors);
+  }
+  return response.data;
+}
+
+// @desc    Columns accepted per category
+// @route   GET /api/imports/columns
+// @access  Private (admins)
+const getImportColumns = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      categories: IMPORT_CATEGORIES.map(category => ({
+        category,
+        columns: Object.keys(COLUMNS)
+          .filter(field => COLUMNS[field].categories.includes(category))
+          .map(field => ({ field, aliases: COLUMNS[field].aliases, required: REQUIRED_FIELDS[category].includes(field) }))
+      })),
+      maxRows: MAX_IMPORT_ROWS
+    }
+  });
+});
+
+// @desc    Empty CSV sheet with the category's columns
+// @route   GET /api/imports/template/:category
+// @access  Private (admins)
+const getImportTemplate = asyncHandler(async (req, res) => {
+  res.status(200)
+    .type('text/csv')
+    .set('Content-Disposition', `attachment; filename="intake-${req.params.category}.csv"`)
+    .send(templateCsv(req.params.category));
+});
+
+// @desc    Upload an intake sheet (multipart field "file", .csv or .xlsx) and validate it (dry run)
+// @route   POST /api/imports/intake/:category
+// @access  Private (admins)
+const uploadIntakeSheet = asyncHandler(async (req, res) => {
+  const { intake, columns, lines } = await createImport(req.params.category, req.file, req.userId);
+  const valid = intake.status === 'validated';
+
+  console.log(`📥 Intake sheet ${intake.fileName} (${intake.category}): ${intake.rows.length} row(s), ${valid ? 'valid' : `${intake.rowErrors.length} error(s)`}`);
+  res.status(201).json({
+    success: true,
+    message: valid
+      ? `${lines.length} row(s) ready to import; commit the import to add them to the central store`
+      : `The sheet has ${intake.rowErrors.length} error(s); fix them and upload it again`,
+    data: {
+      ...summaryOf(intake),
+      columns,
+      errors: intake.rowErrors,
+      preview: lines.slice(0, PREVIEW_LINES).map(previewLine),
+      totalQuantity: lines.reduce((sum, line) => sum + line.quantity, 0)
+    }
+  });
+});
+
+// @desc    Commit a validated import: add its rows to the central store
+//          (controlled chemicals need `witness` { email, password })
+// @route   POST /api/imports/:id/commit
+// @access  Private (admins)
+const commitIntakeImport = asyncHandler(async (req, res) => {
+  // Claimed atomically so two commits of one sheet cannot both add the stock
+  const intake = await IntakeImport.findOneAndUpdate(
+    { _id: req.params.id, status: 'validated' },
+    { $set: { status: 'committing' } },
+    { new: true }
+  );
+  if (!intake) {
+    const existing = await IntakeImport.findById(req.params.id).select('status');
+    if (!existing) return res.status(404).json({ success: false, message: 'Import not found' });
+    return res.status(409).json({ success: false, message: `Import is ${existing.status} and cannot be committed` });
+  }
+
+  // Products or vendors may have changed since the dry run
+  const { lines, errors } = await validateIntakeRows(intake.category, intake.headers, intake.rows);
+  if (errors.length) {
+    intake.status = 'invalid';
+    intake.rowErrors = errors;
+    intake.validatedAt = new Date();
+    await intake.save();
+    return res.status(422).json({
+      success: false,
+      message: `The sheet no longer validates: ${errors.length} error(s)`,
+      data: { ...summaryOf(intake), errors }
+    });
+  }
+
+  let result;
+  try {
+    result = await addToCentral(intake, lines, req);
+  } catch (error) {
+    // A missing witness is refused before any stock moves: the import can be retried
+    const retryable = error.name === 'ControlledSubstanceError';
+    await IntakeImport.updateOne(
+      { _id: intake._id, status: 'committing' },
+      { $set: retryable ? { status: 'validated' } : { status: 'failed', result: { error: error.message } } }
+    );
+    throw error;
+  }
+
+  const records = result.chemicals || result.items || [];
+  // The chemical intake reports the lines it could not store (index into `lines`)
+  const lineErrors = (result.errors || []).map(({ index, message }) => ({ row: lines[index] && lines[index].rowNumber, message }));
+  intake.status = 'committed';
+  intake.result = {
+    batchId: result.batchId,
+    lines: lines.length,
+    records: records.length,
+    skipped: lineErrors.length,
+    errors: lineErrors,
+    recordIds: records.map(record => record._id),
+    qrCodes: (result.qrCodes || []).length
+  };
+  intake.committedBy = req.userId;
+  intake.committedAt = new Date();
+  await intake.save();
+
+  console.log(`✅ Intake import ${intake._id} committed: ${lines.length} ${intake.category} row(s), batch ${result.batchId}`);
+  res.status(200).json({
+    success: true,
+    message: lineErrors.length
+      ? `${lines.length - lineErrors.length} of ${lines.length} row(s) added to the central store; ${lineErrors.length} rejected`
+      : `${lines.length} row(s) added to the central store`,
+    data: { ...summaryOf(intake), result: intake.result }
+  });
+});
+
+// @desc    Imports, newest first (?status=&category=&limit=)
+// @route   GET /api/imports
+// @access  Private (admins)
+const getIntakeImports = asyncHandler(async (req, res) => {
+  const { status, category } = req.query;
+  const filter = {};
+  if (status) filter.status = status;
+  if (category) filter.category = category;
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_IMPORTS);
+  const imports = await IntakeImport.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate(PEOPLE, 'name email role');
+
+  res.status(200).json({ success: true, count: imports.length, data: imports.map(summaryOf) });
+});
+
+// @desc    One import with its rows, errors and result
+// @route   GET /api/imports/:id
+// @access  Private (admins)
+const getIntakeImport = asyncHandler(async (req, res) => {
+  const intake = await IntakeImport.findById(req.params.id).populate(PEOPLE, 'name email role');
+  if (!intake) {
+    return res.status(404).json({ success: false, message: 'Import not found' });
+  }
+  res.status(200).json({ success: true, data: intake });
+});
+
+module.exports = {
+  getImportColumns,
+  getImportTemplate,
+  uploadIntakeSheet,
+  commitIntakeImport,
+  getIntakeImports,
+  getIntakeImport
+};
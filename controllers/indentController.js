@@ -3,6 +3,25 @@ const Indent = require('../models/Indent');
 const ChemicalMaster = require('../models/ChemicalMaster');
 const ChemicalLive = require('../models/ChemicalLive');
 const Transaction = require('../models/Transaction');
+const { recordTransfer } = require('../services/ledgerService');
+const { decrementStock } = require('../services/stockService');
+const {
+  resolveBatchOptions,
+  planBatches,
+  findChemicalBatches,
+  describeBatch,
+  describeExclusions
+} = require('../services/batchSelectionService');
+const {
+  resolveChemicalProduct,
+  productStockFilter,
+  lotStockFilter,
+  labStockInsert
+} = require('../services/lotService');
+const { validateChemicalUnits } = require('../services/unitService');
+const { assertPutAwayLocation, putAway } = require('../services/locationService');
+const { checkStoragePlacement, uniqueViolations } = require('../services/compatibilityService');
+const { requireWitness } = require('../services/controlledSubstanceService');
 const { validationResult } = require('express-validator');
 const asyncHandler = require('express-async-handler');
 
@@ -13,6 +32,12 @@ exports.createLabIndent = asyncHandler(async (req, res) => {
 
   const { labId, chemicals, equipment, glassware } = req.body;
 
+  // Chemical units must be registered and convertible to the unit each chemical is stocked in
+  const unitErrors = await validateChemicalUnits(chemicals || []);
+  if (unitErrors.length > 0) {
+    return res.status(400).json({ message: 'Invalid chemical units', errors: unitErrors });
+  }
+
   // Validate that at least one type of item is provided
   const hasChemicals = chemicals && Array.isArray(chemicals) && chemicals.length > 0;
   const hasEquipment = equipment && Array.isArray(equipment) && equipment.length > 0;
@@ -74,6 +99,12 @@ exports.createDraftIndent = asyncHandler(async (req, res) => {
 
   const { vendorName, chemicals, totalPrice, expectedDeliveryDate } = req.body;
 
+  // Chemical units must be registered and convertible to the unit each chemical is stocked in
+  const unitErrors = await validateChemicalUnits(chemicals || []);
+  if (unitErrors.length > 0) {
+    return res.status(400).json({ message: 'Invalid chemical units', errors: unitErrors });
+  }
+
   const indent = new Indent({
     createdByRole: 'central_store_admin',
     createdBy: req.user._id,
@@ -304,6 +335,12 @@ exports.addChemicalToDraft = asyncHandler(async (req, res) => {
   if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
   const { indentId, chemicals } = req.body;
+
+  // Chemical units must be registered and convertible to the unit each chemical is stocked in
+  const unitErrors = await validateChemicalUnits(chemicals || []);
+  if (unitErrors.length > 0) {
+    return res.status(400).json({ message: 'Invalid chemical units', errors: unitErrors });
+  }
   const indent = await Indent.findById(indentId);
   if (!indent || indent.status !== 'draft') {
     return res.status(404).json({ msg: 'Draft indent not found' });
@@ -344,6 +381,11 @@ exports.allocateLabIndent = asyncHandler(async (req, res) => {
   if (!errors.isEmpty()) return res.status(400).json({ errors: errors.array() });
 
   const { indentId, comments, status } = req.body;
+  // Chemical batch picking: strategy (fefo/fifo), minShelfLifeDays and
+  // batchSelections { [chemicalName]: [chemicalLiveId, ...] } for manual picks
+  const { strategy, minShelfLifeDays, batchSelections = {} } = req.body;
+  // Optional shelf / bin in the lab to put the allocated stock away at
+  const { locationId } = req.body;
   if (!['allocated', 'partially_fulfilled', 'rejected', 'fulfilled'].includes(status)) {
     return res.status(400).json({
       success: false,
@@ -374,77 +416,119 @@ exports.allocateLabIndent = asyncHandler(async (req, res) => {
 
   // If status is 'allocated' or 'fulfilled', allocate chemicals to the lab
   if (['allocated', 'fulfilled'].includes(status)) {
+    try {
+      await assertPutAwayLocation(indent.labId, locationId);
+    } catch (error) {
+      return res.status(error.statusCode || 400).json({ success: false, msg: error.message });
+    }
+
+    // Controlled substances leave the central store only with a second signatory
+    const witness = await requireWitness(req.body.witness, indent.chemicals, { actorId: req.user._id, labId: indent.labId });
+
     // For each chemical, deduct from Central Store and add to the lab's stock
     const allocationResults = [];
+    const storageWarnings = [];
     let allAllocated = true;
     const session = await mongoose.startSession();
     session.startTransaction();
     try {
       for (const chem of indent.chemicals) {
+        const batches = [];
+        let skippedBatches = [];
         try {
-          // Find central stock (FIFO: earliest expiry)
-          const centralStock = await ChemicalLive.findOneAndUpdate(
-            {
-              displayName: chem.chemicalName,
-              labId: 'central-store',
-              quantity: { $gte: chem.quantity }
-            },
-            { $inc: { quantity: -chem.quantity } },
-            { session, new: true, sort: { expiryDate: 1 } }
+          // Pick central batches (FEFO by default; expired / near-expiry stock is skipped)
+          const batchIds = batchSelections[chem.chemicalName];
+          const batchOptions = resolveBatchOptions(
+            { strategy: batchIds ? 'manual' : undefined, batchIds, unit: chem.unit },
+            { strategy, minShelfLifeDays }
+          );
+          const product = await resolveChemicalProduct(chem);
+          const candidates = await findChemicalBatches(
+            productStockFilter(product, 'central-store', chem.chemicalName),
+            session
           );
-          if (!centralStock) {
+          const plan = planBatches(candidates, chem.quantity, batchOptions);
+          skippedBatches = describeExclusions(plan.excluded);
+          if (plan.shortfall > 0) {
             allocationResults.push({
               chemicalName: chem.chemicalName,
               status: 'failed',
-              reason: 'Insufficient stock or not found'
+              reason: skippedBatches.length
+                ? `Insufficient stock or not found (${skippedBatches.length} expired, near-expiry or unconvertible batch(es) skipped)`
+                : 'Insufficient stock or not found',
+              availableQuantity: plan.allocatable,
+              skippedBatches
             });
             allAllocated = false;
             continue;
           }
-          // Add/update lab stock
-          const labStock = await ChemicalLive.findOneAndUpdate(
-            {
-              chemicalMasterId: centralStock.chemicalMasterId,
-              labId: indent.labId
-            },
-            {
-              $inc: { quantity: chem.quantity },
-              $setOnInsert: {
+
+          // `quantity` is in the batch's own unit, `requested` in the indent's
+          for (const { batch, quantity: requested, stockQuantity: quantity } of plan.picks) {
+            const centralStock = await decrementStock(ChemicalLive, batch._id, quantity, { session });
+            // Add/update lab stock
+            const labStock = await ChemicalLive.findOneAndUpdate(
+              lotStockFilter(centralStock, indent.labId),
+              {
+                $inc: { quantity },
+                $setOnInsert: labStockInsert(centralStock, quantity, indent.labId)
+              },
+              { session, new: true, upsert: true }
+            );
+            await recordTransfer({
+              from: centralStock,
+              to: labStock,
+              quantity,
+              movementType: 'allocation',
+              reference: { type: 'Indent', id: indent._id },
+              userId: req.user._id,
+              witnessId: witness ? witness._id : undefined
+            }, { session });
+            const location = await putAway(ChemicalLive, labStock, locationId, {
+              session,
+              userId: req.user._id,
+              reference: { type: 'Indent', id: indent._id }
+            });
+            storageWarnings.push(...await checkStoragePlacement(labStock, { session }));
+            // Create transaction record
+            await Transaction.create([
+              {
                 chemicalName: centralStock.chemicalName,
-                displayName: centralStock.displayName,
+                transactionType: 'allocation',
+                chemicalLiveId: labStock._id,
+                fromLabId: 'central-store',
+                toLabId: indent.labId,
+                quantity,
                 unit: centralStock.unit,
-                expiryDate: centralStock.expiryDate,
-                originalQuantity: chem.quantity,
-                isAllocated: true
+                createdBy: req.user._id,
+                indentId: indent._id,
+                timestamp: new Date()
               }
-            },
-            { session, new: true, upsert: true }
-          );
-          // Create transaction record
-          await Transaction.create([
-            {
-              chemicalName: centralStock.chemicalName,
-              transactionType: 'allocation',
-              chemicalLiveId: labStock._id,
-              fromLabId: 'central-store',
-              toLabId: indent.labId,
-              quantity: chem.quantity,
+            ], { session });
+            batches.push(describeBatch(centralStock, {
+              quantity: requested,
+              stockQuantity: quantity,
               unit: centralStock.unit,
-              createdBy: req.user._id,
-              indentId: indent._id,
-              timestamp: new Date()
-            }
-          ], { session });
+              location: location ? location.path : null
+            }));
+          }
           allocationResults.push({
             chemicalName: chem.chemicalName,
             status: 'allocated',
-            quantity: chem.quantity
+            quantity: chem.quantity,
+            batches,
+            skippedBatches
           });
         } catch (error) {
+          // Batches moved before the error stay moved (and are recorded)
+          const moved = batches.reduce((sum, batch) => sum + batch.quantity, 0);
           allocationResults.push({
             chemicalName: chem.chemicalName,
-            status: 'error',
-            reason: error.message
+            status: moved > 0 ? 'partial' : 'error',
+            quantity: moved,
+            reason: error.message,
+            batches,
+            skippedBatches
           });
           allAllocated = false;
         }
@@ -458,6 +542,7 @@ exports.allocateLabIndent = asyncHandler(async (req, res) => {
         msg: `Indent ${indent.status}`,
         status: indent.status,
         allocationResults,
+        storageWarnings: uniqueViolations(storageWarnings),
         indent
       });
     } catch (error) {
@@ -1,6 +1,8 @@
 const ChemicalLive = require('../models/ChemicalLive');
 const ChemicalMaster = require('../models/ChemicalMaster');
 const Transaction = require('../models/Transaction');
+const { decrementStock, incrementStock } = require('../services/stockService');
+const { recordMovement } = require('../services/ledgerService');
 const { handleErrorResponse, handleSuccessResponse } = require('../utils/responseHandler');
 
 // Get all chemicals in the inventory with optional pagination and filtering
@@ -116,26 +118,35 @@ exports.allocateChemical = async (req, res) => {
       return handleErrorResponse(res, 'Insufficient stock in Central Store for allocation', 400);
     }
 
-    // Deduct the quantity from the Central Store live stock
-    liveChemical.quantity -= quantity;
-    await liveChemical.save();
+    // Deduct the quantity from the Central Store live stock (409 if it changed meanwhile)
+    await decrementStock(ChemicalLive, liveChemical._id, quantity, {
+      ledger: { movementType: 'allocation', counterpartyLabId: labId, userId: req.userId }
+    });
 
     // Check if the chemical exists in the destination lab stock
     const labStock = await ChemicalLive.findOne({ chemicalId, labId });
 
     if (labStock) {
       // Update quantity in the destination lab
-      labStock.quantity += quantity;
-      await labStock.save();
+      await incrementStock(ChemicalLive, labStock._id, quantity, {
+        ledger: { movementType: 'allocation', counterpartyLabId: 'central-store', userId: req.userId }
+      });
     } else {
       // Create new entry for the lab if not present
-      await ChemicalLive.create({
+      const created = await ChemicalLive.create({
         chemicalId,
         labId,
         name: liveChemical.name,
         unit: liveChemical.unit,
         quantity,
       });
+      await recordMovement({
+        item: created,
+        quantity,
+        movementType: 'allocation',
+        counterpartyLabId: 'central-store',
+        userId: req.userId
+      });
     }
 
     // Log the allocation transaction
@@ -152,7 +163,7 @@ exports.allocateChemical = async (req, res) => {
 
     handleSuccessResponse(res, 200, 'Chemical allocated successfully to lab', newTransaction);
   } catch (error) {
-    handleErrorResponse(res, error);
+    handleErrorResponse(res, error, error.statusCode || 500);
   }
 };
 
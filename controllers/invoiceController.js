@@ -7,6 +7,7 @@ const { addChemicalsToCentral } = require('./ChemicalController');
 const { addGlasswareToCentral } = require('./glasswareController');
 const { addOtherProductToCentral } = require('./otherProductController');
 const { addEquipmentToCentral } = require('./equipmentController');
+const { requireWitness } = require('../services/controlledSubstanceService');
 
 // Helper to generate unique invoiceId (e.g., INV-YYYYMMDD-XXXX)
 async function generateInvoiceId() {
@@ -50,9 +51,13 @@ const createInvoice = asyncHandler(async (req, res) => {
       quantity: item.quantity,
       totalPrice: item.totalPrice,
       pricePerUnit: item.totalPrice / item.quantity,
-      expiryDate: item.expiryDate // Add expiryDate from request
+      expiryDate: item.expiryDate, // Add expiryDate from request
+      manufacturerBatch: item.manufacturerBatch
     };
   }));
+  // Controlled substances are only received with a second signatory (body `witness`)
+  const witness = await requireWitness(req.body.witness, enrichedItems, { actorId: req.userId });
+
   // Calculate total if not provided or invalid
   const calculatedTotal = enrichedItems.reduce((sum, item) => sum + item.totalPrice, 0);
   const finalTotalPrice = (totalInvoicePrice !== undefined && totalInvoicePrice !== null && totalInvoicePrice >= 0) 
@@ -80,7 +85,8 @@ const createInvoice = asyncHandler(async (req, res) => {
 
   // Post-processing: Add chemicals to Chemical Master (only for chemical invoices)
   try {
-    const chemicals = enrichedItems.map(item => ({
+    // Each line becomes a Lot linked back to the invoice line
+    const chemicals = invoice.lineItems.map(item => ({
       productId: item.productId,
       chemicalName: item.name,
       quantity: item.quantity,
@@ -88,7 +94,11 @@ const createInvoice = asyncHandler(async (req, res) => {
       expiryDate: item.expiryDate,
       vendor: vendor.name,
       pricePerUnit: item.pricePerUnit,
-      department: 'chemical'
+      department: 'chemical',
+      manufacturerBatch: item.manufacturerBatch,
+      receivedDate: invoice.invoiceDate,
+      invoiceId: invoice._id,
+      invoiceLineItemId: item._id
     }));
     
     console.log('📋 Invoice chemicals to add:', {
@@ -104,8 +114,16 @@ const createInvoice = asyncHandler(async (req, res) => {
     
     if (chemicals.length > 0) {
       try {
-        await addChemicalsToCentral({ body: { chemicals } }, { status: () => ({ json: () => {} }) });
-        console.log('✅ Successfully added chemicals to Chemical Master');
+        let rejected = [];
+        await addChemicalsToCentral(
+          { body: { chemicals, ledgerReference: { type: 'Invoice', id: invoice._id } }, userId: req.userId, witness },
+          { status: () => ({ json: (data) => { rejected = data.errors || []; } }) }
+        );
+        if (rejected.length) {
+          console.error(`❌ ${rejected.length} invoice line(s) not added to Chemical Master:`, rejected);
+        } else {
+          console.log('✅ Successfully added chemicals to Chemical Master');
+        }
       } catch (chemicalError) {
         // Log detailed error but don't block invoice creation
         console.error('❌ Failed to add chemicals to Chemical Master:', {
@@ -203,7 +221,7 @@ const createGlasswareInvoice = asyncHandler(async (req, res) => {
       warranty: item.warranty  // Include warranty for glassware
     }));
     if (items.length > 0) {
-      await addGlasswareToCentral({ body: { items } }, { status: () => ({ json: () => {} }) });
+      await addGlasswareToCentral({ body: { items, ledgerReference: { type: 'Invoice', id: invoice._id } }, userId: req.userId }, { status: () => ({ json: () => {} }) });
       console.log('Glassware added to Central Store successfully');
     }
   } catch (err) {
@@ -282,7 +300,7 @@ const createOthersInvoice = asyncHandler(async (req, res) => {
       quantity: item.quantity
     }));
     if (items.length > 0) {
-      await addOtherProductToCentral({ body: { items } }, { status: () => ({ json: () => {} }) });
+      await addOtherProductToCentral({ body: { items, ledgerReference: { type: 'Invoice', id: invoice._id } }, userId: req.userId }, { status: () => ({ json: () => {} }) });
       console.log('Other products added to Central Store successfully');
     }
   } catch (err) {
@@ -384,7 +402,7 @@ const createEquipmentInvoice = asyncHandler(async (req, res) => {
           json: (data) => { qrCodes = data.qrCodes || []; }
         })
       };
-      await addEquipmentToCentral({ body: { items, userId: req.user?._id || req.userId, userRole: req.user?.role || 'admin' } }, fakeRes);
+      await addEquipmentToCentral({ body: { items, userId: req.user?._id || req.userId, userRole: req.user?.role || 'admin', ledgerReference: { type: 'Invoice', id: invoice._id } } }, fakeRes);
       // qrCodes is now set
     }
   } catch (err) {
@@ -0,0 +1,92 @@
+const asyncHandler = require('express-async-handler');
+const { GLOBAL_ROLES, checkPermission, readableLabs } = require('../config/permissions');
+const { collectLabels, writeLabelSheetPdf, labelSheetZpl } = require('../services/labelSheetService');
+const {
+  LABEL_LAYOUTS,
+  DEFAULT_LAYOUT,
+  LABEL_FORMATS,
+  LABEL_CATEGORIES,
+  ZPL_DEFAULTS,
+  ZPL_DPIS,
+  MAX_LABELS,
+  MAX_COPIES
+} = require('../config/labelLayouts');
+
+// @desc    Sheet layouts, formats and thermal label defaults
+// @route   GET /api/labels/layouts
+// @access  Private (staff)
+const getLabelLayouts = asyncHandler(async (req, res) => {
+  res.status(200).json({
+    success: true,
+    data: {
+      layouts: Object.entries(LABEL_LAYOUTS).map(([name, layout]) => ({ name, ...layout })),
+      defaultLayout: DEFAULT_LAYOUT,
+      formats: LABEL_FORMATS,
+      categories: LABEL_CATEGORIES,
+      zpl: { ...ZPL_DEFAULTS, dpis: ZPL_DPIS },
+      maxLabels: MAX_LABELS,
+      maxCopies: MAX_COPIES
+    }
+  });
+});
+
+// @desc    Label sheet of QR-coded items selected by batchId, labId, invoiceId or ids
+//          (?category=&format=pdf|zpl&layout=&copies=&perUnit=&width=&height=&dpi=)
+// @route   GET /api/labels/sheet
+// @access  Private (staff with read access to the labs)
+const getLabelSheet = asyncHandler(async (req, res) => {
+  const { category, batchId, labId, invoiceId, format = 'pdf', layout = DEFAULT_LAYOUT } = req.query;
+
+  let labIds;
+  if (labId) {
+    if (!checkPermission(req.user, 'label.print', labId).allowed) {
+      return res.status(403).json({ success: false, message: `No access to ${labId}` });
+    }
+  } else if (!GLOBAL_ROLES.includes(req.user.role)) {
+    labIds = readableLabs(req.user);
+  }
+
+  const { labels, skipped } = await collectLabels({
+    category,
+    batchId,
+    labId,
+    invoiceId,
+    ids: req.query.ids ? String(req.query.ids).split(',').map(id => id.trim()).filter(Boolean) : undefined,
+    labIds,
+    copies: req.query.copies || 1,
+    perUnit: req.query.perUnit === true
+  });
+  if (labels.length === 0) {
+    return res.status(404).json({
+      success: false,
+      message: skipped.length ? 'None of the selected items has a QR code' : 'No items match the selection',
+      skipped
+    });
+  }
+
+  const filename = `labels-${category}-${new Date().toISOString().slice(0, 10)}`;
+  res.set('X-Label-Count', String(labels.length)).set('X-Labels-Skipped', String(skipped.length));
+  console.log(`🏷️ ${labels.length} ${category} label(s) as ${format.toUpperCase()}${skipped.length ? `, ${skipped.length} item(s) without QR code skipped` : ''}`);
+
+  if (format === 'zpl') {
+    const { width, height, dpi } = req.query;
+    return res.status(200)
+      .type('text/plain')
+      .set('Content-Disposition', `attachment; filename="${filename}.zpl"`)
+      .send(labelSheetZpl(labels, {
+        ...(width && { width }),
+        ...(height && { height }),
+        ...(dpi && { dpi })
+      }));
+  }
+
+  res.status(200)
+    .type('application/pdf')
+    .set('Content-Disposition', `inline; filename="${filename}.pdf"`);
+  writeLabelSheetPdf(labels, layout, res);
+});
+
+module.exports = {
+  getLabelLayouts,
+  getLabelSheet
+};
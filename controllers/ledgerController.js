@@ -0,0 +1,114 @@
+const asyncHandler = require('express-async-handler');
+const mongoose = require('mongoose');
+const StockLedger = require('../models/StockLedger');
+const StockLedgerBalance = require('../models/StockLedgerBalance');
+const { buildLedgerFilter, getBalancesAsOf } = require('../services/ledgerService');
+
+const parseDate = (value) => {
+  if (!value) return null;
+  const date = new Date(value);
+  return isNaN(date.getTime()) ? undefined : date;
+};
+
+const invalidId = (query) =>
+  ['productId', 'itemId'].find(field => query[field] && !mongoose.Types.ObjectId.isValid(query[field]));
+
+// @desc    List ledger movements (filter by category, productId, batchId, labId, itemId,
+//          movementType, referenceType/referenceId and a from/to date range)
+// @route   GET /api/ledger
+// @access  Private (Admin/Central Store Admin)
+exports.getLedger = asyncHandler(async (req, res) => {
+  const { from, to, sort = 'desc', page = 1, limit = 50 } = req.query;
+
+  const badField = invalidId(req.query);
+  if (badField) {
+    return res.status(400).json({ message: `Invalid ${badField}` });
+  }
+
+  const fromDate = parseDate(from);
+  const toDate = parseDate(to);
+  if (fromDate === undefined || toDate === undefined) {
+    return res.status(400).json({ message: 'from/to must be valid dates' });
+  }
+
+  const filter = buildLedgerFilter(req.query);
+  if (fromDate || toDate) {
+    filter.createdAt = {};
+    if (fromDate) filter.createdAt.$gte = fromDate;
+    if (toDate) filter.createdAt.$lte = toDate;
+  }
+
+  const direction = sort === 'asc' ? 1 : -1;
+  const skip = (parseInt(page) - 1) * parseInt(limit);
+  const [entries, total] = await Promise.all([
+    StockLedger.find(filter)
+      .sort({ createdAt: direction, sequence: direction })
+      .skip(skip)
+      .limit(parseInt(limit))
+      .populate('createdBy', 'name email role'),
+    StockLedger.countDocuments(filter)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: entries,
+    pagination: {
+      currentPage: parseInt(page),
+      totalPages: Math.ceil(total / parseInt(limit)),
+      totalCount: total,
+      limit: parseInt(limit)
+    }
+  });
+});
+
+// @desc    Balances per (category, product, batch, lab) at a point in time,
+//          rebuilt from the ledger (asOf defaults to now)
+// @route   GET /api/ledger/balances
+// @access  Private (Admin/Central Store Admin)
+exports.getBalances = asyncHandler(async (req, res) => {
+  const badField = invalidId(req.query);
+  if (badField) {
+    return res.status(400).json({ message: `Invalid ${badField}` });
+  }
+
+  const asOf = parseDate(req.query.asOf);
+  if (asOf === undefined) {
+    return res.status(400).json({ message: 'asOf must be a valid date' });
+  }
+
+  const balances = await getBalancesAsOf({
+    ...req.query,
+    asOf: asOf || new Date(),
+    includeZero: req.query.includeZero === 'true'
+  });
+
+  res.status(200).json({
+    success: true,
+    asOf: asOf || new Date(),
+    count: balances.length,
+    data: balances
+  });
+});
+
+// @desc    Full movement history of one ledger key with running balances
+// @route   GET /api/ledger/history/:balanceKey
+// @access  Private (Admin/Central Store Admin)
+exports.getKeyHistory = asyncHandler(async (req, res) => {
+  const { balanceKey } = req.params;
+  const current = await StockLedgerBalance.findOne({ balanceKey });
+  if (!current) {
+    return res.status(404).json({ message: 'No ledger history for this key' });
+  }
+
+  const entries = await StockLedger.find({ balanceKey })
+    .sort({ sequence: 1 })
+    .populate('createdBy', 'name email role');
+
+  res.status(200).json({
+    success: true,
+    data: {
+      balance: current,
+      entries
+    }
+  });
+});
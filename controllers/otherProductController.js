@@ -3,6 +3,9 @@ const QRCode = require('qrcode');
 const OtherProductLive = require('../models/OtherProductLive');
 const Product = require('../models/Product');
 const Transaction = require('../models/Transaction');
+const { decrementStock, incrementStock } = require('../services/stockService');
+const { recordMovement, recordTransfer } = require('../services/ledgerService');
+const { assertPutAwayLocation, putAway } = require('../services/locationService');
 const asyncHandler = require('express-async-handler');
 
 // Helper: generate other product batch ID
@@ -43,10 +46,11 @@ async function generateQRCodeImage(qrData) {
 
 // Add other products to central store after invoice
 const addOtherProductToCentral = asyncHandler(async (req, res) => {
-  const { items, usePreviousBatchId } = req.body;
+  const { items, usePreviousBatchId, ledgerReference } = req.body;
   if (!Array.isArray(items) || items.length === 0) {
     return res.status(400).json({ message: 'No items provided' });
   }
+  const intakeLedger = { movementType: 'intake', counterpartyLabId: 'vendor', reference: ledgerReference, userId: req.userId };
   let batchId;
   if (usePreviousBatchId) {
     batchId = await getLastUsedOtherProductBatchId();
@@ -72,13 +76,12 @@ const addOtherProductToCentral = asyncHandler(async (req, res) => {
         qrCodeData,
         qrCodeImage
       });
+      await recordMovement({ ...intakeLedger, item: newItem, quantity: newItem.quantity });
       savedItems.push(newItem);
       qrCodes.push({ productId: newItem.productId, variant: newItem.variant, qrCodeImage: newItem.qrCodeImage });
       continue;
     }
-    existing.quantity += Number(quantity);
-    await existing.save();
-    savedItems.push(existing);
+    savedItems.push(await incrementStock(OtherProductLive, existing._id, Number(quantity), { ledger: intakeLedger }));
   }
   res.status(201).json({
     message: 'Other products added/updated successfully',
@@ -90,10 +93,15 @@ const addOtherProductToCentral = asyncHandler(async (req, res) => {
 
 // Allocate other products from central to lab (FIFO, transaction, expiry-aware)
 const allocateOtherProductToLab = asyncHandler(async (req, res) => {
-  const { productId, variant, quantity, toLabId } = req.body;
+  const { productId, variant, quantity, toLabId, locationId } = req.body;
   if (!productId || !variant || !quantity || !toLabId) {
     return res.status(400).json({ message: 'Missing required fields' });
   }
+  try {
+    await assertPutAwayLocation(toLabId, locationId);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ message: error.message });
+  }
   const session = await mongoose.startSession();
   session.startTransaction();
   try {
@@ -107,6 +115,7 @@ const allocateOtherProductToLab = asyncHandler(async (req, res) => {
       return res.status(400).json({ message: 'Insufficient stock in Central Store' });
     }
     let totalAllocated = 0;
+    let location = null;
     for (const central of centralStocks) {
       if (remainingQty <= 0) break;
       const allocQty = Math.min(central.quantity, remainingQty);
@@ -131,6 +140,17 @@ const allocateOtherProductToLab = asyncHandler(async (req, res) => {
           } },
         { session, new: true, upsert: true }
       );
+      await recordTransfer({
+        from: updatedCentral,
+        to: labStock,
+        quantity: allocQty,
+        movementType: 'allocation',
+        userId: req.user?._id || req.userId
+      }, { session });
+      location = await putAway(OtherProductLive, labStock, locationId, {
+        session,
+        userId: req.user?._id || req.userId
+      }) || location;
       // Log transaction
       await Transaction.create([{
         chemicalName: central.name,
@@ -151,7 +171,11 @@ const allocateOtherProductToLab = asyncHandler(async (req, res) => {
       return res.status(400).json({ message: 'Insufficient stock in Central Store (partial allocation)', allocated: totalAllocated });
     }
     await session.commitTransaction();
-    res.status(200).json({ message: 'Other product allocated to lab', allocated: totalAllocated });
+    res.status(200).json({
+      message: 'Other product allocated to lab',
+      allocated: totalAllocated,
+      location: location ? location.path : null
+    });
   } catch (err) {
     await session.abortTransaction();
     res.status(500).json({ message: 'Allocation failed', error: err.message });
@@ -171,8 +195,10 @@ const allocateOtherProductToFaculty = asyncHandler(async (req, res) => {
   if (!labStock || labStock.quantity < quantity) {
     return res.status(400).json({ message: 'Insufficient stock in lab' });
   }
-  labStock.quantity -= quantity;
-  await labStock.save();
+  // Guarded decrement: 409 if the lab stock changed since the check above
+  await decrementStock(OtherProductLive, labStock._id, Number(quantity), {
+    ledger: { movementType: 'issue', counterpartyLabId: 'faculty', userId: req.userId }
+  });
   res.status(200).json({ message: 'Other product allocated to faculty' });
 });
 
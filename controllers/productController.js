@@ -4,6 +4,14 @@ const ChemicalLive = require('../models/ChemicalLive');
 const EquipmentLive = require('../models/EquipmentLive');
 const GlasswareLive = require('../models/GlasswareLive');
 const OtherProductLive = require('../models/OtherProductLive');
+const fs = require('fs');
+const path = require('path');
+const { describeHazards } = require('../services/hazardService');
+const { applyShelfLifeRule } = require('../services/shelfLifeService');
+const { SDS_DIR } = require('../middleware/sdsUpload');
+
+// Product.safety fields that PUT /api/products/:id/safety may set (the SDS has its own upload)
+const SAFETY_FIELDS = ['casNumber', 'hazardClasses', 'hazardStatements', 'signalWord', 'storageClass', 'ppe', 'compatibilityGroups'];
 
 /**
  * Properly capitalize product name (first letter uppercase, rest lowercase)
@@ -13,6 +21,13 @@ const capitalizeProductName = (name) => {
   return name.trim().toLowerCase().replace(/\b\w/g, l => l.toUpperCase());
 };
 
+// Only the editable safety fields of a request body
+const pickSafetyFields = (body = {}) =>
+  SAFETY_FIELDS.reduce((fields, field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+    return fields;
+  }, {});
+
 // @desc    Get all products
 // @route   GET /api/products
 // @access  Public
@@ -60,7 +75,7 @@ const getProductsByCategory = asyncHandler(async (req, res) => {
 // @route   POST /api/products
 // @access  Private (add your auth middleware as needed)
 const createProduct = asyncHandler(async (req, res) => {
-  const { name, unit, thresholdValue, category, subCategory, variant } = req.body;
+  const { name, unit, thresholdValue, category, subCategory, variant, safety, shelfLifeAfterOpeningDays, leadTimeDays } = req.body;
 
   // Properly capitalize the product name
   const capitalizedName = capitalizeProductName(name);
@@ -106,7 +121,10 @@ const createProduct = asyncHandler(async (req, res) => {
     thresholdValue,
     category: categoryLower,
     subCategory: subCategory || '',
-    variant: categoryLower !== 'chemical' ? variant : ''
+    variant: categoryLower !== 'chemical' ? variant : '',
+    ...(categoryLower === 'chemical' && safety ? { safety: pickSafetyFields(safety) } : {}),
+    ...(shelfLifeAfterOpeningDays ? { shelfLifeAfterOpeningDays } : {}),
+    ...(leadTimeDays !== undefined && leadTimeDays !== null ? { leadTimeDays } : {})
   });
 
   res.status(201).json({
@@ -242,7 +260,7 @@ const createBulkProducts = asyncHandler(async (req, res) => {
 // @access  Private (add your auth middleware as needed)
 const updateProduct = asyncHandler(async (req, res) => {
   const { id } = req.params;
-  const { name, unit, thresholdValue, category, subCategory, variant } = req.body;
+  const { name, unit, thresholdValue, category, subCategory, variant, shelfLifeAfterOpeningDays, leadTimeDays } = req.body;
 
   // Check if product exists
   let product = await Product.findById(id);
@@ -298,9 +316,21 @@ const updateProduct = asyncHandler(async (req, res) => {
   product.category = category ? category.toLowerCase() : product.category;
   product.subCategory = typeof subCategory !== 'undefined' ? subCategory : product.subCategory;
   product.variant = (category || product.category) !== 'chemical' ? variant : '';
+  // null clears the after-opening rule
+  if (shelfLifeAfterOpeningDays !== undefined) {
+    product.shelfLifeAfterOpeningDays = shelfLifeAfterOpeningDays || undefined;
+  }
+  // null falls back to the reorder engine's default lead time
+  if (leadTimeDays !== undefined) {
+    product.leadTimeDays = leadTimeDays === null ? undefined : leadTimeDays;
+  }
+  const shelfLifeChanged = product.isModified('shelfLifeAfterOpeningDays');
 
   await product.save();
 
+  // Open containers are re-dated under the new rule
+  if (shelfLifeChanged) await applyShelfLifeRule(product);
+
   res.status(200).json({
     success: true,
     data: product
@@ -546,6 +576,193 @@ const getProductStats = asyncHandler(async (req, res) => {
   res.status(200).json({ total, chemical, equipment, glassware, others });
 });
 
+// @desc    Get hazard classification, PPE and SDS of a chemical product
+// @route   GET /api/products/:id/safety
+// @access  Private (any authenticated user)
+const getProductSafety = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+  if (product.category !== 'chemical') {
+    return res.status(400).json({
+      success: false,
+      message: 'Safety data is only kept for chemical products'
+    });
+  }
+
+  res.status(200).json({
+    success: true,
+    data: {
+      productId: product._id,
+      name: product.name,
+      unit: product.unit,
+      safety: describeHazards(product),
+      controlled: product.controlled && product.controlled.isControlled ? product.controlled : null
+    }
+  });
+});
+
+// @desc    Set hazard classification and PPE of a chemical product
+// @route   PUT /api/products/:id/safety
+// @access  Private (Admin, Central Store Admin)
+const updateProductSafety = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+  if (product.category !== 'chemical') {
+    return res.status(400).json({
+      success: false,
+      message: 'Safety data is only kept for chemical products'
+    });
+  }
+
+  const updates = pickSafetyFields(req.body);
+  if (Object.keys(updates).length === 0) {
+    return res.status(400).json({
+      success: false,
+      message: `Nothing to update. Allowed fields: ${SAFETY_FIELDS.join(', ')}`
+    });
+  }
+
+  if (!product.safety) product.safety = {};
+  Object.entries(updates).forEach(([field, value]) => product.set(`safety.${field}`, value));
+  await product.save();
+
+  console.log(`⚠️ Safety data updated for ${product.name} by ${req.user.name || req.user._id}`);
+  res.status(200).json({
+    success: true,
+    data: describeHazards(product)
+  });
+});
+
+// @desc    Mark a chemical product as a controlled substance (or lift the control)
+// @route   PUT /api/products/:id/controlled
+// @access  Private (Admin, Central Store Admin)
+const updateProductControl = asyncHandler(async (req, res) => {
+  const { isControlled, schedule, authority, licenceNumber } = req.body;
+  if (typeof isControlled !== 'boolean') {
+    return res.status(400).json({
+      success: false,
+      message: 'isControlled (true or false) is required'
+    });
+  }
+
+  const product = await Product.findById(req.params.id);
+  if (!product) {
+    return res.status(404).json({
+      success: false,
+      message: 'Product not found'
+    });
+  }
+  if (product.category !== 'chemical') {
+    return res.status(400).json({
+      success: false,
+      message: 'Only chemical products can be controlled substances'
+    });
+  }
+
+  // Register entries already written keep the schedule they were recorded under
+  product.controlled = {
+    ...(product.controlled ? product.controlled.toObject() : {}),
+    isControlled,
+    ...(schedule !== undefined ? { schedule } : {}),
+    ...(authority !== undefined ? { authority } : {}),
+    ...(licenceNumber !== undefined ? { licenceNumber } : {}),
+    updatedAt: new Date(),
+    updatedBy: req.user._id
+  };
+  await product.save();
+
+  console.log(`🔏 ${product.name} ${isControlled ? 'marked as' : 'no longer'} a controlled substance by ${req.user.name || req.user._id}`);
+  res.status(200).json({
+    success: true,
+    data: { productId: product._id, name: product.name, controlled: product.controlled }
+  });
+});
+
+// @desc    Upload (or replace) the Safety Data Sheet PDF of a chemical product
+// @route   POST /api/products/:id/sds
+// @access  Private (Admin, Central Store Admin)
+const uploadProductSds = asyncHandler(async (req, res) => {
+  if (!req.file) {
+    return res.status(400).json({
+      success: false,
+      message: 'Attach the Safety Data Sheet as a PDF in the "sds" field'
+    });
+  }
+
+  const discardUpload = () => fs.promises.unlink(req.file.path).catch(() => {});
+  const product = await Product.findById(req.params.id);
+  if (!product || product.category !== 'chemical') {
+    await discardUpload();
+    return res.status(product ? 400 : 404).json({
+      success: false,
+      message: product ? 'Safety Data Sheets can only be attached to chemical products' : 'Product not found'
+    });
+  }
+
+  const previousFile = product.safety && product.safety.sds && product.safety.sds.fileName;
+  if (!product.safety) product.safety = {};
+  product.set('safety.sds', {
+    fileName: req.file.filename,
+    originalName: req.file.originalname,
+    mimeType: req.file.mimetype,
+    size: req.file.size,
+    revisionDate: req.body.revisionDate || undefined,
+    uploadedAt: new Date(),
+    uploadedBy: req.user._id
+  });
+
+  try {
+    await product.save();
+  } catch (error) {
+    await discardUpload();
+    throw error;
+  }
+
+  if (previousFile && previousFile !== req.file.filename) {
+    await fs.promises.unlink(path.join(SDS_DIR, previousFile)).catch(() => {});
+  }
+
+  console.log(`📄 SDS uploaded for ${product.name}: ${req.file.originalname}`);
+  res.status(201).json({
+    success: true,
+    data: describeHazards(product)
+  });
+});
+
+// @desc    Download the Safety Data Sheet of a chemical product
+// @route   GET /api/products/:id/sds
+// @access  Private (any authenticated user)
+const downloadProductSds = asyncHandler(async (req, res) => {
+  const product = await Product.findById(req.params.id).select('name safety.sds');
+  const sds = product && product.safety && product.safety.sds;
+  if (!sds || !sds.fileName) {
+    return res.status(404).json({
+      success: false,
+      message: product ? 'No Safety Data Sheet has been uploaded for this product' : 'Product not found'
+    });
+  }
+
+  const filePath = path.join(SDS_DIR, path.basename(sds.fileName));
+  if (!fs.existsSync(filePath)) {
+    return res.status(404).json({
+      success: false,
+      message: 'Safety Data Sheet file is missing from storage'
+    });
+  }
+
+  res.download(filePath, sds.originalName || `${product.name} SDS.pdf`);
+});
+
 module.exports = {
   getAllProducts,
   getProductsByCategory,
@@ -555,5 +772,10 @@ module.exports = {
   deleteProduct,
   searchProducts,
   getProductStats,
-  getProductInventoryDetails
+  getProductInventoryDetails,
+  getProductSafety,
+  updateProductSafety,
+  updateProductControl,
+  uploadProductSds,
+  downloadProductSds
 };
\ No newline at end of file
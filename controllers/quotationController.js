@@ -3,6 +3,17 @@ const Quotation = require('../models/Quotation');
 const ChemicalMaster = require('../models/ChemicalMaster');
 const ChemicalLive = require('../models/ChemicalLive');
 const Transaction = require('../models/Transaction');
+const { incrementStock } = require('../services/stockService');
+const { recordTransfer } = require('../services/ledgerService');
+const {
+  resolveChemicalProduct,
+  productStockFilter,
+  lotStockFilter,
+  labStockInsert
+} = require('../services/lotService');
+const { assertPutAwayLocation, putAway } = require('../services/locationService');
+const { checkStoragePlacement, uniqueViolations } = require('../services/compatibilityService');
+const { requireWitness } = require('../services/controlledSubstanceService');
 const { validationResult } = require('express-validator');
 const asyncHandler = require('express-async-handler');
 
@@ -252,8 +263,20 @@ exports.allocateLabQuotation = asyncHandler(async (req, res) => {
     });
   }
 
+  // Optional shelf / bin in the lab to put the allocated stock away at
+  const { locationId } = req.body;
+  try {
+    await assertPutAwayLocation(quotation.labId, locationId);
+  } catch (error) {
+    return res.status(error.statusCode || 400).json({ success: false, msg: error.message });
+  }
+
+  // Controlled substances leave the central store only with a second signatory
+  const witness = await requireWitness(req.body.witness, quotation.chemicals, { actorId: req.user._id, labId: quotation.labId });
+
   // For allocation statuses, process the chemicals
   const allocationResults = [];
+  const storageWarnings = [];
   let allAllocated = true;
 
   // Use the robust allocation logic from ChemicalController
@@ -263,10 +286,10 @@ exports.allocateLabQuotation = asyncHandler(async (req, res) => {
     for (const chem of quotation.chemicals) {
       try {
         // Find central stock (FIFO: earliest expiry)
+        const product = await resolveChemicalProduct(chem);
         const centralStock = await ChemicalLive.findOneAndUpdate(
           {
-            displayName: chem.chemicalName,
-            labId: 'central-store',
+            ...productStockFilter(product, 'central-store', chem.chemicalName),
             quantity: { $gte: chem.quantity }
           },
           { $inc: { quantity: -chem.quantity } },
@@ -289,20 +312,10 @@ exports.allocateLabQuotation = asyncHandler(async (req, res) => {
 
         // Add/update lab stock with all required fields
         const labStock = await ChemicalLive.findOneAndUpdate(
-          {
-            chemicalMasterId: centralStock.chemicalMasterId,
-            labId: quotation.labId
-          },
+          lotStockFilter(centralStock, quotation.labId),
           {
             $inc: { quantity: chem.quantity },
-            $setOnInsert: {
-              chemicalName: centralStock.chemicalName,
-              displayName: centralStock.displayName,
-              unit: centralStock.unit,
-              expiryDate: centralStock.expiryDate,
-              originalQuantity: chem.quantity,
-              isAllocated: true
-            }
+            $setOnInsert: labStockInsert(centralStock, chem.quantity, quotation.labId)
           },
           {
             session,
@@ -310,6 +323,21 @@ exports.allocateLabQuotation = asyncHandler(async (req, res) => {
             upsert: true
           }
         );
+        await recordTransfer({
+          from: centralStock,
+          to: labStock,
+          quantity: chem.quantity,
+          movementType: 'allocation',
+          reference: { type: 'Quotation', id: quotation._id },
+          userId: req.user._id,
+          witnessId: witness ? witness._id : undefined
+        }, { session });
+        const location = await putAway(ChemicalLive, labStock, locationId, {
+          session,
+          userId: req.user._id,
+          reference: { type: 'Quotation', id: quotation._id }
+        });
+        storageWarnings.push(...await checkStoragePlacement(labStock, { session }));
 
         // Create transaction record
         await Transaction.create([
@@ -330,7 +358,8 @@ exports.allocateLabQuotation = asyncHandler(async (req, res) => {
         allocationResults.push({
           chemicalName: chem.chemicalName,
           status: 'allocated',
-          quantity: chem.quantity
+          quantity: chem.quantity,
+          location: location ? location.path : null
         });
       } catch (error) {
         allocationResults.push({
@@ -364,6 +393,7 @@ exports.allocateLabQuotation = asyncHandler(async (req, res) => {
     msg: `Quotation ${quotation.status}`,
     status: quotation.status,
     allocationResults,
+    storageWarnings: uniqueViolations(storageWarnings),
     quotation
   });
 });
@@ -411,6 +441,9 @@ exports.processCentralQuotation = asyncHandler(async (req, res) => {
 
   // If ordered, add to master inventory
   if (status === 'purchased') {
+    // Controlled substances are only received with a second signatory
+    const witness = await requireWitness(req.body.witness, quotation.chemicals, { actorId: req.user._id });
+
     for (const chem of quotation.chemicals) {
       // Find or create chemical master
       let master = await ChemicalMaster.findOne({
@@ -427,26 +460,28 @@ exports.processCentralQuotation = asyncHandler(async (req, res) => {
         });
       }
 
-      // Add to central live stock
-      let liveStock = await ChemicalLive.findOne({
-        chemicalMasterId: master._id,
-        labId: 'central-store'
-      });
-
-      if (liveStock) {
-        liveStock.quantity += chem.quantity;
-      } else {
-        liveStock = new ChemicalLive({
-          chemicalMasterId: master._id,
-          chemicalName: chem.chemicalName,
-          labId: 'central-store',
-          quantity: chem.quantity,
-          originalQuantity: chem.quantity,
-          unit: chem.unit,
-          vendor: quotation.vendorName
-        });
-      }
-      await liveStock.save();
+      // Add to central live stock (created on first purchase)
+      await incrementStock(
+        ChemicalLive,
+        { chemicalMasterId: master._id, labId: 'central-store' },
+        chem.quantity,
+        {
+          ledger: {
+            movementType: 'intake',
+            counterpartyLabId: 'vendor',
+            reference: { type: 'Quotation', id: quotation._id },
+            userId: req.user._id,
+            witnessId: witness ? witness._id : undefined
+          },
+          insert: {
+            chemicalName: chem.chemicalName,
+            displayName: chem.chemicalName.split(' - ')[0],
+            originalQuantity: chem.quantity,
+            unit: chem.unit,
+            vendor: quotation.vendorName
+          }
+        }
+      );
 
       // Record transaction
       await Transaction.create({
@@ -0,0 +1,72 @@
+const asyncHandler = require('express-async-handler');
+const {
+  CATEGORIES,
+  getHistoricalBalances,
+  buildReconciliationReport
+} = require('../services/reconciliationService');
+
+// A bare date (2025-03-01) means "at the end of that day"
+const parseAsOf = (value) => {
+  if (!value) return new Date();
+  const date = new Date(value);
+  if (isNaN(date.getTime())) return null;
+  if (/^\d{4}-\d{2}-\d{2}$/.test(value)) {
+    date.setUTCHours(23, 59, 59, 999);
+  }
+  return date;
+};
+
+const invalidCategory = (category) => category && !CATEGORIES.includes(category);
+
+// @desc    Stock per lab and product at a point in time, replayed from the transaction logs
+// @route   GET /api/reconciliation/balances?asOf=2025-03-01&labId=LAB03&category=chemical
+// @access  Private (Admin/Central Store Admin)
+exports.getHistoricalStock = asyncHandler(async (req, res) => {
+  const { category, labId } = req.query;
+
+  if (invalidCategory(category)) {
+    return res.status(400).json({ message: `Category must be one of: ${CATEGORIES.join(', ')}` });
+  }
+  const asOf = parseAsOf(req.query.asOf);
+  if (!asOf) {
+    return res.status(400).json({ message: 'asOf must be a valid date' });
+  }
+  if (asOf > new Date()) {
+    return res.status(400).json({ message: 'asOf cannot be in the future' });
+  }
+
+  const result = await getHistoricalBalances({ asOf, category, labId });
+
+  res.status(200).json({
+    success: true,
+    asOf: result.asOf,
+    count: result.balances.length,
+    data: result.balances,
+    skippedCount: result.skippedCount,
+    skipped: result.skipped
+  });
+});
+
+// @desc    Reconciliation report: replayed history vs. live quantities, listing every drift
+// @route   GET /api/reconciliation/report?labId=LAB03&category=glassware&tolerance=0.001
+// @access  Private (Admin/Central Store Admin)
+exports.getReconciliationReport = asyncHandler(async (req, res) => {
+  const { category, labId } = req.query;
+
+  if (invalidCategory(category)) {
+    return res.status(400).json({ message: `Category must be one of: ${CATEGORIES.join(', ')}` });
+  }
+  const tolerance = req.query.tolerance !== undefined ? Number(req.query.tolerance) : 0;
+  if (isNaN(tolerance) || tolerance < 0) {
+    return res.status(400).json({ message: 'tolerance must be a non-negative number' });
+  }
+
+  console.log(`📊 Building stock reconciliation report (category: ${category || 'all'}, lab: ${labId || 'all'})`);
+  const report = await buildReconciliationReport({ category, labId, tolerance });
+  console.log(`📊 Reconciliation done: ${report.summary.keysWithDrift} of ${report.summary.keysChecked} keys drifted`);
+
+  res.status(200).json({
+    success: true,
+    data: report
+  });
+});
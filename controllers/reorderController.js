@@ -0,0 +1,36 @@
+const asyncHandler = require('express-async-handler');
+const { computeReorderSuggestions, runReorder } = require('../utils/reorderEngine');
+
+// Look-back, lead time and cover days from the query string (config/reorder.js otherwise)
+const settingOverrides = ({ lookbackDays, leadTimeDays, coverDays }) => ({ lookbackDays, leadTimeDays, coverDays });
+
+// @desc    Products below their reorder point with the suggested order quantity (nothing is written)
+// @route   GET /api/reorder/suggestions
+// @access  Private (Admin/Central Store Admin)
+exports.getSuggestions = asyncHandler(async (req, res) => {
+  const { settings, suggestions } = await computeReorderSuggestions(settingOverrides(req.query));
+  res.status(200).json({
+    success: true,
+    count: suggestions.length,
+    settings,
+    data: suggestions
+  });
+});
+
+// @desc    Run the reorder engine now and write its suggestions to the draft quotation / indent
+// @route   POST /api/reorder/run
+// @access  Private (Admin/Central Store Admin)
+exports.runNow = asyncHandler(async (req, res) => {
+  const result = await runReorder({
+    ...settingOverrides(req.body),
+    target: req.body.target,
+    userId: req.user.role === 'central_store_admin' ? req.user._id : undefined
+  });
+  res.status(200).json({
+    success: true,
+    message: result.draft
+      ? `${result.added} item(s) added to and ${result.updated} raised on the draft ${result.target}`
+      : 'No product is below its reorder point',
+    data: result
+  });
+});
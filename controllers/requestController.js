@@ -8,6 +8,69 @@ const ChemicalLive = require('../models/ChemicalLive');
 const Transaction = require('../models/Transaction');
 const Experiment = require('../models/Experiment');
 const mongoose = require('mongoose');
+const { publishRequestStatus } = require('../services/notificationService');
+const { runStockTransaction } = require('../utils/stockTransaction');
+const { decrementStock, isWriteConflict } = require('../services/stockService');
+const { recordMovement } = require('../services/ledgerService');
+const {
+  resolveBatchOptions,
+  planBatches,
+  findChemicalBatches,
+  describeExclusions
+} = require('../services/batchSelectionService');
+const { resolveChemicalProduct, productStockFilter } = require('../services/lotService');
+const { convertQuantity, roundQuantity, validateChemicalUnits } = require('../services/unitService');
+const { hazardWarningsFor } = require('../services/hazardService');
+const { requireWitness } = require('../services/controlledSubstanceService');
+
+// Filter for a lab's stock of a request chemical: any lot of its product
+const labChemicalFilter = async (chemical, labId) =>
+  productStockFilter(await resolveChemicalProduct(chemical), labId, chemical.chemicalName);
+
+// Lab's fullest stock record of a request chemical, the requested quantity in
+// that record's unit, and why it cannot be issued (reason is null if it can)
+async function checkLabChemicalStock(chemical, labId, session = null) {
+  const stock = await ChemicalLive.findOne(await labChemicalFilter(chemical, labId))
+    .sort({ quantity: -1 })
+    .session(session);
+  if (!stock) return { stock, needed: chemical.quantity, reason: 'Not found in lab' };
+  try {
+    const needed = chemical.unit ? convertQuantity(chemical.quantity, chemical.unit, stock.unit) : chemical.quantity;
+    return { stock, needed, reason: stock.quantity < needed ? 'Insufficient stock' : null };
+  } catch (error) {
+    if (error.name !== 'UnitConversionError') throw error;
+    return { stock, needed: null, reason: error.message, unitError: error };
+  }
+}
+
+// Issue a request chemical from lab stock, converted to the unit the stock is kept in
+async function issueLabChemical(tx, chemical, labId, ledger) {
+  const { stock, needed, unitError } = await checkLabChemicalStock(chemical, labId, tx.session);
+  if (unitError) throw unitError;
+  // Guarded decrement: 409 if another allocation spent this stock first
+  return decrementStock(ChemicalLive, stock ? stock._id : await labChemicalFilter(chemical, labId), needed, {
+    tx,
+    ledger
+  });
+}
+
+// allocationHistory.lots entry for one allocation source
+const allocationLot = (allocation) => ({
+  lotId: allocation.lotId,
+  chemicalLiveId: allocation.stockId,
+  fromLabId: allocation.fromLabId,
+  quantity: allocation.quantity
+});
+
+// Ledger details for stock handed from a lab to the requesting faculty
+// (witness: second signatory of controlled substances, see requireWitness())
+const issueLedger = (request, userId, witness) => ({
+  movementType: 'issue',
+  counterpartyLabId: 'faculty',
+  reference: { type: 'Request', id: request._id },
+  userId,
+  witnessId: witness ? witness._id : undefined
+});
 const { 
   isAllocationAllowed, 
   getExperimentAllocationStatus, 
@@ -123,14 +186,15 @@ exports.approveRequest = asyncHandler(async (req, res) => {
         if (chem.isAllocated) continue;
 
         const { chemicalName, quantity, unit } = chem;
-        const labStock = await ChemicalLive.findOne({ chemicalName, labId });
+        const { stock: labStock, reason } = await checkLabChemicalStock(chem, labId);
 
-        if (!labStock || labStock.quantity < quantity) {
+        if (reason) {
           unfulfilledChemicals.push({
             chemicalName,
             availableQuantity: labStock?.quantity || 0,
+            availableUnit: labStock?.unit,
             requiredQuantity: quantity,
-            reason: labStock ? 'Insufficient stock' : 'Not found in lab',
+            reason,
           });
         } else {
           fulfilledChemicals.push({ 
@@ -155,55 +219,58 @@ exports.approveRequest = asyncHandler(async (req, res) => {
       });
     }
 
-    // Process available chemicals
-    for (const chem of fulfilledChemicals) {
-      const { chemicalName, quantity, unit, experimentId, chemicalMasterId } = chem;
-      const labStock = await ChemicalLive.findOne({ chemicalName, labId });
+    // Controlled substances are handed out only with a second signatory
+    const witness = await requireWitness(req.body.witness, fulfilledChemicals, { actorId: adminId, labId });
 
-      // Update chemical stock
-      labStock.quantity -= quantity;
-      await labStock.save();
-
-      // Record transaction
-      await Transaction.create({
-        transactionType: 'transfer',
-        chemicalName,
-        fromLabId: labId,
-        toLabId: "faculty",
-        chemicalLiveId: labStock._id,
-        quantity,
-        unit,
-        createdBy: adminId,
-        timestamp: new Date(),
-      });
+    // Process available chemicals
+    await runStockTransaction(async (tx) => {
+      for (const chem of fulfilledChemicals) {
+        const { chemicalName, quantity, unit, experimentId, chemicalMasterId } = chem;
+        const labStock = await issueLabChemical(tx, chem, labId, issueLedger(request, adminId, witness));
+
+        // Record transaction
+        await tx.create(Transaction, {
+          transactionType: 'transfer',
+          chemicalName,
+          fromLabId: labId,
+          toLabId: "faculty",
+          chemicalLiveId: labStock._id,
+          quantity,
+          unit,
+          createdBy: adminId,
+          timestamp: new Date(),
+        });
 
-      // Update allocation status in request
-      const experiment = request.experiments.find(e => e.experimentId.equals(experimentId));
-      const chemical = experiment.chemicals.find(c => 
-        c.chemicalName === chemicalName && 
-        (!c.chemicalMasterId || c.chemicalMasterId.equals(chemicalMasterId))
-      );
+        // Update allocation status in request
+        const experiment = request.experiments.find(e => e.experimentId.equals(experimentId));
+        const chemical = experiment.chemicals.find(c => 
+          c.chemicalName === chemicalName && 
+          (!c.chemicalMasterId || c.chemicalMasterId.equals(chemicalMasterId))
+        );
 
-      chemical.allocatedQuantity = quantity;
-      chemical.isAllocated = true;
-      chemical.allocationHistory.push({
-        date: new Date(),
-        quantity,
-        allocatedBy: adminId
-      });
-    }
+        chemical.allocatedQuantity = quantity;
+        chemical.isAllocated = true;
+        chemical.allocationHistory.push({
+          date: new Date(),
+          quantity,
+          allocatedBy: adminId
+        });
+      }
 
-    // Update overall request status using smart calculation
-    const userRole = req.user?.role;
-    const isAdminUser = userRole === 'admin';
-    request.status = calculateRequestStatus(request, isAdminUser);
+      // Update overall request status using smart calculation, saved with the stock it moved
+      const userRole = req.user?.role;
+      const isAdminUser = userRole === 'admin';
+      request.status = calculateRequestStatus(request, isAdminUser);
+      request.updatedBy = adminId;
+      await request.save({ session: tx.session });
+    });
   } else {
     // Approve or reject
     request.status = status;
+    request.updatedBy = adminId;
+    await request.save();
   }
-
-  request.updatedBy = adminId;
-  await request.save();
+  publishRequestStatus(request, { approved: 'approve', rejected: 'reject', fulfilled: 'fulfill' }[status]);
 
   await logTransaction({
     requestId,
@@ -256,14 +323,15 @@ exports.fulfillRemaining = asyncHandler(async (req, res) => {
       if (chem.isAllocated) continue;
 
       const { chemicalName, quantity, unit } = chem;
-      const labStock = await ChemicalLive.findOne({ chemicalName, labId });
+      const { stock: labStock, reason } = await checkLabChemicalStock(chem, labId);
 
-      if (!labStock || labStock.quantity < quantity) {
+      if (reason) {
         unfulfilledChemicals.push({
           chemicalName,
           availableQuantity: labStock?.quantity || 0,
+          availableUnit: labStock?.unit,
           requiredQuantity: quantity,
-          reason: labStock ? 'Insufficient stock' : 'Not found in lab',
+          reason,
         });
       } else {
         fulfilledChemicals.push({
@@ -278,43 +346,48 @@ exports.fulfillRemaining = asyncHandler(async (req, res) => {
     }
   }
 
+  // Controlled substances are handed out only with a second signatory
+  const witness = await requireWitness(req.body.witness, fulfilledChemicals, { actorId: adminId, labId });
+
   // Allocate available chemicals
-  for (const chem of fulfilledChemicals) {
-    const { chemicalName, quantity, unit, experimentId, chemicalMasterId } = chem;
-    const labStock = await ChemicalLive.findOne({ chemicalName, labId });
+  await runStockTransaction(async (tx) => {
+    for (const chem of fulfilledChemicals) {
+      const { chemicalName, quantity, unit, experimentId, chemicalMasterId } = chem;
+      const labStock = await issueLabChemical(tx, chem, labId, issueLedger(request, adminId, witness));
 
-    // Update chemical stock
-    labStock.quantity -= quantity;
-    await labStock.save();
+      // Record transaction
+      await tx.create(Transaction, {
+        transactionType: 'transfer',
+        chemicalName,
+        fromLabId: labId,
+        toLabId: "faculty",
+        chemicalLiveId: labStock._id,
+        quantity,
+        unit,
+        createdBy: adminId,
+        timestamp: new Date(),
+      });
 
-    // Record transaction
-    await Transaction.create({
-      transactionType: 'transfer',
-      chemicalName,
-      fromLabId: labId,
-      toLabId: "faculty",
-      chemicalLiveId: labStock._id,
-      quantity,
-      unit,
-      createdBy: adminId,
-      timestamp: new Date(),
-    });
+      // Update allocation status
+      const experiment = request.experiments.find(e => e.experimentId.equals(experimentId));
+      const chemical = experiment.chemicals.find(c => 
+        c.chemicalName === chemicalName && 
+        (!c.chemicalMasterId || c.chemicalMasterId.equals(chemicalMasterId))
+      );
 
-    // Update allocation status
-    const experiment = request.experiments.find(e => e.experimentId.equals(experimentId));
-    const chemical = experiment.chemicals.find(c => 
-      c.chemicalName === chemicalName && 
-      (!c.chemicalMasterId || c.chemicalMasterId.equals(chemicalMasterId))
-    );
+      chemical.allocatedQuantity = quantity;
+      chemical.isAllocated = true;
+      chemical.allocationHistory.push({
+        date: new Date(),
+        quantity,
+        allocatedBy: adminId
+      });
+    }
 
-    chemical.allocatedQuantity = quantity;
-    chemical.isAllocated = true;
-    chemical.allocationHistory.push({
-      date: new Date(),
-      quantity,
-      allocatedBy: adminId
-    });
-  }
+    // The chemicals are saved as allocated with the stock they took
+    request.updatedBy = adminId;
+    await request.save({ session: tx.session });
+  });
 
   // --- NEW: Allocate glassware ---
   const glasswareAllocations = [];
@@ -334,7 +407,8 @@ exports.fulfillRemaining = asyncHandler(async (req, res) => {
     glasswareResult = await glasswareController.allocateGlasswareToFacultyInternal({
       allocations: glasswareAllocations,
       fromLabId: labId,
-      adminId
+      adminId,
+      reference: { type: 'Request', id: request._id }
     });
     // Mark glassware as allocated if successful
     if (glasswareResult.success) {
@@ -373,7 +447,9 @@ exports.fulfillRemaining = asyncHandler(async (req, res) => {
     const equipmentController = require('./equipmentController');
     equipmentResult = await equipmentController.allocateEquipmentToFacultyInternal({
       allocations: equipmentAllocations,
-      fromLabId: labId
+      fromLabId: labId,
+      adminId,
+      reference: { type: 'Request', id: request._id }
     });
     // Mark equipment as allocated if successful
     if (equipmentResult.success) {
@@ -400,6 +476,7 @@ exports.fulfillRemaining = asyncHandler(async (req, res) => {
   request.status = calculateRequestStatus(request, isAdminUser);
   request.updatedBy = adminId;
   await request.save();
+  publishRequestStatus(request, 'fulfill');
 
   res.status(200).json({
     msg: `Successfully fulfilled chemicals, glassware, and equipment.`,
@@ -423,6 +500,12 @@ exports.createRequest = asyncHandler(async (req, res) => {
     return res.status(400).json({ errors: errors.array() });
   }
 
+  // Chemical units must be registered and convertible to the unit each chemical is stocked in
+  const unitErrors = await validateChemicalUnits(experiments.flatMap(exp => exp.chemicals || []));
+  if (unitErrors.length > 0) {
+    return res.status(400).json({ message: 'Invalid chemical units', errors: unitErrors });
+  }
+
   // Process experiments and validate course/batch for each
   const processedExperiments = await Promise.all(experiments.map(async exp => {
     const experiment = await Experiment.findById(exp.experimentId);
@@ -464,12 +547,17 @@ exports.createRequest = asyncHandler(async (req, res) => {
 
   await newRequest.save();
 
+  const hazardWarnings = await hazardWarningsFor(processedExperiments.flatMap(exp => exp.chemicals));
+
   // Notify lab assistant
   const labAssistant = await User.findOne({ role: 'lab_assistant', labId });
   if (labAssistant) {
+    const hazardNote = hazardWarnings.length > 0
+      ? ` Hazardous chemicals: ${hazardWarnings.map(w => w.chemicalName).join(', ')}.`
+      : '';
     const newNotification = new Notification({
       userId: labAssistant._id,
-      message: `New request submitted by faculty for lab ${labId}.`,
+      message: `New request submitted by faculty for lab ${labId}.${hazardNote}`,
       type: 'request',
       relatedRequest: newRequest._id
     });
@@ -478,7 +566,8 @@ exports.createRequest = asyncHandler(async (req, res) => {
 
   res.status(201).json({
     message: 'Request created and lab assistant notified.',
-    request: newRequest
+    request: newRequest,
+    hazardWarnings
   });
 });
 
@@ -528,8 +617,16 @@ exports.getSuggestedChemicalsForExperiment = asyncHandler(async (req, res) => {
               unit: chem.unit
             };
           }
-          chemicalUsage[chem.chemicalName].total += chem.quantity;
-          chemicalUsage[chem.chemicalName].count += 1;
+          // Totals are kept in the first unit seen; quantities that do not convert are left out
+          const usage = chemicalUsage[chem.chemicalName];
+          let quantity;
+          try {
+            quantity = convertQuantity(chem.quantity, chem.unit, usage.unit);
+          } catch (error) {
+            return;
+          }
+          usage.total = roundQuantity(usage.total + quantity);
+          usage.count += 1;
         });
       }
     });
@@ -538,9 +635,17 @@ exports.getSuggestedChemicalsForExperiment = asyncHandler(async (req, res) => {
   // Combine default chemicals with historical usage
   const suggestedChemicals = experiment.defaultChemicals.map(defaultChem => {
     const usage = chemicalUsage[defaultChem.chemicalName];
+    let quantity = defaultChem.quantity;
+    if (usage && usage.count > 0) {
+      try {
+        quantity = convertQuantity(roundQuantity(usage.total / usage.count), usage.unit, defaultChem.unit);
+      } catch (error) {
+        // History is in a unit that does not convert to the default's: keep the default
+      }
+    }
     return {
       chemicalName: defaultChem.chemicalName,
-      quantity: usage ? usage.total / usage.count : defaultChem.quantity,
+      quantity,
       unit: defaultChem.unit,
       chemicalMasterId: defaultChem.chemicalMasterId
     };
@@ -818,6 +923,7 @@ exports.rejectRequest = asyncHandler(async (req, res) => {
   request.status = 'rejected';
   request.updatedBy = adminId;
   await request.save();
+  publishRequestStatus(request, 'reject');
 
   // Notify faculty
   const notification = new Notification({
@@ -857,12 +963,14 @@ exports.allocateChemicals = asyncHandler(async (req, res) => {
   for (const allocation of chemicals) {
     const { experimentId, chemicalName, quantity } = allocation;
     
-    const labStock = await ChemicalLive.findOne({ chemicalName, labId });
-    if (!labStock || labStock.quantity < quantity) {
+    const { stock: labStock, reason } = await checkLabChemicalStock(allocation, labId);
+    if (reason) {
       stockIssues.push({
         chemicalName,
         available: labStock ? labStock.quantity : 0,
-        required: quantity
+        availableUnit: labStock?.unit,
+        required: quantity,
+        reason
       });
     }
   }
@@ -874,57 +982,60 @@ exports.allocateChemicals = asyncHandler(async (req, res) => {
     });
   }
 
+  // Controlled substances are handed out only with a second signatory
+  const witness = await requireWitness(req.body.witness, chemicals, { actorId: adminId, labId });
+
   // Update chemical allocations
-  for (const allocation of chemicals) {
-    const { experimentId, chemicalName, quantity, unit, chemicalMasterId } = allocation;
+  await runStockTransaction(async (tx) => {
+    for (const allocation of chemicals) {
+      const { experimentId, chemicalName, quantity, unit, chemicalMasterId } = allocation;
     
-    // Find the experiment and chemical
-    const experiment = request.experiments.find(exp => exp.experimentId.equals(experimentId));
-    if (!experiment) continue;
+      // Find the experiment and chemical
+      const experiment = request.experiments.find(exp => exp.experimentId.equals(experimentId));
+      if (!experiment) continue;
     
-    const chemical = experiment.chemicals.find(chem => 
-      chem.chemicalName === chemicalName && 
-      (!chemicalMasterId || chem.chemicalMasterId.equals(chemicalMasterId))
-    );
+      const chemical = experiment.chemicals.find(chem => 
+        chem.chemicalName === chemicalName && 
+        (!chemicalMasterId || chem.chemicalMasterId.equals(chemicalMasterId))
+      );
     
-    if (!chemical) continue;
+      if (!chemical) continue;
 
-    // Update chemical stock
-    const labStock = await ChemicalLive.findOne({ chemicalName, labId });
-    labStock.quantity -= quantity;
-    await labStock.save();
+      const labStock = await issueLabChemical(tx, allocation, labId, issueLedger(request, adminId, witness));
 
-    // Record transaction
-    await Transaction.create({
-      transactionType: 'transfer',
-      chemicalName,
-      fromLabId: labId,
-      toLabId: "faculty",
-      chemicalLiveId: labStock._id,
-      quantity,
-      unit,
-      createdBy: adminId,
-      timestamp: new Date(),
-    });
+      // Record transaction
+      await tx.create(Transaction, {
+        transactionType: 'transfer',
+        chemicalName,
+        fromLabId: labId,
+        toLabId: "faculty",
+        chemicalLiveId: labStock._id,
+        quantity,
+        unit,
+        createdBy: adminId,
+        timestamp: new Date(),
+      });
 
-    // Update allocation
-    chemical.allocatedQuantity = quantity;
-    chemical.isAllocated = true;
-    chemical.allocationHistory.push({
-      date: new Date(),
-      quantity,
-      allocatedBy: adminId
-    });
-  }
+      // Update allocation
+      chemical.allocatedQuantity = quantity;
+      chemical.isAllocated = true;
+      chemical.allocationHistory.push({
+        date: new Date(),
+        quantity,
+        allocatedBy: adminId
+      });
+    }
 
-  // Update request status
-  const allAllocated = request.experiments.every(exp => 
-    exp.chemicals.every(chem => chem.isAllocated)
-  );
-  request.status = allAllocated ? 'fulfilled' : 'partially_fulfilled';
-  request.updatedBy = adminId;
-  
-  await request.save();
+    // Update request status, saved with the stock it moved
+    const allAllocated = request.experiments.every(exp => 
+      exp.chemicals.every(chem => chem.isAllocated)
+    );
+    request.status = allAllocated ? 'fulfilled' : 'partially_fulfilled';
+    request.updatedBy = adminId;
+    await request.save({ session: tx.session });
+  });
+
+  publishRequestStatus(request, 'allocate');
 
   res.status(200).json(request);
 });
@@ -953,6 +1064,7 @@ exports.completeRequest = asyncHandler(async (req, res) => {
   request.status = 'completed';
   request.updatedBy = adminId;
   await request.save();
+  publishRequestStatus(request, 'complete');
 
   // Notify faculty
   const notification = new Notification({
@@ -998,7 +1110,9 @@ exports.allocateEquipment = asyncHandler(async (req, res) => {
     // Allocate in EquipmentLive and log
     const result = await equipmentController.allocateEquipmentToFacultyInternal({
       allocations: [{ name, variant, itemIds }],
-      fromLabId: labId
+      fromLabId: labId,
+      adminId,
+      reference: { type: 'Request', id: request._id }
     });
     allocationResults.push({ name, variant, success: result.success, message: result.message });
     // Update request allocationHistory
@@ -1049,6 +1163,7 @@ exports.allocateEquipment = asyncHandler(async (req, res) => {
   request.status = allAllocated ? 'fulfilled' : 'partially_fulfilled';
   request.updatedBy = adminId;
   await request.save();
+  publishRequestStatus(request, 'allocate');
 
   res.status(200).json({
     msg: 'Equipment allocation complete',
@@ -1108,6 +1223,7 @@ exports.adminApproveRequest = asyncHandler(async (req, res) => {
   });
 
   await request.save();
+  publishRequestStatus(request, action);
 
   // Log transaction
   await logTransaction({
@@ -1155,6 +1271,9 @@ exports.adminApproveRequest = asyncHandler(async (req, res) => {
 exports.allocateChemEquipGlass = asyncHandler(async (req, res) => {
   const { id } = req.params;
   const { equipment, glassware } = req.body; // Only equipment and glassware from body
+  // Chemical batch picking: strategy (fefo/fifo), minShelfLifeDays and
+  // batchSelections { [chemicalName]: [chemicalLiveId, ...] } for manual picks
+  const { strategy, minShelfLifeDays, batchSelections = {} } = req.body;
   const adminId = req.userId;
   const userRole = req.user?.role;
   const isAdmin = userRole === 'admin';
@@ -1238,90 +1357,78 @@ exports.allocateChemEquipGlass = asyncHandler(async (req, res) => {
   const labId = request.labId;
   let chemResult = null, glassResult = null, equipResult = null;
   let errors = [];
-
-  // --- 1. Enhanced Chemical Allocation with Fallback and Transaction Safety ---
-  // Helper function for atomic chemical allocation with fallback
-  async function allocateChemicalWithFallback(chemical, labId, adminId, userRole) {
-    const { chemicalName, quantity, unit, chemicalMasterId } = chemical;
+  const itemResults = []; // Per-item outcome reported back to the client
+
+  // --- 1. Chemical Allocation with Fallback ---
+  // Draws from the request's lab first, then Central Store (not for lab assistants).
+  // Within each source, batches are picked by planBatches(): expired stock and stock
+  // that would not last until the experiment date are skipped.
+  // Every write joins the unit of work so a failure anywhere undoes it.
+  async function allocateChemicalWithFallback(tx, chemical, labId, adminId, userRole, batchOptions) {
+    const { chemicalName, quantity, unit } = chemical;
     let remainingQty = quantity;
     let allocations = [];
+    let skippedBatches = [];
     let totalAllocated = 0;
     const isLabAssistant = userRole === 'lab_assistant';
 
     console.log(`[allocateChemicalWithFallback] Processing ${chemicalName}, requested: ${quantity}, userRole: ${userRole}`);
 
-    // 1. Try to allocate from requested lab first
-    try {
-      const labStock = await ChemicalLive.findOne({ chemicalName, labId });
-      if (labStock && labStock.quantity > 0) {
-        const allocateFromLab = Math.min(labStock.quantity, remainingQty);
-        
-        // Atomic update
-        const updatedLabStock = await ChemicalLive.findOneAndUpdate(
-          { _id: labStock._id, quantity: { $gte: allocateFromLab } },
-          { $inc: { quantity: -allocateFromLab } },
-          { new: true }
-        );
-        
-        if (updatedLabStock) {
-          allocations.push({
-            source: 'lab',
-            fromLabId: labId,
-            quantity: allocateFromLab,
-            stockId: updatedLabStock._id,
-            sourceName: `Lab ${labId}`
+    const sources = [{ labId, source: 'lab', sourceName: `Lab ${labId}` }];
+    if (!isLabAssistant) {
+      sources.push({ labId: 'central-store', source: 'central', sourceName: 'Central Store' });
+    }
+
+    // Stock is matched by product, so every lot of the chemical is a candidate
+    const product = await resolveChemicalProduct(chemical);
+
+    for (const source of sources) {
+      if (remainingQty <= 0) break;
+
+      const batches = await findChemicalBatches(
+        productStockFilter(product, source.labId, chemicalName),
+        tx.session
+      );
+      const plan = planBatches(batches, remainingQty, batchOptions);
+      skippedBatches = skippedBatches.concat(describeExclusions(plan.excluded));
+
+      // allocateQty is in the request's unit, stockQuantity in the batch's
+      for (const { batch, quantity: allocateQty, stockQuantity } of plan.picks) {
+        // Guarded decrement; a batch drained by a concurrent allocation is skipped
+        let updatedStock;
+        try {
+          updatedStock = await decrementStock(ChemicalLive, batch._id, stockQuantity, {
+            tx,
+            ledger: issueLedger(request, adminId, witness)
           });
-          remainingQty -= allocateFromLab;
-          totalAllocated += allocateFromLab;
-          console.log(`[allocateChemicalWithFallback] Allocated ${allocateFromLab} from ${labId}, remaining: ${remainingQty}`);
+        } catch (error) {
+          if (error.name === 'StockConflictError') continue;
+          throw error;
         }
-      }
-    } catch (err) {
-      console.error(`[allocateChemicalWithFallback] Error allocating from lab ${labId}:`, err);
-    }
 
-    // 2. If still need more, try Central Store (ONLY for admin and central_store_admin)
-    if (remainingQty > 0 && !isLabAssistant) {
-      try {
-        const centralStock = await ChemicalLive.findOne({ 
-          chemicalName, 
-          labId: 'central-store' 
+        allocations.push({
+          source: source.source,
+          fromLabId: source.labId,
+          quantity: allocateQty,
+          stockId: updatedStock._id,
+          lotId: batch.lotId || null,
+          expiryDate: batch.expiryDate || null,
+          sourceName: source.sourceName
         });
-        
-        if (centralStock && centralStock.quantity > 0) {
-          const allocateFromCentral = Math.min(centralStock.quantity, remainingQty);
-          
-          // Atomic update
-          const updatedCentralStock = await ChemicalLive.findOneAndUpdate(
-            { _id: centralStock._id, quantity: { $gte: allocateFromCentral } },
-            { $inc: { quantity: -allocateFromCentral } },
-            { new: true }
-          );
-          
-          if (updatedCentralStock) {
-            allocations.push({
-              source: 'central',
-              fromLabId: 'central-store',
-              quantity: allocateFromCentral,
-              stockId: updatedCentralStock._id,
-              sourceName: 'Central Store'
-            });
-            remainingQty -= allocateFromCentral;
-            totalAllocated += allocateFromCentral;
-            console.log(`[allocateChemicalWithFallback] Allocated ${allocateFromCentral} from central-store, remaining: ${remainingQty}`);
-          }
-        }
-      } catch (err) {
-        console.error(`[allocateChemicalWithFallback] Error allocating from central-store:`, err);
+        remainingQty = roundQuantity(remainingQty - allocateQty);
+        totalAllocated = roundQuantity(totalAllocated + allocateQty);
+        console.log(`[allocateChemicalWithFallback] Allocated ${allocateQty} from ${source.labId} (batch ${batch._id}), remaining: ${remainingQty}`);
       }
-    } else if (remainingQty > 0 && isLabAssistant) {
+    }
+
+    if (remainingQty > 0 && isLabAssistant) {
       // Lab Assistant: Warning about insufficient lab stock
       console.log(`[allocateChemicalWithFallback] Lab Assistant restriction: Cannot access Central Store for ${chemicalName}. Lab stock insufficient by ${remainingQty} ${unit}`);
     }
 
-    // 3. Create transaction records for each allocation source
-    const transactionPromises = allocations.map(allocation => 
-      Transaction.create({
+    // Transaction records for each allocation source
+    for (const allocation of allocations) {
+      await tx.create(Transaction, {
         transactionType: 'transfer',
         chemicalName,
         fromLabId: allocation.fromLabId,
@@ -1329,13 +1436,9 @@ exports.allocateChemEquipGlass = asyncHandler(async (req, res) => {
         chemicalLiveId: allocation.stockId,
         quantity: allocation.quantity,
         unit,
-        createdBy: adminId,
-        timestamp: new Date(),
-        notes: `Allocation from ${allocation.sourceName} (${allocation.quantity}/${quantity} total requested)`
-      })
-    );
-
-    await Promise.all(transactionPromises);
+        createdBy: adminId
+      });
+    }
 
     return {
       success: remainingQty === 0,
@@ -1344,14 +1447,14 @@ exports.allocateChemEquipGlass = asyncHandler(async (req, res) => {
       totalAllocated,
       chemicalName,
       requestedQuantity: quantity,
+      skippedBatches,
       isLabAssistantRestricted: isLabAssistant && remainingQty > 0,
       restrictionMessage: isLabAssistant && remainingQty > 0 ? 
         `Lab Assistant cannot access Central Store. Insufficient lab stock: ${remainingQty} ${unit} short` : null
     };
   }
 
-  // Main chemical allocation logic
-  try {
+  async function allocateRequestChemicals(tx) {
     for (const experiment of request.experiments) {
       for (const chemical of experiment.chemicals) {
         if (chemical.isAllocated) continue;
@@ -1377,17 +1480,68 @@ exports.allocateChemEquipGlass = asyncHandler(async (req, res) => {
               validationErrors 
             }
           });
+          itemResults.push({
+            type: 'chemical',
+            experimentId: experiment.experimentId,
+            name: chemical.chemicalName,
+            requested: chemical.quantity,
+            allocated: 0,
+            status: 'failed',
+            reason: validationErrors.join(', ')
+          });
+          continue;
+        }
+
+        // Batches must still be good on the experiment date
+        let batchOptions;
+        try {
+          const batchIds = batchSelections[chemical.chemicalName];
+          batchOptions = resolveBatchOptions(
+            { strategy: batchIds ? 'manual' : undefined, batchIds, useBy: experiment.date, unit: chemical.unit },
+            { strategy, minShelfLifeDays }
+          );
+        } catch (error) {
+          errors.push({ type: 'chemicals', error: `${chemical.chemicalName}: ${error.message}` });
+          itemResults.push({
+            type: 'chemical',
+            experimentId: experiment.experimentId,
+            name: chemical.chemicalName,
+            requested: chemical.quantity,
+            allocated: 0,
+            status: 'failed',
+            reason: error.message
+          });
           continue;
         }
 
         // Attempt allocation with fallback
         const allocationResult = await allocateChemicalWithFallback(
+          tx,
           chemical, 
           labId, 
           adminId, 
-          userRole  // Pass userRole to the helper function
+          userRole,  // Pass userRole to the helper function
+          batchOptions
         );
 
+        itemResults.push({
+          type: 'chemical',
+          experimentId: experiment.experimentId,
+          name: chemical.chemicalName,
+          requested: allocationResult.requestedQuantity,
+          allocated: allocationResult.totalAllocated,
+          status: allocationResult.success ? 'allocated' : (allocationResult.totalAllocated > 0 ? 'partial' : 'failed'),
+          sources: allocationResult.allocations.map(a => ({
+            source: a.sourceName,
+            fromLabId: a.fromLabId,
+            chemicalLiveId: a.stockId,
+            lotId: a.lotId,
+            expiryDate: a.expiryDate,
+            quantity: a.quantity
+          })),
+          skippedBatches: allocationResult.skippedBatches
+        });
+
         if (allocationResult.success) {
           // Full allocation successful
           chemical.allocatedQuantity = allocationResult.totalAllocated;
@@ -1400,7 +1554,8 @@ exports.allocateChemEquipGlass = asyncHandler(async (req, res) => {
             sources: allocationResult.allocations.map(a => ({
               source: a.sourceName,
               quantity: a.quantity
-            }))
+            })),
+            lots: allocationResult.allocations.map(allocationLot)
           });
           
           console.log(`[allocateChemEquipGlass] Successfully allocated ${allocationResult.totalAllocated} of ${chemical.chemicalName} from ${allocationResult.allocations.length} source(s)`);
@@ -1420,6 +1575,7 @@ exports.allocateChemEquipGlass = asyncHandler(async (req, res) => {
                 source: a.sourceName,
                 quantity: a.quantity
               })),
+              lots: allocationResult.allocations.map(allocationLot),
               isPartial: true
             });
           }
@@ -1441,7 +1597,8 @@ exports.allocateChemEquipGlass = asyncHandler(async (req, res) => {
                   fromLabId: a.fromLabId,
                   quantity: a.quantity
                 })),
-                availableSources: allocationResult.allocations.length
+                availableSources: allocationResult.allocations.length,
+                skippedBatches: allocationResult.skippedBatches
               }
             });
           } else {
@@ -1459,7 +1616,8 @@ exports.allocateChemEquipGlass = asyncHandler(async (req, res) => {
                   fromLabId: a.fromLabId,
                   quantity: a.quantity
                 })),
-                availableSources: allocationResult.allocations.length
+                availableSources: allocationResult.allocations.length,
+                skippedBatches: allocationResult.skippedBatches
               }
             });
           }
@@ -1470,287 +1628,332 @@ exports.allocateChemEquipGlass = asyncHandler(async (req, res) => {
     }
     
     console.log('[allocateChemEquipGlass] Chemical allocation completed successfully');
-    
-  } catch (err) {
-    console.error('[allocateChemEquipGlass] Chemical allocation failed due to error:', err);
-    errors.push({ 
-      type: 'chemicals', 
-      error: `Chemical allocation failed: ${err.message}`,
-      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
-    });
   }
 
   // --- 2. Allocate Glassware (if present in body) ---
-  if (Array.isArray(glassware) && glassware.length > 0) {
+  async function allocateRequestGlassware(tx) {
     console.log('[allocateChemEquipGlass] Allocating glassware:', glassware);
-    try {
-      const GlasswareLive = require('../models/GlasswareLive');
+    const GlasswareLive = require('../models/GlasswareLive');
+    
+    for (const g of glassware) {
+      const { experimentId, glasswareId, quantity } = g;
+      const result = { type: 'glassware', experimentId, glasswareId, requested: quantity, allocated: 0 };
       
-      for (const g of glassware) {
-        const { experimentId, glasswareId, quantity } = g;
-        
-        // Find the glassware in GlasswareLive collection
-        const glasswareStock = await GlasswareLive.findById(glasswareId);
-        if (!glasswareStock) {
-          console.log(`[allocateChemEquipGlass] Glassware not found in live stock: ${glasswareId}`);
-          errors.push({ type: 'glassware', error: `Glassware not found in stock: ${glasswareId}` });
-          continue;
-        }
-
-        // Check if sufficient quantity is available
-        if (glasswareStock.quantity < quantity) {
-          console.log(`[allocateChemEquipGlass] Insufficient glassware stock for ${glasswareStock.name}: available ${glasswareStock.quantity}, requested ${quantity}`);
-          errors.push({ 
-            type: 'glassware', 
-            error: `Insufficient stock for ${glasswareStock.name}: available ${glasswareStock.quantity}, requested ${quantity}` 
-          });
-          continue;
-        }
-
-        // Deduct the quantity from GlasswareLive
-        glasswareStock.quantity -= quantity;
-        await glasswareStock.save();
-        console.log(`[allocateChemEquipGlass] Deducted ${quantity} from ${glasswareStock.name}, remaining: ${glasswareStock.quantity}`);
+      // Find the glassware in GlasswareLive collection
+      const glasswareStock = await GlasswareLive.findById(glasswareId).session(tx.session);
+      if (!glasswareStock) {
+        console.log(`[allocateChemEquipGlass] Glassware not found in live stock: ${glasswareId}`);
+        errors.push({ type: 'glassware', error: `Glassware not found in stock: ${glasswareId}` });
+        itemResults.push({ ...result, status: 'failed', reason: 'Not found in stock' });
+        continue;
+      }
+      result.name = glasswareStock.name;
 
-        // Find the experiment by either subdocument _id or experimentId
-        const experiment = request.experiments.find(exp =>
-          exp._id.equals(experimentId) || (exp.experimentId && exp.experimentId.equals(experimentId))
-        );
-        if (!experiment) {
-          console.log(`[allocateChemEquipGlass] Experiment not found: ${experimentId}`);
-          continue;
-        }
+      // Find the experiment by either subdocument _id or experimentId
+      const experiment = request.experiments.find(exp =>
+        exp._id.equals(experimentId) || (exp.experimentId && exp.experimentId.equals(experimentId))
+      );
+      if (!experiment) {
+        console.log(`[allocateChemEquipGlass] Experiment not found: ${experimentId}`);
+        itemResults.push({ ...result, status: 'failed', reason: 'Experiment not found in request' });
+        continue;
+      }
 
-        // Find the glassware item in the experiment
-        const glass = (experiment.glassware || []).find(gl => gl.glasswareId.equals(glasswareId));
-        if (!glass) {
-          console.log(`[allocateChemEquipGlass] Glassware item not found in experiment: ${glasswareId}`);
-          continue;
-        }
+      // Find the glassware item in the experiment
+      const glass = (experiment.glassware || []).find(gl => gl.glasswareId.equals(glasswareId));
+      if (!glass) {
+        console.log(`[allocateChemEquipGlass] Glassware item not found in experiment: ${glasswareId}`);
+        itemResults.push({ ...result, status: 'failed', reason: 'Glassware not part of experiment' });
+        continue;
+      }
 
-        // Skip disabled items
-        if (glass.isDisabled) {
-          console.log(`[allocateChemEquipGlass] Skipping disabled glassware: ${glass.name}`);
-          continue;
-        }
+      // Skip disabled items
+      if (glass.isDisabled) {
+        console.log(`[allocateChemEquipGlass] Skipping disabled glassware: ${glass.name}`);
+        itemResults.push({ ...result, status: 'skipped', reason: 'Item disabled' });
+        continue;
+      }
 
-        // Mark as allocated and update allocation history
-        glass.isAllocated = true;
-        glass.allocatedQuantity = quantity;
-        glass.allocationHistory = glass.allocationHistory || [];
-        glass.allocationHistory.push({
-          date: new Date(),
-          quantity: quantity,
-          allocatedBy: adminId
+      // Deduct the quantity from GlasswareLive only if enough is still there
+      let updatedStock = null;
+      try {
+        updatedStock = await decrementStock(GlasswareLive, glasswareId, quantity, {
+          tx,
+          ledger: issueLedger(request, adminId)
         });
-        
-        console.log(`[allocateChemEquipGlass] Successfully allocated ${quantity} of ${glasswareStock.name}`);
+      } catch (error) {
+        if (error.name !== 'StockConflictError') throw error;
+      }
+      if (!updatedStock) {
+        console.log(`[allocateChemEquipGlass] Insufficient glassware stock for ${glasswareStock.name}: available ${glasswareStock.quantity}, requested ${quantity}`);
+        errors.push({ 
+          type: 'glassware', 
+          error: `Insufficient stock for ${glasswareStock.name}: available ${glasswareStock.quantity}, requested ${quantity}` 
+        });
+        itemResults.push({ ...result, status: 'failed', reason: 'Insufficient stock', available: glasswareStock.quantity });
+        continue;
       }
-    } catch (err) {
-      console.error('[allocateChemEquipGlass] Error in glassware allocation:', err);
-      errors.push({ type: 'glassware', error: err.message });
+      console.log(`[allocateChemEquipGlass] Deducted ${quantity} from ${glasswareStock.name}, remaining: ${updatedStock.quantity}`);
+
+      // Mark as allocated and update allocation history
+      glass.isAllocated = true;
+      glass.allocatedQuantity = quantity;
+      glass.allocationHistory = glass.allocationHistory || [];
+      glass.allocationHistory.push({
+        date: new Date(),
+        quantity: quantity,
+        allocatedBy: adminId
+      });
+      itemResults.push({ ...result, allocated: quantity, status: 'allocated' });
+      
+      console.log(`[allocateChemEquipGlass] Successfully allocated ${quantity} of ${glasswareStock.name}`);
     }
   }
 
   // --- 3. Robust Equipment Allocation ---
-  if (Array.isArray(equipment) && equipment.length > 0) {
+  async function allocateRequestEquipment(tx) {
     console.log('[allocateChemEquipGlass] Allocating equipment:', equipment);
-    try {
-      const EquipmentTransaction = require('../models/EquipmentTransaction');
-      const EquipmentAuditLog = require('../models/EquipmentAuditLog');
-      const EquipmentLive = require('../models/EquipmentLive');
+    const EquipmentTransaction = require('../models/EquipmentTransaction');
+    const EquipmentAuditLog = require('../models/EquipmentAuditLog');
+    const EquipmentLive = require('../models/EquipmentLive');
 
-      for (const alloc of equipment) {
-        let { experimentId, name, variant, itemIds, quantity: requestedQuantity } = alloc;
-        
-        // Validate itemIds array
-        if (!Array.isArray(itemIds) || itemIds.length === 0) {
-          errors.push({ type: 'equipment', error: `No itemIds provided for ${name} (${variant})` });
-          continue;
-        }
+    const faculty = await User.findById(request.facultyId).session(tx.session);
+    if (!faculty) {
+      console.log(`[allocateChemEquipGlass] Faculty not found for ID: ${request.facultyId}`);
+    }
+    const facultyName = faculty?.name || 'faculty';
 
-       
+    for (const alloc of equipment) {
+      let { experimentId, name, variant, itemIds, quantity: requestedQuantity } = alloc;
+      const result = { type: 'equipment', experimentId, name, variant };
+      
+      // Validate itemIds array
+      if (!Array.isArray(itemIds) || itemIds.length === 0) {
+        errors.push({ type: 'equipment', error: `No itemIds provided for ${name} (${variant})` });
+        itemResults.push({ ...result, status: 'failed', reason: 'No itemIds provided' });
+        continue;
+      }
 
-        // Find the experiment
-        let experiment = request.experiments.find(exp =>
-          (exp.experimentId && exp.experimentId.equals(experimentId)) || 
-          (exp._id && exp._id.equals(experimentId))
-        );
-        
-        if (!experiment) {
-          errors.push({ type: 'equipment', error: `Experiment not found for equipment ${name} (${variant})` });
-          continue;
-        }
+      // Find the experiment
+      let experiment = request.experiments.find(exp =>
+        (exp.experimentId && exp.experimentId.equals(experimentId)) || 
+        (exp._id && exp._id.equals(experimentId))
+      );
+      
+      if (!experiment) {
+        errors.push({ type: 'equipment', error: `Experiment not found for equipment ${name} (${variant})` });
+        itemResults.push({ ...result, status: 'failed', reason: 'Experiment not found in request' });
+        continue;
+      }
 
-        // If experiment was found by _id but has experimentId, use that
-        if (experiment.experimentId) {
-          experimentId = experiment.experimentId;
-        }
+      // If experiment was found by _id but has experimentId, use that
+      if (experiment.experimentId) {
+        experimentId = experiment.experimentId;
+      }
 
-        // Find the equipment in experiment that needs allocation
-        const equip = (experiment.equipment || []).find(eq => 
-          eq.name === name && 
-          eq.variant === variant && 
-          !eq.isAllocated
-        );
-        
-        if (!equip) {
-          errors.push({ type: 'equipment', error: `Equipment ${name} (${variant}) not found or already allocated` });
+      // Find the equipment in experiment that needs allocation
+      const equip = (experiment.equipment || []).find(eq => 
+        eq.name === name && 
+        eq.variant === variant && 
+        !eq.isAllocated
+      );
+      
+      if (!equip) {
+        errors.push({ type: 'equipment', error: `Equipment ${name} (${variant}) not found or already allocated` });
+        itemResults.push({ ...result, status: 'failed', reason: 'Not found or already allocated' });
+        continue;
+      }
+
+      // Skip disabled items
+      if (equip.isDisabled) {
+        console.log(`[allocateChemEquipGlass] Skipping disabled equipment: ${equip.name} (${equip.variant})`);
+        itemResults.push({ ...result, status: 'skipped', reason: 'Item disabled' });
+        continue;
+      }
+
+      // Determine the required quantity (default to itemIds length if not specified)
+      const requiredQuantity = requestedQuantity || equip.quantity || itemIds.length;
+      
+      let allocatedItems = [];
+      let unallocatedItems = [];
+      let invalidItems = [];
+
+      for (const itemId of itemIds) {
+        const item = await EquipmentLive.findOne({ itemId }).session(tx.session);
+
+        if (!item) {
+          invalidItems.push({ itemId, error: 'Item not found in database' });
           continue;
         }
 
-        // Skip disabled items
-        if (equip.isDisabled) {
-          console.log(`[allocateChemEquipGlass] Skipping disabled equipment: ${equip.name} (${equip.variant})`);
+        // Verify item matches requested equipment
+        if (item.name !== name || item.variant !== variant) {
+          console.log(`[allocateChemEquipGlass] Item ${itemId} type mismatch. Expected: ${name} (${variant}), Found: ${item.name} (${item.variant})`);
+          invalidItems.push({ 
+            itemId, 
+            error: `Item type mismatch. Expected: ${name} (${variant}), Found: ${item.name} (${item.variant})` 
+          });
           continue;
         }
 
-        // Determine the required quantity (default to itemIds length if not specified)
-        const requiredQuantity = requestedQuantity || equip.quantity || itemIds.length;
-        
-        let allocatedItems = [];
-        let unallocatedItems = [];
-        let invalidItems = [];
-
-        for (const itemId of itemIds) {
-          try {
-            // Validate and convert itemId to ObjectId
-          
-                const item = await EquipmentLive.findOne({ itemId }).populate('itemId');
-
-            if (!item) {
-              invalidItems.push({ itemId, error: 'Item not found in database' });
-              continue;
-            }
+        // Check item availability
+        if (item.isAllocated || item.status !== 'Available') {
+          // Special case: if item is allocated but in the same lab, we might still allocate it
+          if (item.status === 'Issued' || item.status === 'issued' && item.location === labId) {
+            // Allow allocation of items already allocated to this lab
+          } else {
+            console.log(`[allocateChemEquipGlass] Item ${itemId} not available for allocation. Status: ${item.status}, Location: ${item.location}`);
+            unallocatedItems.push({ 
+              itemId, 
+              error: `Item not available. Status: ${item.status}, Location: ${item.location}` 
+            });
+            continue;
+          }
+        }
 
-            // Verify item matches requested equipment
-            if (item.name !== name || item.variant !== variant) {
-              console.log(`[allocateChemEquipGlass] Item ${itemId} type mismatch. Expected: ${name} (${variant}), Found: ${item.name} (${item.variant})`);
-              invalidItems.push({ 
-                itemId, 
-                error: `Item type mismatch. Expected: ${name} (${variant}), Found: ${item.name} (${item.variant})` 
-              });
-              continue;
-            }
+        // Allocate the item (restored on rollback)
+        const previousState = {
+          labId: item.labId,
+          status: item.status,
+          assignedTo: item.assignedTo,
+          location: item.location
+        };
+        item.isAllocated = true;
+        item.labId = labId; // Set labId for tracking
+        item.status = 'Assigned';
+        item.assignedTo = facultyName;
+        item.location =  labId || 'central-store'; // Use labId if available, otherwise default to 'central-store'
+        item.allocatedTo =  ` At ${facultyName}`;
+        item.lastUpdatedBy = adminId;
+        item.lastUpdatedAt = new Date();
+        
+        await item.save({ session: tx.session });
+        tx.compensate(() => EquipmentLive.updateOne({ _id: item._id }, { $set: previousState }));
+        await recordMovement({
+          ...issueLedger(request, adminId),
+          item,
+          labId: previousState.labId,
+          quantity: -1
+        }, { tx });
+
+        // Create transaction record
+        await tx.create(EquipmentTransaction, {
+          itemId: itemId,
+          action: 'assign',
+          performedBy: adminId  || req.userId || 'admin', 
+          performedByRole: 'lab_assistant',
+          fromLocation: labId,
+          toLocation: 'faculty',
+          assignedTo: facultyName,
+          remarks: `Allocated to faculty for experiment ${experimentId}`,
+          interface: 'web',
+          timestamp: new Date()
+        });
 
-            // Check item availability
-            if (item.isAllocated || item.status !== 'Available') {
-              // Special case: if item is allocated but in the same lab, we might still allocate it
-              if (item.status === 'Issued' || item.status === 'issued' && item.location === labId) {
-                // Allow allocation of items already allocated to this lab
-              } else {
-                console.log(`[allocateChemEquipGlass] Item ${itemId} not available for allocation. Status: ${item.status}, Location: ${item.Location}`);
-                unallocatedItems.push({ 
-                  itemId, 
-                  error: `Item not available. Status: ${item.status}, Location: ${item.location}` 
-                });
-                continue;
-              }
-            }
-            // Log the item allocation
-            console.log(request.facultyId);
-            const faculty = await User.findById(request.facultyId);
-            if(!faculty) {
-              console.log(`[allocateChemEquipGlass] Faculty not found for ID: ${request.facultyId}`);
-            }
+        // Create audit log
+        await tx.create(EquipmentAuditLog, {
+          itemId: itemId,
+          action: 'assign',
+          performedBy: adminId  || req.userId || 'admin',
+          performedByRole: 'lab_assistant',
+          remarks: `Allocated to ${facultyName} faculty for experiment ${experimentId}`,
+          interface: 'web',
+          timestamp: new Date()
+        });
 
-            // Allocate the item
-            item.isAllocated = true;
-            item.labId = labId; // Set labId for tracking
-            item.status = 'Assigned';
-            item.assignedTo = `${faculty.name}` || 'faculty';
-            item.location =  labId || 'central-store'; // Use labId if available, otherwise default to 'central-store'
-            item.allocatedTo =  ` At ${faculty.name}` || 'faculty'; // Use facultyId if available, otherwise default to 'faculty'
-            item.lastUpdatedBy = adminId;
-            item.lastUpdatedAt = new Date();
-            
-            await item.save();
-
-            // Create transaction record
-            await EquipmentTransaction.create({
-              itemId: itemId,
-              action: 'assign',
-              performedBy: adminId  || req.userId || 'admin', 
-              performedByRole: 'lab_assistant',
-              fromLocation: labId,
-              toLocation: 'faculty',
-              assignedTo: faculty.name ||'faculty',
-              remarks: `Allocated to faculty for experiment ${experimentId}`,
-              interface: 'web',
-              timestamp: new Date()
-            });
+        allocatedItems.push(itemId);
 
-            // Create audit log
-            await EquipmentAuditLog.create({
-              itemId: itemId,
-              action: 'assign',
-              performedBy: adminId  || req.userId || 'admin',
-              performedByRole: 'lab_assistant',
-              remarks: `Allocated to ${faculty.name} faculty for experiment ${experimentId}`,
-              interface: 'web',
-              timestamp: new Date()
-            });
+        // Stop if we've allocated enough items
+        if (allocatedItems.length >= requiredQuantity) {
+          break;
+        }
+      }
 
-            allocatedItems.push(itemId);
+      // Update equipment allocation status in the request
+      equip.isAllocated = allocatedItems.length >= requiredQuantity;
+      equip.allocatedQuantity = allocatedItems.length;
+      equip.allocationHistory = equip.allocationHistory || [];
+      equip.allocationHistory.push({
+        date: new Date(),
+        quantity: allocatedItems.length,
+        itemIds: allocatedItems,
+        allocatedBy: adminId,
+        notes: `Requested ${requiredQuantity}, allocated ${allocatedItems.length}`
+      });
 
-            // Stop if we've allocated enough items
-            if (allocatedItems.length >= requiredQuantity) {
-              break;
-            }
+      itemResults.push({
+        ...result,
+        requested: requiredQuantity,
+        allocated: allocatedItems.length,
+        itemIds: allocatedItems,
+        status: equip.isAllocated ? 'allocated' : (allocatedItems.length > 0 ? 'partial' : 'failed')
+      });
 
-          } catch (err) {
-            console.error(`Error processing item ${itemId}:`, err);
-            invalidItems.push({ itemId, error: `Processing error: ${err.message}` });
+      // Handle partial or failed allocations
+      if (allocatedItems.length < requiredQuantity) {
+        const errorMsg = `Partial allocation for ${name} (${variant}): requested ${requiredQuantity}, allocated ${allocatedItems.length}`;
+        errors.push({
+          type: 'equipment',
+          error: errorMsg,
+          details: {
+            allocatedItems,
+            unallocatedItems,
+            invalidItems,
+            requiredQuantity,
+            actualAllocated: allocatedItems.length
           }
-        }
-
-        // Update equipment allocation status in the request
-        equip.isAllocated = allocatedItems.length >= requiredQuantity;
-        equip.allocatedQuantity = allocatedItems.length;
-        equip.allocationHistory = equip.allocationHistory || [];
-        equip.allocationHistory.push({
-          date: new Date(),
-          quantity: allocatedItems.length,
-          itemIds: allocatedItems,
-          allocatedBy: adminId,
-          notes: `Requested ${requiredQuantity}, allocated ${allocatedItems.length}`
         });
-
-        // Handle partial or failed allocations
-        if (allocatedItems.length < requiredQuantity) {
-          const errorMsg = `Partial allocation for ${name} (${variant}): requested ${requiredQuantity}, allocated ${allocatedItems.length}`;
-          errors.push({
-            type: 'equipment',
-            error: errorMsg,
-            details: {
-              allocatedItems,
-              unallocatedItems,
-              invalidItems,
-              requiredQuantity,
-              actualAllocated: allocatedItems.length
-            }
-          });
-        }
       }
-    } catch (err) {
-      console.error('[allocateChemEquipGlass] Error in equipment allocation:', err);
-      errors.push({ 
-        type: 'equipment', 
-        error: err.message,
-        stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
-      });
     }
   }
 
-  // Update request status (exclude disabled items from allocation completion check)
-  const allAllocated = request.experiments.every(exp =>
-    exp.chemicals.filter(chem => !chem.isDisabled).every(chem => chem.isAllocated) &&
-    (exp.glassware ? exp.glassware.filter(g => !g.isDisabled).every(g => g.isAllocated) : true) &&
-    (exp.equipment ? exp.equipment.filter(e => !e.isDisabled).every(e => e.isAllocated) : true)
+  // Controlled substances are handed out only with a second signatory
+  const witness = await requireWitness(
+    req.body.witness,
+    request.experiments.flatMap(exp => exp.chemicals.filter(chem => !chem.isAllocated && !chem.isDisabled)),
+    { actorId: adminId, labId }
   );
-  request.status = allAllocated ? 'fulfilled' : 'partially_fulfilled';
-  request.updatedBy = adminId;
-  await request.save();
+
+  // Stock moves, transaction rows and the request's allocationHistory commit together
+  try {
+    await runStockTransaction(async (tx) => {
+      await allocateRequestChemicals(tx);
+
+      if (Array.isArray(glassware) && glassware.length > 0) {
+        await allocateRequestGlassware(tx);
+      }
+
+      if (Array.isArray(equipment) && equipment.length > 0) {
+        await allocateRequestEquipment(tx);
+      }
+
+      // Update request status (exclude disabled items from allocation completion check)
+      const allAllocated = request.experiments.every(exp =>
+        exp.chemicals.filter(chem => !chem.isDisabled).every(chem => chem.isAllocated) &&
+        (exp.glassware ? exp.glassware.filter(g => !g.isDisabled).every(g => g.isAllocated) : true) &&
+        (exp.equipment ? exp.equipment.filter(e => !e.isDisabled).every(e => e.isAllocated) : true)
+      );
+      request.status = allAllocated ? 'fulfilled' : 'partially_fulfilled';
+      request.updatedBy = adminId;
+      await request.save({ session: tx.session });
+    });
+  } catch (err) {
+    console.error('[allocateChemEquipGlass] Allocation rolled back due to error:', err);
+    // Stock conflicts (409, retryable) and service errors answer with their own status
+    if (Number.isInteger(err.statusCode) || isWriteConflict(err)) throw err;
+    return res.status(500).json({
+      msg: 'Allocation failed and was rolled back. No stock was moved.',
+      rolledBack: true,
+      rollbackErrors: err.rollbackErrors,
+      error: err.message,
+      itemResults: itemResults.map(r => ({
+        ...r,
+        status: ['allocated', 'partial'].includes(r.status) ? 'rolled_back' : r.status
+      })),
+      stack: process.env.NODE_ENV === 'development' ? err.stack : undefined
+    });
+  }
+  publishRequestStatus(request, 'allocate');
 
   // Filter experiments for response
   const filteredExperiments = filterExperimentsForResponse(request.experiments);
@@ -1765,6 +1968,14 @@ exports.allocateChemEquipGlass = asyncHandler(async (req, res) => {
   const warnings = errors.filter(e => e.level === 'warning');
   const actualErrors = errors.filter(e => e.level !== 'warning');
 
+  // Safety data of every chemical handed out, for the issuing lab assistant
+  const issuedChemicals = new Set(itemResults
+    .filter(r => r.type === 'chemical' && ['allocated', 'partial'].includes(r.status))
+    .map(r => r.name));
+  const hazardWarnings = await hazardWarningsFor(
+    request.experiments.flatMap(exp => exp.chemicals.filter(chem => issuedChemicals.has(chem.chemicalName)))
+  );
+
   res.status(actualErrors.length > 0 ? 207 : 200).json({
     msg: 'Unified allocation complete',
     chemResult,
@@ -1772,6 +1983,8 @@ exports.allocateChemEquipGlass = asyncHandler(async (req, res) => {
     equipResult,
     errors: actualErrors,
     warnings: warnings, // Separate warnings for lab assistants
+    itemResults,
+    hazardWarnings,
     request: filteredRequest,
     userRole: userRole // Include user role in response for frontend handling
   });
@@ -6,12 +6,71 @@ const EquipmentLive = require('../models/EquipmentLive');
 const EquipmentTransaction = require('../models/EquipmentTransaction');
 const EquipmentAuditLog = require('../models/EquipmentAuditLog');
 const Transaction = require('../models/Transaction');
+const { incrementStock } = require('../services/stockService');
+const { recordMovement } = require('../services/ledgerService');
 const mongoose = require('mongoose');
 const asyncHandler = require('express-async-handler');
+const Lot = require('../models/Lot');
+const {
+  resolveChemicalProduct,
+  productStockFilter,
+  lotStockFilter,
+  labStockInsert
+} = require('../services/lotService');
+const { convertQuantity } = require('../services/unitService');
+const { requireWitness } = require('../services/controlledSubstanceService');
 
 // Helper function to validate ObjectId
 const isValidObjectId = (id) => mongoose.Types.ObjectId.isValid(id);
 
+// Lot the chemical was last allocated from, per allocationHistory.lots
+function lastAllocatedLotId(chemical) {
+  const history = chemical.allocationHistory || [];
+  for (let i = history.length - 1; i >= 0; i--) {
+    const lots = (history[i].lots || []).filter(entry => entry.lotId);
+    if (lots.length > 0) return lots[lots.length - 1].lotId;
+  }
+  return null;
+}
+
+// Put returned chemical back into stock: the lab's share of the lot it was last
+// drawn from (re-created if that record is gone), else the lab's latest-expiring
+// stock of the product, else Central Store's. Returns null if there is none.
+// `quantity` is in the request's unit and is converted to the stock's.
+async function returnChemicalStock(chemical, chemicalName, labId, quantity, ledger) {
+  const product = await resolveChemicalProduct(chemical);
+
+  const lotId = lastAllocatedLotId(chemical);
+  const lot = lotId ? await Lot.findById(lotId) : null;
+  if (lot) {
+    const batch = {
+      lotId: lot._id,
+      chemicalMasterId: lot.chemicalMasterId,
+      productId: lot.productId,
+      chemicalName: product ? product.name : chemicalName,
+      displayName: product ? product.name : chemicalName,
+      unit: lot.unit || chemical.unit,
+      expiryDate: lot.expiryDate
+    };
+    const stockQuantity = convertQuantity(quantity, chemical.unit || batch.unit, batch.unit);
+    return incrementStock(ChemicalLive, lotStockFilter(batch, labId), stockQuantity, {
+      ledger,
+      insert: labStockInsert(batch, stockQuantity, labId)
+    });
+  }
+
+  for (const target of [labId, 'central-store']) {
+    const candidates = await ChemicalLive.find(productStockFilter(product, target, chemicalName));
+    const latest = candidates.reduce((best, curr) =>
+      (!best || curr.expiryDate > best.expiryDate ? curr : best), null);
+    if (latest) {
+      const stockQuantity = convertQuantity(quantity, chemical.unit || latest.unit, latest.unit);
+      return incrementStock(ChemicalLive, latest._id, stockQuantity, { ledger });
+    }
+  }
+  return null;
+}
+
 // @desc    Return chemicals, glassware, and equipment to the lab
 // @route   POST /api/requests/return
 // @access  Private (Admin/Lab Assistant)
@@ -34,10 +93,14 @@ exports.returnChemEquipGlass = asyncHandler(async (req, res) => {
   }
   const labId = request.labId;
   let errors = [];
+  const returnLedger = { movementType: 'return', counterpartyLabId: 'faculty', reference: { type: 'Request', id: request._id }, userId: adminId };
 
   // --- 1. Return Chemicals ---
   if (Array.isArray(chemicals)) {
     console.log('Processing chemicals:', chemicals.length);
+    // Controlled substances come back into stock only with a second signatory
+    const witness = await requireWitness(req.body.witness, chemicals, { actorId: adminId, labId });
+    const chemicalReturnLedger = { ...returnLedger, witnessId: witness ? witness._id : undefined };
     for (const retChem of chemicals) {
       const { experimentId, chemicalName, quantity, chemicalMasterId } = retChem;
       console.log(`[CHEMICAL] ExperimentId: ${experimentId}, Name: ${chemicalName}, Qty: ${quantity}, MasterId: ${chemicalMasterId}`);
@@ -70,78 +133,36 @@ exports.returnChemEquipGlass = asyncHandler(async (req, res) => {
         errors.push({ type: 'chemicals', error: `Return quantity exceeds allocated for ${chemicalName}` });
         continue;
       }
-      // --- ENHANCED: Use chemicalName from frontend to match displayName in ChemicalLive ---
       let labStock;
-      const candidates = await ChemicalLive.find({ displayName: chemicalName, labId });
-      
-      if (!candidates || candidates.length === 0) {
-        console.log(`[CHEMICAL] No ChemicalLive found for displayName ${chemicalName} in lab ${labId}, checking central-store`);
-        
-        // Try to find in central-store stock
-        const centralCandidates = await ChemicalLive.find({ displayName: chemicalName, labId: 'central-store' });
-        
-        if (!centralCandidates || centralCandidates.length === 0) {
-          console.log(`[CHEMICAL] No ChemicalLive found for displayName ${chemicalName} in central-store either`);
-          errors.push({ type: 'chemicals', error: `Chemical stock not found for ${chemicalName} in lab or central` });
-          continue;
-        }
-        
-        // Return to central-store stock (pick the one with the latest expiryDate)
-        labStock = centralCandidates.reduce((latest, curr) => {
-          return (!latest || curr.expiryDate > latest.expiryDate) ? curr : latest;
-        }, null);
-        
-        if (!labStock) {
-          console.log(`[CHEMICAL] No valid ChemicalLive found for displayName ${chemicalName} in central-store`);
-          errors.push({ type: 'chemicals', error: `Central stock not found for ${chemicalName}` });
-          continue;
-        }
-        
-        labStock.quantity += quantity;
-        await labStock.save();
-        console.log(`[CHEMICAL] Updated central-store stock for ${chemicalName}: +${quantity}`);
-        
-        await Transaction.create({
-          transactionType: 'return',
-          chemicalName: chemicalName,
-          fromLabId: 'faculty',
-          toLabId: 'central-store',
-          chemicalLiveId: labStock._id,
-          quantity,
-          unit: chemical.unit,
-          createdBy: adminId,
-          timestamp: new Date(),
-        });
-        console.log(`[CHEMICAL] Transaction logged for ${chemicalName} (returned to central-store)`);
-      } else {
-        // Return to lab stock (pick the one with the latest expiryDate)
-        labStock = candidates.reduce((latest, curr) => {
-          return (!latest || curr.expiryDate > latest.expiryDate) ? curr : latest;
-        }, null);
-        
-        if (!labStock) {
-          console.log(`[CHEMICAL] No valid ChemicalLive found for displayName ${chemicalName} in lab ${labId}`);
-          errors.push({ type: 'chemicals', error: `Lab stock not found for ${chemicalName}` });
+      try {
+        labStock = await returnChemicalStock(chemical, chemicalName, labId, quantity, chemicalReturnLedger);
+      } catch (error) {
+        if (error.name === 'UnitConversionError') {
+          errors.push({ type: 'chemicals', error: `${chemicalName}: ${error.message}` });
           continue;
         }
-        
-        labStock.quantity += quantity;
-        await labStock.save();
-        console.log(`[CHEMICAL] Updated lab stock for ${chemicalName}: +${quantity}`);
-        
-        await Transaction.create({
-          transactionType: 'return',
-          chemicalName: chemicalName,
-          fromLabId: 'faculty',
-          toLabId: labId,
-          chemicalLiveId: labStock._id,
-          quantity,
-          unit: chemical.unit,
-          createdBy: adminId,
-          timestamp: new Date(),
-        });
-        console.log(`[CHEMICAL] Transaction logged for ${chemicalName}`);
+        if (error.name !== 'StockConflictError') throw error;
+        labStock = null;
       }
+      if (!labStock) {
+        console.log(`[CHEMICAL] No stock found for ${chemicalName} in lab ${labId} or central-store`);
+        errors.push({ type: 'chemicals', error: `Chemical stock not found for ${chemicalName} in lab or central` });
+        continue;
+      }
+      console.log(`[CHEMICAL] Updated ${labStock.labId} stock for ${chemicalName}: +${quantity}`);
+
+      await Transaction.create({
+        transactionType: 'return',
+        chemicalName: chemicalName,
+        fromLabId: 'faculty',
+        toLabId: labStock.labId,
+        chemicalLiveId: labStock._id,
+        quantity,
+        unit: chemical.unit,
+        createdBy: adminId,
+        timestamp: new Date(),
+      });
+      console.log(`[CHEMICAL] Transaction logged for ${chemicalName} (returned to ${labStock.labId})`);
       chemical.allocatedQuantity -= quantity;
       chemical.returnHistory = chemical.returnHistory || [];
       chemical.returnHistory.push({
@@ -271,8 +292,7 @@ exports.returnChemEquipGlass = asyncHandler(async (req, res) => {
         }
         
         // Update quantity in GlasswareLive
-        glasswareStock.quantity += quantity;
-        await glasswareStock.save();
+        glasswareStock = await incrementStock(GlasswareLive, glasswareStock._id, quantity, { ledger: returnLedger });
         console.log(`[GLASSWARE] Updated glassware stock for ${glasswareId} in ${returnLabId}: +${quantity}`);
         
         // Create GlasswareTransaction record
@@ -406,7 +426,12 @@ exports.returnChemEquipGlass = asyncHandler(async (req, res) => {
           continue;
         }
 
-        await EquipmentLive.updateOne({ itemId }, { $set: { isAllocated: false, status: 'available', labId, location: labId,  } });
+        const returnedItem = await EquipmentLive.findOneAndUpdate(
+          { itemId },
+          { $set: { isAllocated: false, status: 'available', labId, location: labId,  } },
+          { new: true }
+        );
+        await recordMovement({ ...returnLedger, item: returnedItem, quantity: 1 });
         await EquipmentTransaction.create({
           itemId: itemId,
           action: 'return',
@@ -0,0 +1,161 @@
+const asyncHandler = require('express-async-handler');
+const Lab = require('../models/Lab');
+const Product = require('../models/Product');
+const LabStockLevel = require('../models/LabStockLevel');
+const { GLOBAL_ROLES, checkPermission, readableLabs } = require('../config/permissions');
+const { replenishmentReport, replenishmentAllocations } = require('../services/stockLevelService');
+const { resolveBatchOptions } = require('../services/batchSelectionService');
+const { allocateChemicalsToLab } = require('./ChemicalController');
+
+const LEVEL_FIELDS = ['minLevel', 'parLevel', 'maxLevel', 'notes'];
+
+// Level :levelId of :labId, or a 404 response
+async function loadLevel(req, res) {
+  const level = await LabStockLevel.findOne({ _id: req.params.levelId, labId: req.params.labId });
+  if (!level) {
+    res.status(404).json({ success: false, message: 'Stock level not found in this lab' });
+    return null;
+  }
+  return level;
+}
+
+// @desc    Stock levels of a lab
+// @route   GET /api/labs/:labId/stock-levels
+// @access  Private (staff with read access to the lab)
+const getStockLevels = asyncHandler(async (req, res) => {
+  const levels = await LabStockLevel.find({ labId: req.params.labId })
+    .populate('productId', 'name unit category variant')
+    .sort({ createdAt: 1 });
+  res.status(200).json({ success: true, count: levels.length, data: levels });
+});
+
+// @desc    Set the min / par / max levels of a product in a lab
+// @route   POST /api/labs/:labId/stock-levels
+// @access  Private (staff with write access to the lab)
+const createStockLevel = asyncHandler(async (req, res) => {
+  const { labId } = req.params;
+  if (labId === 'central-store') {
+    return res.status(400).json({ success: false, message: 'The central store is replenished by the reorder engine, not by stock levels' });
+  }
+  const [lab, product] = await Promise.all([
+    Lab.findOne({ labId, isActive: true }).select('labId'),
+    Product.findById(req.body.productId).select('_id')
+  ]);
+  if (!lab) return res.status(404).json({ success: false, message: `Lab ${labId} not found` });
+  if (!product) return res.status(404).json({ success: false, message: 'Product not found' });
+
+  const existing = await LabStockLevel.findOne({ labId, productId: product._id }).select('_id');
+  if (existing) {
+    return res.status(409).json({ success: false, message: 'This product already has stock levels in the lab', levelId: existing._id });
+  }
+
+  const level = new LabStockLevel({ labId, productId: product._id, createdBy: req.user._id, updatedBy: req.user._id });
+  LEVEL_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) level[field] = req.body[field];
+  });
+  await level.save();
+
+  res.status(201).json({ success: true, message: 'Stock level created', data: level });
+});
+
+// @desc    Update the levels of a product in a lab (maxLevel null removes the ceiling)
+// @route   PUT /api/labs/:labId/stock-levels/:levelId
+// @access  Private (staff with write access to the lab)
+const updateStockLevel = asyncHandler(async (req, res) => {
+  const level = await loadLevel(req, res);
+  if (!level) return;
+
+  LEVEL_FIELDS.forEach(field => {
+    if (req.body[field] !== undefined) level[field] = req.body[field] === null ? undefined : req.body[field];
+  });
+  level.updatedBy = req.user._id;
+  await level.save();
+
+  res.status(200).json({ success: true, message: 'Stock level updated', data: level });
+});
+
+// @desc    Stop tracking levels of a product in a lab
+// @route   DELETE /api/labs/:labId/stock-levels/:levelId
+// @access  Private (staff with write access to the lab)
+const deleteStockLevel = asyncHandler(async (req, res) => {
+  const level = await loadLevel(req, res);
+  if (!level) return;
+
+  await level.deleteOne();
+  res.status(200).json({ success: true, message: 'Stock level deleted' });
+});
+
+// @desc    What each lab needs to reach par (?labId=&status=)
+// @route   GET /api/labs/stock-levels/replenishment, GET /api/labs/:labId/stock-levels/replenishment
+// @access  Private (staff with read access to the lab)
+const getReplenishment = asyncHandler(async (req, res) => {
+  const labId = req.params.labId || req.query.labId;
+  let labIds;
+  if (labId) {
+    if (!checkPermission(req.user, 'stock_level.view', labId).allowed) {
+      return res.status(403).json({ success: false, message: `No access to ${labId}` });
+    }
+    labIds = [labId];
+  } else if (!GLOBAL_ROLES.includes(req.user.role)) {
+    labIds = readableLabs(req.user);
+  }
+
+  let rows = await replenishmentReport({ labIds });
+  if (req.query.status) rows = rows.filter(row => row.status === req.query.status);
+
+  const labs = {};
+  rows.forEach(row => {
+    if (!labs[row.labId]) labs[row.labId] = { belowMin: 0, belowPar: 0, overMax: 0 };
+    if (row.status === 'below_min') labs[row.labId].belowMin += 1;
+    if (row.status === 'below_par') labs[row.labId].belowPar += 1;
+    if (row.status === 'over_max') labs[row.labId].overMax += 1;
+  });
+
+  res.status(200).json({ success: true, count: rows.length, labs, data: rows });
+});
+
+// @desc    Allocate the chemicals a lab needs to reach par from the central store
+//          (preview: true only lists the allocation); the body is passed on to
+//          allocateChemicalsToLab (strategy, minShelfLifeDays, locationId, witness...)
+// @route   POST /api/labs/:labId/stock-levels/replenish
+// @access  Private (Admin/Central Store Admin)
+const replenishLab = asyncHandler(async (req, res, next) => {
+  const { labId } = req.params;
+  const { productIds, belowMinOnly, preview } = req.body;
+
+  try {
+    resolveBatchOptions({}, req.body);
+  } catch (error) {
+    return res.status(400).json({ success: false, message: error.message });
+  }
+
+  const { allocations, shortfalls } = await replenishmentAllocations(labId, {
+    productIds,
+    belowMinOnly: belowMinOnly === true,
+    batchDefaults: req.body
+  });
+
+  if (preview === true || allocations.length === 0) {
+    return res.status(allocations.length === 0 && shortfalls.length > 0 ? 409 : 200).json({
+      success: allocations.length > 0 || shortfalls.length === 0,
+      message: allocations.length === 0
+        ? (shortfalls.length ? 'The central store cannot supply any of the chemicals this lab needs' : `${labId} is at par for every chemical`)
+        : `${allocations.length} chemical(s) would be allocated`,
+      allocations,
+      shortfalls
+    });
+  }
+
+  console.log(`📥 Replenishing ${labId} to par: ${allocations.length} chemical(s), ${shortfalls.length} short in central store`);
+  req.body = { ...req.body, labId, allocations };
+  return allocateChemicalsToLab(req, res, next);
+});
+
+module.exports = {
+  getStockLevels,
+  createStockLevel,
+  updateStockLevel,
+  deleteStockLevel,
+  getReplenishment,
+  replenishLab
+};
@@ -0,0 +1,61 @@
+const asyncHandler = require('express-async-handler');
+const Lab = require('../models/Lab');
+const CompatibilityRule = require('../models/CompatibilityRule');
+const { DEFAULT_RULES } = require('../config/storageCompatibility');
+const { pairKey, storageComplianceReport, describeMatrix } = require('../services/compatibilityService');
+
+// @desc    Segregation violations among a lab's located chemical stock
+// @route   GET /api/labs/:labId/storage-compliance
+// @access  Private (staff with read access to the lab)
+exports.getStorageCompliance = asyncHandler(async (req, res) => {
+  const { labId } = req.params;
+  const lab = await Lab.findOne({ labId });
+  if (!lab) {
+    return res.status(404).json({ success: false, message: 'Lab not found' });
+  }
+
+  const report = await storageComplianceReport(labId);
+  res.status(200).json({ success: true, data: { ...report, labName: lab.labName } });
+});
+
+// @desc    Compatibility groups and the effective matrix (defaults + overrides)
+// @route   GET /api/storage-compatibility
+// @access  Private
+exports.getMatrix = asyncHandler(async (req, res) => {
+  res.status(200).json({ success: true, data: await describeMatrix() });
+});
+
+// @desc    Set the separation of one pair of groups ('none' switches it off)
+// @route   PUT /api/storage-compatibility/rules
+// @access  Private (Admin, Central Store Admin)
+exports.upsertRule = asyncHandler(async (req, res) => {
+  const { groups, separation, reason } = req.body;
+  const key = pairKey(...groups);
+  const rule = await CompatibilityRule.findOne({ pairKey: key }) || new CompatibilityRule({ pairKey: key });
+  rule.groups = [...groups].sort();
+  rule.separation = separation;
+  rule.reason = reason;
+  rule.updatedBy = req.user._id;
+  await rule.save();
+
+  console.log(`🧪 Storage compatibility ${key} set to ${separation} by ${req.user.email}`);
+  res.status(200).json({ success: true, data: rule });
+});
+
+// @desc    Drop the override of a pair, back to the default rule (if any)
+// @route   DELETE /api/storage-compatibility/rules/:groupA/:groupB
+// @access  Private (Admin, Central Store Admin)
+exports.deleteRule = asyncHandler(async (req, res) => {
+  const key = pairKey(req.params.groupA, req.params.groupB);
+  const rule = await CompatibilityRule.findOneAndDelete({ pairKey: key });
+  if (!rule) {
+    return res.status(404).json({ message: `No override for ${key}` });
+  }
+
+  const fallback = DEFAULT_RULES.find(r => pairKey(...r.groups) === key) || null;
+  res.status(200).json({
+    success: true,
+    message: fallback ? `Override removed; default ${fallback.separation} separation applies` : 'Override removed',
+    data: fallback
+  });
+});
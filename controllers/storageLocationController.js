@@ -0,0 +1,168 @@
+const asyncHandler = require('express-async-handler');
+const Lab = require('../models/Lab');
+const StorageLocation = require('../models/StorageLocation');
+const LocationMove = require('../models/LocationMove');
+const {
+  createLocation: createLabLocation,
+  updateLocation: updateLabLocation,
+  deleteLocation: deleteLabLocation,
+  getLocationTree,
+  moveStock,
+  locationContents
+} = require('../services/locationService');
+const { checkStoragePlacement } = require('../services/compatibilityService');
+
+const MAX_MOVES = 200;
+
+// Location of :locationId in :labId, or a 404 response
+async function loadLocation(req, res) {
+  const location = await StorageLocation.findOne({ _id: req.params.locationId, labId: req.params.labId });
+  if (!location) {
+    res.status(404).json({ success: false, message: 'Location not found in this lab' });
+    return null;
+  }
+  return location;
+}
+
+// @desc    Storage locations of a lab (flat list, or nested with ?tree=true)
+// @route   GET /api/labs/:labId/locations
+// @access  Private (staff with read access to the lab)
+const getLocations = asyncHandler(async (req, res) => {
+  const { labId } = req.params;
+  const includeInactive = req.query.includeInactive === 'true';
+
+  if (req.query.tree === 'true') {
+    const tree = await getLocationTree(labId, { includeInactive });
+    return res.status(200).json({ success: true, data: tree });
+  }
+
+  const filter = { labId };
+  if (!includeInactive) filter.isActive = true;
+  if (req.query.type) filter.type = req.query.type;
+  if (req.query.parentId) filter.parentId = req.query.parentId === 'root' ? null : req.query.parentId;
+
+  const locations = await StorageLocation.find(filter).sort({ path: 1 });
+  res.status(200).json({ success: true, count: locations.length, data: locations });
+});
+
+// @desc    One location with the stock stored in it (and below it)
+// @route   GET /api/labs/:labId/locations/:locationId
+// @access  Private (staff with read access to the lab)
+const getLocation = asyncHandler(async (req, res) => {
+  const location = await loadLocation(req, res);
+  if (!location) return;
+
+  const [children, contents] = await Promise.all([
+    StorageLocation.find({ parentId: location._id }).sort({ sortOrder: 1, name: 1 }),
+    locationContents(location)
+  ]);
+
+  res.status(200).json({
+    success: true,
+    data: { location, children, contents }
+  });
+});
+
+// @desc    Create a room, cabinet, shelf or bin
+// @route   POST /api/labs/:labId/locations
+// @access  Private (staff with write access to the lab)
+const createLocation = asyncHandler(async (req, res) => {
+  const { labId } = req.params;
+  const lab = await Lab.findOne({ labId, isActive: true });
+  if (!lab) {
+    return res.status(404).json({ success: false, message: 'Lab not found or inactive' });
+  }
+
+  const existing = await StorageLocation.findOne({
+    labId,
+    parentId: req.body.parentId || null,
+    name: req.body.name && req.body.name.trim()
+  });
+  if (existing) {
+    return res.status(400).json({ success: false, message: `"${existing.path}" already exists` });
+  }
+
+  // LocationError (wrong parent type, unknown parent) is answered by the error handler
+  const location = await createLabLocation(labId, req.body, req.user._id);
+
+  console.log(`🗄️ Location created in ${labId}: ${location.path}`);
+  res.status(201).json({ success: true, data: location });
+});
+
+// @desc    Rename, re-order, move (parentId) or deactivate a location
+// @route   PUT /api/labs/:labId/locations/:locationId
+// @access  Private (staff with write access to the lab)
+const updateLocation = asyncHandler(async (req, res) => {
+  const location = await loadLocation(req, res);
+  if (!location) return;
+
+  const updated = await updateLabLocation(location, req.body);
+  res.status(200).json({ success: true, data: updated });
+});
+
+// @desc    Delete an empty location
+// @route   DELETE /api/labs/:labId/locations/:locationId
+// @access  Private (staff with write access to the lab)
+const deleteLocation = asyncHandler(async (req, res) => {
+  const location = await loadLocation(req, res);
+  if (!location) return;
+
+  await deleteLabLocation(location);
+  console.log(`🗑️ Location deleted in ${location.labId}: ${location.path}`);
+  res.status(200).json({ success: true, message: 'Location deleted successfully' });
+});
+
+// @desc    Move a stock record to another location inside the lab
+//          (chemicals come back with storage compatibility warnings)
+// @route   POST /api/labs/:labId/locations/moves
+// @access  Private (staff with write access to the lab)
+const moveItem = asyncHandler(async (req, res) => {
+  const { itemType, itemId, toLocationId, note } = req.body;
+  const { item, move } = await moveStock({
+    labId: req.params.labId,
+    itemType,
+    itemId,
+    toLocationId: toLocationId || null,
+    userId: req.user._id,
+    note
+  });
+
+  // Chemicals are checked against their new neighbours (flagged, not blocked)
+  const storageWarnings = itemType === 'chemical' ? await checkStoragePlacement(item) : [];
+
+  res.status(200).json({
+    success: true,
+    message: `Moved to ${move.toPath || 'unassigned'}`,
+    data: { item, move },
+    storageWarnings
+  });
+});
+
+// @desc    Put-away and move history of a lab (?itemId=&locationId=&reason=)
+// @route   GET /api/labs/:labId/locations/moves
+// @access  Private (staff with read access to the lab)
+const getMoves = asyncHandler(async (req, res) => {
+  const { itemId, locationId, reason } = req.query;
+  const filter = { labId: req.params.labId };
+  if (itemId) filter.itemId = itemId;
+  if (reason) filter.reason = reason;
+  if (locationId) filter.$or = [{ fromLocationId: locationId }, { toLocationId: locationId }];
+
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_MOVES);
+  const moves = await LocationMove.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate('movedBy', 'name email role');
+
+  res.status(200).json({ success: true, count: moves.length, data: moves });
+});
+
+module.exports = {
+  getLocations,
+  getLocation,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  moveItem,
+  getMoves
+};
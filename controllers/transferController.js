@@ -1,97 +1,167 @@
+const asyncHandler = require('express-async-handler');
 const Transfer = require('../models/Transfer');
-const Notification = require('../models/Notification');
-const { logTransaction } = require('../utils/transactionLogger');
+const { GLOBAL_ROLES, checkPermission, readableLabs } = require('../config/permissions');
+const transferService = require('../services/transferService');
 
-// Create a new transfer request
-exports.createTransfer = async (req, res) => {
-  try {
-    const { fromLabId, toLabId, chemicalsTransferred } = req.body;
-    const { userId } = req.user; // Assuming userId is provided from the authentication middleware
+const MAX_TRANSFERS = 200;
+const PEOPLE = 'createdBy approvedBy rejectedBy dispatchedBy receivedBy witnessedBy cancelledBy';
 
-    if (!fromLabId || !toLabId || !chemicalsTransferred) {
-      return res.status(400).json({ msg: 'Missing required fields' });
-    }
+// Whether the user holds `permission` on one of `labIds`
+const allowedOnAny = (user, permission, labIds) =>
+  labIds.some(labId => checkPermission(user, permission, labId).allowed);
+
+// Transfer :id, or a 404/403 response when it is missing or the user cannot act on
+// the lab side(s) given (fromLabId for dispatch, toLabId for receipt, either otherwise)
+async function loadTransfer(req, res, permission, sides = ['fromLabId', 'toLabId']) {
+  const transfer = await Transfer.findById(req.params.id);
+  if (!transfer) {
+    res.status(404).json({ success: false, message: 'Transfer not found' });
+    return null;
+  }
+  const labIds = sides.map(side => transfer[side]);
+  if (!allowedOnAny(req.user, permission, labIds)) {
+    res.status(403).json({ success: false, message: `No access to ${labIds.join(' / ')}` });
+    return null;
+  }
+  return transfer;
+}
+
+// @desc    Transfers into or out of the labs the user can see (?labId=&direction=in|out&status=&limit=)
+// @route   GET /api/transfers (alias: GET /api/transfers/history)
+// @access  Private (staff with read access to either lab)
+const getTransfers = asyncHandler(async (req, res) => {
+  const { labId, direction, status } = req.query;
+  const filter = {};
+  if (status) filter.status = status;
 
-    // Validate each chemical in chemicalsTransferred array
-    for (let chemical of chemicalsTransferred) {
-      if (!chemical.chemicalMasterId || !chemical.quantity || !chemical.unit) {
-        return res.status(400).json({ msg: 'Each chemical must have chemicalMasterId, quantity, and unit' });
-      }
+  let labs = null;
+  if (labId) {
+    if (!checkPermission(req.user, 'transfer.view', labId).allowed) {
+      return res.status(403).json({ success: false, message: `No access to ${labId}` });
     }
+    labs = [labId];
+  } else if (!GLOBAL_ROLES.includes(req.user.role)) {
+    labs = readableLabs(req.user);
+  }
 
-    const newTransfer = new Transfer({
-      fromLabId,
-      toLabId,
-      chemicalsTransferred,
-      status: 'Pending',
-      createdBy: userId,
-      createdAt: new Date(),
-    });
-
-    await newTransfer.save();
-
-    const newNotification = new Notification({
-      userId: 'central_store_admin',  // Replace with actual admin or role ID
-      message: `New transfer request from lab ${fromLabId} to lab ${toLabId} awaiting approval.`,
-      type: 'Transfer Pending',
-    });
-    await newNotification.save();
-
-    res.status(201).json({ msg: 'Transfer request created successfully and awaiting approval' });
-  } catch (error) {
-    console.error(error.message);
-    res.status(500).send('Server error');
+  if (labs) {
+    const sides = { out: ['fromLabId'], in: ['toLabId'] }[direction] || ['fromLabId', 'toLabId'];
+    filter.$or = sides.map(side => ({ [side]: { $in: labs } }));
   }
-};
 
-// Approve or reject a transfer request
-exports.approveTransfer = async (req, res) => {
-  try {
-    const { transferId, status } = req.body;
-    const { userId } = req.user;
+  const limit = Math.min(parseInt(req.query.limit, 10) || 50, MAX_TRANSFERS);
+  const transfers = await Transfer.find(filter)
+    .sort({ createdAt: -1 })
+    .limit(limit)
+    .populate(PEOPLE, 'name email role');
 
-    if (!transferId || !status) {
-      return res.status(400).json({ msg: 'Missing transferId or status' });
-    }
+  res.status(200).json({ success: true, count: transfers.length, data: transfers });
+});
 
-    const transfer = await Transfer.findById(transferId);
-    if (!transfer) {
-      return res.status(404).json({ msg: 'Transfer request not found' });
-    }
+// @desc    One transfer with its history
+// @route   GET /api/transfers/:id
+// @access  Private (staff with read access to either lab)
+const getTransfer = asyncHandler(async (req, res) => {
+  const transfer = await loadTransfer(req, res, 'transfer.view');
+  if (!transfer) return;
 
-    transfer.status = status;
-    await transfer.save();
-
-    await logTransaction({
-      transferId,
-      status,
-      adminId: userId,
-      action: 'Approval/Reject',
-      date: new Date(),
-    });
-
-    const notificationMessage = `The transfer request from lab ${transfer.fromLabId} to lab ${transfer.toLabId} has been ${status}.`;
-    const newNotification = new Notification({
-      userId: transfer.createdBy,
-      message: notificationMessage,
-      type: 'Transfer Status Update',
-    });
-    await newNotification.save();
-
-    res.status(200).json({ msg: `Transfer request ${status} successfully` });
-  } catch (error) {
-    console.error(error.message);
-    res.status(500).send('Server error');
-  }
-};
+  await transfer.populate(`${PEOPLE} history.by`, 'name email role');
+  res.status(200).json({ success: true, data: transfer });
+});
 
-// Add this for getting transfer history (optional, depending on use case)
-exports.getTransferHistory = async (req, res) => {
-  try {
-    const transfers = await Transfer.find({}).populate('createdBy');
-    res.status(200).json(transfers);
-  } catch (error) {
-    console.error(error.message);
-    res.status(500).send('Server error');
+// @desc    Request a transfer; its stock is reserved in the source lab until receipt
+// @route   POST /api/transfers (alias: POST /api/transfers/initiate)
+// @access  Private (staff with write access to either lab)
+const createTransfer = asyncHandler(async (req, res) => {
+  const { fromLabId, toLabId, items, reason } = req.body;
+  if (!allowedOnAny(req.user, 'transfer.request', [fromLabId, toLabId])) {
+    return res.status(403).json({ success: false, message: `No access to ${fromLabId} or ${toLabId}` });
   }
+
+  const transfer = await transferService.requestTransfer({
+    fromLabId,
+    toLabId,
+    items,
+    reason,
+    userId: req.user._id
+  });
+  res.status(201).json({
+    success: true,
+    message: `Transfer ${transfer.transferNumber} requested, awaiting approval`,
+    data: transfer
+  });
+});
+
+// @desc    Approve a requested transfer
+// @route   POST /api/transfers/:id/approve
+// @access  Private (Admin/Central Store Admin)
+const approveTransfer = asyncHandler(async (req, res) => {
+  const transfer = await loadTransfer(req, res, 'transfer.approve');
+  if (!transfer) return;
+
+  const updated = await transferService.approveTransfer(transfer, { userId: req.user._id, note: req.body.note });
+  res.status(200).json({ success: true, message: 'Transfer approved', data: updated });
+});
+
+// @desc    Reject a transfer before dispatch (reason required); the reservation is released
+// @route   POST /api/transfers/:id/reject
+// @access  Private (Admin/Central Store Admin)
+const rejectTransfer = asyncHandler(async (req, res) => {
+  const transfer = await loadTransfer(req, res, 'transfer.approve');
+  if (!transfer) return;
+
+  const updated = await transferService.rejectTransfer(transfer, { userId: req.user._id, reason: req.body.reason });
+  res.status(200).json({ success: true, message: 'Transfer rejected, stock released', data: updated });
+});
+
+// @desc    Cancel a transfer before dispatch; the reservation is released
+// @route   POST /api/transfers/:id/cancel
+// @access  Private (staff with write access to either lab)
+const cancelTransfer = asyncHandler(async (req, res) => {
+  const transfer = await loadTransfer(req, res, 'transfer.request');
+  if (!transfer) return;
+
+  const updated = await transferService.cancelTransfer(transfer, { userId: req.user._id, note: req.body.note });
+  res.status(200).json({ success: true, message: 'Transfer cancelled, stock released', data: updated });
+});
+
+// @desc    Hand an approved transfer over for delivery
+// @route   POST /api/transfers/:id/dispatch
+// @access  Private (staff with write access to the source lab)
+const dispatchTransfer = asyncHandler(async (req, res) => {
+  const transfer = await loadTransfer(req, res, 'transfer.dispatch', ['fromLabId']);
+  if (!transfer) return;
+
+  const updated = await transferService.dispatchTransfer(transfer, { userId: req.user._id, note: req.body.note });
+  res.status(200).json({ success: true, message: 'Transfer dispatched', data: updated });
+});
+
+// @desc    Receive a dispatched transfer: stock moves into the destination lab
+//          (optional put-away `locationId`; controlled substances need `witness` { email, password })
+// @route   POST /api/transfers/:id/receive
+// @access  Private (staff with write access to the destination lab)
+const receiveTransfer = asyncHandler(async (req, res) => {
+  const transfer = await loadTransfer(req, res, 'transfer.receive', ['toLabId']);
+  if (!transfer) return;
+
+  const { locationId, note, witness } = req.body;
+  const updated = await transferService.receiveTransfer(transfer, {
+    userId: req.user._id,
+    userRole: req.user.role,
+    locationId,
+    note,
+    witness
+  });
+  res.status(200).json({ success: true, message: `Transfer received in ${updated.toLabId}`, data: updated });
+});
+
+module.exports = {
+  getTransfers,
+  getTransfer,
+  createTransfer,
+  approveTransfer,
+  rejectTransfer,
+  cancelTransfer,
+  dispatchTransfer,
+  receiveTransfer
 };
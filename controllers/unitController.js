@@ -0,0 +1,26 @@
+const asyncHandler = require('express-async-handler');
+const { listUnits, convertQuantity, normalizeUnit } = require('../services/unitService');
+
+// @desc    Unit registry: dimensions, their base unit and the units in each
+// @route   GET /api/units
+// @access  Private
+exports.getUnits = asyncHandler(async (req, res) => {
+  res.status(200).json({ success: true, data: listUnits() });
+});
+
+// @desc    Convert a quantity (?quantity=500&from=mL&to=L)
+// @route   GET /api/units/convert
+// @access  Private
+exports.convert = asyncHandler(async (req, res) => {
+  const { from, to } = req.query;
+  const quantity = Number(req.query.quantity);
+  if (!Number.isFinite(quantity) || !from || !to) {
+    return res.status(400).json({ message: 'quantity, from and to are required' });
+  }
+  // UnitConversionError is answered by the error handler (400)
+  const converted = convertQuantity(quantity, from, to);
+  res.status(200).json({
+    success: true,
+    data: { quantity, from: normalizeUnit(from) || from, converted, to: normalizeUnit(to) || to }
+  });
+});
@@ -1,5 +1,13 @@
 const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
 const User = require('../models/User');
+const { revokeSession, revokeUserSessions, listActiveSessions } = require('../services/sessionService');
+
+// Lab access as compared when deciding whether a user's sessions must be revoked
+const labAccessSnapshot = (user) => JSON.stringify({
+  labId: user.labId || null,
+  labAssignments: (user.labAssignments || []).map(a => [a.labId, a.permission, a.isActive])
+});
 
 // Get all users (admin only)
 exports.getAllUsers = async (req, res) => {
@@ -51,6 +59,9 @@ exports.updateUser = async (req, res) => {
       return res.status(404).json({ msg: 'User not found' });
     }
 
+    const previousRole = user.role;
+    const previousLabAccess = labAccessSnapshot(user);
+
     // Update basic user fields
     if (name) user.name = name;
     if (email) user.email = email;
@@ -98,6 +109,14 @@ exports.updateUser = async (req, res) => {
     }
 
     await user.save();
+
+    // Tokens issued under the old role or lab access must not outlive the change
+    if (user.role !== previousRole) {
+      await revokeUserSessions(user._id, 'role_change', req.user._id);
+    } else if (labAccessSnapshot(user) !== previousLabAccess) {
+      await revokeUserSessions(user._id, 'lab_assignment_change', req.user._id);
+    }
+
     res.json({ 
       msg: 'User updated successfully', 
       user: await User.findById(user._id).select('-password') 
@@ -133,6 +152,7 @@ exports.resetPassword = async (req, res) => {
     // Update user's password
     user.password = hashedPassword;
     await user.save();
+    await revokeUserSessions(user._id, 'password_change', req.user._id);
 
     res.json({ msg: 'Password reset successfully' });
   } catch (error) {
@@ -155,6 +175,7 @@ exports.deleteUser = async (req, res) => {
     }
 
     await User.deleteOne({ _id: req.params.id });
+    await revokeUserSessions(user._id, 'user_deleted', req.user._id);
     res.json({ msg: 'User deleted successfully' });
   } catch (error) {
     console.error(error.message);
@@ -206,6 +227,7 @@ exports.addLabAssignment = async (req, res) => {
     try {
       user.addLabAssignment(labId, permission, req.user._id);
       await user.save();
+      await revokeUserSessions(user._id, 'lab_assignment_change', req.user._id);
 
       res.json({ 
         msg: 'Lab assignment added successfully', 
@@ -248,6 +270,7 @@ exports.updateLabAssignment = async (req, res) => {
     try {
       user.updateLabAssignment(labId, { permission });
       await user.save();
+      await revokeUserSessions(user._id, 'lab_assignment_change', req.user._id);
 
       res.json({ 
         msg: 'Lab assignment updated successfully',
@@ -283,6 +306,7 @@ exports.removeLabAssignment = async (req, res) => {
     try {
       user.removeLabAssignment(labId);
       await user.save();
+      await revokeUserSessions(user._id, 'lab_assignment_change', req.user._id);
 
       res.json({ msg: 'Lab assignment removed successfully' });
     } catch (error) {
@@ -352,4 +376,59 @@ exports.getAllLabAssistants = async (req, res) => {
     console.error(error.message);
     res.status(500).send('Server error');
   }
-};
\ No newline at end of file
+};
+
+// Get a user's active sessions (admin only)
+exports.getUserSessions = async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ msg: 'Not authorized to access this resource' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(req.params.id)) {
+      return res.status(400).json({ msg: 'Invalid user ID' });
+    }
+
+    const sessions = await listActiveSessions(req.params.id);
+    res.json({
+      sessions: sessions.map(session => ({
+        ...session.toObject(),
+        current: session._id.toString() === req.sessionId
+      }))
+    });
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server error');
+  }
+};
+
+// Revoke all of a user's sessions, or one with :sessionId (admin only)
+exports.revokeUserSessions = async (req, res) => {
+  try {
+    // Check if user is admin
+    if (req.user.role !== 'admin') {
+      return res.status(403).json({ msg: 'Not authorized to access this resource' });
+    }
+
+    const { id, sessionId } = req.params;
+    if (!mongoose.Types.ObjectId.isValid(id) || (sessionId && !mongoose.Types.ObjectId.isValid(sessionId))) {
+      return res.status(400).json({ msg: 'Invalid user or session ID' });
+    }
+
+    if (sessionId) {
+      const sessions = await listActiveSessions(id);
+      if (!sessions.some(session => session._id.toString() === sessionId)) {
+        return res.status(404).json({ msg: 'Active session not found' });
+      }
+      await revokeSession(sessionId, 'admin', req.user._id);
+      return res.json({ msg: 'Session revoked successfully', revoked: 1 });
+    }
+
+    const revoked = await revokeUserSessions(id, 'admin', req.user._id);
+    res.json({ msg: 'Sessions revoked successfully', revoked });
+  } catch (error) {
+    console.error(error.message);
+    res.status(500).send('Server error');
+  }
+};
@@ -0,0 +1,30 @@
+// Middleware: Activity Trail
+const { runWithActivityContext, requestInfo, recordActivity } = require('../services/activityService');
+
+const MUTATING_METHODS = ['POST', 'PUT', 'PATCH', 'DELETE'];
+
+/**
+ * Give every mutating request an activity context, so changes to tracked models
+ * are attributed to the caller. Successful authenticated calls that changed no
+ * tracked model (stock movements, syncs...) still get a route-level row.
+ */
+const trackActivity = (req, res, next) => {
+  if (!MUTATING_METHODS.includes(req.method)) {
+    return next();
+  }
+
+  const store = { req, recorded: 0 };
+
+  res.on('finish', () => {
+    if (store.recorded > 0 || !req.user || res.statusCode >= 400) return;
+    recordActivity({
+      ...requestInfo(store),
+      action: 'request',
+      statusCode: res.statusCode
+    });
+  });
+
+  runWithActivityContext(store, next);
+};
+
+module.exports = trackActivity;
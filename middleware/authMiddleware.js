@@ -1,6 +1,44 @@
 const jwt = require('jsonwebtoken');
 const mongoose = require('mongoose');
 const User = require('../models/User');
+const { findActiveSession } = require('../services/sessionService');
+
+class SessionRevokedError extends Error {
+  constructor() {
+    super('Session has been revoked or has expired');
+    this.name = 'SessionRevokedError';
+  }
+}
+
+// Verify a JWT and load its user (shared by the REST middleware and the WebSocket server).
+// The token must belong to an active session, and role/labs always come from the database
+// so a demoted or deleted user loses access on the next request.
+const verifyToken = async (token) => {
+  const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+  const session = await findActiveSession(decoded.sid);
+  if (!session) {
+    throw new SessionRevokedError();
+  }
+
+  const userId = decoded.user.id;
+
+  // Convert userId to a MongoDB ObjectId
+  const objectId = new mongoose.Types.ObjectId(userId);
+  if (!session.user.equals(objectId)) {
+    throw new SessionRevokedError();
+  }
+  const user = await User.findById(objectId).select('-password');
+
+  if (!user) {
+    return null;
+  }
+
+  return {
+    ...user.toObject(),
+    sessionId: session._id.toString()
+  };
+};
 
 const authenticate = async (req, res, next) => {
   const token = req.header('Authorization')?.replace('Bearer ', '');
@@ -10,31 +48,30 @@ const authenticate = async (req, res, next) => {
   }
 
   try {
-    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    const user = await verifyToken(token);
 
-    const userId = decoded.user.id;
-    const userRole = decoded.user.role; // Get role from token
-
-    // Convert userId to a MongoDB ObjectId
-    const objectId = new mongoose.Types.ObjectId(userId);
-    const user = await User.findById(objectId).select('-password');
-    
     if (!user) {
       return res.status(404).json({ message: 'User not found.' });
     }
 
     // Set user info in request
-    req.user = {
-      ...user.toObject(),
-      role: userRole // Ensure role is set from token
-    };
-    req.userId = userId;
+    req.user = user;
+    req.userId = user._id.toString();
+    req.sessionId = user.sessionId;
 
     next();
   } catch (error) {
     console.error('JWT Error:', error.message);
+    // 401 tells the client to use its refresh token (expired) or log in again (revoked)
+    if (error.name === 'TokenExpiredError') {
+      return res.status(401).json({ message: 'Access token expired.', code: 'TOKEN_EXPIRED' });
+    }
+    if (error instanceof SessionRevokedError) {
+      return res.status(401).json({ message: 'Session has been revoked. Please log in again.', code: 'SESSION_REVOKED' });
+    }
     res.status(400).json({ message: 'Invalid token.' });
   }
 };
 
 module.exports = authenticate;
+module.exports.verifyToken = verifyToken;
@@ -1,5 +1,7 @@
 // Middleware: Error Handling 
 // Global error handling middleware
+const { isWriteConflict } = require('../services/stockService');
+
 const errorHandler = (err, req, res, next) => {
     // Log error details for debugging (this can be customized)
     console.error(err.stack);
@@ -9,6 +11,24 @@ const errorHandler = (err, req, res, next) => {
       return res.status(400).json({ message: err.message });
     }
   
+    // Stock changed underneath the request (lost race on a guarded $inc or a
+    // transaction write conflict): tell the client it can safely retry
+    if (err.name === 'StockConflictError' || isWriteConflict(err)) {
+      res.set('Retry-After', '1');
+      return res.status(409).json({
+        message: err.name === 'StockConflictError' ? err.message : 'Stock was changed by another request. Please retry.',
+        code: 'STOCK_CONFLICT',
+        retryable: true
+      });
+    }
+
+    // Errors of the services (stock, units, locations, controlled substances,
+    // disposals, transfers, labels, imports, batch selection...) carry the
+    // status to answer with, and a `code` / `details` for clients when they have one
+    if (Number.isInteger(err.statusCode) && err.statusCode >= 400 && err.statusCode < 600) {
+      return res.status(err.statusCode).json({ message: err.message, code: err.code, details: err.details });
+    }
+
     // Handle specific error codes (e.g., 404, 500)
     if (err.name === 'CastError' || err.name === 'MongoError') {
       return res.status(400).json({ message: 'Invalid data format or request.' });
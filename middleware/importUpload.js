@@ -0,0 +1,32 @@
+// Middleware: intake spreadsheet upload
+// Accepts one .csv or .xlsx file in the multipart field "file" and keeps it in
+// memory; the import controller parses it and stores the rows, not the file.
+const multer = require('multer');
+const { MAX_IMPORT_FILE_SIZE } = require('../config/intakeImport');
+
+const upload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMPORT_FILE_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isSheet = /\.(csv|xlsx)$/i.test(file.originalname);
+    cb(isSheet ? null : new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'file'), isSheet);
+  }
+}).single('file');
+
+// Multer errors (wrong type, too large) become 400s instead of reaching the global handler
+const uploadSpreadsheet = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Spreadsheet must be smaller than ${MAX_IMPORT_FILE_SIZE / (1024 * 1024)} MB`
+        : 'Upload a single .csv or .xlsx file in the "file" field';
+      return res.status(400).json({ success: false, message });
+    }
+    next(err);
+  });
+};
+
+module.exports = {
+  uploadSpreadsheet
+};
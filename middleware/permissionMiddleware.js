@@ -0,0 +1,44 @@
+// Middleware: Permission-based Access
+const { PERMISSIONS, checkPermission } = require('../config/permissions');
+
+// Lab the request targets: route parameter first, then body, then query string
+const resolveLabId = (req, labParam) =>
+  (req.params && req.params[labParam]) ||
+  (req.body && req.body[labParam]) ||
+  (req.query && req.query[labParam]);
+
+/**
+ * Allow the request only if the authenticated user holds `permission`.
+ * With `labParam`, lab-scoped permissions also require an active assignment
+ * to that lab (admins and central store admins are not lab-scoped).
+ * @param {string} permission - a key of PERMISSIONS in config/permissions.js
+ * @param {{ labParam?: string }} [options]
+ */
+const requirePermission = (permission, { labParam } = {}) => {
+  // Fail at startup rather than on the first request
+  if (!PERMISSIONS[permission]) {
+    throw new Error(`Unknown permission "${permission}"`);
+  }
+
+  return (req, res, next) => {
+    let labId;
+    if (labParam && PERMISSIONS[permission].labAccess) {
+      labId = resolveLabId(req, labParam);
+      if (!labId) {
+        return res.status(400).json({ message: `${labParam} is required` });
+      }
+    }
+
+    const { allowed, reason } = checkPermission(req.user, permission, labId);
+    if (allowed) {
+      return next();
+    }
+
+    if (reason === 'lab') {
+      return res.status(403).json({ message: `Forbidden: You do not have access to lab ${labId}.` });
+    }
+    return res.status(403).json({ message: 'Forbidden: You do not have access to this resource.' });
+  };
+};
+
+module.exports = requirePermission;
@@ -1,9 +1,11 @@
 // Middleware: Role-based Access 
 // Middleware for role-based access control
-const authorizeRole = (roles) => {
+// Prefer requirePermission (middleware/permissionMiddleware.js) for new routes.
+// Accepts authorizeRole(['a', 'b']), authorizeRole('a') or authorizeRole('a', 'b').
+const authorizeRole = (...roles) => {
     return (req, res, next) => {
-      // Convert single role to array for consistent handling
-      const allowedRoles = Array.isArray(roles) ? roles : [roles];
+      // Flatten to one array for consistent handling
+      const allowedRoles = roles.flat();
       
       // Check if the user has the required role
       if (!req.user || !allowedRoles.includes(req.user.role)) {
@@ -0,0 +1,49 @@
+// Middleware: Safety Data Sheet upload
+// Accepts one PDF in the multipart field "sds" and stores it on local disk
+// under SDS_UPLOAD_DIR (default uploads/sds). The product controller records
+// the stored file name on Product.safety.sds.
+const fs = require('fs');
+const path = require('path');
+const crypto = require('crypto');
+const multer = require('multer');
+
+const SDS_DIR = path.resolve(process.env.SDS_UPLOAD_DIR || path.join(__dirname, '..', 'uploads', 'sds'));
+const MAX_SDS_SIZE = 10 * 1024 * 1024; // 10 MB
+
+const storage = multer.diskStorage({
+  destination: (req, file, cb) => {
+    fs.mkdir(SDS_DIR, { recursive: true }, (err) => cb(err, SDS_DIR));
+  },
+  // Random names: the original name is kept on the product, not trusted as a path
+  filename: (req, file, cb) => {
+    cb(null, `${req.params.id}-${Date.now()}-${crypto.randomBytes(4).toString('hex')}.pdf`);
+  }
+});
+
+const upload = multer({
+  storage,
+  limits: { fileSize: MAX_SDS_SIZE, files: 1 },
+  fileFilter: (req, file, cb) => {
+    const isPdf = file.mimetype === 'application/pdf' && /\.pdf$/i.test(file.originalname);
+    cb(isPdf ? null : new multer.MulterError('LIMIT_UNEXPECTED_FILE', 'sds'), isPdf);
+  }
+}).single('sds');
+
+// Multer errors (wrong type, too large) become 400s instead of reaching the global handler
+const uploadSds = (req, res, next) => {
+  upload(req, res, (err) => {
+    if (!err) return next();
+    if (err instanceof multer.MulterError) {
+      const message = err.code === 'LIMIT_FILE_SIZE'
+        ? `Safety Data Sheet must be smaller than ${MAX_SDS_SIZE / (1024 * 1024)} MB`
+        : 'Upload a single PDF file in the "sds" field';
+      return res.status(400).json({ success: false, message });
+    }
+    next(err);
+  });
+};
+
+module.exports = {
+  uploadSds,
+  SDS_DIR
+};
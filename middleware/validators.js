@@ -1,5 +1,6 @@
 const { body, param, query, validationResult } = require('express-validator');
 const { isValidObjectId } = require('mongoose');
+const { assertKnownUnit } = require('../services/unitService');
 
 // Validation middleware
 const validate = (req, res, next) => {
@@ -10,6 +11,12 @@ const validate = (req, res, next) => {
   next();
 };
 
+// Unit must be in the registry (config/units.js)
+const isRegisteredUnit = (value) => {
+  assertKnownUnit(value);
+  return true;
+};
+
 // Chemical request validation
 const validateChemicalRequest = [
   body('labId').isString().notEmpty(),
@@ -20,7 +27,7 @@ const validateChemicalRequest = [
   body('experiments.*.chemicals').isArray().notEmpty(),
   body('experiments.*.chemicals.*.chemicalName').isString().notEmpty(),
   body('experiments.*.chemicals.*.quantity').isFloat({ min: 0 }),
-  body('experiments.*.chemicals.*.unit').isString().notEmpty(),
+  body('experiments.*.chemicals.*.unit').isString().notEmpty().custom(isRegisteredUnit),
   validate
 ];
 
@@ -36,7 +43,7 @@ const validateUnifiedRequest = [
   body('experiments.*.chemicals').optional().isArray(),
   body('experiments.*.chemicals.*.chemicalName').optional().isString().notEmpty(),
   body('experiments.*.chemicals.*.quantity').optional().isFloat({ min: 0 }),
-  body('experiments.*.chemicals.*.unit').optional().isString().notEmpty(),
+  body('experiments.*.chemicals.*.unit').optional().isString().notEmpty().custom(isRegisteredUnit),
   // Equipment
   body('experiments.*.equipment').optional().isArray(),
   body('experiments.*.equipment.*.itemId').optional().isString().notEmpty(),
@@ -64,7 +71,7 @@ const validateQuotation = [
   body('chemicals').isArray().notEmpty(),
   body('chemicals.*.chemicalName').isString().notEmpty(),
   body('chemicals.*.quantity').isFloat({ min: 0 }),
-  body('chemicals.*.unit').isString().notEmpty(),
+  body('chemicals.*.unit').isString().notEmpty().custom(isRegisteredUnit),
   body('chemicals.*.pricePerUnit').isFloat({ min: 0 }),
   validate
 ];
@@ -176,6 +183,7 @@ const handleValidationErrors = (req, res, next) => {
 
 module.exports = {
   validate,
+  isRegisteredUnit,
   handleValidationErrors,
   validateChemicalRequest,
   validateUnifiedRequest,
@@ -0,0 +1,41 @@
+const mongoose = require('mongoose');
+
+// Who changed what, through which endpoint. Entity rows are written by the
+// activity plugin on tracked models (before/after plus a field-level diff);
+// mutating calls that touched no tracked model get a route-only row.
+const activityLogSchema = new mongoose.Schema(
+  {
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }, // null for scripts / jobs
+    actorRole: { type: String },
+    action: {
+      type: String,
+      required: true,
+      enum: ['create', 'update', 'delete', 'request']
+    },
+    entityType: { type: String, default: null }, // Product, Vendor, Lab, User, Experiment, Invoice
+    entityId: { type: String, default: null },
+    method: { type: String },
+    route: { type: String }, // matched route pattern, e.g. PUT /api/products/:id
+    path: { type: String }, // actual URL path, e.g. /api/products/64f...
+    statusCode: { type: Number },
+    before: { type: mongoose.Schema.Types.Mixed, default: null },
+    after: { type: mongoose.Schema.Types.Mixed, default: null },
+    changes: [
+      {
+        _id: false,
+        path: { type: String },
+        from: { type: mongoose.Schema.Types.Mixed },
+        to: { type: mongoose.Schema.Types.Mixed }
+      }
+    ],
+    ip: { type: String },
+    userAgent: { type: String }
+  },
+  { timestamps: { createdAt: true, updatedAt: false }, minimize: false }
+);
+
+activityLogSchema.index({ entityType: 1, entityId: 1, createdAt: -1 });
+activityLogSchema.index({ actor: 1, createdAt: -1 });
+activityLogSchema.index({ createdAt: -1 });
+
+module.exports = mongoose.model('ActivityLog', activityLogSchema);
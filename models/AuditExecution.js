@@ -5,6 +5,7 @@ const auditChecklistItemSchema = new mongoose.Schema({
   itemName: String,
   itemType: String, // 'chemical', 'equipment', 'glassware', 'others'
   expectedLocation: String,
+  expectedLocationId: { type: mongoose.Schema.Types.ObjectId, ref: 'StorageLocation' },
   actualLocation: String,
   status: {
     type: String,
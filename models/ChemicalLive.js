@@ -8,7 +8,9 @@ const chemicalLiveSchema = new mongoose.Schema(
       ref: 'ChemicalMaster',
       required: true,
     },
-    chemicalName: { type: String, required: true }, // Suffixed name (backend use)
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    lotId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lot' }, // the batch this stock belongs to
+    chemicalName: { type: String, required: true }, // Product name (suffixed " - A" on records before the lot migration)
     displayName: { type: String, required: true },  // Clean name (frontend use)
     unit: { type: String, required: true },
     labId: {
@@ -28,14 +30,29 @@ const chemicalLiveSchema = new mongoose.Schema(
       }
     },
     labName: { type: String }, // Denormalized lab name for performance (auto-synced)
-    quantity: { type: Number, required: true },
+    locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'StorageLocation', default: null }, // shelf / bin inside the lab
+    quantity: { type: Number, required: true, min: 0 },
+    reservedQuantity: { type: Number, default: 0, min: 0 }, // part of quantity held for pending transfers
     originalQuantity: { type: Number, required: true },
-    expiryDate: { type: Date},
+    expiryDate: { type: Date}, // manufacturer expiry
+    // First opening of the container; openedExpiryDate applies the product's
+    // "use within N days after opening" rule (see services/shelfLifeService.js)
+    openedAt: { type: Date, default: null },
+    openedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    openedExpiryDate: { type: Date, default: null },
     isAllocated: { type: Boolean, default: false },
+    // Signed label of the lot, shared by its records in every lab (services/labelService.js)
+    qrCodeData: { type: String },
+    qrCodeImage: { type: String },
   },
   { timestamps: true }
 );
 
+chemicalLiveSchema.index({ productId: 1, labId: 1 });
+chemicalLiveSchema.index({ lotId: 1, labId: 1 });
+chemicalLiveSchema.index({ locationId: 1 });
+chemicalLiveSchema.index({ openedExpiryDate: 1 });
+
 // Pre-save middleware to auto-populate labName
 chemicalLiveSchema.pre('save', async function(next) {
   if (this.isModified('labId') || !this.labName) {
@@ -56,4 +73,44 @@ chemicalLiveSchema.pre('save', async function(next) {
   next();
 });
 
+// Real-time stock events (deferred until commit when written inside a transaction)
+const publishStockEvent = (session, doc, options) => {
+  const { publishStockChange } = require('../services/notificationService');
+  const { runWhenCommitted } = require('../utils/stockTransaction');
+  runWhenCommitted(session, () => publishStockChange(doc, options));
+};
+
+// Remember whether quantity changed so post-save can publish
+chemicalLiveSchema.pre('save', function(next) {
+  this.$locals.quantityChanged = this.isNew || this.isModified('quantity');
+  next();
+});
+
+chemicalLiveSchema.post('save', function(doc) {
+  if (!doc.$locals.quantityChanged) return;
+  publishStockEvent(doc.$session(), doc);
+});
+
+chemicalLiveSchema.post('findOneAndUpdate', async function(result) {
+  // includeResultMetadata returns { value, lastErrorObject } instead of the document
+  const doc = result && result.lastErrorObject ? result.value : result;
+  if (!doc) return;
+  const update = this.getUpdate() || {};
+  const touchesQuantity = ['$inc', '$set'].some(op => update[op] && update[op].quantity !== undefined)
+    || update.quantity !== undefined;
+  if (!touchesQuantity) return;
+
+  // Without { new: true } the hook receives the pre-update document
+  const options = this.getOptions();
+  const returnsUpdated = options.new || options.returnDocument === 'after';
+  const current = returnsUpdated ? doc : await this.model.findById(doc._id).session(options.session || null);
+  if (!current) return;
+
+  publishStockEvent(options.session, current);
+});
+
+chemicalLiveSchema.post('deleteOne', { document: true, query: false }, function(doc) {
+  publishStockEvent(doc.$session(), doc, { deleted: true });
+});
+
 module.exports = mongoose.model('ChemicalLive', chemicalLiveSchema);
\ No newline at end of file
@@ -13,6 +13,7 @@ const chemicalMasterSchema = new mongoose.Schema(
     unit: { type: String, required: true },
     expiryDate: { type: Date },
     batchId: { type: String, required: true }, // No longer unique
+    lotId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lot' },
     vendor: { type: String, required: true },
     pricePerUnit: { type: Number, required: true },
     department: { type: String, required: true },
@@ -61,6 +62,8 @@ chemicalMasterSchema.post('save', async function(doc) {
       console.log(`⚠️ Missing ChemicalLive for master ${doc._id}, creating...`);
       await ChemicalLive.create({
         chemicalMasterId: doc._id,
+        productId: doc.productId,
+        lotId: doc.lotId,
         chemicalName: doc.chemicalName,
         displayName: doc.chemicalName.split(' - ')[0],
         unit: doc.unit,
@@ -0,0 +1,26 @@
+const mongoose = require('mongoose');
+const { activityPlugin } = require('../services/activityService');
+const { COMPATIBILITY_GROUPS, SEPARATION_LEVELS } = require('../config/storageCompatibility');
+
+// Admin override of one pair of the storage compatibility matrix
+// (config/storageCompatibility.js). separation 'none' switches a default rule off.
+const compatibilityRuleSchema = new mongoose.Schema(
+  {
+    pairKey: { type: String, required: true, unique: true }, // "acid|base", groups sorted
+    groups: {
+      type: [{ type: String, enum: Object.keys(COMPATIBILITY_GROUPS) }],
+      validate: {
+        validator: (value) => Array.isArray(value) && value.length === 2,
+        message: 'A rule names exactly two compatibility groups'
+      }
+    },
+    separation: { type: String, required: true, enum: ['none', ...SEPARATION_LEVELS] },
+    reason: { type: String, trim: true, maxlength: 200 },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+compatibilityRuleSchema.plugin(activityPlugin, { entity: 'CompatibilityRule' });
+
+module.exports = mongoose.model('CompatibilityRule', compatibilityRuleSchema);
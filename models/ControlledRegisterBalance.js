@@ -0,0 +1,21 @@
+const mongoose = require('mongoose');
+
+// Current balance and last sequence number per controlled register page
+// (product, lab, unit). Updated with a single $inc per entry, as
+// StockLedgerBalance is for the stock ledger.
+const controlledRegisterBalanceSchema = new mongoose.Schema(
+  {
+    registerKey: { type: String, required: true, unique: true },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    labId: { type: String, required: true },
+    name: { type: String },
+    unit: { type: String },
+    balance: { type: Number, default: 0 },
+    sequence: { type: Number, default: 0 }
+  },
+  { timestamps: true }
+);
+
+controlledRegisterBalanceSchema.index({ labId: 1 });
+
+module.exports = mongoose.model('ControlledRegisterBalance', controlledRegisterBalanceSchema);
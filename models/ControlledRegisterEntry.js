@@ -0,0 +1,54 @@
+const mongoose = require('mongoose');
+
+// Statutory register of controlled substances (Product.controlled).
+// One row per stock ledger movement of a controlled chemical, on a page per
+// (product, lab, unit): `sequence` numbers the page's entries and balanceAfter
+// is the page's running balance. Every movement needs a second signatory
+// (witnessedBy); rows written without one are kept and flagged. Like the stock
+// ledger, rows can be inserted but never changed or removed.
+const controlledRegisterEntrySchema = new mongoose.Schema(
+  {
+    registerKey: { type: String, required: true }, // product|lab|unit
+    sequence: { type: Number, required: true }, // per registerKey, strictly increasing
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    name: { type: String, required: true },
+    casNumber: { type: String },
+    schedule: { type: String },
+    labId: { type: String, required: true },
+    counterpartyLabId: { type: String },
+    movementType: { type: String, required: true },
+    quantity: { type: Number, required: true }, // signed: + into labId, - out of labId
+    unit: { type: String },
+    balanceAfter: { type: Number, required: true },
+    batchId: { type: String },
+    chemicalMasterId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChemicalMaster' },
+    ledgerEntryId: { type: mongoose.Schema.Types.ObjectId, ref: 'StockLedger', required: true },
+    referenceType: { type: String },
+    referenceId: { type: String },
+    note: { type: String },
+    performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    witnessedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', default: null }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+controlledRegisterEntrySchema.index({ registerKey: 1, sequence: 1 }, { unique: true });
+controlledRegisterEntrySchema.index({ labId: 1, createdAt: 1 });
+controlledRegisterEntrySchema.index({ productId: 1, createdAt: 1 });
+controlledRegisterEntrySchema.index({ ledgerEntryId: 1 });
+
+// Append-only: rows can be inserted but never changed or removed
+const rejectMutation = function () {
+  throw new Error('The controlled substance register is append-only');
+};
+controlledRegisterEntrySchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+controlledRegisterEntrySchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('The controlled substance register is append-only'));
+  next();
+});
+
+module.exports = mongoose.model('ControlledRegisterEntry', controlledRegisterEntrySchema);
@@ -0,0 +1,87 @@
+const mongoose = require('mongoose');
+const { nextDayNumber } = require('../utils/documentNumbers');
+const { activityPlugin } = require('../services/activityService');
+const {
+  DISPOSAL_REASONS,
+  DISPOSAL_METHODS,
+  WASTE_UNITS,
+  DISPOSAL_STATUSES
+} = require('../config/disposal');
+
+// One quarantined stock record; value is quantity x ChemicalMaster.pricePerUnit
+const disposalItemSchema = new mongoose.Schema({
+  chemicalLiveId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChemicalLive', required: true },
+  chemicalMasterId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChemicalMaster' },
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  lotId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lot' },
+  chemicalName: { type: String, required: true },
+  batchId: { type: String },
+  quantity: { type: Number, required: true, min: 0 },
+  unit: { type: String, required: true },
+  expiryDate: { type: Date },
+  pricePerUnit: { type: Number }, // per ChemicalMaster unit
+  value: { type: Number, default: 0 }
+}, { _id: true });
+
+const historySchema = new mongoose.Schema({
+  status: { type: String, enum: DISPOSAL_STATUSES, required: true },
+  at: { type: Date, default: Date.now },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String }
+}, { _id: false });
+
+// Quarantine -> request -> approval -> disposal by a waste contractor (config/disposal.js)
+const disposalSchema = new mongoose.Schema(
+  {
+    disposalNumber: { type: String, required: true, unique: true }, // DSP-YYYYMMDD-NNN
+    labId: { type: String, required: true },
+    status: { type: String, enum: DISPOSAL_STATUSES, default: 'quarantined' },
+    reason: { type: String, enum: Object.keys(DISPOSAL_REASONS), required: true },
+    notes: { type: String, trim: true, maxlength: 500 },
+    items: {
+      type: [disposalItemSchema],
+      validate: {
+        validator: (items) => items.length > 0,
+        message: 'A disposal needs at least one item'
+      }
+    },
+    totalValue: { type: Number, default: 0 },
+    quarantinedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    requestedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    requestedAt: { type: Date },
+    reviewedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reviewedAt: { type: Date },
+    reviewComments: { type: String, trim: true },
+    // Filled in when the contractor collects the waste
+    contractor: {
+      name: { type: String, trim: true },
+      licenceNumber: { type: String, trim: true },
+      contact: { type: String, trim: true }
+    },
+    method: { type: String, enum: Object.keys(DISPOSAL_METHODS) },
+    wasteAmount: {
+      value: { type: Number, min: 0 },
+      unit: { type: String, enum: WASTE_UNITS }
+    },
+    manifestNumber: { type: String, trim: true },
+    disposedAt: { type: Date },
+    disposedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    witnessedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // controlled substances
+    history: [historySchema]
+  },
+  { timestamps: true }
+);
+
+disposalSchema.index({ labId: 1, status: 1 });
+disposalSchema.index({ status: 1, disposedAt: 1 });
+disposalSchema.index({ 'items.chemicalLiveId': 1 });
+disposalSchema.index({ manifestNumber: 1 }, { sparse: true });
+
+// Next free disposal number for the day (callers retry on a duplicate key)
+disposalSchema.statics.nextDisposalNumber = function(date = new Date()) {
+  return nextDayNumber(this, 'disposalNumber', 'DSP', date);
+};
+
+disposalSchema.plugin(activityPlugin, { entity: 'Disposal' });
+
+module.exports = mongoose.model('Disposal', disposalSchema);
@@ -22,7 +22,7 @@ const equipmentLiveSchema = new mongoose.Schema({
     }
   },
   labName: { type: String }, // Denormalized lab name for performance (auto-synced)
-  status: { type: String, enum: ['Available', 'Issued', 'Assigned','Maintenance', 'Discarded'], default: 'Available' },
+  status: { type: String, enum: ['Available', 'Issued', 'Assigned','Maintenance', 'Discarded', 'In Transfer'], default: 'Available' }, // 'In Transfer': reserved by a pending lab-to-lab transfer
   location: { type: String, default: 'Central Store' },
   assignedTo: { type: String, default: null },
   warranty: { type: Date },
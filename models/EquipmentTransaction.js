@@ -2,7 +2,7 @@ const mongoose = require('mongoose');
 
 const equipmentTransactionSchema = new mongoose.Schema({
   itemId: { type: String, required: true },
-  action: { type: String, enum: ['issue', 'assign','returned to lab', 'returned','return','discard', 'maintenance'], required: true },
+  action: { type: String, enum: ['issue', 'assign','returned to lab', 'returned','return','discard', 'maintenance', 'transfer'], required: true },
   performedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   performedByRole: { type: String },
   fromLocation: { type: String },
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { activityPlugin } = require('../services/activityService');
 
 const experimentSchema = new mongoose.Schema({
   name: {
@@ -103,6 +104,8 @@ experimentSchema.pre('save', async function(next) {
   next();
 });
 
+experimentSchema.plugin(activityPlugin, { entity: 'Experiment' });
+
 const Experiment = mongoose.model('Experiment', experimentSchema);
 
 module.exports = Experiment; 
\ No newline at end of file
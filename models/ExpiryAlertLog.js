@@ -0,0 +1,33 @@
+const mongoose = require('mongoose');
+
+// One row per (stock document, date field, date, threshold) that has been alerted.
+// The unique index is what guarantees a batch is never alerted twice at the same
+// threshold for the same date; an expiry and a warranty date alert separately.
+const expiryAlertLogSchema = new mongoose.Schema(
+  {
+    itemType: {
+      type: String,
+      required: true,
+      enum: ['ChemicalLive', 'GlasswareLive', 'OtherProductLive', 'EquipmentLive']
+    },
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true, refPath: 'itemType' },
+    category: { type: String, required: true },
+    name: { type: String, required: true },
+    batchId: { type: String },
+    labId: { type: String, required: true },
+    dateField: { type: String, enum: ['expiryDate', 'warranty', 'openedExpiryDate'], default: 'expiryDate' },
+    expiryDate: { type: Date, required: true },
+    threshold: { type: Number, required: true }, // 0 = already expired
+    daysLeft: { type: Number, required: true },
+    notifiedUsers: [{ type: mongoose.Schema.Types.ObjectId, ref: 'User' }]
+  },
+  { timestamps: true }
+);
+
+expiryAlertLogSchema.index(
+  { itemType: 1, itemId: 1, dateField: 1, expiryDate: 1, threshold: 1 },
+  { unique: true }
+);
+expiryAlertLogSchema.index({ labId: 1, createdAt: -1 });
+
+module.exports = mongoose.model('ExpiryAlertLog', expiryAlertLogSchema);
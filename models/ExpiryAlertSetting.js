@@ -0,0 +1,35 @@
+const mongoose = require('mongoose');
+
+// Per-category expiry alert thresholds (days before expiry)
+const expiryAlertSettingSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      required: true,
+      unique: true,
+      enum: ['chemical', 'glassware', 'equipment', 'others'],
+      lowercase: true
+    },
+    thresholds: {
+      type: [{ type: Number, min: 0 }],
+      default: [90, 30, 7],
+      validate: {
+        validator: (value) => Array.isArray(value) && value.length > 0,
+        message: 'At least one threshold is required'
+      }
+    },
+    isActive: { type: Boolean, default: true },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+// Keep thresholds unique and sorted from furthest to nearest
+expiryAlertSettingSchema.pre('save', function(next) {
+  if (this.isModified('thresholds')) {
+    this.thresholds = [...new Set(this.thresholds.map(Number))].sort((a, b) => b - a);
+  }
+  next();
+});
+
+module.exports = mongoose.model('ExpiryAlertSetting', expiryAlertSettingSchema);
@@ -21,7 +21,9 @@ const glasswareLiveSchema = new mongoose.Schema({
     }
   },
   labName: { type: String }, // Denormalized lab name for performance (auto-synced)
-  quantity: { type: Number, required: true },
+  locationId: { type: mongoose.Schema.Types.ObjectId, ref: 'StorageLocation', default: null }, // shelf / bin inside the lab
+  quantity: { type: Number, required: true, min: 0 },
+  reservedQuantity: { type: Number, default: 0, min: 0 }, // part of quantity held for pending transfers
   unit: { type: String },
   condition: { 
     type: String, 
@@ -16,6 +16,7 @@ const indentSchema = new mongoose.Schema({
   chemicals: [
     {
       chemicalName: { type: String, required: true },
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' }, // set by the reorder engine
       quantity: { type: Number, required: true },
       unit: { type: String, required: true },
       remarks: { type: String }, // Added field for chemical-specific remarks
@@ -24,6 +25,7 @@ const indentSchema = new mongoose.Schema({
   equipment: [
     {
       equipmentName: { type: String, required: true },
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' }, // set by the reorder engine
       quantity: { type: Number, required: true },
       unit: { type: String, required: true },
       specifications: { type: String },
@@ -33,6 +35,7 @@ const indentSchema = new mongoose.Schema({
   glassware: [
     {
       glasswareName: { type: String, required: true },
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' }, // set by the reorder engine
       quantity: { type: Number, required: true },
       unit: { type: String, required: true },
       condition: { type: String, enum: ['new', 'good', 'fair'], default: 'new' },
@@ -45,6 +48,8 @@ const indentSchema = new mongoose.Schema({
     enum: [
       // For Lab Assistant
       'pending', 'reviewed', 'allocated', 'partially_fulfilled', 'rejected',
+      // For Central Admin
+      'draft'
     ],
     required: true,
   },
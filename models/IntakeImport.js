@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const { activityPlugin } = require('../services/activityService');
+const { IMPORT_CATEGORIES, IMPORT_STATUSES } = require('../config/intakeImport');
+
+// A row of the sheet as uploaded, keyed by its header
+const rowSchema = new mongoose.Schema({
+  rowNumber: { type: Number, required: true },
+  values: { type: mongoose.Schema.Types.Mixed, default: {} }
+}, { _id: false });
+
+// One problem with one row (row 0: the sheet as a whole, e.g. a missing column)
+const rowErrorSchema = new mongoose.Schema({
+  row: { type: Number, required: true },
+  field: { type: String },
+  message: { type: String, required: true }
+}, { _id: false });
+
+// An uploaded intake sheet: validated on upload (dry run), committed to the
+// central store once clean. The rows are kept so the commit re-validates
+// exactly what was previewed against the products and vendors of that moment.
+const intakeImportSchema = new mongoose.Schema(
+  {
+    category: { type: String, enum: IMPORT_CATEGORIES, required: true },
+    fileName: { type: String, required: true, trim: true },
+    status: { type: String, enum: IMPORT_STATUSES, default: 'validated' },
+    headers: [{ type: String }],
+    rows: [rowSchema],
+    rowErrors: [rowErrorSchema],
+    // Central-store intake the commit produced: batch, records created, quantities
+    result: { type: mongoose.Schema.Types.Mixed },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    validatedAt: { type: Date, default: Date.now },
+    committedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    committedAt: { type: Date }
+  },
+  { timestamps: true }
+);
+
+intakeImportSchema.index({ status: 1, createdAt: -1 });
+intakeImportSchema.index({ createdBy: 1, createdAt: -1 });
+
+intakeImportSchema.plugin(activityPlugin, { entity: 'IntakeImport', exclude: ['rows', 'rowErrors', 'result'] });
+
+module.exports = mongoose.model('IntakeImport', intakeImportSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { activityPlugin } = require('../services/activityService');
 
 const invoiceLineItemSchema = new mongoose.Schema({
   productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
@@ -10,6 +11,7 @@ const invoiceLineItemSchema = new mongoose.Schema({
   totalPrice: { type: Number, required: true },
   pricePerUnit: { type: Number, required: true },
   expiryDate: { type: Date },
+  manufacturerBatch: { type: String, trim: true }, // chemicals: batch / lot printed by the manufacturer
   warranty: { type: Date }, // Optional warranty field
 });
 
@@ -30,4 +32,6 @@ invoiceSchema.pre('save', function(next) {
   next();
 });
 
+invoiceSchema.plugin(activityPlugin, { entity: 'Invoice' });
+
 module.exports = mongoose.model('Invoice', invoiceSchema);
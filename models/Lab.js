@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { activityPlugin } = require('../services/activityService');
 
 const labSchema = new mongoose.Schema(
   {
@@ -119,4 +120,6 @@ labSchema.statics.getLabInfo = async function(labId) {
   return await this.findOne({ labId, isActive: true }).select('labId labName description isSystem');
 };
 
+labSchema.plugin(activityPlugin, { entity: 'Lab' });
+
 module.exports = mongoose.model('Lab', labSchema);
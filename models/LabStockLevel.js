@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { activityPlugin } = require('../services/activityService');
+
+// Stock levels one lab keeps of one product, in the product's unit (items for
+// equipment). Below minLevel the lab must be replenished; replenishment tops
+// it up to parLevel; more than maxLevel is overstock. Product.thresholdValue
+// stays the central store's own reorder threshold.
+const labStockLevelSchema = new mongoose.Schema(
+  {
+    labId: { type: String, required: true, trim: true },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    minLevel: { type: Number, required: true, min: [0, 'minLevel cannot be negative'] },
+    parLevel: { type: Number, required: true, min: [0, 'parLevel cannot be negative'] },
+    maxLevel: { type: Number, min: [0, 'maxLevel cannot be negative'] }, // no ceiling when unset
+    notes: { type: String, trim: true, maxlength: 200 },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+labStockLevelSchema.index({ labId: 1, productId: 1 }, { unique: true });
+
+// min <= par <= max
+labStockLevelSchema.pre('validate', function(next) {
+  if (this.parLevel < this.minLevel) {
+    this.invalidate('parLevel', 'parLevel must be at least minLevel', this.parLevel);
+  }
+  if (this.maxLevel !== undefined && this.maxLevel !== null && this.maxLevel < this.parLevel) {
+    this.invalidate('maxLevel', 'maxLevel must be at least parLevel', this.maxLevel);
+  }
+  next();
+});
+
+labStockLevelSchema.plugin(activityPlugin, { entity: 'LabStockLevel' });
+
+module.exports = mongoose.model('LabStockLevel', labStockLevelSchema);
@@ -0,0 +1,36 @@
+const mongoose = require('mongoose');
+
+// A stock record changing storage location inside its lab: put-away on
+// allocation or a manual move. Paths are copied so the history stays readable
+// after locations are renamed or removed.
+const locationMoveSchema = new mongoose.Schema(
+  {
+    labId: { type: String, required: true },
+    itemModel: {
+      type: String,
+      required: true,
+      enum: ['ChemicalLive', 'GlasswareLive', 'OtherProductLive']
+    },
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true, refPath: 'itemModel' },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    name: { type: String },
+    quantity: { type: Number },
+    unit: { type: String },
+    fromLocationId: { type: mongoose.Schema.Types.ObjectId, ref: 'StorageLocation', default: null },
+    toLocationId: { type: mongoose.Schema.Types.ObjectId, ref: 'StorageLocation', default: null },
+    fromPath: { type: String },
+    toPath: { type: String },
+    reason: { type: String, enum: ['put_away', 'move'], required: true },
+    referenceType: { type: String }, // Request, Indent, Quotation...
+    referenceId: { type: String },
+    note: { type: String, trim: true },
+    movedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+locationMoveSchema.index({ labId: 1, createdAt: -1 });
+locationMoveSchema.index({ itemId: 1, createdAt: -1 });
+locationMoveSchema.index({ toLocationId: 1 });
+
+module.exports = mongoose.model('LocationMove', locationMoveSchema);
@@ -0,0 +1,37 @@
+const mongoose = require('mongoose');
+const { nextDayNumber } = require('../utils/documentNumbers');
+
+// One received lot of a chemical: a single delivery with one expiry date.
+// The central ChemicalMaster / ChemicalLive record of the lot and every lab
+// ChemicalLive holding part of it reference the lot, so stock is matched by
+// product and lot instead of by " - A" / " - B" name suffixes.
+const lotSchema = new mongoose.Schema(
+  {
+    lotNumber: { type: String, required: true, unique: true }, // LOT-YYYYMMDD-NNN
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product', required: true },
+    chemicalMasterId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChemicalMaster' },
+    manufacturerBatch: { type: String, trim: true }, // batch / lot printed by the manufacturer
+    receivedDate: { type: Date, default: Date.now },
+    expiryDate: { type: Date },
+    vendor: { type: String },
+    unit: { type: String },
+    quantityReceived: { type: Number, default: 0 },
+    costPerUnit: { type: Number },
+    invoiceId: { type: mongoose.Schema.Types.ObjectId, ref: 'Invoice' },
+    invoiceLineItemId: { type: mongoose.Schema.Types.ObjectId },
+    intakeBatchId: { type: String }, // ChemicalMaster.batchId of the intake run
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+lotSchema.index({ productId: 1, expiryDate: 1 });
+lotSchema.index({ chemicalMasterId: 1 });
+lotSchema.index({ invoiceId: 1 });
+
+// Next free lot number for the day (callers retry on a duplicate key)
+lotSchema.statics.nextLotNumber = function(date = new Date()) {
+  return nextDayNumber(this, 'lotNumber', 'LOT', date);
+};
+
+module.exports = mongoose.model('Lot', lotSchema);
@@ -13,7 +13,7 @@ const notificationSchema = new mongoose.Schema(
     },
     type: {
       type: String,
-      enum: ['info', 'warning', 'error', 'request','request_edited', 'audit'],
+      enum: ['info', 'warning', 'error', 'request','request_edited', 'audit', 'transfer'],
       required: true,
     },
     read: {
@@ -24,4 +24,16 @@ const notificationSchema = new mongoose.Schema(
   { timestamps: true }
 );
 
+// Push every new notification over the real-time channel
+notificationSchema.pre('save', function(next) {
+  this.$locals.wasNew = this.isNew;
+  next();
+});
+
+notificationSchema.post('save', function(doc) {
+  if (!doc.$locals.wasNew) return;
+  const { publishNotification } = require('../services/notificationService');
+  publishNotification(doc);
+});
+
 module.exports = mongoose.model('Notification', notificationSchema);
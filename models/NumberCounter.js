@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Last number issued per day-numbered series ("LOT-20250301-", "TRF-20250301-").
+// Taken with a single $inc, so concurrent writers get distinct numbers and the
+// count goes on past 999 (utils/documentNumbers.js).
+const numberCounterSchema = new mongoose.Schema(
+  {
+    counterKey: { type: String, required: true, unique: true },
+    sequence: { type: Number, default: 0 }
+  },
+  { timestamps: true }
+);
+
+module.exports = mongoose.model('NumberCounter', numberCounterSchema);
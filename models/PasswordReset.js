@@ -0,0 +1,44 @@
+const mongoose = require('mongoose');
+const bcrypt = require('bcryptjs');
+const crypto = require('crypto');
+
+// One password reset state per email. Only hashes of the OTP and of the
+// reset token are stored; MongoDB's TTL monitor removes the document once
+// `expiresAt` (OTP, token or lockout expiry, whichever is latest) has passed.
+const passwordResetSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    otpHash: { type: String },
+    otpExpiresAt: { type: Date },
+    // Failed OTP checks since the last success; reaching the limit sets lockedUntil
+    attempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date },
+    resetTokenHash: { type: String },
+    resetTokenExpiresAt: { type: Date },
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+passwordResetSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+passwordResetSchema.index({ resetTokenHash: 1 }, { sparse: true });
+
+// Reset tokens are long random strings, so a fast hash is enough
+passwordResetSchema.statics.hashToken = function(token) {
+  return crypto.createHash('sha256').update(String(token)).digest('hex');
+};
+
+passwordResetSchema.statics.hashOtp = function(otp) {
+  return bcrypt.hash(String(otp), 10);
+};
+
+passwordResetSchema.methods.compareOtp = function(otp) {
+  return this.otpHash ? bcrypt.compare(String(otp), this.otpHash) : Promise.resolve(false);
+};
+
+passwordResetSchema.methods.isLocked = function(now = new Date()) {
+  return Boolean(this.lockedUntil && this.lockedUntil > now);
+};
+
+module.exports = mongoose.model('PasswordReset', passwordResetSchema);
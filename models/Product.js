@@ -1,4 +1,75 @@
 const mongoose = require('mongoose');
+const { activityPlugin } = require('../services/activityService');
+const { normalizeUnit, KNOWN_UNITS } = require('../services/unitService');
+const { isValidCasNumber } = require('../services/hazardService');
+const { HAZARD_CLASSES, SIGNAL_WORDS, STORAGE_CLASSES, PPE_TYPES } = require('../config/hazards');
+const { COMPATIBILITY_GROUPS } = require('../config/storageCompatibility');
+
+// Safety Data Sheet file, stored under SDS_UPLOAD_DIR (middleware/sdsUpload.js)
+const sdsSchema = new mongoose.Schema({
+  fileName: { type: String, required: true },
+  originalName: { type: String, trim: true },
+  mimeType: { type: String },
+  size: { type: Number },
+  revisionDate: { type: Date },
+  uploadedAt: { type: Date, default: Date.now },
+  uploadedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
+
+// GHS classification of a chemical product; keys come from config/hazards.js
+const safetySchema = new mongoose.Schema({
+  casNumber: {
+    type: String,
+    trim: true,
+    validate: {
+      validator: (value) => !value || isValidCasNumber(value),
+      message: props => `"${props.value}" is not a valid CAS number`
+    }
+  },
+  hazardClasses: [{
+    type: String,
+    enum: { values: Object.keys(HAZARD_CLASSES), message: 'Unknown hazard class "{VALUE}"' }
+  }],
+  hazardStatements: [{
+    type: String,
+    trim: true,
+    uppercase: true,
+    match: [/^(EU)?H\d{3}[A-Z]{0,2}$/, 'Hazard statements are H-codes such as H225']
+  }],
+  signalWord: {
+    type: String,
+    lowercase: true,
+    enum: { values: SIGNAL_WORDS, message: 'Signal word must be danger or warning' }
+  },
+  storageClass: {
+    type: String,
+    uppercase: true,
+    enum: { values: Object.keys(STORAGE_CLASSES), message: 'Unknown storage class "{VALUE}"' }
+  },
+  ppe: [{
+    type: String,
+    enum: { values: Object.keys(PPE_TYPES), message: 'Unknown PPE type "{VALUE}"' }
+  }],
+  // Storage compatibility groups GHS data cannot express (acid, base, cyanide);
+  // the others are derived from hazardClasses and storageClass
+  compatibilityGroups: [{
+    type: String,
+    enum: { values: Object.keys(COMPATIBILITY_GROUPS), message: 'Unknown compatibility group "{VALUE}"' }
+  }],
+  sds: sdsSchema
+}, { _id: false });
+
+// Statutory control of a chemical (precursors, narcotics reagents...): every
+// movement of a controlled product needs a witness and lands in the
+// controlled substance register (services/controlledSubstanceService.js)
+const controlledSchema = new mongoose.Schema({
+  isControlled: { type: Boolean, default: false },
+  schedule: { type: String, trim: true, maxlength: 100 }, // e.g. "Precursor Category 2"
+  authority: { type: String, trim: true, maxlength: 100 },
+  licenceNumber: { type: String, trim: true, maxlength: 100 },
+  updatedAt: { type: Date },
+  updatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+}, { _id: false });
 
 const productSchema = new mongoose.Schema({
   name: {
@@ -38,14 +109,69 @@ const productSchema = new mongoose.Schema({
     trim: true,
     maxlength: [50, 'Variant cannot exceed 50 characters']
   },
+  safety: {
+    type: safetySchema,
+    default: undefined
+  },
+  controlled: {
+    type: controlledSchema,
+    default: undefined
+  },
+  // Chemicals only: containers must be used within this many days of opening
+  shelfLifeAfterOpeningDays: {
+    type: Number,
+    min: [1, 'Shelf life after opening must be at least 1 day'],
+    default: undefined
+  },
+  // Days from ordering to delivery; the reorder engine falls back to REORDER_LEAD_TIME_DAYS
+  leadTimeDays: {
+    type: Number,
+    min: [0, 'Lead time cannot be negative'],
+    default: undefined
+  },
   createdAt: {
     type: Date,
     default: Date.now
   }
 });
 
+// Chemicals are converted between units (500 mL against stock kept in L), so
+// their unit must be in the registry; it is stored as the canonical symbol.
+// Only new or changed units are checked: products saved before the registry
+// may still carry units like "bottle" (scripts/migrateChemicalUnits.js lists
+// them) and must stay editable. Glassware and other items keep free-text units.
+productSchema.pre('validate', function(next) {
+  if (this.category === 'chemical' && this.unit) {
+    const symbol = normalizeUnit(this.unit);
+    if (symbol) {
+      this.unit = symbol;
+    } else if (this.isNew || this.isModified('unit') || this.isModified('category')) {
+      this.invalidate('unit', `Unknown unit "${this.unit}". Known units: ${KNOWN_UNITS.join(', ')}`, this.unit);
+    }
+  }
+  next();
+});
+
+// Hazard data, statutory control and shelf life after opening only describe chemicals
+productSchema.pre('validate', function(next) {
+  if (this.category !== 'chemical' && this.safety) {
+    this.invalidate('safety', 'Safety data can only be recorded for chemical products');
+  }
+  if (this.category !== 'chemical' && this.controlled && this.controlled.isControlled) {
+    this.invalidate('controlled', 'Only chemical products can be controlled substances');
+  }
+  if (this.category !== 'chemical' && this.shelfLifeAfterOpeningDays) {
+    this.invalidate('shelfLifeAfterOpeningDays', 'Shelf life after opening only applies to chemical products');
+  }
+  next();
+});
+
 // Indexes for better performance
 productSchema.index({ name: 1 }); // For faster searching by name
 productSchema.index({ category: 1 }); // For faster filtering by category
+productSchema.index({ 'safety.casNumber': 1 }, { sparse: true });
+productSchema.index({ 'controlled.isControlled': 1 }, { sparse: true });
+
+productSchema.plugin(activityPlugin, { entity: 'Product' });
 
 module.exports = mongoose.model('Product', productSchema);
\ No newline at end of file
@@ -20,6 +20,7 @@ const quotationSchema = new mongoose.Schema({
   chemicals: [
     {
       chemicalName: { type: String, required: true },
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' }, // set by the reorder engine
       quantity: { type: Number, required: true },
       unit: { type: String, required: true },
       pricePerUnit: { type: Number }, // optional for lab assistant
@@ -29,6 +30,7 @@ const quotationSchema = new mongoose.Schema({
   equipment: [
     {
       equipmentName: { type: String, required: true },
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' }, // set by the reorder engine
       quantity: { type: Number, required: true },
       unit: { type: String, required: true },
       pricePerUnit: { type: Number }, // optional for lab assistant
@@ -39,6 +41,7 @@ const quotationSchema = new mongoose.Schema({
   glassware: [
     {
       glasswareName: { type: String, required: true },
+      productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' }, // set by the reorder engine
       quantity: { type: Number, required: true },
       unit: { type: String, required: true },
       pricePerUnit: { type: Number }, // optional for lab assistant
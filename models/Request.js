@@ -98,7 +98,16 @@ const requestSchema = new mongoose.Schema(
                 allocatedBy: {
                   type: mongoose.Schema.Types.ObjectId,
                   ref: 'User'
-                }
+                },
+                // Lots the quantity was drawn from (returns go back to the same lot)
+                lots: [
+                  {
+                    lotId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lot' },
+                    chemicalLiveId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChemicalLive' },
+                    fromLabId: String,
+                    quantity: Number
+                  }
+                ]
               }
             ]
           },
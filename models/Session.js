@@ -0,0 +1,31 @@
+const mongoose = require('mongoose');
+
+// One login session. The refresh token is rotated on every use; only its hash
+// is stored, plus the previous hash so a replayed (stolen) token can be detected.
+const sessionSchema = new mongoose.Schema(
+  {
+    user: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true, index: true },
+    refreshTokenHash: { type: String, required: true },
+    previousRefreshTokenHash: { type: String },
+    userAgent: { type: String },
+    ip: { type: String },
+    lastUsedAt: { type: Date, default: Date.now },
+    expiresAt: { type: Date, required: true },
+    revokedAt: { type: Date, default: null },
+    revokedReason: {
+      type: String,
+      enum: ['logout', 'admin', 'role_change', 'lab_assignment_change', 'password_change', 'user_deleted', 'token_reuse']
+    },
+    revokedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+// Expired sessions are removed by MongoDB's TTL monitor
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+sessionSchema.methods.isActive = function(now = new Date()) {
+  return !this.revokedAt && this.expiresAt > now;
+};
+
+module.exports = mongoose.model('Session', sessionSchema);
@@ -0,0 +1,78 @@
+const mongoose = require('mongoose');
+
+// Append-only stock ledger shared by every product category.
+// Each row is one signed movement on one (category, product, batch, lab) key;
+// balanceAfter is the running balance of that key once the movement applied.
+// Mistakes are corrected with a new 'reversal' or 'adjustment' row, never by editing.
+const MOVEMENT_TYPES = [
+  'intake',       // invoice / quotation purchase / manual entry into central store
+  'allocation',   // central store <-> lab
+  'issue',        // lab -> faculty
+  'return',       // faculty -> lab / central store
+  'transfer',     // lab <-> lab
+  'disposal',     // expired, broken or discarded stock leaving the books
+  'quarantine',   // held for disposal (out of usable stock) / released again
+  'maintenance',  // sent out for / back from maintenance
+  'adjustment',   // audit corrections, merges
+  'reversal'      // compensation for a movement that was rolled back
+];
+
+const stockLedgerSchema = new mongoose.Schema(
+  {
+    category: {
+      type: String,
+      required: true,
+      enum: ['chemical', 'glassware', 'equipment', 'others']
+    },
+    itemModel: {
+      type: String,
+      required: true,
+      enum: ['ChemicalLive', 'GlasswareLive', 'OtherProductLive', 'EquipmentLive']
+    },
+    itemId: { type: mongoose.Schema.Types.ObjectId, required: true, refPath: 'itemModel' },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    chemicalMasterId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChemicalMaster' }, // chemicals only
+    batchId: { type: String },
+    balanceKey: { type: String, required: true }, // category|product|batch|lab
+    name: { type: String, required: true },
+    variant: { type: String },
+    unit: { type: String },
+    labId: { type: String, required: true },
+    counterpartyLabId: { type: String }, // other side of the movement ('faculty', 'vendor', a lab...)
+    movementType: { type: String, required: true, enum: MOVEMENT_TYPES },
+    quantity: { type: Number, required: true }, // signed: + into labId, - out of labId
+    balanceAfter: { type: Number, required: true },
+    sequence: { type: Number, required: true }, // per balanceKey, strictly increasing
+    referenceType: { type: String }, // Request, Invoice, Indent, Quotation, Audit...
+    referenceId: { type: String },
+    reversalOf: { type: mongoose.Schema.Types.ObjectId, ref: 'StockLedger' },
+    note: { type: String },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+stockLedgerSchema.index({ balanceKey: 1, sequence: 1 }, { unique: true });
+stockLedgerSchema.index({ labId: 1, createdAt: 1 });
+stockLedgerSchema.index({ productId: 1, labId: 1, createdAt: 1 });
+stockLedgerSchema.index({ category: 1, createdAt: 1 });
+stockLedgerSchema.index({ itemId: 1, createdAt: 1 });
+stockLedgerSchema.index({ referenceType: 1, referenceId: 1 });
+
+// Append-only: rows can be inserted but never changed or removed
+const rejectMutation = function () {
+  throw new Error('StockLedger is append-only; record a reversal or adjustment instead');
+};
+stockLedgerSchema.pre(
+  ['updateOne', 'updateMany', 'findOneAndUpdate', 'replaceOne', 'findOneAndReplace',
+    'deleteOne', 'deleteMany', 'findOneAndDelete'],
+  rejectMutation
+);
+stockLedgerSchema.pre('save', function (next) {
+  if (!this.isNew) return next(new Error('StockLedger is append-only; record a reversal or adjustment instead'));
+  next();
+});
+
+stockLedgerSchema.statics.MOVEMENT_TYPES = MOVEMENT_TYPES;
+
+module.exports = mongoose.model('StockLedger', stockLedgerSchema);
@@ -0,0 +1,24 @@
+const mongoose = require('mongoose');
+
+// Current balance and last sequence number per ledger key.
+// Updated with a single $inc per movement so concurrent writers get
+// distinct sequence numbers and consistent running balances.
+const stockLedgerBalanceSchema = new mongoose.Schema(
+  {
+    balanceKey: { type: String, required: true, unique: true },
+    category: { type: String, required: true },
+    productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+    chemicalMasterId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChemicalMaster' },
+    batchId: { type: String },
+    labId: { type: String, required: true },
+    name: { type: String },
+    unit: { type: String },
+    balance: { type: Number, default: 0 },
+    sequence: { type: Number, default: 0 }
+  },
+  { timestamps: true }
+);
+
+stockLedgerBalanceSchema.index({ labId: 1, category: 1 });
+
+module.exports = mongoose.model('StockLedgerBalance', stockLedgerBalanceSchema);
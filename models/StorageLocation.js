@@ -0,0 +1,40 @@
+const mongoose = require('mongoose');
+const { activityPlugin } = require('../services/activityService');
+const { LOCATION_TYPES } = require('../config/storageLocations');
+
+// One node of a lab's storage tree (room -> cabinet -> shelf / bin).
+// `ancestors` and `path` are kept in sync by services/locationService.js so
+// subtrees and checklists can be read without walking the tree.
+const storageLocationSchema = new mongoose.Schema(
+  {
+    labId: { type: String, required: true, trim: true },
+    name: {
+      type: String,
+      required: [true, 'Location name is required'],
+      trim: true,
+      maxlength: [60, 'Location name cannot exceed 60 characters']
+    },
+    code: { type: String, trim: true, maxlength: 20 }, // short label printed on the shelf, e.g. "C2-S3"
+    type: {
+      type: String,
+      required: true,
+      enum: { values: Object.keys(LOCATION_TYPES), message: 'Location type must be room, cabinet, shelf or bin' }
+    },
+    parentId: { type: mongoose.Schema.Types.ObjectId, ref: 'StorageLocation', default: null },
+    ancestors: [{ type: mongoose.Schema.Types.ObjectId, ref: 'StorageLocation' }], // root first
+    path: { type: String, required: true }, // "Room 101 / Cabinet A / Shelf 2"
+    sortOrder: { type: Number, default: 0 }, // order among siblings (walking order for audits)
+    description: { type: String, trim: true, maxlength: 200 },
+    isDefaultPutAway: { type: Boolean, default: false }, // where allocations land when no location is given
+    isActive: { type: Boolean, default: true },
+    createdBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }
+  },
+  { timestamps: true }
+);
+
+storageLocationSchema.index({ labId: 1, parentId: 1, name: 1 }, { unique: true });
+storageLocationSchema.index({ labId: 1, ancestors: 1 });
+
+storageLocationSchema.plugin(activityPlugin, { entity: 'StorageLocation' });
+
+module.exports = mongoose.model('StorageLocation', storageLocationSchema);
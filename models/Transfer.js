@@ -1,7 +1,36 @@
 const mongoose = require('mongoose');
+const { nextDayNumber } = require('../utils/documentNumbers');
+const { activityPlugin } = require('../services/activityService');
+const { TRANSFER_CATEGORIES, TRANSFER_STATUSES } = require('../config/transfers');
+
+// One line of a transfer: a source stock record (or one equipment item) and
+// the quantity reserved on it. destinationId is filled in on receipt.
+const transferItemSchema = new mongoose.Schema({
+  category: { type: String, enum: Object.keys(TRANSFER_CATEGORIES), required: true },
+  sourceId: { type: mongoose.Schema.Types.ObjectId, required: true },
+  destinationId: { type: mongoose.Schema.Types.ObjectId },
+  productId: { type: mongoose.Schema.Types.ObjectId, ref: 'Product' },
+  chemicalMasterId: { type: mongoose.Schema.Types.ObjectId, ref: 'ChemicalMaster' },
+  lotId: { type: mongoose.Schema.Types.ObjectId, ref: 'Lot' },
+  name: { type: String, required: true },
+  variant: { type: String },
+  batchId: { type: String },
+  equipmentItemId: { type: String }, // asset tag of an equipment item
+  previousStatus: { type: String },  // equipment status restored when the reservation ends
+  quantity: { type: Number, required: true, min: 0 },
+  unit: { type: String }
+}, { _id: true });
+
+const historySchema = new mongoose.Schema({
+  status: { type: String, enum: TRANSFER_STATUSES, required: true },
+  at: { type: Date, default: Date.now },
+  by: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+  note: { type: String }
+}, { _id: false });
 
 const transferSchema = new mongoose.Schema(
   {
+    transferNumber: { type: String, required: true, unique: true }, // TRF-YYYYMMDD-NNN
     fromLabId: {
       type: String,
       required: true,
@@ -10,35 +39,47 @@ const transferSchema = new mongoose.Schema(
       type: String,
       required: true,
     },
-    chemicalsTransferred: [
-      {
-        chemicalMasterId: {
-          type: mongoose.Schema.Types.ObjectId,
-          ref: 'ChemicalMaster',
-          required: true,
-        },
-        quantity: {
-          type: Number,
-          required: true,
-        },
-        unit: {
-          type: String,
-          required: true,
-        },
-      },
-    ],
+    items: {
+      type: [transferItemSchema],
+      validate: [items => items.length > 0, 'A transfer needs at least one item']
+    },
     status: {
       type: String,
-      enum: ['pending', 'completed'],
-      default: 'pending',
+      enum: TRANSFER_STATUSES,
+      default: 'requested',
     },
+    reason: { type: String, trim: true },
     createdBy: {
       type: mongoose.Schema.Types.ObjectId,
       ref: 'User',
       required: true,
     },
+    approvedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    approvedAt: { type: Date },
+    rejectedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    rejectedAt: { type: Date },
+    rejectionReason: { type: String, trim: true },
+    dispatchedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    dispatchedAt: { type: Date },
+    receivedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    receivedAt: { type: Date },
+    witnessedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' }, // controlled substances, on receipt
+    cancelledBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    cancelledAt: { type: Date },
+    history: [historySchema]
   },
   { timestamps: true }
 );
 
+transferSchema.index({ fromLabId: 1, status: 1 });
+transferSchema.index({ toLabId: 1, status: 1 });
+transferSchema.index({ 'items.sourceId': 1 });
+
+// Next free transfer number for the day (callers retry on a duplicate key)
+transferSchema.statics.nextTransferNumber = function(date = new Date()) {
+  return nextDayNumber(this, 'transferNumber', 'TRF', date);
+};
+
+transferSchema.plugin(activityPlugin, { entity: 'Transfer' });
+
 module.exports = mongoose.model('Transfer', transferSchema);
@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { activityPlugin } = require('../services/activityService');
 
 const userSchema = new mongoose.Schema(
   {
@@ -230,4 +231,7 @@ userSchema.pre('save', function(next) {
   next();
 });
 
+// lastLogin changes on every login: not an edit of the user
+userSchema.plugin(activityPlugin, { entity: 'User', exclude: ['password'], ignore: ['lastLogin'] });
+
 module.exports = mongoose.model('User', userSchema);
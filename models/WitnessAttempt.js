@@ -0,0 +1,22 @@
+const mongoose = require('mongoose');
+
+// Failed witness sign-offs per witness email (services/controlledSubstanceService.js).
+// Reaching the limit sets lockedUntil; MongoDB's TTL monitor removes the
+// document once `expiresAt` (end of the attempt window or of the lockout) has passed.
+const witnessAttemptSchema = new mongoose.Schema(
+  {
+    email: { type: String, required: true, unique: true, lowercase: true, trim: true },
+    attempts: { type: Number, default: 0 },
+    lockedUntil: { type: Date },
+    expiresAt: { type: Date, required: true }
+  },
+  { timestamps: true }
+);
+
+witnessAttemptSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+witnessAttemptSchema.methods.isLocked = function(now = new Date()) {
+  return Boolean(this.lockedUntil && this.lockedUntil > now);
+};
+
+module.exports = mongoose.model('WitnessAttempt', witnessAttemptSchema);
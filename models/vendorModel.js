@@ -1,4 +1,5 @@
 const mongoose = require('mongoose');
+const { activityPlugin } = require('../services/activityService');
 
 const vendorSchema = new mongoose.Schema({
   name: {
@@ -96,4 +97,6 @@ vendorSchema.pre('save', function(next) {
 // Create text index for search functionality
 vendorSchema.index({ name: 'text', email: 'text', description: 'text' });
 
+vendorSchema.plugin(activityPlugin, { entity: 'Vendor' });
+
 module.exports = mongoose.model('Vendor', vendorSchema);
\ No newline at end of file
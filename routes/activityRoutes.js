@@ -0,0 +1,14 @@
+const express = require('express');
+const router = express.Router();
+const activityController = require('../controllers/activityController');
+const authenticate = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+
+// 🔐 All routes require an admin or central store admin
+router.use(authenticate, requirePermission('activity.view'));
+
+// @desc    Activity trail (?entity=Product&user=<userId>&from=2025-03-01&to=2025-03-31)
+// @route   GET /api/activity
+router.get('/', activityController.getActivity);
+
+module.exports = router;
@@ -78,4 +78,21 @@ router.get(
   analyticsController.getPredictiveAnalytics
 );
 
+// @route   GET /api/analytics/wastage
+// @desc    Get value of disposed chemicals by lab, reason, method and month
+// @access  Private (Lab Assistant, Central Admin, Admin)
+router.get(
+  '/wastage',
+  authenticate,
+  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']),
+  [
+    check('labId').optional().isString(),
+    check('timeRange').optional().isIn([
+      'today', 'thisWeek', 'thisMonth', 'thisYear', 
+      'last30Days', 'last90Days'
+    ])
+  ],
+  analyticsController.getWastageAnalytics
+);
+
 module.exports = router;
\ No newline at end of file
@@ -7,6 +7,7 @@ const {
   startAuditExecution,
   startAuditAssignment,
   updateChecklistItem,
+  scanChecklistItem,
   completeAuditExecution,
   getAuditDashboard,
   getAuditAnalytics,
@@ -15,73 +16,79 @@ const {
   getExecutionByAssignment
 } = require('../controllers/auditController');
 const authenticate = require('../middleware/authMiddleware');
-const authorizeRole = require('../middleware/roleMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
 
 // Dashboard route
 router.get('/dashboard', 
   authenticate, 
-  authorizeRole(['admin', 'faculty']), 
+  requirePermission('audit.view'), 
   getAuditDashboard
 );
 
 // Analytics route
 router.get('/analytics', 
   authenticate, 
-  authorizeRole(['admin', 'faculty']), 
+  requirePermission('audit.view'), 
   getAuditAnalytics
 );
 
 // Assignment routes
 router.route('/assignments')
-  .get(authenticate, authorizeRole(['admin', 'faculty']), getAuditAssignments)
-  .post(authenticate, authorizeRole(['admin']), createAuditAssignment);
+  .get(authenticate, requirePermission('audit.view'), getAuditAssignments)
+  .post(authenticate, requirePermission('audit.assign'), createAuditAssignment);
 
 router.route('/assignments/:id')
-  .get(authenticate, authorizeRole(['admin', 'faculty']), getAuditAssignment);
+  .get(authenticate, requirePermission('audit.view'), getAuditAssignment);
 
 // Execution routes
 router.post('/assignments/:id/start', 
   authenticate, 
-  authorizeRole(['faculty']), 
+  requirePermission('audit.execute'), 
   startAuditExecution
 );
 
 router.put('/executions/:id/items/:itemId', 
   authenticate, 
-  authorizeRole(['faculty']), 
+  requirePermission('audit.execute'), 
   updateChecklistItem
 );
 
+router.post('/executions/:id/scan', 
+  authenticate, 
+  requirePermission('audit.execute'), 
+  scanChecklistItem
+);
+
 router.post('/executions/:id/complete', 
   authenticate, 
-  authorizeRole(['faculty']), 
+  requirePermission('audit.execute'), 
   completeAuditExecution
 );
 
 // Get execution by assignment ID
 router.get('/executions/assignment/:assignmentId',
   authenticate,
-  authorizeRole(['admin', 'faculty']),
+  requirePermission('audit.view'),
   getExecutionByAssignment
 );
 
 // Faculty-specific routes
 router.get('/assignments/faculty/:facultyId', 
   authenticate, 
-  authorizeRole(['faculty']), 
+  requirePermission('audit.execute'), 
   getFacultyAuditAssignments
 );
 
 router.get('/faculty-stats/:facultyId', 
   authenticate, 
-  authorizeRole(['faculty']), 
+  requirePermission('audit.execute'), 
   getFacultyAuditStats
 );
 
 // Start audit assignment (change status from pending to in_progress)
 router.patch('/assignments/:id/start', 
   authenticate, 
-  authorizeRole(['faculty']), 
+  requirePermission('audit.execute'), 
   startAuditAssignment
 );
 
@@ -6,6 +6,9 @@ const authenticate = require('../middleware/authMiddleware');
 
 router.post('/register', authController.register);
 router.post('/login', authController.login);
+// Token refresh and logout
+router.post('/refresh', authController.refresh);
+router.post('/logout', authController.logout);
 // Password reset flow
 router.post('/request-password-reset', authController.requestPasswordReset);
 router.post('/verify-otp', authController.verifyOtp);
@@ -2,8 +2,9 @@ const express = require('express');
 const router = express.Router();
 const chemicalController = require('../controllers/ChemicalController');
 const authenticate = require('../middleware/authMiddleware');
-const authorizeRole = require('../middleware/roleMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
 const { body } = require('express-validator');
+const { isRegisteredUnit, handleValidationErrors } = require('../middleware/validators');
 
 // ============ VALIDATORS ============
 
@@ -12,13 +13,35 @@ const validateChemicalEntry = [
   body('chemicals').isArray({ min: 1 }).withMessage('Chemicals array is required'),
   body('chemicals.*.chemicalName').notEmpty().withMessage('Chemical name is required'),
   body('chemicals.*.quantity').isNumeric().withMessage('Quantity must be numeric'),
-  body('chemicals.*.unit').notEmpty().withMessage('Unit is required'),
+  body('chemicals.*.unit').notEmpty().withMessage('Unit is required').custom(isRegisteredUnit),
   body('chemicals.*.expiryDate').isISO8601().withMessage('Valid expiry date is required'),
   body('chemicals.*.vendor').notEmpty().withMessage('Vendor is required'),
   body('chemicals.*.pricePerUnit').isNumeric().withMessage('Price per unit must be numeric'),
   body('chemicals.*.department').notEmpty().withMessage('Department is required'),
 ];
 
+// For recording a container as opened (scanned label)
+const validateOpenContainer = [
+  body('labId').notEmpty().withMessage('Lab ID is required'),
+  body('chemicalLiveId').optional().isMongoId().withMessage('chemicalLiveId must be a stock record id'),
+  body('openedAt').optional().isISO8601().withMessage('openedAt must be a date'),
+];
+
+// For allocating from / returning a scanned container
+const validateScanAllocation = [
+  body('qrCodeData').notEmpty().withMessage('qrCodeData is required'),
+  body('labId').notEmpty().withMessage('Lab ID is required'),
+  body('quantity').isFloat({ gt: 0 }).withMessage('Quantity must be a positive number'),
+  body('unit').optional().custom(isRegisteredUnit),
+];
+
+const validateScanReturn = [
+  body('qrCodeData').notEmpty().withMessage('qrCodeData is required'),
+  body('labId').notEmpty().withMessage('Lab ID is required'),
+  body('quantity').optional().isFloat({ gt: 0 }).withMessage('Quantity must be a positive number'),
+  body('unit').optional().custom(isRegisteredUnit),
+];
+
 // For allocating one or more chemicals to labs
 const validateAllocationBatch = [
   body('labId').notEmpty().withMessage('Lab ID is required'),
@@ -37,7 +60,7 @@ router.use(authenticate);
 // =====================
 router.post(
   '/add',
-  authorizeRole(['admin', 'central_store_admin']),
+  requirePermission('chemical.add'),
   validateChemicalEntry,
   chemicalController.addChemicalsToCentral
 );
@@ -47,32 +70,78 @@ router.post(
 // =====================
 router.post(
   '/allocate',
-  authorizeRole(['admin','central_store_admin']),
+  requirePermission('chemical.allocate'),
   validateAllocationBatch,
   chemicalController.allocateChemicalsToLab
 );
 
+// =====================
+// 🏷️ Container Labels (signed QR codes)
+// =====================
+router.post(
+  '/scan',
+  requirePermission('chemical.scan'),
+  chemicalController.scanChemicalQRCode
+);
+
+router.get(
+  '/label/:chemicalLiveId',
+  requirePermission('chemical.view_lab'),
+  chemicalController.getChemicalLabel
+);
+
+router.post(
+  '/allocate/scan',
+  requirePermission('chemical.allocate'),
+  validateScanAllocation,
+  handleValidationErrors,
+  chemicalController.allocateChemicalByScan
+);
+
+router.post(
+  '/return/scan',
+  requirePermission('chemical.return', { labParam: 'labId' }),
+  validateScanReturn,
+  handleValidationErrors,
+  chemicalController.returnChemicalByScan
+);
+
 // =====================
 // 📃 Master Inventory
 // =====================
 router.get(
   '/master',
-  authorizeRole(['admin', 'central_store_admin']),
+  requirePermission('chemical.view_master'),
   chemicalController.getCentralMasterChemicals 
 );
 
 router.get(
   '/master/:labId',
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']),
+  requirePermission('chemical.view_lab', { labParam: 'labId' }),
   chemicalController.getLabMasterChemicals
 );
 
+// =====================
+// 🏷️ Lots
+// =====================
+router.get(
+  '/lots',
+  requirePermission('chemical.view_master'),
+  chemicalController.getLots
+);
+
+router.get(
+  '/lots/:id',
+  requirePermission('chemical.view_master'),
+  chemicalController.getLotById
+);
+
 // =====================
 // 📊 Live Stock by Lab
 // =====================
 router.get(
   '/live/:labId',
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']),
+  requirePermission('chemical.view_lab', { labParam: 'labId' }),
   chemicalController.getLiveStockByLab
 );
 
@@ -87,7 +156,7 @@ router.get(
 // =====================
 router.get(
   '/distribution',
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']),
+  requirePermission('chemical.view_distribution'),
   chemicalController.getChemicalDistribution
 );
 
@@ -96,22 +165,33 @@ router.get(
 // =====================
 router.get(
   '/expired',
-  authorizeRole(['admin','central_store_admin']),
+  requirePermission('chemical.manage_expired'),
   chemicalController.getExpiredChemicals
 );
 
 router.post(
   '/expired/action',
-  authorizeRole(['central_store_admin', 'admin']),
+  requirePermission('chemical.manage_expired'),
   chemicalController.processExpiredChemicalAction
 );
 
+// =====================
+// 🧴 Opened Containers
+// =====================
+router.post(
+  '/open',
+  requirePermission('chemical.open', { labParam: 'labId' }),
+  validateOpenContainer,
+  handleValidationErrors,
+  chemicalController.openChemicalContainer
+);
+
 // =====================
 // 🚨 Out-of-Stock Chemicals
 // =====================
 router.get(
   '/out-of-stock',
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']),
+  requirePermission('chemical.view_out_of_stock'),
   chemicalController.getOutOfStockChemicals
 );
 
@@ -120,7 +200,7 @@ router.get(
 // =====================
 router.get(
   '/all-with-lab-quantities',
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant', 'faculty']),
+  requirePermission('chemical.search'),
   chemicalController.getAllChemicalsWithLabQuantities
 );
 
@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const controlledRegisterController = require('../controllers/controlledRegisterController');
+const authenticate = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+
+// 🔐 All routes require an admin or central store admin
+router.use(authenticate, requirePermission('controlled.view_register'));
+
+// @desc    Register report for a period (?from=&to=&labId=&productId=&format=html)
+// @route   GET /api/controlled-register
+router.get('/', controlledRegisterController.getRegister);
+
+// @desc    Controlled products and their balance per lab
+// @route   GET /api/controlled-register/products
+router.get('/products', controlledRegisterController.getControlledProducts);
+
+// @desc    Movements recorded without a witness
+// @route   GET /api/controlled-register/unwitnessed
+router.get('/unwitnessed', controlledRegisterController.getUnwitnessedEntries);
+
+module.exports = router;
@@ -0,0 +1,120 @@
+const express = require('express');
+const router = express.Router();
+const { body, param, query } = require('express-validator');
+const disposalController = require('../controllers/disposalController');
+const authenticate = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { handleValidationErrors } = require('../middleware/validators');
+const {
+  DISPOSAL_REASONS,
+  DISPOSAL_METHODS,
+  DISPOSAL_STATUSES,
+  WASTE_UNITS
+} = require('../config/disposal');
+
+const reasonKeys = Object.keys(DISPOSAL_REASONS);
+const methodKeys = Object.keys(DISPOSAL_METHODS);
+const disposalIdValidation = param('id').isMongoId().withMessage('Invalid disposal id');
+
+// 🔐 All routes require authentication
+router.use(authenticate);
+
+// @desc    Disposals of the labs the user can see (?labId=&status=&reason=)
+// @route   GET /api/disposals
+router.get('/',
+  requirePermission('disposal.view'),
+  [
+    query('status').optional().isIn(DISPOSAL_STATUSES).withMessage(`status must be one of ${DISPOSAL_STATUSES.join(', ')}`),
+    query('reason').optional().isIn(reasonKeys).withMessage(`reason must be one of ${reasonKeys.join(', ')}`)
+  ],
+  handleValidationErrors,
+  disposalController.getDisposals
+);
+
+// @desc    Quarantine chemical stock of a lab for disposal
+// @route   POST /api/disposals
+router.post('/',
+  requirePermission('disposal.quarantine', { labParam: 'labId' }),
+  [
+    body('labId').trim().notEmpty().withMessage('labId is required'),
+    body('reason').isIn(reasonKeys).withMessage(`reason must be one of ${reasonKeys.join(', ')}`),
+    body('items').isArray({ min: 1 }).withMessage('items must list at least one stock record'),
+    body('items.*.chemicalLiveId').isMongoId().withMessage('chemicalLiveId must be a stock record id'),
+    body('items.*.quantity').optional().isFloat({ gt: 0 }).withMessage('quantity must be greater than 0'),
+    body('notes').optional().trim().isLength({ max: 500 }),
+    body('requestDisposal').optional().isBoolean()
+  ],
+  handleValidationErrors,
+  disposalController.createDisposal
+);
+
+// @desc    One disposal with its history
+// @route   GET /api/disposals/:id
+router.get('/:id',
+  requirePermission('disposal.view'),
+  disposalIdValidation,
+  handleValidationErrors,
+  disposalController.getDisposal
+);
+
+// @desc    Disposal certificate (PDF) of a disposed disposal
+// @route   GET /api/disposals/:id/certificate
+router.get('/:id/certificate',
+  requirePermission('disposal.view'),
+  disposalIdValidation,
+  handleValidationErrors,
+  disposalController.getDisposalCertificate
+);
+
+// @desc    Request approval to dispose of quarantined stock
+// @route   POST /api/disposals/:id/request
+router.post('/:id/request',
+  requirePermission('disposal.quarantine'),
+  [disposalIdValidation, body('note').optional().trim().isLength({ max: 500 })],
+  handleValidationErrors,
+  disposalController.requestDisposal
+);
+
+// @desc    Approve or reject a disposal request
+// @route   POST /api/disposals/:id/review
+router.post('/:id/review',
+  requirePermission('disposal.approve'),
+  [
+    disposalIdValidation,
+    body('decision').isIn(['approve', 'reject']).withMessage('decision must be approve or reject'),
+    body('comments').optional().trim().isLength({ max: 500 })
+  ],
+  handleValidationErrors,
+  disposalController.reviewDisposal
+);
+
+// @desc    Record the hand-over to the waste contractor
+// @route   POST /api/disposals/:id/dispose
+router.post('/:id/dispose',
+  requirePermission('disposal.complete'),
+  [
+    disposalIdValidation,
+    body('contractor.name').trim().notEmpty().withMessage('contractor.name is required'),
+    body('contractor.licenceNumber').optional().trim(),
+    body('contractor.contact').optional().trim(),
+    body('method').isIn(methodKeys).withMessage(`method must be one of ${methodKeys.join(', ')}`),
+    body('wasteAmount.value').isFloat({ gt: 0 }).withMessage('wasteAmount.value must be greater than 0'),
+    body('wasteAmount.unit').isIn(WASTE_UNITS).withMessage(`wasteAmount.unit must be one of ${WASTE_UNITS.join(', ')}`),
+    body('manifestNumber').trim().notEmpty().withMessage('manifestNumber is required'),
+    body('disposedAt').optional().isISO8601().withMessage('disposedAt must be a date'),
+    body('notes').optional().trim().isLength({ max: 500 })
+  ],
+  handleValidationErrors,
+  disposalController.completeDisposal
+);
+
+// @desc    Cancel a disposal and return its stock to the lab
+// @route   POST /api/disposals/:id/cancel
+router.post('/:id/cancel',
+  requirePermission('disposal.quarantine'),
+  [disposalIdValidation, body('note').optional().trim().isLength({ max: 500 })],
+  handleValidationErrors,
+  disposalController.cancelDisposal
+);
+
+module.exports = router;
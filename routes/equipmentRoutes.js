@@ -3,99 +3,99 @@ const router = express.Router();
 const equipmentController = require('../controllers/equipmentController');
 const {  getStockCheckReports, getStockCheckReport, saveStockCheckReport, getLiveEquipmentByLab, getCurrentMonthStockCheckReports } = require('../controllers/equipmentController');
 const authenticate = require('../middleware/authMiddleware');
-const authorizeRole = require('../middleware/roleMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
 
 // Add equipment to central after invoice
 router.post('/central/add', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin']), 
+  requirePermission('equipment.add'), 
   equipmentController.addEquipmentToCentral
 );
 
 // Allocate equipment from central to lab
 router.post('/allocate/lab', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin']), 
+  requirePermission('equipment.allocate_lab'), 
   equipmentController.allocateEquipmentToLab
 );
 
 // Allocate equipment from lab to faculty
 router.post('/allocate/faculty', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']), 
+  requirePermission('equipment.issue'), 
   equipmentController.allocateEquipmentToFaculty
 );
 
 // Get equipment stock (central or by lab)
 router.get('/stock', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']), 
+  requirePermission('equipment.view'), 
   equipmentController.getEquipmentStock
 );
 
 // Get available equipment in Central Store (for allocation forms)
 router.get('/central/available', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant', 'faculty']), 
+  requirePermission('equipment.browse'), 
   equipmentController.getCentralAvailableEquipment
 );
 
 // Scan QR code for equipment
 router.post('/scan', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant', 'faculty']), 
+  requirePermission('equipment.browse'), 
   equipmentController.scanEquipmentQRCode
 );
 
 // Return equipment to central by QR scan (itemId)
 router.post('/return/central', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']), 
+  requirePermission('equipment.issue'), 
   equipmentController.returnEquipmentToCentral
 );
 
 // Allocate equipment by QR scan
 router.post('/allocate/scan', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']), 
+  requirePermission('equipment.issue'), 
   equipmentController.allocateEquipmentToLabByScan
 );
 
 // Get full equipment trace (item, transactions, audit logs) by itemId
 router.get('/item/:itemId/full-trace', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']), 
+  requirePermission('equipment.view'), 
   equipmentController.getEquipmentItemFullTraceHandler
 );
 
 // Stock check routes
 router.get('/stock-check/reports', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']), 
+  requirePermission('equipment.stock_check'), 
   getStockCheckReports
 );
 
 router.get('/stock-check/report/:id', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']), 
+  requirePermission('equipment.stock_check'), 
   getStockCheckReport
 );
 
 router.post('/stock-check/report', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']), 
+  requirePermission('equipment.stock_check'), 
   saveStockCheckReport
 );
 
 router.get('/live', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant', 'faculty']), 
+  requirePermission('equipment.browse'), 
   getLiveEquipmentByLab
 );
 
 router.get('/stock-check/reports/month', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']), 
+  requirePermission('equipment.stock_check'), 
   getCurrentMonthStockCheckReports
 );
 
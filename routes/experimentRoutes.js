@@ -3,6 +3,11 @@ const router = express.Router();
 const experimentController = require('../controllers/experimentController');
 const authenticate = require('../middleware/authMiddleware');
 const authorizeRole = require('../middleware/roleMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { getEntityHistory } = require('../controllers/activityController');
+
+// Change history of an experiment
+router.get('/:id/history', authenticate, requirePermission('activity.view'), getEntityHistory('Experiment'));
 
 // Get experiments by course
 router.get('/course/:courseId', authenticate, experimentController.getExperimentsByCourse);
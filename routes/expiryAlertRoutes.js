@@ -0,0 +1,37 @@
+const express = require('express');
+const router = express.Router();
+const expiryAlertController = require('../controllers/expiryAlertController');
+const authenticate = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { body, param } = require('express-validator');
+const { handleValidationErrors } = require('../middleware/validators');
+
+// 🔐 All routes require an admin or central store admin
+router.use(authenticate, requirePermission('expiry_alert.manage'));
+
+// @desc    Get thresholds per category
+// @route   GET /api/expiry-alerts/settings
+router.get('/settings', expiryAlertController.getSettings);
+
+// @desc    Update thresholds for a category
+// @route   PUT /api/expiry-alerts/settings/:category
+router.put('/settings/:category',
+  [
+    param('category').isIn(['chemical', 'glassware', 'equipment', 'others']).withMessage('Invalid category'),
+    body('thresholds').optional().isArray({ min: 1 }).withMessage('Thresholds must be a non-empty array'),
+    body('thresholds.*').optional().isInt({ min: 0 }).withMessage('Thresholds must be whole days'),
+    body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+  ],
+  handleValidationErrors,
+  expiryAlertController.updateSetting
+);
+
+// @desc    Run the expiry scan now
+// @route   POST /api/expiry-alerts/run
+router.post('/run', expiryAlertController.runNow);
+
+// @desc    Alerts already sent
+// @route   GET /api/expiry-alerts/log
+router.get('/log', expiryAlertController.getAlertLog);
+
+module.exports = router;
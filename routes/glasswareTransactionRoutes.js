@@ -2,7 +2,7 @@ const express = require('express');
 const router = express.Router();
 const glasswareTransactionController = require('../controllers/glasswareTransactionController');
 const authenticate = require('../middleware/authMiddleware');
-const authorizeRoles = require('../middleware/roleMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
 const { 
   validateGlasswareTransaction,
   validateGlasswareAllocation,
@@ -16,7 +16,7 @@ const {
 // @access  Private (Lab Assistant, Central Store Admin, Admin)
 router.post('/create', 
   authenticate, 
-  authorizeRoles(['lab_assistant', 'central_store_admin', 'admin']),
+  requirePermission('glassware.transact'),
   validateGlasswareTransaction,
   glasswareTransactionController.createTransaction
 );
@@ -26,37 +26,17 @@ router.post('/create',
 // @access  Private (Central Store Admin, Admin)
 router.get('/all', 
   authenticate, 
-  authorizeRoles(['central_store_admin', 'admin']),
+  requirePermission('glassware.view_all'),
   validateQueryParams,
   glasswareTransactionController.getAllTransactions
 );
 
 // @desc    Get transactions for a specific lab
 // @route   GET /api/glassware-transactions/lab/:labId
-// @access  Private (Lab Assistant for own lab, Central Store Admin, Admin)
+// @access  Private (Lab Assistant for assigned labs, Central Store Admin, Admin)
 router.get('/lab/:labId', 
   authenticate, 
-  // Custom middleware to check if user can access lab data
-  (req, res, next) => {
-    const userRole = req.user.role;
-    const userLabId = req.user.labId;
-    const requestedLabId = req.params.labId;
-    
-    // Admin and Central Store admin can access all labs
-    if (['admin', 'central_store_admin'].includes(userRole)) {
-      return next();
-    }
-    
-    // Lab assistant can only access their own lab
-    if (userRole === 'lab_assistant' && userLabId === requestedLabId) {
-      return next();
-    }
-    
-    return res.status(403).json({
-      success: false,
-      message: 'Access denied. You can only view transactions for your assigned lab.'
-    });
-  },
+  requirePermission('glassware.view_lab', { labParam: 'labId' }),
   validateQueryParams,
   glasswareTransactionController.getLabTransactions
 );
@@ -75,7 +55,7 @@ router.get('/glassware/:glasswareId',
 // @access  Private (Central Store Admin, Admin)
 router.get('/stats', 
   authenticate, 
-  authorizeRoles(['central_store_admin', 'admin']),
+  requirePermission('glassware.view_all'),
   validateQueryParams,
   glasswareTransactionController.getTransactionStats
 );
@@ -85,7 +65,7 @@ router.get('/stats',
 // @access  Private (Central Store Admin, Admin)
 router.post('/allocate', 
   authenticate, 
-  authorizeRoles(['central_store_admin', 'admin']),
+  requirePermission('glassware.allocate'),
   validateGlasswareAllocation,
   async (req, res, next) => {
     // Transform bulk allocation into individual transactions
@@ -143,7 +123,7 @@ router.post('/allocate',
 // @access  Private (Central Store Admin, Admin)
 router.post('/transfer', 
   authenticate, 
-  authorizeRoles(['central_store_admin', 'admin']),
+  requirePermission('glassware.allocate'),
   validateGlasswareTransfer,
   async (req, res, next) => {
     // Transform bulk transfer into individual transactions
@@ -0,0 +1,51 @@
+const express = require('express');
+const router = express.Router();
+const { param, query } = require('express-validator');
+const importController = require('../controllers/importController');
+const authenticate = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { handleValidationErrors } = require('../middleware/validators');
+const { uploadSpreadsheet } = require('../middleware/importUpload');
+const { IMPORT_CATEGORIES, IMPORT_STATUSES } = require('../config/intakeImport');
+
+const categoryValidation = param('category').isIn(IMPORT_CATEGORIES).withMessage(`category must be one of ${IMPORT_CATEGORIES.join(', ')}`);
+const importIdValidation = param('id').isMongoId().withMessage('Invalid import id');
+
+const listValidation = [
+  query('status').optional().isIn(IMPORT_STATUSES).withMessage(`status must be one of ${IMPORT_STATUSES.join(', ')}`),
+  query('category').optional().isIn(IMPORT_CATEGORIES).withMessage(`category must be one of ${IMPORT_CATEGORIES.join(', ')}`)
+];
+
+// 🔐 All routes require central store admins
+router.use(authenticate, requirePermission('intake.import'));
+
+// @desc    Columns accepted per category
+// @route   GET /api/imports/columns
+router.get('/columns', importController.getImportColumns);
+
+// @desc    Empty CSV sheet for a category
+// @route   GET /api/imports/template/:category
+router.get('/template/:category', categoryValidation, handleValidationErrors, importController.getImportTemplate);
+
+// @desc    Upload and validate an intake sheet (dry run)
+// @route   POST /api/imports/intake/:category
+router.post('/intake/:category',
+  categoryValidation,
+  handleValidationErrors,
+  uploadSpreadsheet,
+  importController.uploadIntakeSheet
+);
+
+// @desc    Imports, newest first (?status=&category=&limit=)
+// @route   GET /api/imports
+router.get('/', listValidation, handleValidationErrors, importController.getIntakeImports);
+
+// @desc    One import with its rows and errors
+// @route   GET /api/imports/:id
+router.get('/:id', importIdValidation, handleValidationErrors, importController.getIntakeImport);
+
+// @desc    Commit a validated import to the central store
+// @route   POST /api/imports/:id/commit
+router.post('/:id/commit', importIdValidation, handleValidationErrors, importController.commitIntakeImport);
+
+module.exports = router;
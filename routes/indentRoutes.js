@@ -4,6 +4,7 @@ const indentController = require('../controllers/indentController');
 const authenticate = require('../middleware/authMiddleware');
 const authorizeRole = require('../middleware/roleMiddleware');
 const { check } = require('express-validator');
+const { isRegisteredUnit } = require('../middleware/validators');
 
 // LAB ASSISTANT ROUTES
 router.post(
@@ -15,7 +16,7 @@ router.post(
     check('chemicals', 'At least one chemical is required').isArray({ min: 1 }),
     check('chemicals.*.chemicalName', 'Chemical name is required').not().isEmpty(),
     check('chemicals.*.quantity', 'Valid quantity is required').isNumeric().toFloat(),
-    check('chemicals.*.unit', 'Unit is required').not().isEmpty()
+    check('chemicals.*.unit', 'Unit is required').not().isEmpty().custom(isRegisteredUnit)
   ],
   indentController.createLabIndent
 );
@@ -37,7 +38,7 @@ router.post(
     check('chemicals', 'At least one chemical is required').isArray({ min: 1 }),
     check('chemicals.*.chemicalName', 'Chemical name is required').not().isEmpty(),
     check('chemicals.*.quantity', 'Valid quantity is required').isNumeric().toFloat(),
-    check('chemicals.*.unit', 'Unit is required').not().isEmpty(),
+    check('chemicals.*.unit', 'Unit is required').not().isEmpty().custom(isRegisteredUnit),
     check('chemicals.*.pricePerUnit', 'Price per unit is required').isNumeric().toFloat(),
     check('totalPrice', 'Total price is required').isNumeric().toFloat()
   ],
@@ -86,7 +87,7 @@ router.post(
     check('chemicals', 'At least one chemical is required').isArray({ min: 1 }),
     check('chemicals.*.chemicalName', 'Chemical name is required').not().isEmpty(),
     check('chemicals.*.quantity', 'Valid quantity is required').isNumeric().toFloat(),
-    check('chemicals.*.unit', 'Unit is required').not().isEmpty(),
+    check('chemicals.*.unit', 'Unit is required').not().isEmpty().custom(isRegisteredUnit),
     check('chemicals.*.pricePerUnit', 'Price per unit is required').isNumeric().toFloat()
   ],
   indentController.addChemicalToDraft
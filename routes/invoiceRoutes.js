@@ -4,6 +4,8 @@ const router = express.Router();
 const { createInvoice, getInvoices, createGlasswareInvoice, createOthersInvoice, createEquipmentInvoice } = require('../controllers/invoiceController');
 const authenticate = require('../middleware/authMiddleware');
 const authorizeRole = require('../middleware/roleMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { getEntityHistory } = require('../controllers/activityController');
 
 // Create Invoice (admin, central_store_admin only)
 router.post('/', 
@@ -19,6 +21,13 @@ router.get('/',
   getInvoices
 );
 
+// Change history of an invoice (admin, central_store_admin only)
+router.get('/:id/history',
+  authenticate,
+  requirePermission('activity.view'),
+  getEntityHistory('Invoice')
+);
+
 // Glassware invoice
 router.post('/glassware', 
   authenticate, 
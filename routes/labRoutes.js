@@ -10,11 +10,32 @@ const {
   getLabStats,
   getAssignableLabs
 } = require('../controllers/labController');
+const {
+  getLocations,
+  getLocation,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  moveItem,
+  getMoves
+} = require('../controllers/storageLocationController');
+const { getStorageCompliance } = require('../controllers/storageComplianceController');
+const {
+  getStockLevels,
+  createStockLevel,
+  updateStockLevel,
+  deleteStockLevel,
+  getReplenishment,
+  replenishLab
+} = require('../controllers/stockLevelController');
+const { LOCATION_TYPES, LOCATABLE_MODELS } = require('../config/storageLocations');
 
 const authenticate = require('../middleware/authMiddleware');
 const authorizeRole = require('../middleware/roleMiddleware');
-const { body, param } = require('express-validator');
+const { body, param, query } = require('express-validator');
 const { handleValidationErrors } = require('../middleware/validators');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { getEntityHistory } = require('../controllers/activityController');
 
 const router = express.Router();
 
@@ -62,6 +83,17 @@ router.get('/assignable',
   getAssignableLabs
 );
 
+// @desc    What every lab the user can see needs to reach par (?labId=&status=)
+// @route   GET /api/labs/stock-levels/replenishment
+// @access  Private (Staff with read access to the lab)
+router.get('/stock-levels/replenishment',
+  authenticate,
+  requirePermission('stock_level.view'),
+  query('status').optional().isIn(['below_min', 'below_par', 'over_max', 'ok']).withMessage('status must be below_min, below_par, over_max or ok'),
+  handleValidationErrors,
+  getReplenishment
+);
+
 // @desc    Get lab statistics
 // @route   GET /api/labs/stats
 // @access  Private (Admin only)
@@ -89,6 +121,209 @@ router.get('/consistency-check',
   consistencyCheck
 );
 
+// @desc    Change history of a lab (by labId or _id)
+// @route   GET /api/labs/:labId/history
+// @access  Private (Admin/Central Store Admin)
+router.get('/:labId/history',
+  authenticate,
+  requirePermission('activity.view'),
+  getEntityHistory('Lab', { param: 'labId', key: 'labId' })
+);
+
+// Storage location validation
+const locationFieldValidation = [
+  body('name')
+    .optional()
+    .trim()
+    .isLength({ min: 1, max: 60 })
+    .withMessage('Location name must be 1-60 characters'),
+  body('code').optional().trim().isLength({ max: 20 }).withMessage('Code must be at most 20 characters'),
+  body('parentId').optional({ values: 'null' }).isMongoId().withMessage('parentId must be a location id'),
+  body('sortOrder').optional().isInt().withMessage('sortOrder must be an integer'),
+  body('isDefaultPutAway').optional().isBoolean().withMessage('isDefaultPutAway must be boolean'),
+  body('description').optional().trim().isLength({ max: 200 }).withMessage('Description must be less than 200 characters')
+];
+const locationIdValidation = param('locationId').isMongoId().withMessage('Invalid location id');
+
+// @desc    Storage locations of a lab
+// @route   GET /api/labs/:labId/locations
+// @access  Private (Staff with read access to the lab)
+router.get('/:labId/locations',
+  authenticate,
+  requirePermission('location.view', { labParam: 'labId' }),
+  getLocations
+);
+
+// @desc    Put-away and move history of a lab
+// @route   GET /api/labs/:labId/locations/moves
+// @access  Private (Staff with read access to the lab)
+router.get('/:labId/locations/moves',
+  authenticate,
+  requirePermission('location.view', { labParam: 'labId' }),
+  getMoves
+);
+
+// @desc    Move a stock record to another location in the lab
+// @route   POST /api/labs/:labId/locations/moves
+// @access  Private (Staff with write access to the lab)
+router.post('/:labId/locations/moves',
+  authenticate,
+  requirePermission('location.move', { labParam: 'labId' }),
+  [
+    body('itemType').isIn(Object.keys(LOCATABLE_MODELS)).withMessage(`itemType must be one of ${Object.keys(LOCATABLE_MODELS).join(', ')}`),
+    body('itemId').isMongoId().withMessage('itemId must be a stock record id'),
+    body('toLocationId').optional({ values: 'null' }).isMongoId().withMessage('toLocationId must be a location id'),
+    body('note').optional().trim().isLength({ max: 200 })
+  ],
+  handleValidationErrors,
+  moveItem
+);
+
+// @desc    Chemical segregation report of a lab
+// @route   GET /api/labs/:labId/storage-compliance
+// @access  Private (Staff with read access to the lab)
+router.get('/:labId/storage-compliance',
+  authenticate,
+  requirePermission('location.view', { labParam: 'labId' }),
+  getStorageCompliance
+);
+
+// @desc    Location with its stock
+// @route   GET /api/labs/:labId/locations/:locationId
+// @access  Private (Staff with read access to the lab)
+router.get('/:labId/locations/:locationId',
+  authenticate,
+  requirePermission('location.view', { labParam: 'labId' }),
+  locationIdValidation,
+  handleValidationErrors,
+  getLocation
+);
+
+// @desc    Create a storage location
+// @route   POST /api/labs/:labId/locations
+// @access  Private (Staff with write access to the lab)
+router.post('/:labId/locations',
+  authenticate,
+  requirePermission('location.manage', { labParam: 'labId' }),
+  [
+    body('name').exists().withMessage('Location name is required'),
+    body('type').isIn(Object.keys(LOCATION_TYPES)).withMessage(`type must be one of ${Object.keys(LOCATION_TYPES).join(', ')}`),
+    ...locationFieldValidation
+  ],
+  handleValidationErrors,
+  createLocation
+);
+
+// @desc    Update a storage location
+// @route   PUT /api/labs/:labId/locations/:locationId
+// @access  Private (Staff with write access to the lab)
+router.put('/:labId/locations/:locationId',
+  authenticate,
+  requirePermission('location.manage', { labParam: 'labId' }),
+  [
+    locationIdValidation,
+    ...locationFieldValidation,
+    body('isActive').optional().isBoolean().withMessage('isActive must be boolean')
+  ],
+  handleValidationErrors,
+  updateLocation
+);
+
+// @desc    Delete an empty storage location
+// @route   DELETE /api/labs/:labId/locations/:locationId
+// @access  Private (Staff with write access to the lab)
+router.delete('/:labId/locations/:locationId',
+  authenticate,
+  requirePermission('location.manage', { labParam: 'labId' }),
+  locationIdValidation,
+  handleValidationErrors,
+  deleteLocation
+);
+
+// Stock level validation
+const stockLevelFieldValidation = [
+  body('minLevel').optional().isFloat({ min: 0 }).withMessage('minLevel must be a non-negative number'),
+  body('parLevel').optional().isFloat({ min: 0 }).withMessage('parLevel must be a non-negative number'),
+  body('maxLevel').optional({ values: 'null' }).isFloat({ min: 0 }).withMessage('maxLevel must be a non-negative number'),
+  body('notes').optional().trim().isLength({ max: 200 }).withMessage('Notes must be at most 200 characters')
+];
+const levelIdValidation = param('levelId').isMongoId().withMessage('Invalid stock level id');
+
+// @desc    Min / par / max stock levels of a lab
+// @route   GET /api/labs/:labId/stock-levels
+// @access  Private (Staff with read access to the lab)
+router.get('/:labId/stock-levels',
+  authenticate,
+  requirePermission('stock_level.view', { labParam: 'labId' }),
+  getStockLevels
+);
+
+// @desc    What the lab needs to reach par
+// @route   GET /api/labs/:labId/stock-levels/replenishment
+// @access  Private (Staff with read access to the lab)
+router.get('/:labId/stock-levels/replenishment',
+  authenticate,
+  requirePermission('stock_level.view', { labParam: 'labId' }),
+  query('status').optional().isIn(['below_min', 'below_par', 'over_max', 'ok']).withMessage('status must be below_min, below_par, over_max or ok'),
+  handleValidationErrors,
+  getReplenishment
+);
+
+// @desc    Allocate the chemicals the lab needs to reach par from the central store
+// @route   POST /api/labs/:labId/stock-levels/replenish
+// @access  Private (Admin/Central Store Admin)
+router.post('/:labId/stock-levels/replenish',
+  authenticate,
+  requirePermission('chemical.allocate'),
+  [
+    body('productIds').optional().isArray({ min: 1 }).withMessage('productIds must be a non-empty array'),
+    body('productIds.*').optional().isMongoId().withMessage('productIds must be product ids'),
+    body('belowMinOnly').optional().isBoolean().withMessage('belowMinOnly must be boolean').toBoolean(),
+    body('preview').optional().isBoolean().withMessage('preview must be boolean').toBoolean(),
+    body('locationId').optional().isMongoId().withMessage('locationId must be a storage location id')
+  ],
+  handleValidationErrors,
+  replenishLab
+);
+
+// @desc    Set the levels of a product in the lab
+// @route   POST /api/labs/:labId/stock-levels
+// @access  Private (Staff with write access to the lab)
+router.post('/:labId/stock-levels',
+  authenticate,
+  requirePermission('stock_level.manage', { labParam: 'labId' }),
+  [
+    body('productId').isMongoId().withMessage('productId must be a product id'),
+    body('minLevel').exists().withMessage('minLevel is required'),
+    body('parLevel').exists().withMessage('parLevel is required'),
+    ...stockLevelFieldValidation
+  ],
+  handleValidationErrors,
+  createStockLevel
+);
+
+// @desc    Update the levels of a product in the lab
+// @route   PUT /api/labs/:labId/stock-levels/:levelId
+// @access  Private (Staff with write access to the lab)
+router.put('/:labId/stock-levels/:levelId',
+  authenticate,
+  requirePermission('stock_level.manage', { labParam: 'labId' }),
+  [levelIdValidation, ...stockLevelFieldValidation],
+  handleValidationErrors,
+  updateStockLevel
+);
+
+// @desc    Stop tracking levels of a product in the lab
+// @route   DELETE /api/labs/:labId/stock-levels/:levelId
+// @access  Private (Staff with write access to the lab)
+router.delete('/:labId/stock-levels/:levelId',
+  authenticate,
+  requirePermission('stock_level.manage', { labParam: 'labId' }),
+  levelIdValidation,
+  handleValidationErrors,
+  deleteStockLevel
+);
+
 // @desc    Get single lab
 // @route   GET /api/labs/:labId
 // @access  Private
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { query } = require('express-validator');
+const labelController = require('../controllers/labelController');
+const authenticate = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { handleValidationErrors } = require('../middleware/validators');
+const {
+  LABEL_LAYOUTS,
+  LABEL_FORMATS,
+  LABEL_CATEGORIES,
+  ZPL_DPIS,
+  MAX_COPIES
+} = require('../config/labelLayouts');
+
+const validateSheet = [
+  query('category').isIn(LABEL_CATEGORIES).withMessage(`category must be one of ${LABEL_CATEGORIES.join(', ')}`),
+  query('format').optional().isIn(LABEL_FORMATS).withMessage(`format must be one of ${LABEL_FORMATS.join(', ')}`),
+  query('layout').optional().isIn(Object.keys(LABEL_LAYOUTS)).withMessage(`layout must be one of ${Object.keys(LABEL_LAYOUTS).join(', ')}`),
+  query('copies').optional().isInt({ min: 1, max: MAX_COPIES }).withMessage(`copies must be 1 to ${MAX_COPIES}`).toInt(),
+  query('perUnit').optional().isBoolean().withMessage('perUnit must be true or false').toBoolean(),
+  query('width').optional().isFloat({ min: 10, max: 200 }).withMessage('width must be 10 to 200 mm').toFloat(),
+  query('height').optional().isFloat({ min: 10, max: 200 }).withMessage('height must be 10 to 200 mm').toFloat(),
+  query('dpi').optional().isIn(ZPL_DPIS.map(String)).withMessage(`dpi must be one of ${ZPL_DPIS.join(', ')}`).toInt()
+];
+
+// 🔐 All routes require staff
+router.use(authenticate, requirePermission('label.print'));
+
+// @desc    Sheet layouts and formats
+// @route   GET /api/labels/layouts
+router.get('/layouts', labelController.getLabelLayouts);
+
+// @desc    Label sheet (PDF or ZPL) of selected items
+// @route   GET /api/labels/sheet
+router.get('/sheet',
+  validateSheet,
+  handleValidationErrors,
+  labelController.getLabelSheet
+);
+
+module.exports = router;
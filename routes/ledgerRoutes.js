@@ -0,0 +1,22 @@
+const express = require('express');
+const router = express.Router();
+const ledgerController = require('../controllers/ledgerController');
+const authenticate = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+
+// 🔐 All routes require an admin or central store admin
+router.use(authenticate, requirePermission('ledger.view'));
+
+// @desc    Ledger movements with filters
+// @route   GET /api/ledger
+router.get('/', ledgerController.getLedger);
+
+// @desc    Balances at a point in time (?asOf=2025-03-01&labId=LAB03)
+// @route   GET /api/ledger/balances
+router.get('/balances', ledgerController.getBalances);
+
+// @desc    History of one (category, product, batch, lab) key
+// @route   GET /api/ledger/history/:balanceKey
+router.get('/history/:balanceKey', ledgerController.getKeyHistory);
+
+module.exports = router;
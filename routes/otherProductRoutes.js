@@ -2,47 +2,47 @@ const express = require('express');
 const router = express.Router();
 const otherProductController = require('../controllers/otherProductController');
 const authenticate = require('../middleware/authMiddleware');
-const authorizeRole = require('../middleware/roleMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
 
 // Add other products to central after invoice
 router.post('/central/add', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin']), 
+  requirePermission('others.add'), 
   otherProductController.addOtherProductToCentral
 );
 
 // Allocate other products from central to lab
 router.post('/allocate/lab', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin']), 
+  requirePermission('others.allocate_lab'), 
   otherProductController.allocateOtherProductToLab
 );
 
 // Allocate other products from lab to faculty
 router.post('/allocate/faculty', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']), 
+  requirePermission('others.issue'), 
   otherProductController.allocateOtherProductToFaculty
 );
 
 // Get other products stock (central or by lab)
 router.get('/stock', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']), 
+  requirePermission('others.view'), 
   otherProductController.getOtherProductStock
 );
 
 // Get available other products in Central Store (for allocation forms)
 router.get('/central/available', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant']), 
+  requirePermission('others.view'), 
   otherProductController.getCentralAvailableOtherProducts
 );
 
 // Scan QR code for other products
 router.post('/scan', 
   authenticate, 
-  authorizeRole(['admin', 'central_store_admin', 'lab_assistant', 'faculty']), 
+  requirePermission('others.scan'), 
   otherProductController.scanOtherProductQRCode
 );
 
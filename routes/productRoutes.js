@@ -3,7 +3,10 @@ const router = express.Router();
 const productController = require('../controllers/productController');
 const authenticate = require('../middleware/authMiddleware');
 const authorizeRole = require('../middleware/roleMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { getEntityHistory } = require('../controllers/activityController');
 const { handleProductUpdate } = require('../middleware/productSyncMiddleware');
+const { uploadSds } = require('../middleware/sdsUpload');
 
 // Public routes - No authentication required
 router.get('/', productController.getAllProducts);
@@ -11,6 +14,31 @@ router.get('/category/:category', productController.getProductsByCategory);
 router.get('/search', productController.searchProducts);
 router.get('/:id/inventory', productController.getProductInventoryDetails);
 
+// Change history - Admin and Central Store Admin only
+router.get('/:id/history', authenticate, requirePermission('activity.view'), getEntityHistory('Product'));
+
+// Safety data and SDS - readable by every signed-in user, edited by Admin and Central Store Admin
+router.get('/:id/safety', authenticate, productController.getProductSafety);
+router.put('/:id/safety',
+  authenticate,
+  authorizeRole(['admin', 'central_store_admin']),
+  productController.updateProductSafety
+);
+router.get('/:id/sds', authenticate, productController.downloadProductSds);
+
+// Controlled substance flag - Admin and Central Store Admin only
+router.put('/:id/controlled',
+  authenticate,
+  requirePermission('controlled.manage'),
+  productController.updateProductControl
+);
+router.post('/:id/sds',
+  authenticate,
+  authorizeRole(['admin', 'central_store_admin']),
+  uploadSds,
+  productController.uploadProductSds
+);
+
 // Protected stats route - Admin and Central Store Admin only
 router.get('/stats', authenticate, authorizeRole(['admin', 'central_store_admin']), productController.getProductStats);
 
@@ -0,0 +1,18 @@
+const express = require('express');
+const router = express.Router();
+const reconciliationController = require('../controllers/reconciliationController');
+const authenticate = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+
+// 🔐 All routes require an admin or central store admin
+router.use(authenticate, requirePermission('reconciliation.view'));
+
+// @desc    Historical stock per lab and product (?asOf=2025-03-01&labId=LAB03)
+// @route   GET /api/reconciliation/balances
+router.get('/balances', reconciliationController.getHistoricalStock);
+
+// @desc    Replayed vs. live stock drift report for month-end closing
+// @route   GET /api/reconciliation/report
+router.get('/report', reconciliationController.getReconciliationReport);
+
+module.exports = router;
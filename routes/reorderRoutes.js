@@ -0,0 +1,39 @@
+const express = require('express');
+const router = express.Router();
+const { body, query } = require('express-validator');
+const reorderController = require('../controllers/reorderController');
+const authenticate = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { handleValidationErrors } = require('../middleware/validators');
+const { REORDER_TARGETS } = require('../config/reorder');
+
+// Overrides of the config/reorder.js defaults, in the query string or the body
+const settingValidation = (location) => [
+  location('lookbackDays').optional().isFloat({ gt: 0 }).withMessage('lookbackDays must be greater than 0').toFloat(),
+  location('leadTimeDays').optional().isFloat({ min: 0 }).withMessage('leadTimeDays must be a number of days').toFloat(),
+  location('coverDays').optional().isFloat({ min: 0 }).withMessage('coverDays must be a number of days').toFloat()
+];
+
+// 🔐 All routes require an admin or central store admin
+router.use(authenticate, requirePermission('reorder.manage'));
+
+// @desc    Products below their reorder point (dry run)
+// @route   GET /api/reorder/suggestions
+router.get('/suggestions',
+  settingValidation(query),
+  handleValidationErrors,
+  reorderController.getSuggestions
+);
+
+// @desc    Run the reorder engine now
+// @route   POST /api/reorder/run
+router.post('/run',
+  [
+    ...settingValidation(body),
+    body('target').optional().isIn(REORDER_TARGETS).withMessage(`target must be one of ${REORDER_TARGETS.join(', ')}`)
+  ],
+  handleValidationErrors,
+  reorderController.runNow
+);
+
+module.exports = router;
@@ -3,7 +3,7 @@ const router = express.Router();
 const requestController = require('../controllers/requestController');
 const requestReturnController = require('../controllers/requestReturnController');
 const authenticate = require('../middleware/authMiddleware');
-const authorizeRole = require("../middleware/roleMiddleware");
+const requirePermission = require('../middleware/permissionMiddleware');
 const { validateChemicalRequest, validateId, validateRequestApproval, validateAdminApproval } = require('../middleware/validators');
 const { validateExperimentDate, validateEditPermissions, updateAllocationStatus } = require('../middleware/dateValidation');
 
@@ -21,26 +21,26 @@ router.get('/experiments/:experimentId/suggested-chemicals',
 // Request CRUD routes
 router.post('/', 
   authenticate, 
-  authorizeRole(['faculty']), 
+  requirePermission('request.create'), 
   require('../middleware/validators').validateUnifiedRequest, 
   requestController.createRequest
 );
 
 router.get('/',  
   authenticate, 
-  authorizeRole(['lab_assistant', 'central_store_admin','admin']), 
+  requirePermission('request.view'), 
   requestController.getAllRequests
 );
  
 router.get('/faculty', 
   authenticate, 
-  authorizeRole(['faculty']), 
+  requirePermission('request.view_own'), 
   requestController.getRequestsByFacultyId
 );     
 
 router.get('/lab/:labId', 
   authenticate, 
-  authorizeRole(['lab_assistant', 'central_store_admin','admin']), 
+  requirePermission('request.view_lab', { labParam: 'labId' }), 
   requestController.getRequestsByLabId    
 );
 
@@ -51,14 +51,14 @@ router.get('/:id',
 
 router.delete('/:id', 
   authenticate, 
-  authorizeRole(['faculty']), 
+  requirePermission('request.create'), 
   requestController.deleteRequest                 
 );
 
 // Request status management routes
 router.put('/:id/admin-approve', 
   authenticate, 
-  authorizeRole(['admin']), 
+  requirePermission('request.approve'), 
   validateAdminApproval,
   requestController.adminApproveRequest
 );
@@ -66,7 +66,7 @@ router.put('/:id/admin-approve',
 // Admin edit route
 router.put('/:id/admin-edit', 
   authenticate, 
-  authorizeRole(['admin']), 
+  requirePermission('request.edit'), 
   validateEditPermissions,
   requestController.adminEditRequest
 );
@@ -74,7 +74,7 @@ router.put('/:id/admin-edit',
 // NEW: Date-aware allocation status routes
 router.get('/:id/allocation-status',
   authenticate,
-  authorizeRole(['lab_assistant', 'central_store_admin', 'admin']),
+  requirePermission('request.allocate'),
   updateAllocationStatus,
   requestController.getRequestAllocationStatus
 );
@@ -82,21 +82,21 @@ router.get('/:id/allocation-status',
 // NEW: Admin override for experiment dates
 router.post('/:id/experiments/:experimentId/admin-override',
   authenticate,
-  authorizeRole(['admin']),
+  requirePermission('request.edit'),
   requestController.setAdminOverride
 );
 
 // NEW: Get item edit permissions
 router.get('/:id/edit-permissions',
   authenticate,
-  authorizeRole(['admin']),
+  requirePermission('request.edit'),
   requestController.getItemEditPermissions
 );
 
 // NEW: Update item disabled status
 router.put('/:id/items/disable-status',
   authenticate,
-  authorizeRole(['admin']),
+  requirePermission('request.edit'),
   validateEditPermissions,
   requestController.updateItemDisabledStatus
 );
@@ -108,13 +108,13 @@ router.put('/approve',
 
 router.put('/:id/reject', 
   authenticate, 
-  authorizeRole(['lab_assistant', 'central_store_admin','admin']), 
+  requirePermission('request.reject'), 
   requestController.rejectRequest
 );
 
 router.put('/:id/allocate', 
   authenticate, 
-  authorizeRole(['lab_assistant', 'central_store_admin', 'admin']), 
+  requirePermission('request.allocate'), 
   validateExperimentDate,
   updateAllocationStatus,
   requestController.allocateChemicals
@@ -122,7 +122,7 @@ router.put('/:id/allocate',
 
 router.put('/:id/allocate-unified', 
   authenticate, 
-  authorizeRole(['lab_assistant', 'central_store_admin', 'admin']), 
+  requirePermission('request.allocate'), 
   validateExperimentDate,
   updateAllocationStatus,
   requestController.allocateChemEquipGlass
@@ -131,19 +131,19 @@ router.put('/:id/allocate-unified',
 // Grant remaining allocation permission (Admin only)
 router.put('/:id/grant-remaining-allocation-permission',
   authenticate,
-  authorizeRole(['admin']),
+  requirePermission('request.edit'),
   requestController.grantRemainingAllocationPermission
 );
 
 router.put('/:id/complete', 
   authenticate, 
-  authorizeRole(['lab_assistant', 'central_store_admin','admin']), 
+  requirePermission('request.allocate'), 
   requestController.completeRequest
 );
 
 router.post('/fulfill-remaining', 
   authenticate, 
-  authorizeRole(['lab_assistant', 'central_store_admin', 'admin']), 
+  requirePermission('request.allocate'), 
   requestController.fulfillRemaining
 );
 
@@ -152,15 +152,15 @@ router.put('/:id/return-unified',
   requestReturnController.returnChemEquipGlass
 );
 
-router.get('/stats', authenticate, authorizeRole(['admin', 'central_store_admin']), requestController.getRequestStats);
-router.get('/pending-overview', authenticate, authorizeRole(['admin', 'central_store_admin']), requestController.getPendingOverviewRequests);
-router.get('/all', authenticate, authorizeRole(['admin', 'central_store_admin']), requestController.getAllRequestsForDashboard);
+router.get('/stats', authenticate, requirePermission('request.view_dashboard'), requestController.getRequestStats);
+router.get('/pending-overview', authenticate, requirePermission('request.view_dashboard'), requestController.getPendingOverviewRequests);
+router.get('/all', authenticate, requirePermission('request.view_dashboard'), requestController.getAllRequestsForDashboard);
 
 // Route to get all unapproved requests
 router.get(
   '/unapproved',
   authenticate,
-  authorizeRole(['admin', 'central_store_admin']),
+  requirePermission('request.view_dashboard'),
   requestController.getUnapprovedRequests
 );
 
@@ -168,7 +168,7 @@ router.get(
 router.get(
   '/approved',
   authenticate,
-  authorizeRole(['central_store_admin', 'admin']),
+  requirePermission('request.view_dashboard'),
   requestController.getApprovedRequests
 );
 
@@ -0,0 +1,42 @@
+const express = require('express');
+const router = express.Router();
+const { body, param } = require('express-validator');
+const storageComplianceController = require('../controllers/storageComplianceController');
+const authenticate = require('../middleware/authMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { handleValidationErrors } = require('../middleware/validators');
+const { COMPATIBILITY_GROUPS, SEPARATION_LEVELS } = require('../config/storageCompatibility');
+
+const groupKeys = Object.keys(COMPATIBILITY_GROUPS);
+
+// 🔐 Any signed-in user may read the matrix
+router.use(authenticate);
+
+// @desc    Compatibility groups and effective matrix
+// @route   GET /api/storage-compatibility
+router.get('/', storageComplianceController.getMatrix);
+
+// @desc    Override one pair of the matrix
+// @route   PUT /api/storage-compatibility/rules
+router.put('/rules',
+  requirePermission('storage_compatibility.manage'),
+  [
+    body('groups').isArray({ min: 2, max: 2 }).withMessage('groups must name two compatibility groups'),
+    body('groups.*').isIn(groupKeys).withMessage(`groups must be among ${groupKeys.join(', ')}`),
+    body('separation').isIn(['none', ...SEPARATION_LEVELS]).withMessage(`separation must be none, ${SEPARATION_LEVELS.join(', ')}`),
+    body('reason').optional().trim().isLength({ max: 200 })
+  ],
+  handleValidationErrors,
+  storageComplianceController.upsertRule
+);
+
+// @desc    Remove an override (the default rule applies again)
+// @route   DELETE /api/storage-compatibility/rules/:groupA/:groupB
+router.delete('/rules/:groupA/:groupB',
+  requirePermission('storage_compatibility.manage'),
+  [param('groupA').isIn(groupKeys), param('groupB').isIn(groupKeys)],
+  handleValidationErrors,
+  storageComplianceController.deleteRule
+);
+
+module.exports = router;
@@ -3,6 +3,7 @@ const express = require('express');
 const router = express.Router();
 const { bulkSyncProducts } = require('../middleware/productSyncMiddleware');
 const { migrateExistingChemicals } = require('../utils/chemicalProductIntegration');
+const { migrateChemicalLots } = require('../services/lotService');
 const authenticate = require('../middleware/authMiddleware');
 const authorizeRole = require('../middleware/roleMiddleware');
 const asyncHandler = require('express-async-handler');
@@ -82,142 +83,29 @@ router.post('/sync-products',
   })
 );
 
-// @desc    Fix ChemicalLive chemicalName field to match ChemicalMaster
-// @route   POST /api/sync/fix-chemical-names
+// @desc    Move chemical batches to Lot records (replaces " - A" name suffixes)
+// @route   POST /api/sync/migrate-chemical-lots
 // @access  Private (Admin only)
-router.post('/fix-chemical-names', 
+router.post('/migrate-chemical-lots', 
   authenticate, 
   authorizeRole(['admin']), 
   asyncHandler(async (req, res) => {
     try {
-      const ChemicalMaster = require('../models/ChemicalMaster');
-      const ChemicalLive = require('../models/ChemicalLive');
-      
-      console.log(`🔄 Fixing ChemicalLive chemicalName fields to match ChemicalMaster...`);
-      
-      // Get all ChemicalMaster documents
-      const chemicalMasters = await ChemicalMaster.find().populate('productId');
-      
-      let fixed = 0;
-      let errors = 0;
-      const results = [];
+      const dryRun = req.body.dryRun === true;
+      console.log(`🔄 Starting chemical lot migration${dryRun ? ' (dry run)' : ''}...`);
 
-      for (const master of chemicalMasters) {
-        try {
-          // Find all ChemicalLive documents for this master
-          const liveDocuments = await ChemicalLive.find({ chemicalMasterId: master._id });
-          
-          for (const live of liveDocuments) {
-            const oldChemicalName = live.chemicalName;
-            const oldDisplayName = live.displayName;
-            
-            // Update to match ChemicalMaster
-            const updates = {
-              chemicalName: master.chemicalName, // Should match master exactly
-            };
-            
-            // If we have Product reference, update displayName too
-            if (master.productId) {
-              updates.displayName = master.productId.name; // Clean product name
-            }
-            
-            await ChemicalLive.findByIdAndUpdate(live._id, updates);
-            
-            results.push({
-              liveId: live._id,
-              masterId: master._id,
-              changes: {
-                chemicalName: {
-                  from: oldChemicalName,
-                  to: master.chemicalName
-                },
-                displayName: {
-                  from: oldDisplayName,
-                  to: updates.displayName || oldDisplayName
-                }
-              }
-            });
-            
-            fixed++;
-          }
-          
-        } catch (error) {
-          console.error(`❌ Failed to fix ChemicalLive for master ${master._id}:`, error);
-          errors++;
-        }
-      }
-      
-      console.log(`🎉 ChemicalName fix completed: ${fixed} fixed, ${errors} errors`);
-      
-      res.status(200).json({
-        success: true,
-        message: `ChemicalLive chemicalName fix completed: ${fixed} documents fixed, ${errors} errors`,
-        data: {
-          fixed,
-          errors,
-          total: fixed + errors,
-          details: results.slice(0, 10) // Show first 10 results as sample
-        }
-      });
-      
-    } catch (error) {
-      console.error('❌ Fix chemical names API error:', error);
-      res.status(500).json({
-        success: false,
-        message: 'Fix chemical names failed',
-        error: error.message
-      });
-    }
-  })
-);
+      const result = await migrateChemicalLots({ dryRun });
 
-// @desc    Test suffix preservation logic
-// @route   POST /api/sync/test-suffix
-// @access  Private (Admin only)  
-router.post('/test-suffix', 
-  authenticate, 
-  authorizeRole(['admin']), 
-  asyncHandler(async (req, res) => {
-    try {
-      const { extractSuffix, getBaseName, updateChemicalNameWithSuffix } = require('../utils/chemicalProductIntegration');
-      const { testCases } = req.body;
-      
-      const defaultTestCases = [
-        "Sodium Chloride",
-        "Sodium Chloride - A", 
-        "Hydrochloric Acid - B",
-        "Water - Z",
-        "Ethanol"
-      ];
-      
-      const cases = testCases || defaultTestCases;
-      const results = [];
-      
-      for (const chemicalName of cases) {
-        const baseName = getBaseName(chemicalName);
-        const suffix = extractSuffix(chemicalName);
-        const newName = updateChemicalNameWithSuffix(chemicalName, "NEW_PRODUCT_NAME");
-        
-        results.push({
-          original: chemicalName,
-          baseName: baseName,
-          suffix: suffix || "(no suffix)",
-          updated: newName,
-          test: `${chemicalName} → ${newName}`
-        });
-      }
-      
       res.status(200).json({
         success: true,
-        message: 'Suffix preservation test completed',
-        data: results
+        message: `Chemical lot migration${dryRun ? ' (dry run)' : ''} completed: ${result.lotsCreated} lots, ${result.renamed} names unsuffixed, ${result.errors} errors`,
+        data: result
       });
-      
     } catch (error) {
-      console.error('❌ Suffix test API error:', error);
+      console.error('❌ Chemical lot migration API error:', error);
       res.status(500).json({
         success: false,
-        message: 'Suffix test failed',
+        message: 'Chemical lot migration failed',
         error: error.message
       });
     }
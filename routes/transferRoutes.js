@@ -1,11 +1,107 @@
 const express = require('express');
 const router = express.Router();
+const { body, param, query } = require('express-validator');
 const transferController = require('../controllers/transferController');
 const authenticate = require('../middleware/authMiddleware');
-const authorizeRoles = require('../middleware/roleMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { handleValidationErrors } = require('../middleware/validators');
+const { TRANSFER_CATEGORIES, TRANSFER_STATUSES } = require('../config/transfers');
 
-router.post('/initiate', authenticate, authorizeRoles('lab_assistant'), transferController.createTransfer);
-router.get('/history', authenticate, authorizeRoles('central_store_admin', 'lab_assistant'), transferController.getTransferHistory);
-router.post('/approve', authenticate, authorizeRoles('central_store_admin'), transferController.approveTransfer);
+const categoryKeys = Object.keys(TRANSFER_CATEGORIES);
+const transferIdValidation = param('id').isMongoId().withMessage('Invalid transfer id');
+const noteValidation = body('note').optional().trim().isLength({ max: 500 });
+
+const listValidation = [
+  query('status').optional().isIn(TRANSFER_STATUSES).withMessage(`status must be one of ${TRANSFER_STATUSES.join(', ')}`),
+  query('direction').optional().isIn(['in', 'out']).withMessage('direction must be in or out')
+];
+
+const createValidation = [
+  body('fromLabId').trim().notEmpty().withMessage('fromLabId is required'),
+  body('toLabId').trim().notEmpty().withMessage('toLabId is required'),
+  body('items').isArray({ min: 1 }).withMessage('items must list at least one stock record'),
+  body('items.*.category').isIn(categoryKeys).withMessage(`category must be one of ${categoryKeys.join(', ')}`),
+  body('items.*.stockId').optional().isMongoId().withMessage('stockId must be a stock record id'),
+  body('items.*.quantity').optional().isFloat({ gt: 0 }).withMessage('quantity must be greater than 0'),
+  body('items.*.unit').optional().trim().notEmpty(),
+  body('reason').optional().trim().isLength({ max: 500 })
+];
+
+// 🔐 All routes require authentication
+router.use(authenticate);
+
+// @desc    Transfers into or out of the labs the user can see (?labId=&direction=&status=)
+// @route   GET /api/transfers
+router.get('/', requirePermission('transfer.view'), listValidation, handleValidationErrors, transferController.getTransfers);
+
+// @desc    Same list (kept for existing clients)
+// @route   GET /api/transfers/history
+router.get('/history', requirePermission('transfer.view'), listValidation, handleValidationErrors, transferController.getTransfers);
+
+// @desc    Request a lab-to-lab transfer
+// @route   POST /api/transfers
+router.post('/', requirePermission('transfer.request'), createValidation, handleValidationErrors, transferController.createTransfer);
+
+// @desc    Same request (kept for existing clients)
+// @route   POST /api/transfers/initiate
+router.post('/initiate', requirePermission('transfer.request'), createValidation, handleValidationErrors, transferController.createTransfer);
+
+// @desc    One transfer with its history
+// @route   GET /api/transfers/:id
+router.get('/:id',
+  requirePermission('transfer.view'),
+  transferIdValidation,
+  handleValidationErrors,
+  transferController.getTransfer
+);
+
+// @desc    Approve a requested transfer
+// @route   POST /api/transfers/:id/approve
+router.post('/:id/approve',
+  requirePermission('transfer.approve'),
+  [transferIdValidation, noteValidation],
+  handleValidationErrors,
+  transferController.approveTransfer
+);
+
+// @desc    Reject a transfer before dispatch
+// @route   POST /api/transfers/:id/reject
+router.post('/:id/reject',
+  requirePermission('transfer.approve'),
+  [transferIdValidation, body('reason').trim().notEmpty().withMessage('reason is required').isLength({ max: 500 })],
+  handleValidationErrors,
+  transferController.rejectTransfer
+);
+
+// @desc    Dispatch an approved transfer from the source lab
+// @route   POST /api/transfers/:id/dispatch
+router.post('/:id/dispatch',
+  requirePermission('transfer.dispatch'),
+  [transferIdValidation, noteValidation],
+  handleValidationErrors,
+  transferController.dispatchTransfer
+);
+
+// @desc    Receive a dispatched transfer into the destination lab
+// @route   POST /api/transfers/:id/receive
+router.post('/:id/receive',
+  requirePermission('transfer.receive'),
+  [
+    transferIdValidation,
+    noteValidation,
+    body('locationId').optional().isMongoId().withMessage('locationId must be a storage location id')
+  ],
+  handleValidationErrors,
+  transferController.receiveTransfer
+);
+
+// @desc    Cancel a transfer before dispatch
+// @route   POST /api/transfers/:id/cancel
+router.post('/:id/cancel',
+  requirePermission('transfer.request'),
+  [transferIdValidation, noteValidation],
+  handleValidationErrors,
+  transferController.cancelTransfer
+);
 
 module.exports = router;
@@ -0,0 +1,17 @@
+const express = require('express');
+const router = express.Router();
+const unitController = require('../controllers/unitController');
+const authenticate = require('../middleware/authMiddleware');
+
+// 🔐 Any signed-in user (request and indent forms list the units)
+router.use(authenticate);
+
+// @desc    Unit registry
+// @route   GET /api/units
+router.get('/', unitController.getUnits);
+
+// @desc    Convert a quantity between units of one dimension
+// @route   GET /api/units/convert
+router.get('/convert', unitController.convert);
+
+module.exports = router;
@@ -3,6 +3,8 @@ const router = express.Router();
 const userController = require('../controllers/userController');
 const authenticate = require("../middleware/authMiddleware");
 const authorizeRole = require('../middleware/roleMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { getEntityHistory } = require('../controllers/activityController');
 
 // All routes are protected and require admin role
 router.use(authenticate);
@@ -25,6 +27,19 @@ router.post('/:id/reset-password', userController.resetPassword);
 // Delete user
 router.delete('/:id', userController.deleteUser);
 
+// Change history of a user (password values are never stored)
+router.get('/:id/history', requirePermission('activity.view'), getEntityHistory('User'));
+
+// Sessions
+// List a user's active sessions
+router.get('/:id/sessions', userController.getUserSessions);
+
+// Revoke all of a user's sessions
+router.delete('/:id/sessions', userController.revokeUserSessions);
+
+// Revoke one session
+router.delete('/:id/sessions/:sessionId', userController.revokeUserSessions);
+
 // Lab Assignment Routes
 // Get user's lab assignments
 router.get('/:userId/lab-assignments', userController.getUserLabAssignments);
@@ -3,6 +3,8 @@ const router = express.Router();
 const vendorController = require('../controllers/vendorController');
 const authenticate = require('../middleware/authMiddleware');
 const authorizeRole = require('../middleware/roleMiddleware');
+const requirePermission = require('../middleware/permissionMiddleware');
+const { getEntityHistory } = require('../controllers/activityController');
 
 // Public routes
 router.get('/', vendorController.getVendors);
@@ -10,6 +12,7 @@ router.get('/search', vendorController.searchVendors);
 router.get('/:id', vendorController.getVendorById);
 
 // Protected admin routes
+router.get('/:id/history', authenticate, requirePermission('activity.view'), getEntityHistory('Vendor'));
 router.post('/', 
   authenticate, 
   authorizeRole(['admin', 'central_store_admin']), 
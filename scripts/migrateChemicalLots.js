@@ -0,0 +1,43 @@
+#!/usr/bin/env node
+
+// Migration script: give every ChemicalMaster a Lot and replace " - A" / " - B"
+// name suffixes with lot references. Pass --dry-run to only report what would change.
+const mongoose = require('mongoose');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+async function runLotMigration({ dryRun = false } = {}) {
+  try {
+    const mongoUri = process.env.MONGO_URI || 'mongodb://localhost:27017/Pydah';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const { migrateChemicalLots } = require('../services/lotService');
+    const result = await migrateChemicalLots({ dryRun });
+
+    console.log('📊 Migration Results:');
+    console.log(`   Masters processed: ${result.masters}`);
+    console.log(`   Lots created: ${result.lotsCreated}`);
+    console.log(`   Names unsuffixed: ${result.renamed}`);
+    console.log(`   Live records linked: ${result.liveLinked}`);
+    console.log(`   Errors encountered: ${result.errors}`);
+    return result;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+// Run only if called directly (not imported)
+if (require.main === module) {
+  runLotMigration({ dryRun: process.argv.includes('--dry-run') })
+    .then((result) => process.exit(result.errors === 0 ? 0 : 1))
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = runLotMigration;
@@ -0,0 +1,45 @@
+#!/usr/bin/env node
+
+// Migration script: store chemical product units as registry symbols ("ml" -> "mL")
+// and list products whose unit is not in the registry (config/units.js).
+// Pass --dry-run to only report what would change.
+const mongoose = require('mongoose');
+const path = require('path');
+
+// Load environment variables
+require('dotenv').config({ path: path.join(__dirname, '..', '.env') });
+
+async function runUnitMigration({ dryRun = false } = {}) {
+  try {
+    const mongoUri = process.env.MONGO_URI || 'mongodb://localhost:27017/Pydah';
+    await mongoose.connect(mongoUri);
+    console.log('✅ Connected to MongoDB');
+
+    const { migrateChemicalUnits } = require('../services/unitService');
+    const result = await migrateChemicalUnits({ dryRun });
+
+    console.log('📊 Migration Results:');
+    console.log(`   Chemical products checked: ${result.products}`);
+    console.log(`   Units normalized: ${result.normalized}`);
+    console.log(`   Unknown units: ${result.unknown.length}`);
+    result.unknown.forEach(({ productId, name, unit }) => {
+      console.log(`     ${name} (${productId}): "${unit}"`);
+    });
+    return result;
+  } finally {
+    await mongoose.connection.close();
+    console.log('🔌 Database connection closed');
+  }
+}
+
+// Run only if called directly (not imported)
+if (require.main === module) {
+  runUnitMigration({ dryRun: process.argv.includes('--dry-run') })
+    .then((result) => process.exit(result.unknown.length === 0 ? 0 : 1))
+    .catch((error) => {
+      console.error('❌ Migration failed:', error);
+      process.exit(1);
+    });
+}
+
+module.exports = runUnitMigration;
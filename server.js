@@ -4,12 +4,15 @@ const dotenv = require('dotenv');
 const connectDB = require('./config/db');
 const cors = require('cors');
 const errorHandler = require('./middleware/errorHandler');
+const trackActivity = require('./middleware/activityMiddleware');
 const analyticsRoutes = require('./routes/analyticsRoutes');
-const { checkForExpiringChemicals } = require('./utils/expiryAlerts');
+const { scheduleExpiryAlerts } = require('./utils/expiryAlerts');
+const { scheduleReorder } = require('./utils/reorderEngine');
 const productRoutes = require('./routes/productRoutes');
 const vendorRoutes = require('./routes/vendorRoutes');
 const invoiceRoutes = require('./routes/invoiceRoutes');
 const voucherRoutes = require('./routes/voucherRoutes');
+const { initWebSocket } = require('./utils/websocketManager');
 
 // Load environment variables
 dotenv.config();
@@ -63,6 +66,9 @@ app.use(cors(corsOptions));
 // Body parser
 app.use(express.json());
 
+// Attribute writes to the caller for the activity trail
+app.use(trackActivity);
+
 // Swagger docs
 require('./swagger')(app);
 
@@ -393,12 +399,26 @@ app.use('/api/sync', require('./routes/syncRoutes')); // Add sync routes for che
 app.use('/api/labs', require('./routes/labRoutes')); // Add lab management routes
 app.use('/api/requirements', require('./routes/requirementRoutes')); // Add requirement management routes
 app.use('/api/audit', require('./routes/auditRoutes')); // Add audit management routes
+app.use('/api/expiry-alerts', require('./routes/expiryAlertRoutes')); // Expiry alert thresholds and log
+app.use('/api/ledger', require('./routes/ledgerRoutes')); // Unified stock ledger and point-in-time balances
+app.use('/api/reconciliation', require('./routes/reconciliationRoutes')); // Historical stock replay and month-end drift report
+app.use('/api/activity', require('./routes/activityRoutes')); // Who changed what: activity trail across write endpoints
+app.use('/api/units', require('./routes/unitRoutes')); // Unit-of-measure registry and conversions
+app.use('/api/storage-compatibility', require('./routes/storageCompatibilityRoutes')); // Chemical segregation matrix
+app.use('/api/controlled-register', require('./routes/controlledRegisterRoutes')); // Witnessed register of controlled substances
+app.use('/api/disposals', require('./routes/disposalRoutes')); // Quarantine, approval and contractor disposal of chemical waste
+app.use('/api/reorder', require('./routes/reorderRoutes')); // Reorder suggestions and draft quotation / indent top-ups
+app.use('/api/labels', require('./routes/labelRoutes')); // Printable QR label sheets (PDF / ZPL)
+app.use('/api/imports', require('./routes/importRoutes')); // Bulk CSV / XLSX intake into the central store
 
 // Error Handler
 app.use(errorHandler);
 
-// Run expiry alerts
-// checkForExpiringChemicals();
+// Schedule daily expiry alerts
+scheduleExpiryAlerts();
+
+// Schedule the daily reorder run
+scheduleReorder();
 
 // Start server with keep-alive fixes
 const PORT = process.env.PORT || 7000;
@@ -409,3 +429,6 @@ const server = app.listen(PORT, '0.0.0.0', () => {
 // Fix timeouts for long requests
 server.keepAliveTimeout = 120000;
 server.headersTimeout = 120000;
+
+// Real-time push channel (notifications, request status, stock changes) on /ws
+initWebSocket(server);
@@ -0,0 +1,255 @@
+// Activity Service
+// Audit trail of who changed what. trackActivity (middleware/activityMiddleware.js)
+// runs each mutating request inside an AsyncLocalStorage context, so the mongoose
+// plugin below can attach the actor, route and IP to every change it records
+// without controllers passing the request around.
+const { AsyncLocalStorage } = require('async_hooks');
+const ActivityLog = require('../models/ActivityLog');
+const { runWhenCommitted } = require('../utils/stockTransaction');
+
+const activityContext = new AsyncLocalStorage();
+
+// Fields that change on every write and say nothing about what the user did
+const IGNORED_PATHS = ['__v', 'updatedAt'];
+const REDACTED = '[redacted]';
+
+const runWithActivityContext = (store, fn) => activityContext.run(store, fn);
+const getActivityContext = () => activityContext.getStore();
+
+// Actor and endpoint of the request being handled, if any
+function requestInfo(store) {
+  if (!store || !store.req) return {};
+  const { req } = store;
+  return {
+    actor: req.user ? req.user._id : null,
+    actorRole: req.user ? req.user.role : undefined,
+    method: req.method,
+    route: req.route ? `${req.method} ${req.baseUrl}${req.route.path}` : undefined,
+    path: req.originalUrl.split('?')[0],
+    ip: req.ip,
+    userAgent: req.get('user-agent')
+  };
+}
+
+// JSON-safe copy of a document: ObjectIds as strings, dates as ISO strings
+function toPlain(value) {
+  if (value === null || value === undefined) return value;
+  if (value instanceof Date) return value.toISOString();
+  if (value._bsontype) return value.toString();
+  if (Array.isArray(value)) return value.map(toPlain);
+  if (typeof value === 'object') {
+    const source = typeof value.toObject === 'function'
+      ? value.toObject({ depopulate: true, virtuals: false })
+      : value;
+    const plain = {};
+    Object.keys(source).forEach(key => {
+      plain[key] = toPlain(source[key]);
+    });
+    return plain;
+  }
+  return value;
+}
+
+// { 'a.b': value } for nested objects; arrays are compared as a whole
+function flatten(value, prefix = '', into = {}) {
+  Object.keys(value || {}).forEach(key => {
+    const path = prefix ? `${prefix}.${key}` : key;
+    const child = value[key];
+    if (child && typeof child === 'object' && !Array.isArray(child)) {
+      flatten(child, path, into);
+    } else {
+      into[path] = child;
+    }
+  });
+  return into;
+}
+
+/**
+ * Field-level differences between two plain snapshots.
+ * @returns {Array<{path: string, from: *, to: *}>}
+ */
+function diffSnapshots(before, after) {
+  const flatBefore = flatten(before);
+  const flatAfter = flatten(after);
+  const paths = new Set([...Object.keys(flatBefore), ...Object.keys(flatAfter)]);
+
+  const changes = [];
+  paths.forEach(path => {
+    if (IGNORED_PATHS.includes(path.split('.')[0])) return;
+    if (JSON.stringify(flatBefore[path]) !== JSON.stringify(flatAfter[path])) {
+      changes.push({ path, from: flatBefore[path], to: flatAfter[path] });
+    }
+  });
+  return changes;
+}
+
+const isExcluded = (path, exclude) => exclude.some(field => path === field || path.startsWith(`${field}.`));
+
+function redact(snapshot, exclude) {
+  if (!snapshot) return null;
+  exclude.forEach(field => {
+    if (snapshot[field] !== undefined) snapshot[field] = REDACTED;
+  });
+  return snapshot;
+}
+
+/**
+ * Write one audit row. Failures are logged, never thrown: a broken audit
+ * write must not fail the change it describes.
+ */
+async function recordActivity(entry) {
+  try {
+    return await ActivityLog.create(entry);
+  } catch (error) {
+    console.error('❌ Failed to record activity:', error.message);
+    return null;
+  }
+}
+
+async function recordEntityChange({ entity, exclude, ignore }, action, beforeDoc, afterDoc) {
+  const before = toPlain(beforeDoc) || null;
+  const after = toPlain(afterDoc) || null;
+  const subject = after || before;
+  if (!subject) return;
+
+  let changes = [];
+  if (action === 'update') {
+    changes = diffSnapshots(before, after).filter(change => !isExcluded(change.path, ignore));
+    if (changes.length === 0) return;
+    changes = changes.map(change => (isExcluded(change.path, exclude)
+      ? { path: change.path, from: REDACTED, to: REDACTED }
+      : change));
+  }
+
+  const store = getActivityContext();
+  if (store) store.recorded += 1;
+
+  await recordActivity({
+    ...requestInfo(store),
+    action,
+    entityType: entity,
+    entityId: String(subject._id),
+    before: redact(before, exclude),
+    after: redact(after, exclude),
+    changes
+  });
+}
+
+// Record a change made with `session` once its transaction commits, so aborted
+// units of work leave no rows; without a transaction it is recorded now
+const recordWhenCommitted = (session, ...change) =>
+  runWhenCommitted(session, () => recordEntityChange(...change));
+
+// Session a query runs in: its reads of the before/after image must see the same data
+const sessionOfQuery = (query) => query.getOptions().session || null;
+
+/**
+ * Mongoose plugin recording create/update/delete of a model in ActivityLog.
+ * Covers save(), create(), insertMany(), findOneAndUpdate()/findByIdAndUpdate(),
+ * updateOne(), updateMany(), findOneAndDelete()/findByIdAndDelete(), deleteOne()
+ * and deleteMany(). Not covered: bulkWrite(), replaceOne() and raw collection writes.
+ * Before/after images are read in the write's session, and changes made inside
+ * a runStockTransaction() unit are recorded when it commits.
+ * @param {Schema} schema
+ * @param {{ entity: string, exclude?: string[], ignore?: string[] }} options -
+ *   exclude: fields whose values are never stored (a change to them is still recorded);
+ *   ignore: bookkeeping fields (e.g. lastLogin) whose changes are not recorded at all
+ */
+function activityPlugin(schema, { entity, exclude = [], ignore = [] } = {}) {
+  const options = { entity, exclude, ignore };
+
+  // The document as loaded: save() diffs against it instead of reading it again
+  schema.pre('init', function(raw) {
+    this.$locals.activitySnapshot = raw;
+  });
+
+  schema.pre('save', async function() {
+    this.$locals.activityIsNew = this.isNew;
+    if (this.isNew) {
+      this.$locals.activityBefore = null;
+    } else if (this.$locals.activitySnapshot) {
+      this.$locals.activityBefore = this.$locals.activitySnapshot;
+    } else {
+      // Marked as saved without being loaded (e.g. isNew set by hand)
+      this.$locals.activityBefore = await this.constructor.findById(this._id).session(this.$session()).lean();
+    }
+  });
+
+  schema.post('save', async function(doc) {
+    const action = doc.$locals.activityIsNew ? 'create' : 'update';
+    const before = doc.$locals.activityBefore;
+    const after = toPlain(doc);
+    await recordWhenCommitted(doc.$session(), options, action, before, after);
+    // A later save() of the same document diffs against this one
+    doc.$locals.activitySnapshot = after;
+  });
+
+  schema.post('insertMany', async function(docs) {
+    for (const doc of docs) {
+      await recordWhenCommitted(doc.$session(), options, 'create', null, toPlain(doc));
+    }
+  });
+
+  async function captureBefore() {
+    this._activityBefore = await this.model.findOne(this.getFilter()).session(sessionOfQuery(this)).lean();
+  }
+
+  schema.pre(['findOneAndUpdate', 'updateOne'], { document: false, query: true }, captureBefore);
+  schema.post(['findOneAndUpdate', 'updateOne'], { document: false, query: true }, async function(result) {
+    const before = this._activityBefore;
+    const id = before ? before._id : result && (result.upsertedId || result._id);
+    if (!id) return;
+    const session = sessionOfQuery(this);
+    const after = await this.model.findById(id).session(session).lean();
+    await recordWhenCommitted(session, options, before ? 'update' : 'create', before, after);
+  });
+
+  schema.pre(['findOneAndDelete', 'deleteOne'], { document: false, query: true }, captureBefore);
+  schema.post(['findOneAndDelete', 'deleteOne'], { document: false, query: true }, async function() {
+    if (this._activityBefore) {
+      await recordWhenCommitted(sessionOfQuery(this), options, 'delete', this._activityBefore, null);
+    }
+  });
+
+  // Many-document writes: one row per matched document, read once before and once after
+  async function captureAllBefore() {
+    this._activityBefore = await this.model.find(this.getFilter()).session(sessionOfQuery(this)).lean();
+  }
+
+  schema.pre('updateMany', { document: false, query: true }, captureAllBefore);
+  schema.post('updateMany', { document: false, query: true }, async function(result) {
+    const before = this._activityBefore || [];
+    const ids = before.map(doc => doc._id);
+    if (result && result.upsertedId) ids.push(result.upsertedId);
+    if (ids.length === 0) return;
+    const session = sessionOfQuery(this);
+    const beforeById = new Map(before.map(doc => [String(doc._id), doc]));
+    const after = await this.model.find({ _id: { $in: ids } }).session(session).lean();
+    for (const doc of after) {
+      const previous = beforeById.get(String(doc._id)) || null;
+      await recordWhenCommitted(session, options, previous ? 'update' : 'create', previous, doc);
+    }
+  });
+
+  schema.pre('deleteMany', { document: false, query: true }, captureAllBefore);
+  schema.post('deleteMany', { document: false, query: true }, async function() {
+    const session = sessionOfQuery(this);
+    for (const doc of this._activityBefore || []) {
+      await recordWhenCommitted(session, options, 'delete', doc, null);
+    }
+  });
+
+  // doc.deleteOne() does not run the query hooks above
+  schema.post('deleteOne', { document: true, query: false }, async function(doc) {
+    await recordWhenCommitted(doc.$session(), options, 'delete', toPlain(doc), null);
+  });
+}
+
+module.exports = {
+  runWithActivityContext,
+  getActivityContext,
+  requestInfo,
+  recordActivity,
+  diffSnapshots,
+  activityPlugin
+};
@@ -0,0 +1,209 @@
+// Batch Selection Service
+// Decides which chemical batches (ChemicalLive documents) an allocation draws
+// from. Shared by lab allocation, request allocation and indent allocation so
+// they all agree on two rules: expired stock is never issued, and stock that
+// will not last until it is used (plus a safety margin) is skipped.
+//
+// Strategies:
+//   fefo   - first expiry, first out; batches without an expiry date go last
+//   fifo   - oldest batch first (createdAt)
+//   manual - only the batches listed in batchIds, in that order
+//
+// With a `unit`, the requested quantity is in that unit and each batch's stock
+// is converted to it; batches kept in a unit that does not convert are skipped.
+//
+// Expiry always means the effective expiry: an opened container expires at the
+// earlier of its manufacturer date and its after-opening use-by date.
+// Units reserved for a pending transfer (reservedQuantity) are never picked.
+const ChemicalLive = require('../models/ChemicalLive');
+const { assertKnownUnit, convertQuantity, roundQuantity } = require('./unitService');
+const { effectiveExpiry, expiryBasis } = require('./shelfLifeService');
+
+const BATCH_STRATEGIES = ['fefo', 'fifo', 'manual'];
+const DEFAULT_STRATEGY = 'fefo';
+// Days of shelf life a batch must still have on the day it is used
+const MIN_SHELF_LIFE_DAYS = Number(process.env.MIN_SHELF_LIFE_DAYS) || 0;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class BatchSelectionError extends Error {
+  constructor(message) {
+    super(message);
+    this.name = 'BatchSelectionError';
+    this.statusCode = 400;
+    this.code = 'BATCH_SELECTION';
+  }
+}
+
+/**
+ * Validate batch options from a request body, falling back to `defaults`.
+ * `unit` is only taken from `input`: it is the unit of that line's quantity.
+ * @param {{ strategy?: string, minShelfLifeDays?: number, batchIds?: string[], useBy?: Date|string, unit?: string }} input
+ * @param {Object} [defaults] - already-resolved options (e.g. body-level ones for a line item)
+ * @returns {{ strategy: string, minShelfLifeDays: number, batchIds: string[], useBy: Date|null, unit: string|null }}
+ * @throws {BatchSelectionError|UnitConversionError}
+ */
+function resolveBatchOptions(input = {}, defaults = {}) {
+  const strategy = String(input.strategy || defaults.strategy || DEFAULT_STRATEGY).toLowerCase();
+  if (!BATCH_STRATEGIES.includes(strategy)) {
+    throw new BatchSelectionError(`strategy must be one of ${BATCH_STRATEGIES.join(', ')}`);
+  }
+
+  const rawDays = input.minShelfLifeDays ?? defaults.minShelfLifeDays ?? MIN_SHELF_LIFE_DAYS;
+  const minShelfLifeDays = Number(rawDays);
+  if (!Number.isFinite(minShelfLifeDays) || minShelfLifeDays < 0) {
+    throw new BatchSelectionError('minShelfLifeDays must be a non-negative number');
+  }
+
+  const rawBatchIds = input.batchIds || defaults.batchIds || [];
+  if (!Array.isArray(rawBatchIds)) {
+    throw new BatchSelectionError('batchIds must be an array of stock record ids');
+  }
+  const batchIds = rawBatchIds.map(String);
+  if (strategy === 'manual' && batchIds.length === 0) {
+    throw new BatchSelectionError('batchIds are required for manual batch selection');
+  }
+
+  let useBy = input.useBy || defaults.useBy || null;
+  if (useBy) {
+    useBy = new Date(useBy);
+    if (isNaN(useBy.getTime())) {
+      throw new BatchSelectionError('useBy must be a valid date');
+    }
+  }
+
+  const unit = input.unit ? assertKnownUnit(input.unit) : null;
+
+  return { strategy, minShelfLifeDays, batchIds, useBy, unit };
+}
+
+const time = (date) => (date ? new Date(date).getTime() : null);
+
+const compareFefo = (a, b) => {
+  const expiryA = time(effectiveExpiry(a));
+  const expiryB = time(effectiveExpiry(b));
+  if (expiryA !== expiryB) {
+    if (expiryA === null) return 1;
+    if (expiryB === null) return -1;
+    return expiryA - expiryB;
+  }
+  return compareFifo(a, b);
+};
+
+// Oldest first; _id breaks ties so the order is always the same
+function compareFifo(a, b) {
+  const createdA = time(a.createdAt) || 0;
+  const createdB = time(b.createdAt) || 0;
+  if (createdA !== createdB) return createdA - createdB;
+  return String(a._id).localeCompare(String(b._id));
+}
+
+// Units of a batch not reserved for a pending transfer
+const freeOf = (batch) => batch.quantity - (batch.reservedQuantity || 0);
+
+// Free stock of a batch in the requested unit, or null if it does not convert
+function availableIn(batch, unit) {
+  if (!unit) return freeOf(batch);
+  try {
+    return convertQuantity(freeOf(batch), batch.unit, unit);
+  } catch (error) {
+    if (error.name !== 'UnitConversionError') throw error;
+    return null;
+  }
+}
+
+// Why a batch cannot be used, or null if it can
+function exclusionReason(batch, now, cutoff, available) {
+  if (available === null) return 'unit_mismatch';
+  const expiry = time(effectiveExpiry(batch));
+  if (expiry === null) return null;
+  const opened = expiryBasis(batch) === 'openedExpiryDate';
+  if (expiry <= now.getTime()) return opened ? 'expired_after_opening' : 'expired';
+  if (expiry < cutoff.getTime()) return 'short_shelf_life';
+  return null;
+}
+
+/**
+ * Pick batches to cover `quantity`. Pure: reads nothing and writes nothing.
+ * @param {Array<Object>} batches - candidate ChemicalLive documents
+ * @param {number} quantity - in options.unit when given, else in the batches' unit
+ * @param {Object} options - from resolveBatchOptions(); useBy is the date the
+ *   stock will be used (e.g. the experiment date), default now
+ * @returns {{ picks: Array<{batch, quantity, stockQuantity}>, allocatable: number, shortfall: number,
+ *   excluded: Array<{batch, reason}>, missingBatchIds: string[] }} - a pick's `quantity`
+ *   is in the requested unit, `stockQuantity` the same amount in the batch's own unit
+ */
+function planBatches(batches, quantity, options = {}, now = new Date()) {
+  const { strategy = DEFAULT_STRATEGY, minShelfLifeDays = MIN_SHELF_LIFE_DAYS, batchIds = [], unit = null } = options;
+  const useBy = options.useBy && options.useBy > now ? options.useBy : now;
+  const cutoff = new Date(useBy.getTime() + minShelfLifeDays * DAY_MS);
+
+  let ordered;
+  let missingBatchIds = [];
+  if (strategy === 'manual') {
+    const byId = new Map(batches.map(batch => [String(batch._id), batch]));
+    ordered = batchIds.map(id => byId.get(id)).filter(Boolean);
+    missingBatchIds = batchIds.filter(id => !byId.has(id));
+  } else {
+    ordered = [...batches].sort(strategy === 'fifo' ? compareFifo : compareFefo);
+  }
+
+  const excluded = [];
+  const usable = [];
+  for (const batch of ordered) {
+    if (!(freeOf(batch) > 0)) continue;
+    const available = availableIn(batch, unit);
+    const reason = exclusionReason(batch, now, cutoff, available);
+    if (reason) excluded.push({ batch, reason });
+    else usable.push({ batch, available });
+  }
+
+  const picks = [];
+  let remaining = quantity;
+  for (const { batch, available } of usable) {
+    if (remaining <= 0) break;
+    const take = Math.min(available, remaining);
+    // The whole batch when it is emptied, so rounding never leaves a remainder
+    const stockQuantity = take === available ? freeOf(batch) : convertQuantity(take, unit || batch.unit, batch.unit);
+    picks.push({ batch, quantity: take, stockQuantity });
+    remaining = roundQuantity(remaining - take);
+  }
+
+  return {
+    picks,
+    allocatable: roundQuantity(quantity - remaining),
+    shortfall: remaining,
+    excluded,
+    missingBatchIds
+  };
+}
+
+// Candidate batches with stock left for a ChemicalLive filter
+function findChemicalBatches(filter, session = null) {
+  return ChemicalLive.find({ ...filter, quantity: { $gt: 0 } }).session(session);
+}
+
+// What the UI shows for a picked or skipped batch
+const describeBatch = (batch, extra = {}) => ({
+  chemicalLiveId: batch._id,
+  chemicalName: batch.chemicalName,
+  displayName: batch.displayName,
+  labId: batch.labId,
+  expiryDate: batch.expiryDate || null,
+  openedAt: batch.openedAt || null,
+  effectiveExpiryDate: effectiveExpiry(batch),
+  ...extra
+});
+
+const describeExclusions = (excluded) =>
+  excluded.map(({ batch, reason }) => describeBatch(batch, { available: freeOf(batch), reason }));
+
+module.exports = {
+  BATCH_STRATEGIES,
+  MIN_SHELF_LIFE_DAYS,
+  BatchSelectionError,
+  resolveBatchOptions,
+  planBatches,
+  findChemicalBatches,
+  describeBatch,
+  describeExclusions
+};
@@ -0,0 +1,248 @@
+// Storage Compatibility Service
+// Flags chemicals stored too close to chemicals they must be segregated from.
+// Each chemical's compatibility groups come from its product's safety data
+// (hazardService.compatibilityGroupsOf); the matrix is the defaults of
+// config/storageCompatibility.js with the admin overrides in CompatibilityRule.
+// Two records violate a rule when they sit in the same shelf / cabinet / room
+// that the rule says they must not share.
+const Product = require('../models/Product');
+const ChemicalLive = require('../models/ChemicalLive');
+const StorageLocation = require('../models/StorageLocation');
+const CompatibilityRule = require('../models/CompatibilityRule');
+const { COMPATIBILITY_GROUPS, SEPARATION_LEVELS, DEFAULT_RULES } = require('../config/storageCompatibility');
+const { LOCATION_TYPES } = require('../config/storageLocations');
+const { compatibilityGroupsOf } = require('./hazardService');
+const { resolveChemicalProduct } = require('./lotService');
+
+// Depth of each location type (room 0 ... bin 3), to find the shelf / cabinet / room a location is in
+const TYPE_DEPTH = Object.fromEntries(Object.keys(LOCATION_TYPES).map((type, depth) => [type, depth]));
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+const pairKey = (a, b) => [a, b].sort().join('|');
+
+const nameOf = (record) => record.displayName || record.chemicalName;
+
+/**
+ * Effective matrix: pairKey -> { groups, separation, reason, source }.
+ * Pairs switched off by an override ('none') are left out.
+ */
+async function getCompatibilityMatrix({ session } = {}) {
+  const matrix = new Map();
+  DEFAULT_RULES.forEach(rule => {
+    matrix.set(pairKey(...rule.groups), { ...rule, groups: [...rule.groups].sort(), source: 'default' });
+  });
+  const overrides = await CompatibilityRule.find().session(session || null).lean();
+  overrides.forEach(rule => {
+    if (rule.separation === 'none') {
+      matrix.delete(rule.pairKey);
+    } else {
+      matrix.set(rule.pairKey, { groups: rule.groups, separation: rule.separation, reason: rule.reason, source: 'override' });
+    }
+  });
+  return matrix;
+}
+
+/**
+ * The location a record must not share with an incompatible one at `level`:
+ * its room, its cabinet, or its shelf (a bin directly in a cabinet counts as
+ * the cabinet).
+ * @param {Object} location - with ancestors
+ * @param {Map} locations - id -> location, for the ancestors
+ */
+function containerAt(location, level, locations) {
+  const chain = [...location.ancestors.map(id => locations.get(idOf(id))).filter(Boolean), location];
+  let container = null;
+  for (const node of chain) {
+    if (TYPE_DEPTH[node.type] <= TYPE_DEPTH[level]) container = node;
+  }
+  return container;
+}
+
+/**
+ * Violations among located stock entries.
+ * @param {Array<{ record, groups: string[], location }>} entries
+ * @param {Map} matrix - from getCompatibilityMatrix()
+ * @param {Map} locations - id -> location of the lab
+ * @param {{ only?: string }} [options] - only report pairs involving this record id
+ */
+function findViolations(entries, matrix, locations, { only } = {}) {
+  const violations = [];
+  for (let i = 0; i < entries.length; i++) {
+    for (let j = i + 1; j < entries.length; j++) {
+      const [a, b] = [entries[i], entries[j]];
+      if (only && idOf(a.record) !== only && idOf(b.record) !== only) continue;
+
+      const reported = new Set();
+      for (const groupA of a.groups) {
+        for (const groupB of b.groups) {
+          const rule = matrix.get(pairKey(groupA, groupB));
+          if (!rule || reported.has(pairKey(groupA, groupB))) continue;
+          const shared = containerAt(a.location, rule.separation, locations);
+          if (!shared || idOf(shared) !== idOf(containerAt(b.location, rule.separation, locations))) continue;
+          reported.add(pairKey(groupA, groupB));
+
+          violations.push({
+            separation: rule.separation,
+            groups: rule.groups,
+            reason: rule.reason,
+            sharedLocation: { locationId: shared._id, path: shared.path, type: shared.type },
+            items: [[a, groupA], [b, groupB]].map(([entry, group]) => ({
+              chemicalLiveId: entry.record._id,
+              name: nameOf(entry.record),
+              quantity: entry.record.quantity,
+              unit: entry.record.unit,
+              location: entry.location.path,
+              group
+            })),
+            message: `${nameOf(a.record)} (${COMPATIBILITY_GROUPS[groupA].label}) and ${nameOf(b.record)} ` +
+              `(${COMPATIBILITY_GROUPS[groupB].label}) share ${shared.path}: keep them in separate ` +
+              `${rule.separation === 'shelf' ? 'shelves' : `${rule.separation}s`}${rule.reason ? ` (${rule.reason})` : ''}`
+          });
+        }
+      }
+    }
+  }
+  return violations;
+}
+
+// Drop repeats of the same pair breaking the same rule (several records checked in one allocation)
+function uniqueViolations(violations) {
+  const seen = new Set();
+  return violations.filter(violation => {
+    const key = [...violation.items.map(item => idOf(item.chemicalLiveId)).sort(), ...violation.groups].join('|');
+    if (seen.has(key)) return false;
+    seen.add(key);
+    return true;
+  });
+}
+
+// Compatibility groups per record, reading each product once
+async function groupRecords(records, session) {
+  const productIds = [...new Set(records.map(record => idOf(record.productId)).filter(Boolean))];
+  const products = await Product.find({ _id: { $in: productIds } }).select('name safety').session(session || null);
+  const byId = new Map(products.map(product => [idOf(product), product]));
+
+  const grouped = [];
+  for (const record of records) {
+    // Records from before the lot migration have no productId
+    const product = byId.get(idOf(record.productId)) ||
+      await resolveChemicalProduct({ chemicalName: nameOf(record) });
+    grouped.push({ record, groups: product ? compatibilityGroupsOf(product) : [] });
+  }
+  return grouped;
+}
+
+// Lab locations by id
+async function labLocations(labId, session) {
+  const locations = await StorageLocation.find({ labId }).session(session || null).lean();
+  return new Map(locations.map(location => [idOf(location), location]));
+}
+
+/**
+ * Check one chemical record where it has just been put away (allocation or
+ * move). Only records in the same room can conflict, so only those are read.
+ * @param {Document} labStock - ChemicalLive with its new locationId
+ * @param {{ session?: ClientSession }} [options]
+ * @returns {Promise<Object[]>} violations involving this record; empty when compliant
+ */
+async function checkStoragePlacement(labStock, { session } = {}) {
+  if (!labStock || !labStock.locationId || labStock.labId === 'central-store') return [];
+
+  const locations = await labLocations(labStock.labId, session);
+  const location = locations.get(idOf(labStock.locationId));
+  if (!location) return [];
+
+  const [self] = await groupRecords([labStock], session);
+  if (self.groups.length === 0) return [];
+
+  const room = idOf(location.ancestors[0] || location._id);
+  const roomLocationIds = [...locations.values()]
+    .filter(loc => idOf(loc) === room || loc.ancestors.some(id => idOf(id) === room))
+    .map(loc => loc._id);
+  const neighbours = await ChemicalLive.find({
+    labId: labStock.labId,
+    _id: { $ne: labStock._id },
+    locationId: { $in: roomLocationIds },
+    quantity: { $gt: 0 }
+  }).session(session || null);
+
+  const entries = [
+    { ...self, location },
+    ...(await groupRecords(neighbours, session))
+      .filter(entry => entry.groups.length > 0)
+      .map(entry => ({ ...entry, location: locations.get(idOf(entry.record.locationId)) }))
+  ];
+  const violations = findViolations(entries, await getCompatibilityMatrix({ session }), locations, {
+    only: idOf(labStock)
+  });
+  if (violations.length > 0) {
+    console.log(`⚠️ ${violations.length} storage compatibility violation(s) at ${location.path} (${labStock.labId})`);
+  }
+  return violations;
+}
+
+/**
+ * Segregation report of a lab: every violation among located chemical stock,
+ * plus the stock that cannot be checked (no location, or no safety data).
+ */
+async function storageComplianceReport(labId) {
+  const [locations, matrix, records] = await Promise.all([
+    labLocations(labId),
+    getCompatibilityMatrix(),
+    ChemicalLive.find({ labId, quantity: { $gt: 0 } })
+  ]);
+  const grouped = await groupRecords(records);
+
+  const describe = ({ record }) => ({
+    chemicalLiveId: record._id,
+    name: nameOf(record),
+    quantity: record.quantity,
+    unit: record.unit
+  });
+  const unlocated = grouped.filter(({ record }) => !locations.get(idOf(record.locationId)));
+  const unclassified = grouped.filter(entry => entry.groups.length === 0);
+  const entries = grouped
+    .filter(entry => entry.groups.length > 0 && locations.get(idOf(entry.record.locationId)))
+    .map(entry => ({ ...entry, location: locations.get(idOf(entry.record.locationId)) }));
+
+  const violations = findViolations(entries, matrix, locations);
+  // Widest separation first: a room-level breach is worse than a shelf-level one
+  violations.sort((a, b) => SEPARATION_LEVELS.indexOf(b.separation) - SEPARATION_LEVELS.indexOf(a.separation));
+
+  return {
+    labId,
+    compliant: violations.length === 0,
+    checkedAt: new Date(),
+    summary: {
+      chemicals: records.length,
+      checked: entries.length,
+      violations: violations.length,
+      unlocated: unlocated.length,
+      unclassified: unclassified.length
+    },
+    violations,
+    unlocated: unlocated.map(describe),
+    unclassified: unclassified.map(describe)
+  };
+}
+
+// Matrix as served by GET /api/storage-compatibility
+async function describeMatrix() {
+  const matrix = await getCompatibilityMatrix();
+  return {
+    groups: Object.entries(COMPATIBILITY_GROUPS).map(([key, group]) => ({ key, ...group })),
+    separationLevels: SEPARATION_LEVELS,
+    rules: [...matrix.entries()].map(([key, rule]) => ({ pairKey: key, ...rule }))
+  };
+}
+
+module.exports = {
+  pairKey,
+  getCompatibilityMatrix,
+  findViolations,
+  uniqueViolations,
+  checkStoragePlacement,
+  storageComplianceReport,
+  describeMatrix
+};
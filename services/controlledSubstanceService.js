@@ -0,0 +1,372 @@
+// Controlled Substance Service
+// Statutory register of controlled chemicals (Product.controlled). A movement
+// of a controlled product needs a second signatory: controllers call
+// requireWitness() before moving any stock and pass the witness on as
+// `witnessId` in the ledger details. recordMovement() hands every chemical
+// ledger row to recordControlledMovement(), which copies the rows of controlled
+// products into the append-only ControlledRegisterEntry, flagging any without a witness.
+const bcrypt = require('bcryptjs');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const ControlledRegisterEntry = require('../models/ControlledRegisterEntry');
+const ControlledRegisterBalance = require('../models/ControlledRegisterBalance');
+const WitnessAttempt = require('../models/WitnessAttempt');
+const { checkPermission } = require('../config/permissions');
+const { resolveChemicalProduct } = require('./lotService');
+const { raceSafeUpsert } = require('../utils/stockTransaction');
+
+class ControlledSubstanceError extends Error {
+  constructor(message, statusCode = 400, code = 'WITNESS_REQUIRED', details = {}) {
+    super(message);
+    this.name = 'ControlledSubstanceError';
+    this.statusCode = statusCode;
+    this.code = code;
+    this.details = details;
+  }
+}
+
+// Wrong witness passwords allowed per witness before a lockout, as for password reset OTPs
+const MAX_WITNESS_ATTEMPTS = 5;
+const WITNESS_LOCKOUT_MINUTES = 15;
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+const minutesFromNow = (minutes) => new Date(Date.now() + minutes * 60 * 1000);
+
+const lockedError = (lockedUntil) => new ControlledSubstanceError(
+  'Too many invalid witness sign-offs for this witness. Try again later.',
+  429,
+  'WITNESS_LOCKED',
+  { lockedUntil }
+);
+
+// Count a wrong password against the witness email, locking it at the limit
+async function recordFailedWitness(email) {
+  // Counted atomically so parallel guesses cannot slip past the limit
+  const failed = await raceSafeUpsert(() => WitnessAttempt.findOneAndUpdate(
+    { email },
+    { $inc: { attempts: 1 }, $set: { expiresAt: minutesFromNow(WITNESS_LOCKOUT_MINUTES) } },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  ));
+  if (failed.attempts < MAX_WITNESS_ATTEMPTS) return;
+
+  const lockedUntil = minutesFromNow(WITNESS_LOCKOUT_MINUTES);
+  await WitnessAttempt.updateOne({ _id: failed._id }, { $set: { lockedUntil, expiresAt: lockedUntil, attempts: 0 } });
+  console.warn(`🔒 Witness sign-off locked for ${email} after ${failed.attempts} invalid passwords`);
+  throw lockedError(lockedUntil);
+}
+
+const isControlled = (product) => Boolean(product && product.controlled && product.controlled.isControlled);
+
+/**
+ * Controlled products among chemical lines (request / allocation / intake lines
+ * or ChemicalLive records), each product once.
+ * @param {Array<{ productId?, chemicalMasterId?, chemicalName }>} lines
+ * @returns {Promise<Document[]>}
+ */
+async function controlledProductsAmong(lines = []) {
+  const products = new Map();
+  for (const line of lines) {
+    if (!line) continue;
+    const product = await resolveChemicalProduct({
+      productId: line.productId,
+      chemicalMasterId: line.chemicalMasterId,
+      chemicalName: line.chemicalName || line.displayName
+    });
+    if (isControlled(product)) products.set(idOf(product), product);
+  }
+  return [...products.values()];
+}
+
+/**
+ * Check the second signatory's credentials: a different user from the one
+ * moving the stock, holding controlled.witness (for the lab, if given).
+ * Wrong passwords count against the witness email; MAX_WITNESS_ATTEMPTS of
+ * them lock it for WITNESS_LOCKOUT_MINUTES (429 WITNESS_LOCKED).
+ * @param {{ email, password }} credentials - from the request body (`witness`)
+ * @param {{ actorId, labId? }} context
+ * @returns {Promise<Document>} the witness
+ * @throws {ControlledSubstanceError}
+ */
+async function verifyWitness(credentials, { actorId, labId } = {}) {
+  if (!credentials || !credentials.email || !credentials.password) {
+    throw new ControlledSubstanceError('Witness email and password are required');
+  }
+
+  const email = String(credentials.email).trim();
+  const attemptKey = email.toLowerCase();
+  const attempt = await WitnessAttempt.findOne({ email: attemptKey });
+  if (attempt && attempt.isLocked()) throw lockedError(attempt.lockedUntil);
+
+  const witness = await User.findOne({ email });
+  if (!witness || !(await bcrypt.compare(String(credentials.password), witness.password))) {
+    await recordFailedWitness(attemptKey);
+    throw new ControlledSubstanceError('Witness credentials are invalid', 400, 'WITNESS_INVALID');
+  }
+  if (attempt) await WitnessAttempt.deleteOne({ email: attemptKey });
+  if (idOf(witness) === idOf(actorId)) {
+    throw new ControlledSubstanceError('The witness must be a different user from the one moving the stock', 400, 'WITNESS_INVALID');
+  }
+
+  const { allowed, reason } = checkPermission(witness, 'controlled.witness', labId);
+  if (!allowed) {
+    throw new ControlledSubstanceError(
+      reason === 'lab'
+        ? `${witness.name} has no access to lab ${labId} and cannot witness this movement`
+        : `${witness.name} is not authorised to witness controlled substance movements`,
+      403,
+      'WITNESS_INVALID'
+    );
+  }
+  return witness;
+}
+
+/**
+ * Witness for a movement of `lines`, or null when none of them is controlled.
+ * Call before any stock is moved so an unwitnessed movement never starts.
+ * @param {{ email, password }|undefined} credentials - request body `witness`
+ * @param {Array} lines - see controlledProductsAmong()
+ * @param {{ actorId, labId? }} context
+ * @returns {Promise<Document|null>}
+ * @throws {ControlledSubstanceError} listing the controlled products
+ */
+async function requireWitness(credentials, lines, context = {}) {
+  const controlled = await controlledProductsAmong(lines);
+  if (controlled.length === 0) return null;
+
+  const names = controlled.map(product => product.name).join(', ');
+  try {
+    return await verifyWitness(credentials, context);
+  } catch (error) {
+    if (error.name !== 'ControlledSubstanceError') throw error;
+    error.message = `Controlled substances (${names}) need a second signatory: ${error.message}`;
+    error.details = {
+      ...error.details,
+      controlledProducts: controlled.map(product => ({
+        productId: product._id,
+        name: product.name,
+        schedule: product.controlled.schedule
+      }))
+    };
+    throw error;
+  }
+}
+
+// Bump the page's balance and sequence (the first entry of a page creates it)
+function bumpRegister(registerKey, quantity, fields, session) {
+  return raceSafeUpsert(() => ControlledRegisterBalance.findOneAndUpdate(
+    { registerKey },
+    {
+      $inc: { balance: quantity, sequence: 1 },
+      $set: { name: fields.name },
+      $setOnInsert: { productId: fields.productId, labId: fields.labId, unit: fields.unit }
+    },
+    { new: true, upsert: true, session }
+  ), session);
+}
+
+/**
+ * Copy a chemical ledger row into the register when its product is controlled.
+ * Called by ledgerService.recordMovement() for every chemical movement, so
+ * reversals of rolled-back movements are registered as well.
+ * @param {Document} entry - the StockLedger row
+ * @param {{ witnessId?, session? }} [options]
+ * @returns {Promise<Document|null>} the register row (null for uncontrolled products)
+ */
+async function recordControlledMovement(entry, { witnessId, session } = {}) {
+  if (!entry || entry.category !== 'chemical') return null;
+
+  // Ledger rows of records from before the lot migration have no productId
+  const product = entry.productId
+    ? await Product.findById(entry.productId).select('name controlled safety.casNumber').session(session || null)
+    : await resolveChemicalProduct({ chemicalName: entry.name });
+  if (!isControlled(product)) return null;
+
+  const registerKey = [idOf(product), entry.labId, entry.unit || '-'].join('|');
+  const counter = await bumpRegister(registerKey, entry.quantity, {
+    productId: product._id,
+    labId: entry.labId,
+    name: product.name,
+    unit: entry.unit
+  }, session || null);
+
+  const [row] = await ControlledRegisterEntry.create([{
+    registerKey,
+    sequence: counter.sequence,
+    productId: product._id,
+    name: product.name,
+    casNumber: product.safety ? product.safety.casNumber : undefined,
+    schedule: product.controlled.schedule,
+    labId: entry.labId,
+    counterpartyLabId: entry.counterpartyLabId,
+    movementType: entry.movementType,
+    quantity: entry.quantity,
+    unit: entry.unit,
+    balanceAfter: counter.balance,
+    batchId: entry.batchId,
+    chemicalMasterId: entry.chemicalMasterId,
+    ledgerEntryId: entry._id,
+    referenceType: entry.referenceType,
+    referenceId: entry.referenceId,
+    note: entry.note,
+    performedBy: entry.createdBy,
+    witnessedBy: witnessId || null
+  }], { session: session || null });
+  return row;
+}
+
+/**
+ * Register report for a period: one page per (product, lab, unit) with its
+ * opening balance, the entries of the period and the closing balance. Pages
+ * without movements in the period are listed with their standing balance.
+ * @param {{ from: Date, to: Date, labId?, productId? }} options
+ */
+async function registerReport({ from, to, labId, productId }) {
+  const filter = {};
+  if (labId) filter.labId = labId;
+  if (productId) filter.productId = productId;
+
+  const [entries, registers] = await Promise.all([
+    ControlledRegisterEntry.find({ ...filter, createdAt: { $gte: from, $lte: to } })
+      .sort({ registerKey: 1, sequence: 1 })
+      .populate('performedBy', 'name email role')
+      .populate('witnessedBy', 'name email role')
+      .lean(),
+    ControlledRegisterBalance.find(filter).lean()
+  ]);
+
+  const pages = new Map();
+  const pageOf = (key, fields) => {
+    if (!pages.has(key)) {
+      pages.set(key, { registerKey: key, ...fields, received: 0, issued: 0, unwitnessed: 0, entries: [] });
+    }
+    return pages.get(key);
+  };
+
+  entries.forEach(entry => {
+    const page = pageOf(entry.registerKey, {
+      productId: entry.productId,
+      name: entry.name,
+      casNumber: entry.casNumber,
+      schedule: entry.schedule,
+      labId: entry.labId,
+      unit: entry.unit,
+      openingBalance: entry.balanceAfter - entry.quantity
+    });
+    if (entry.quantity > 0) page.received += entry.quantity;
+    else page.issued -= entry.quantity;
+    if (!entry.witnessedBy) page.unwitnessed += 1;
+    page.closingBalance = entry.balanceAfter;
+    page.entries.push(entry);
+  });
+
+  // Pages that did not move in the period: balance of their last entry before it
+  for (const register of registers) {
+    if (pages.has(register.registerKey)) continue;
+    const last = await ControlledRegisterEntry.findOne({ registerKey: register.registerKey, createdAt: { $lt: from } })
+      .sort({ sequence: -1 })
+      .select('balanceAfter casNumber schedule')
+      .lean();
+    if (!last || last.balanceAfter === 0) continue;
+    pageOf(register.registerKey, {
+      productId: register.productId,
+      name: register.name,
+      casNumber: last.casNumber,
+      schedule: last.schedule,
+      labId: register.labId,
+      unit: register.unit,
+      openingBalance: last.balanceAfter,
+      closingBalance: last.balanceAfter
+    });
+  }
+
+  const sorted = [...pages.values()].sort((a, b) => a.labId.localeCompare(b.labId) || a.name.localeCompare(b.name));
+  return {
+    period: { from, to },
+    labId: labId || null,
+    generatedAt: new Date(),
+    summary: {
+      pages: sorted.length,
+      entries: entries.length,
+      unwitnessed: sorted.reduce((total, page) => total + page.unwitnessed, 0)
+    },
+    pages: sorted
+  };
+}
+
+const escapeHtml = (value) => String(value === undefined || value === null ? '' : value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 16).replace('T', ' ') : '');
+
+/**
+ * Printable register (one table per page, signature columns filled from the
+ * register) for GET /api/controlled-register?format=html.
+ */
+function renderRegisterHtml(report) {
+  const period = `${formatDate(report.period.from).slice(0, 10)} to ${formatDate(report.period.to).slice(0, 10)}`;
+  const pages = report.pages.map(page => {
+    const rows = page.entries.map(entry => `
+      <tr${entry.witnessedBy ? '' : ' class="unwitnessed"'}>
+        <td>${entry.sequence}</td>
+        <td>${escapeHtml(formatDate(entry.createdAt))}</td>
+        <td>${escapeHtml(entry.movementType)}</td>
+        <td>${escapeHtml(entry.counterpartyLabId)}</td>
+        <td>${escapeHtml(entry.referenceType ? `${entry.referenceType} ${entry.referenceId || ''}` : '')}</td>
+        <td>${escapeHtml(entry.batchId)}</td>
+        <td class="num">${entry.quantity > 0 ? escapeHtml(entry.quantity) : ''}</td>
+        <td class="num">${entry.quantity < 0 ? escapeHtml(-entry.quantity) : ''}</td>
+        <td class="num">${escapeHtml(entry.balanceAfter)}</td>
+        <td>${escapeHtml(entry.performedBy ? entry.performedBy.name : '')}</td>
+        <td>${escapeHtml(entry.witnessedBy ? entry.witnessedBy.name : 'NOT WITNESSED')}</td>
+      </tr>`).join('');
+    return `
+    <section>
+      <h2>${escapeHtml(page.name)} - ${escapeHtml(page.labId)}</h2>
+      <p>CAS ${escapeHtml(page.casNumber || '-')} | Schedule ${escapeHtml(page.schedule || '-')} | Unit ${escapeHtml(page.unit || '-')}</p>
+      <table>
+        <thead><tr><th>No.</th><th>Date</th><th>Movement</th><th>From / to</th><th>Reference</th><th>Batch</th>
+          <th>Received</th><th>Issued</th><th>Balance</th><th>Performed by</th><th>Witness</th></tr></thead>
+        <tbody>
+          <tr><td colspan="8">Opening balance</td><td class="num">${escapeHtml(page.openingBalance)}</td><td colspan="2"></td></tr>${rows}
+          <tr><td colspan="6">Closing balance</td><td class="num">${escapeHtml(page.received)}</td><td class="num">${escapeHtml(page.issued)}</td>
+            <td class="num">${escapeHtml(page.closingBalance)}</td><td colspan="2"></td></tr>
+        </tbody>
+      </table>
+    </section>`;
+  }).join('');
+
+  return `<!DOCTYPE html>
+<html>
+<head>
+  <meta charset="utf-8">
+  <title>Controlled substance register ${escapeHtml(period)}</title>
+  <style>
+    body { font-family: sans-serif; font-size: 11px; }
+    table { border-collapse: collapse; width: 100%; margin-bottom: 16px; }
+    th, td { border: 1px solid #444; padding: 3px 5px; text-align: left; }
+    .num { text-align: right; }
+    .unwitnessed td { background: #fdd; }
+    section { page-break-after: always; }
+  </style>
+</head>
+<body>
+  <h1>Controlled substance register${report.labId ? ` - ${escapeHtml(report.labId)}` : ''}</h1>
+  <p>Period ${escapeHtml(period)} | Generated ${escapeHtml(formatDate(report.generatedAt))} |
+    ${report.summary.entries} entries, ${report.summary.unwitnessed} not witnessed</p>${pages || '<p>No controlled substances held or moved in this period.</p>'}
+</body>
+</html>`;
+}
+
+module.exports = {
+  ControlledSubstanceError,
+  isControlled,
+  controlledProductsAmong,
+  verifyWitness,
+  requireWitness,
+  recordControlledMovement,
+  registerReport,
+  renderRegisterHtml
+};
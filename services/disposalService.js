@@ -0,0 +1,383 @@
+// Disposal Service
+// Expired or unusable chemicals leave stock through a Disposal
+// (config/disposal.js). Quarantine takes the quantity out of its ChemicalLive
+// record straight away (ledger movement 'quarantine'), so it can no longer be
+// allocated or issued; cancelling puts it back. The disposal is then
+// requested, reviewed and finally recorded with the waste contractor's
+// manifest. Disposed items are valued at their ChemicalMaster.pricePerUnit.
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const Disposal = require('../models/Disposal');
+const ChemicalLive = require('../models/ChemicalLive');
+const ChemicalMaster = require('../models/ChemicalMaster');
+const { runStockTransaction } = require('../utils/stockTransaction');
+const { decrementStock, incrementStock } = require('./stockService');
+const { convertQuantity, roundQuantity } = require('./unitService');
+const { lotStockFilter, labStockInsert } = require('./lotService');
+const { requireWitness } = require('./controlledSubstanceService');
+const {
+  DISPOSAL_REASONS,
+  DISPOSAL_METHODS,
+  WASTE_UNITS,
+  TRANSITIONS
+} = require('../config/disposal');
+
+const MAX_NUMBER_ATTEMPTS = 5;
+
+class DisposalError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'DisposalError';
+    this.statusCode = statusCode;
+    this.code = 'DISPOSAL';
+  }
+}
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+const roundMoney = (value) => Math.round(value * 100) / 100;
+
+// Status `action` leads to from the disposal's current status (409 if not allowed)
+function nextStatus(disposal, action) {
+  const next = TRANSITIONS[disposal.status][action];
+  if (!next) {
+    throw new DisposalError(`Cannot ${action} disposal ${disposal.disposalNumber}: it is ${disposal.status}`, 409);
+  }
+  return next;
+}
+
+/**
+ * Move a disposal on by `action`, on the condition that it is still in the
+ * status it was loaded with: of two concurrent calls only one gets through,
+ * the other gets a 409 before it has moved any stock. Inside a unit of work
+ * the change is part of it (and undone with it).
+ * @param {Document} disposal - as loaded
+ * @param {string} action - request, approve, reject, cancel or dispose
+ * @param {{ userId, note?, fields?: Object }} change - fields: set along with the status
+ * @param {StockTransactionContext} [tx]
+ * @returns {Promise<Document>} the updated disposal
+ */
+async function moveTo(disposal, action, { userId, note, fields = {} }, tx) {
+  const from = disposal.status;
+  const status = nextStatus(disposal, action);
+  const entry = { status, at: new Date(), by: userId, note };
+
+  const updated = await Disposal.findOneAndUpdate(
+    { _id: disposal._id, status: from },
+    { $set: { status, ...fields }, $push: { history: entry } },
+    { new: true, session: tx ? tx.session : undefined }
+  );
+  if (!updated) {
+    throw new DisposalError(`Disposal ${disposal.disposalNumber} was changed by another request meanwhile, please reload it`, 409);
+  }
+  if (tx) {
+    const undo = { $set: { status: from }, $pull: { history: { status, at: entry.at } } };
+    if (Object.keys(fields).length) undo.$unset = Object.fromEntries(Object.keys(fields).map(field => [field, '']));
+    tx.compensate(() => Disposal.updateOne({ _id: disposal._id, status }, undo));
+  }
+  return updated;
+}
+
+// Value of a quantity at its master's price (pricePerUnit is per master unit)
+function itemValue(quantity, unit, master) {
+  if (!master || !master.pricePerUnit) return 0;
+  try {
+    return roundMoney(convertQuantity(quantity, unit, master.unit || unit) * master.pricePerUnit);
+  } catch (error) {
+    if (error.name !== 'UnitConversionError') throw error;
+    return 0;
+  }
+}
+
+// Ledger details of a move into / out of quarantine
+const quarantineLedger = (disposal, userId, witness, note) => ({
+  movementType: 'quarantine',
+  counterpartyLabId: 'quarantine',
+  reference: { type: 'Disposal', id: disposal._id },
+  userId,
+  witnessId: witness ? witness._id : undefined,
+  note
+});
+
+/**
+ * Quarantine chemical stock of one lab for disposal.
+ * @param {Object} options
+ * @param {string} options.labId
+ * @param {Array<{ chemicalLiveId, quantity? }>} options.items - quantity defaults to the whole record
+ * @param {string} options.reason - key of DISPOSAL_REASONS
+ * @param {string} [options.notes]
+ * @param {ObjectId} options.userId
+ * @param {{ email, password }} [options.witness] - needed for controlled substances
+ * @param {boolean} [options.requestDisposal] - request the disposal right away
+ * @returns {Promise<Document>} the Disposal
+ */
+async function quarantineStock({ labId, items, reason, notes, userId, witness: credentials, requestDisposal = false }) {
+  if (!DISPOSAL_REASONS[reason]) {
+    throw new DisposalError(`reason must be one of: ${Object.keys(DISPOSAL_REASONS).join(', ')}`);
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new DisposalError('items must list the stock records to quarantine');
+  }
+  const ids = items.map(item => idOf(item.chemicalLiveId));
+  if (new Set(ids).size !== ids.length) {
+    throw new DisposalError('A stock record can only be listed once');
+  }
+
+  const records = await ChemicalLive.find({ _id: { $in: ids }, labId });
+  const byId = new Map(records.map(record => [idOf(record), record]));
+  const lines = items.map(item => {
+    const record = byId.get(idOf(item.chemicalLiveId));
+    if (!record) {
+      throw new DisposalError(`Stock record ${item.chemicalLiveId} not found in ${labId}`, 404);
+    }
+    const quantity = item.quantity === undefined ? record.quantity : Number(item.quantity);
+    if (!(quantity > 0) || quantity > record.quantity) {
+      throw new DisposalError(`Quantity for ${record.displayName} must be between 0 and ${record.quantity} ${record.unit}`);
+    }
+    return { record, quantity };
+  });
+
+  const witness = await requireWitness(credentials, records, { actorId: userId, labId });
+
+  const masters = await ChemicalMaster.find({ _id: { $in: records.map(record => record.chemicalMasterId) } })
+    .select('pricePerUnit unit batchId');
+  const masterOf = new Map(masters.map(master => [idOf(master), master]));
+  const disposalItems = lines.map(({ record, quantity }) => {
+    const master = masterOf.get(idOf(record.chemicalMasterId));
+    return {
+      chemicalLiveId: record._id,
+      chemicalMasterId: record.chemicalMasterId,
+      productId: record.productId,
+      lotId: record.lotId,
+      chemicalName: record.displayName || record.chemicalName,
+      batchId: master ? master.batchId : undefined,
+      quantity,
+      unit: record.unit,
+      expiryDate: record.expiryDate,
+      pricePerUnit: master ? master.pricePerUnit : undefined,
+      value: itemValue(quantity, record.unit, master)
+    };
+  });
+
+  for (let attempt = 1; ; attempt++) {
+    const disposalNumber = await Disposal.nextDisposalNumber();
+    const draft = { _id: new mongoose.Types.ObjectId(), disposalNumber };
+    try {
+      const disposal = await runStockTransaction(async (tx) => {
+        // Guarded decrements: 409 if the stock was spent meanwhile
+        for (const item of disposalItems) {
+          await decrementStock(ChemicalLive, item.chemicalLiveId, item.quantity, {
+            tx,
+            ledger: quarantineLedger(draft, userId, witness, `Quarantined for disposal ${disposalNumber}`)
+          });
+        }
+        const history = [{ status: 'quarantined', by: userId, note: notes }];
+        if (requestDisposal) history.push({ status: 'requested', by: userId });
+        return tx.create(Disposal, {
+          ...draft,
+          labId,
+          status: requestDisposal ? 'requested' : 'quarantined',
+          reason,
+          notes,
+          items: disposalItems,
+          totalValue: roundMoney(disposalItems.reduce((total, item) => total + item.value, 0)),
+          quarantinedBy: userId,
+          ...(requestDisposal ? { requestedBy: userId, requestedAt: new Date() } : {}),
+          history
+        });
+      });
+      console.log(`☣️ ${disposalNumber}: ${disposalItems.length} item(s) quarantined in ${labId}`);
+      return disposal;
+    } catch (error) {
+      // Two quarantines took the same number: take the next one
+      if (error.code !== 11000 || !/disposalNumber/.test(error.message) || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+    }
+  }
+}
+
+// Ask for approval to dispose of the quarantined stock
+function requestDisposal(disposal, { userId, note }) {
+  return moveTo(disposal, 'request', { userId, note, fields: { requestedBy: userId, requestedAt: new Date() } });
+}
+
+// Approve or reject a requested disposal; the requester cannot approve their own
+async function reviewDisposal(disposal, { decision, comments, userId }) {
+  if (!['approve', 'reject'].includes(decision)) {
+    throw new DisposalError('decision must be approve or reject');
+  }
+  if (decision === 'reject' && !comments) {
+    throw new DisposalError('comments are required when rejecting a disposal');
+  }
+  if (decision === 'approve' && idOf(disposal.requestedBy) === idOf(userId)) {
+    throw new DisposalError('A disposal must be approved by someone other than its requester', 403);
+  }
+
+  return moveTo(disposal, decision, {
+    userId,
+    note: comments,
+    fields: { reviewedBy: userId, reviewedAt: new Date(), reviewComments: comments }
+  });
+}
+
+// Cancel a disposal that has not happened yet and put its stock back
+async function cancelDisposal(disposal, { userId, note, witness: credentials }) {
+  nextStatus(disposal, 'cancel');
+  const witness = await requireWitness(credentials, disposal.items, { actorId: userId, labId: disposal.labId });
+
+  const cancelled = await runStockTransaction(async (tx) => {
+    // Status first: a concurrent cancel or disposal fails here, before any stock is returned
+    const updated = await moveTo(disposal, 'cancel', { userId, note }, tx);
+    for (const item of updated.items) {
+      // The lab's record of the lot, re-created if it was removed meanwhile
+      const batch = { ...item.toObject(), displayName: item.chemicalName };
+      await incrementStock(ChemicalLive, lotStockFilter(batch, disposal.labId), item.quantity, {
+        tx,
+        ledger: quarantineLedger(disposal, userId, witness, `Released from disposal ${disposal.disposalNumber}`),
+        insert: labStockInsert(batch, item.quantity, disposal.labId)
+      });
+    }
+    return updated;
+  });
+
+  console.log(`↩️ ${cancelled.disposalNumber} cancelled, stock returned to ${cancelled.labId}`);
+  return cancelled;
+}
+
+/**
+ * Record the hand-over to the waste contractor.
+ * @param {Document} disposal - approved
+ * @param {Object} details - contractor { name, licenceNumber, contact }, method,
+ *   wasteAmount { value, unit }, manifestNumber, disposedAt, witness credentials
+ * @returns {Promise<Document>} the updated disposal
+ */
+async function completeDisposal(disposal, { contractor, method, wasteAmount, manifestNumber, disposedAt, notes, userId, witness: credentials }) {
+  nextStatus(disposal, 'dispose');
+  if (!contractor || !contractor.name) {
+    throw new DisposalError('contractor.name is required');
+  }
+  if (!DISPOSAL_METHODS[method]) {
+    throw new DisposalError(`method must be one of: ${Object.keys(DISPOSAL_METHODS).join(', ')}`);
+  }
+  if (!wasteAmount || !(Number(wasteAmount.value) > 0) || !WASTE_UNITS.includes(wasteAmount.unit)) {
+    throw new DisposalError(`wasteAmount needs a positive value and a unit (${WASTE_UNITS.join(', ')})`);
+  }
+  if (!manifestNumber || !String(manifestNumber).trim()) {
+    throw new DisposalError('manifestNumber is required');
+  }
+  const duplicate = await Disposal.findOne({ manifestNumber: String(manifestNumber).trim(), _id: { $ne: disposal._id } })
+    .select('disposalNumber');
+  if (duplicate) {
+    throw new DisposalError(`Manifest ${manifestNumber} is already recorded on ${duplicate.disposalNumber}`, 409);
+  }
+  const handedOverAt = disposedAt ? new Date(disposedAt) : new Date();
+  if (isNaN(handedOverAt.getTime()) || handedOverAt > new Date()) {
+    throw new DisposalError('disposedAt must be a past date');
+  }
+
+  const witness = await requireWitness(credentials, disposal.items, { actorId: userId, labId: disposal.labId });
+
+  const fields = {
+    contractor: {
+      name: contractor.name,
+      licenceNumber: contractor.licenceNumber,
+      contact: contractor.contact
+    },
+    method,
+    wasteAmount: { value: roundQuantity(Number(wasteAmount.value)), unit: wasteAmount.unit },
+    manifestNumber: String(manifestNumber).trim(),
+    disposedAt: handedOverAt,
+    disposedBy: userId
+  };
+  if (witness) fields.witnessedBy = witness._id;
+  const disposed = await moveTo(disposal, 'dispose', { userId, note: notes, fields });
+
+  console.log(`🗑️ ${disposed.disposalNumber} disposed (${method}, manifest ${disposed.manifestNumber}), value ${disposed.totalValue}`);
+  return disposed;
+}
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : '-');
+const nameOf = (user) => (user && user.name ? user.name : '-');
+
+/**
+ * Disposal certificate of a disposed Disposal as a PDF, written to `output`
+ * (e.g. the HTTP response). User references should be populated with names.
+ */
+function writeDisposalCertificate(disposal, output) {
+  const doc = new PDFDocument({ size: 'A4', margin: 50, info: { Title: `Disposal certificate ${disposal.disposalNumber}` } });
+  doc.pipe(output);
+
+  doc.fontSize(18).text('Certificate of Chemical Waste Disposal', { align: 'center' });
+  doc.moveDown(0.3).fontSize(10).text(`Certificate ${disposal.disposalNumber}`, { align: 'center' });
+  doc.moveDown(1.5);
+
+  const field = (label, value) => {
+    doc.font('Helvetica-Bold').text(`${label}: `, { continued: true }).font('Helvetica').text(String(value || '-'));
+  };
+  doc.fontSize(10);
+  field('Lab', disposal.labId);
+  field('Reason', DISPOSAL_REASONS[disposal.reason]);
+  field('Waste contractor', disposal.contractor.name);
+  field('Contractor licence', disposal.contractor.licenceNumber);
+  field('Disposal method', DISPOSAL_METHODS[disposal.method]);
+  field('Waste manifest number', disposal.manifestNumber);
+  field('Weight / volume handed over', `${disposal.wasteAmount.value} ${disposal.wasteAmount.unit}`);
+  field('Date of disposal', formatDate(disposal.disposedAt));
+  doc.moveDown();
+
+  // Items table
+  const columns = [
+    { label: 'Chemical', width: 170 },
+    { label: 'Batch', width: 80 },
+    { label: 'Expiry', width: 70 },
+    { label: 'Quantity', width: 90 },
+    { label: 'Value', width: 85 }
+  ];
+  const row = (cells, bold) => {
+    const y = doc.y;
+    let x = doc.page.margins.left;
+    let bottom = y;
+    doc.font(bold ? 'Helvetica-Bold' : 'Helvetica');
+    cells.forEach((cell, index) => {
+      doc.text(String(cell), x, y, { width: columns[index].width - 5 });
+      bottom = Math.max(bottom, doc.y);
+      x += columns[index].width;
+    });
+    // Next row below the tallest (wrapped) cell
+    doc.y = bottom;
+    doc.moveDown(0.4);
+    doc.x = doc.page.margins.left;
+  };
+  row(columns.map(column => column.label), true);
+  disposal.items.forEach(item => row([
+    item.chemicalName,
+    item.batchId || '-',
+    formatDate(item.expiryDate),
+    `${item.quantity} ${item.unit}`,
+    item.value.toFixed(2)
+  ]));
+  row(['Total', '', '', '', disposal.totalValue.toFixed(2)], true);
+  doc.moveDown();
+
+  field('Quarantined by', nameOf(disposal.quarantinedBy));
+  field('Requested by', `${nameOf(disposal.requestedBy)} on ${formatDate(disposal.requestedAt)}`);
+  field('Approved by', `${nameOf(disposal.reviewedBy)} on ${formatDate(disposal.reviewedAt)}`);
+  field('Handed over by', nameOf(disposal.disposedBy));
+  if (disposal.witnessedBy) field('Witness', nameOf(disposal.witnessedBy));
+
+  doc.moveDown(3);
+  doc.text('_______________________________', { continued: true }).text('          _______________________________');
+  doc.text('Waste contractor signature', { continued: true }).text('                       Lab representative signature');
+
+  doc.end();
+  return doc;
+}
+
+module.exports = {
+  DisposalError,
+  quarantineStock,
+  requestDisposal,
+  reviewDisposal,
+  cancelDisposal,
+  completeDisposal,
+  writeDisposalCertificate
+};
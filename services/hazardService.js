@@ -0,0 +1,139 @@
+// Hazard Service
+// Reads the safety data of chemical products (Product.safety, keys from
+// config/hazards.js) and turns it into the warnings shown to whoever requests
+// or issues a chemical.
+const { HAZARD_CLASSES, PICTOGRAMS, STORAGE_CLASSES, PPE_TYPES } = require('../config/hazards');
+const { COMPATIBILITY_GROUPS } = require('../config/storageCompatibility');
+
+const CAS_PATTERN = /^(\d{2,7})-(\d{2})-(\d)$/;
+
+/**
+ * CAS registry numbers end in a check digit: the other digits, read right to
+ * left and weighted 1, 2, 3 ..., sum to it modulo 10 (7732-18-5 for water).
+ * @param {string} casNumber
+ * @returns {boolean}
+ */
+function isValidCasNumber(casNumber) {
+  const match = CAS_PATTERN.exec(String(casNumber || '').trim());
+  if (!match) return false;
+  const digits = (match[1] + match[2]).split('').reverse();
+  const sum = digits.reduce((total, digit, index) => total + Number(digit) * (index + 1), 0);
+  return sum % 10 === Number(match[3]);
+}
+
+/**
+ * Storage compatibility groups of a product (config/storageCompatibility.js):
+ * the ones set on it plus those implied by its hazard classes and storage class.
+ * @param {Document|Object} product
+ * @returns {string[]}
+ */
+function compatibilityGroupsOf(product) {
+  const safety = product && product.safety;
+  if (!safety) return [];
+  const hazardClasses = safety.hazardClasses || [];
+  const groups = new Set(safety.compatibilityGroups || []);
+  for (const [group, { hazardClasses: classes, storageClasses }] of Object.entries(COMPATIBILITY_GROUPS)) {
+    if (classes.some(key => hazardClasses.includes(key)) || storageClasses.includes(safety.storageClass)) {
+      groups.add(group);
+    }
+  }
+  return [...groups];
+}
+
+/**
+ * Safety data of a product with registry labels filled in, or null when the
+ * product has none recorded.
+ * @param {Document|Object} product
+ */
+function describeHazards(product) {
+  const safety = product && product.safety;
+  if (!safety) return null;
+
+  const hazardClasses = safety.hazardClasses || [];
+  const hazards = hazardClasses.map(key => ({
+    key,
+    label: HAZARD_CLASSES[key].label,
+    pictogram: HAZARD_CLASSES[key].pictogram
+  }));
+  const pictograms = [...new Set(hazards.map(hazard => hazard.pictogram))].sort()
+    .map(code => ({ code, name: PICTOGRAMS[code] }));
+  const sds = safety.sds && safety.sds.fileName ? safety.sds : null;
+
+  if (!safety.casNumber && hazards.length === 0 && !safety.signalWord && !safety.storageClass &&
+      (safety.ppe || []).length === 0 && (safety.compatibilityGroups || []).length === 0 && !sds) {
+    return null;
+  }
+
+  return {
+    casNumber: safety.casNumber || null,
+    signalWord: safety.signalWord || null,
+    hazards,
+    pictograms,
+    hazardStatements: safety.hazardStatements || [],
+    storageClass: safety.storageClass
+      ? { code: safety.storageClass, description: STORAGE_CLASSES[safety.storageClass] }
+      : null,
+    ppe: (safety.ppe || []).map(key => ({ key, label: PPE_TYPES[key] })),
+    compatibilityGroups: compatibilityGroupsOf(product),
+    sds: sds
+      ? {
+        originalName: sds.originalName,
+        size: sds.size,
+        revisionDate: sds.revisionDate,
+        uploadedAt: sds.uploadedAt,
+        url: `/api/products/${product._id}/sds`
+      }
+      : null
+  };
+}
+
+/**
+ * One warning per hazardous product among request / allocation chemical lines.
+ * Chemicals without recorded hazards are left out.
+ * @param {Array<{ chemicalName, productId?, chemicalMasterId? }>} chemicals
+ * @returns {Promise<Array<{ productId, chemicalName, signalWord, hazards, pictograms, ppe, storageClass, sdsAvailable, message }>>}
+ */
+async function hazardWarningsFor(chemicals = []) {
+  // Required here: lotService loads Product, whose schema uses this module
+  const { resolveChemicalProduct } = require('./lotService');
+  const warnings = [];
+  const seen = new Set();
+
+  for (const chemical of chemicals) {
+    if (!chemical) continue;
+    const product = await resolveChemicalProduct(chemical);
+    if (!product || seen.has(String(product._id))) continue;
+    seen.add(String(product._id));
+
+    const hazards = describeHazards(product);
+    if (!hazards || (hazards.hazards.length === 0 && !hazards.signalWord)) continue;
+
+    const parts = [];
+    if (hazards.signalWord) parts.push(hazards.signalWord.toUpperCase());
+    if (hazards.hazards.length > 0) parts.push(hazards.hazards.map(hazard => hazard.label).join(', '));
+    const ppe = hazards.ppe.length > 0 ? ` Required PPE: ${hazards.ppe.map(item => item.label).join(', ')}.` : '';
+
+    warnings.push({
+      productId: product._id,
+      chemicalName: product.name,
+      signalWord: hazards.signalWord,
+      hazards: hazards.hazards,
+      pictograms: hazards.pictograms,
+      hazardStatements: hazards.hazardStatements,
+      ppe: hazards.ppe,
+      storageClass: hazards.storageClass,
+      sdsAvailable: Boolean(hazards.sds),
+      message: `${product.name}: ${parts.join(' - ')}.${ppe}`
+    });
+  }
+
+  // Most severe first
+  return warnings.sort((a, b) => Number(b.signalWord === 'danger') - Number(a.signalWord === 'danger'));
+}
+
+module.exports = {
+  isValidCasNumber,
+  compatibilityGroupsOf,
+  describeHazards,
+  hazardWarningsFor
+};
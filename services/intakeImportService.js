@@ -0,0 +1,316 @@
+// Intake Import Service
+// Bulk central-store intake from a CSV / XLSX sheet (config/intakeImport.js).
+// The sheet's columns are mapped to intake fields by header, and every row is
+// checked against the product catalogue and vendor list without touching stock:
+// the product must exist in the category (matched by name and variant), the
+// quantity must be positive, chemical units must convert to the product's unit,
+// expiry dates must lie ahead and vendors must be on file. The clean rows
+// become the lines the add-to-central controllers already accept.
+const IntakeImport = require('../models/IntakeImport');
+const Product = require('../models/Product');
+const Vendor = require('../models/vendorModel');
+const { readSpreadsheet, excelSerialToDate } = require('../utils/spreadsheet');
+const { getBaseName } = require('../utils/chemicalProductIntegration');
+const { assertKnownUnit, convertQuantity } = require('./unitService');
+const {
+  COLUMNS,
+  IMPORT_CATEGORIES,
+  REQUIRED_FIELDS,
+  MAX_IMPORT_ROWS,
+  MAX_EQUIPMENT_QUANTITY
+} = require('../config/intakeImport');
+
+class ImportError extends Error {
+  constructor(message, statusCode = 400, details) {
+    super(message);
+    this.name = 'ImportError';
+    this.statusCode = statusCode;
+    this.code = 'IMPORT';
+    this.details = details;
+  }
+}
+
+const headerKey = (header) => String(header).toLowerCase().replace(/[^a-z0-9]/g, '');
+const nameKey = (name) => String(name).trim().replace(/\s+/g, ' ').toLowerCase();
+const columnsOf = (category) => Object.keys(COLUMNS).filter(field => COLUMNS[field].categories.includes(category));
+
+/**
+ * Sheet header of each intake field of the category.
+ * @param {string} category
+ * @param {string[]} headers
+ * @returns {{ columns: Object<string, string>, errors: Array<{ row, field, message }> }}
+ *   errors are reported against row 0 (the sheet)
+ */
+function mapColumns(category, headers) {
+  const columns = {};
+  const errors = [];
+  for (const field of columnsOf(category)) {
+    const matches = headers.filter(header => COLUMNS[field].aliases.includes(headerKey(header)));
+    if (matches.length > 1) {
+      errors.push({ row: 0, field, message: `Columns ${matches.map(header => `"${header}"`).join(' and ')} both mean ${field}` });
+    }
+    if (matches.length) columns[field] = matches[0];
+  }
+  for (const field of REQUIRED_FIELDS[category]) {
+    if (!columns[field]) {
+      errors.push({ row: 0, field, message: `Missing column "${field}" (also accepted: ${COLUMNS[field].aliases.join(', ')})` });
+    }
+  }
+  return { columns, errors };
+}
+
+const DAY_FIRST = /^(\d{1,2})[/.-](\d{1,2})[/.-](\d{4})$/;
+const ISO_DATE = /^(\d{4})-(\d{1,2})-(\d{1,2})(?:[T ].*)?$/;
+
+/**
+ * Date of a sheet cell: YYYY-MM-DD, DD/MM/YYYY (also with - or .) or an
+ * Excel serial day number. Null when the cell is not a date.
+ * @param {string} value
+ * @returns {Date|null}
+ */
+function parseSheetDate(value) {
+  const text = String(value).trim();
+  let parts;
+  if (/^\d+(\.\d+)?$/.test(text)) {
+    const serial = Number(text);
+    // 1955 to 2119: anything else is a number that is not meant as a date
+    return serial >= 20000 && serial <= 80000 ? excelSerialToDate(Math.floor(serial)) : null;
+  }
+  const iso = text.match(ISO_DATE);
+  const dayFirst = text.match(DAY_FIRST);
+  if (iso) parts = [Number(iso[1]), Number(iso[2]), Number(iso[3])];
+  else if (dayFirst) parts = [Number(dayFirst[3]), Number(dayFirst[2]), Number(dayFirst[1])];
+  else return null;
+
+  const [year, month, day] = parts;
+  const date = new Date(Date.UTC(year, month - 1, day));
+  // Rejects 31/02/2027 rather than rolling it over into March
+  return date.getUTCMonth() === month - 1 && date.getUTCDate() === day ? date : null;
+}
+
+const parseNumber = (value) => {
+  const text = String(value).replace(/\s/g, '');
+  return text === '' ? NaN : Number(text);
+};
+
+// Products of the category by name, and vendor names by lower-cased name
+async function loadCatalogue(category) {
+  const products = new Map();
+  const productList = await Product.find({ category }).select('name variant unit category');
+  for (const product of productList) {
+    const key = nameKey(product.name);
+    if (!products.has(key)) products.set(key, []);
+    products.get(key).push(product);
+  }
+
+  const vendors = new Map();
+  const vendorList = await Vendor.find().select('name');
+  vendorList.forEach(vendor => vendors.set(nameKey(vendor.name), vendor.name));
+  return { products, vendors };
+}
+
+// Product a row names, or an error message
+function matchProduct(category, products, name, variant) {
+  const key = nameKey(category === 'chemical' ? getBaseName(name.trim()) : name);
+  const candidates = products.get(key) || [];
+  if (candidates.length === 0) return { error: `Unknown ${category} product "${name}"` };
+  if (category === 'chemical') return { product: candidates[0] };
+
+  if (variant) {
+    const product = candidates.find(candidate => nameKey(candidate.variant || '') === nameKey(variant));
+    if (product) return { product };
+    return { error: `"${name}" has no variant "${variant}" (known: ${candidates.map(candidate => candidate.variant).join(', ')})` };
+  }
+  if (candidates.length === 1) return { product: candidates[0] };
+  return { error: `"${name}" comes in ${candidates.length} variants (${candidates.map(candidate => candidate.variant).join(', ')}); give the variant` };
+}
+
+// Intake line of one row, collecting its problems in `errors`
+function validateRow(category, row, columns, catalogue, today, errors) {
+  const fail = (field, message) => errors.push({ row: row.rowNumber, field, message });
+  const cell = (field) => (columns[field] ? String(row.values[columns[field]] ?? '').trim() : '');
+  const line = { rowNumber: row.rowNumber };
+  const before = errors.length;
+
+  const name = cell('name');
+  if (!name) {
+    fail('name', 'Product name is required');
+  } else {
+    const { product, error } = matchProduct(category, catalogue.products, name, cell('variant'));
+    if (error) {
+      fail(columns.variant && cell('variant') ? 'variant' : 'name', error);
+    } else {
+      line.product = product;
+      line.productId = product._id;
+      line.name = product.name;
+      if (category !== 'chemical') line.variant = product.variant;
+    }
+  }
+
+  const quantity = parseNumber(cell('quantity'));
+  if (!Number.isFinite(quantity) || quantity <= 0) {
+    fail('quantity', `Quantity must be a number greater than 0, got "${cell('quantity')}"`);
+  } else if (category === 'equipment' && (!Number.isInteger(quantity) || quantity > MAX_EQUIPMENT_QUANTITY)) {
+    fail('quantity', `Equipment is registered per item: quantity must be a whole number up to ${MAX_EQUIPMENT_QUANTITY}`);
+  } else {
+    line.quantity = quantity;
+  }
+
+  if (category === 'chemical') {
+    const unit = cell('unit') || (line.product && line.product.unit);
+    if (!unit) {
+      fail('unit', 'Unit is required: the product has no unit of its own');
+    } else {
+      try {
+        line.unit = assertKnownUnit(unit);
+        // Stock of a product is kept in units of one dimension
+        if (line.product && line.product.unit) convertQuantity(1, line.unit, line.product.unit);
+      } catch (error) {
+        if (error.name !== 'UnitConversionError') throw error;
+        fail('unit', error.message);
+      }
+    }
+  } else if (cell('unit')) {
+    line.unit = cell('unit');
+  }
+
+  for (const field of ['expiryDate', 'warranty']) {
+    if (!columns[field]) continue;
+    const text = cell(field);
+    if (!text) continue;
+    const date = parseSheetDate(text);
+    if (!date) {
+      fail(field, `"${text}" is not a date (use YYYY-MM-DD or DD/MM/YYYY)`);
+    } else if (field === 'expiryDate' && date < today) {
+      fail(field, `Expiry date ${date.toISOString().slice(0, 10)} is in the past`);
+    } else {
+      line[field] = date;
+    }
+  }
+
+  const vendor = cell('vendor');
+  if (vendor) {
+    line.vendor = catalogue.vendors.get(nameKey(vendor));
+    if (!line.vendor) fail('vendor', `Unknown vendor "${vendor}"`);
+  } else if (REQUIRED_FIELDS[category].includes('vendor')) {
+    fail('vendor', 'Vendor is required');
+  }
+
+  if (cell('pricePerUnit')) {
+    const price = parseNumber(cell('pricePerUnit'));
+    if (!Number.isFinite(price) || price < 0) fail('pricePerUnit', `Price must be a number of at least 0, got "${cell('pricePerUnit')}"`);
+    else line.pricePerUnit = price;
+  }
+
+  line.department = cell('department') || (category === 'chemical' ? 'chemical' : undefined);
+  if (cell('manufacturerBatch')) line.manufacturerBatch = cell('manufacturerBatch');
+  if (cell('maintenanceCycle')) line.maintenanceCycle = cell('maintenanceCycle');
+
+  return errors.length === before ? line : null;
+}
+
+/**
+ * Dry run of a sheet: the intake lines of its rows and every row-level problem.
+ * Reads products and vendors only; no stock is touched.
+ * @param {string} category - chemical, glassware, equipment or others
+ * @param {string[]} headers
+ * @param {Array<{ rowNumber, values }>} rows - from readSpreadsheet()
+ * @returns {Promise<{ columns: Object, lines: Array, errors: Array<{ row, field, message }> }>}
+ *   lines only when errors is empty
+ */
+async function validateIntakeRows(category, headers, rows) {
+  if (!IMPORT_CATEGORIES.includes(category)) {
+    throw new ImportError(`category must be one of ${IMPORT_CATEGORIES.join(', ')}`);
+  }
+  const { columns, errors } = mapColumns(category, headers);
+  if (errors.length) return { columns, lines: [], errors };
+  if (rows.length === 0) return { columns, lines: [], errors: [{ row: 0, message: 'The sheet has no data rows' }] };
+
+  const catalogue = await loadCatalogue(category);
+  const now = new Date();
+  const today = new Date(Date.UTC(now.getFullYear(), now.getMonth(), now.getDate()));
+  const lines = [];
+  for (const row of rows) {
+    const line = validateRow(category, row, columns, catalogue, today, errors);
+    if (line) lines.push(line);
+  }
+  return { columns, lines: errors.length ? [] : lines, errors };
+}
+
+/**
+ * Parse and dry-run an uploaded sheet and store it as an import.
+ * @param {string} category
+ * @param {{ buffer: Buffer, originalname: string }} file - from multer
+ * @param {*} userId
+ * @returns {Promise<{ intake: Document, columns: Object, lines: Array }>}
+ */
+async function createImport(category, file, userId) {
+  if (!file) throw new ImportError('Upload a .csv or .xlsx file in the "file" field');
+  const { headers, rows } = readSpreadsheet(file.buffer, file.originalname, { maxRows: MAX_IMPORT_ROWS });
+
+  const { columns, lines, errors } = await validateIntakeRows(category, headers, rows);
+  const intake = await IntakeImport.create({
+    category,
+    fileName: file.originalname,
+    status: errors.length ? 'invalid' : 'validated',
+    headers,
+    rows,
+    rowErrors: errors,
+    createdBy: userId
+  });
+  return { intake, columns, lines };
+}
+
+/**
+ * Lines of the add-to-central controller of the category.
+ * @param {string} category
+ * @param {Array} lines - from validateIntakeRows()
+ * @returns {Array}
+ */
+function intakeItems(category, lines) {
+  if (category === 'chemical') {
+    return lines.map(line => ({
+      productId: line.productId,
+      chemicalName: line.name,
+      quantity: line.quantity,
+      unit: line.unit,
+      expiryDate: line.expiryDate,
+      vendor: line.vendor,
+      pricePerUnit: line.pricePerUnit,
+      department: line.department,
+      manufacturerBatch: line.manufacturerBatch
+    }));
+  }
+  return lines.map(line => ({
+    productId: line.productId,
+    name: line.name,
+    variant: line.variant,
+    quantity: line.quantity,
+    vendor: line.vendor,
+    pricePerUnit: line.pricePerUnit,
+    department: line.department,
+    ...(category === 'equipment' && {
+      unit: line.unit,
+      expiryDate: line.expiryDate,
+      warranty: line.warranty,
+      maintenanceCycle: line.maintenanceCycle
+    })
+  }));
+}
+
+// Line as shown in the dry-run preview
+const previewLine = ({ product, ...line }) => line;
+
+// Header row of an empty sheet for the category
+const templateCsv = (category) => `${columnsOf(category).join(',')}\r\n`;
+
+module.exports = {
+  ImportError,
+  mapColumns,
+  parseSheetDate,
+  validateIntakeRows,
+  createImport,
+  intakeItems,
+  previewLine,
+  templateCsv
+};
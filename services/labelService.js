@@ -0,0 +1,146 @@
+// Label Service
+// QR labels for chemical containers. A label names a lot (chemicalMasterId for
+// records from before the lot migration), not a lab: the same label stays on
+// the container as it moves from the central store to a lab and back, and a
+// scan is resolved to the lot's stock record in the lab it is scanned in.
+// Payloads carry an HMAC-SHA256 signature (LABEL_SIGNING_SECRET, or JWT_SECRET
+// when unset) so QR data typed or printed by hand is rejected.
+const crypto = require('crypto');
+const QRCode = require('qrcode');
+const ChemicalLive = require('../models/ChemicalLive');
+const Lot = require('../models/Lot');
+const { lotStockFilter } = require('./lotService');
+
+const LABEL_VERSION = 1;
+const LABEL_FIELDS = ['type', 'v', 'lotId', 'chemicalMasterId', 'lotNumber', 'name'];
+
+class LabelError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'LabelError';
+    this.statusCode = statusCode;
+    this.code = 'LABEL';
+  }
+}
+
+function signingSecret() {
+  const secret = process.env.LABEL_SIGNING_SECRET || process.env.JWT_SECRET;
+  if (!secret) throw new LabelError('Label signing secret is not configured', 500);
+  return secret;
+}
+
+// Signature over the label fields in a fixed order
+const signatureOf = (label) =>
+  crypto
+    .createHmac('sha256', signingSecret())
+    .update(JSON.stringify(LABEL_FIELDS.map(field => label[field] ?? null)))
+    .digest('base64url');
+
+const idOf = (value) => (value && value._id ? value._id : value);
+
+/**
+ * Signed QR payload of a chemical stock record's lot.
+ * @param {{ lotId?, chemicalMasterId, displayName }} record - ChemicalLive document or plain object
+ * @param {{ lotNumber }|null} [lot] - the record's lot, for the number printed on the label
+ * @returns {string} JSON to encode in the QR code
+ */
+function chemicalLabelData(record, lot = null) {
+  const label = {
+    type: 'chemical',
+    v: LABEL_VERSION,
+    lotId: record.lotId ? String(idOf(record.lotId)) : null,
+    chemicalMasterId: String(idOf(record.chemicalMasterId)),
+    lotNumber: lot ? lot.lotNumber : null,
+    name: record.displayName
+  };
+  return JSON.stringify({ ...label, sig: signatureOf(label) });
+}
+
+/**
+ * Signed payload and QR image of a chemical stock record.
+ * @returns {Promise<{ qrCodeData: string, qrCodeImage: string }>}
+ */
+async function chemicalLabel(record, lot) {
+  if (lot === undefined) {
+    lot = record.lotId ? await Lot.findById(idOf(record.lotId)).select('lotNumber') : null;
+  }
+  const qrCodeData = chemicalLabelData(record, lot);
+  return { qrCodeData, qrCodeImage: await QRCode.toDataURL(qrCodeData) };
+}
+
+/**
+ * Parse and check scanned QR data.
+ * @param {string|Object} qrCodeData
+ * @returns {{ type, v, lotId, chemicalMasterId, lotNumber, name }}
+ * @throws {LabelError} when the data is not a chemical label or its signature does not match
+ */
+function verifyChemicalLabel(qrCodeData) {
+  if (!qrCodeData) throw new LabelError('qrCodeData is required');
+  let parsed;
+  try {
+    parsed = typeof qrCodeData === 'string' ? JSON.parse(qrCodeData) : qrCodeData;
+  } catch (error) {
+    throw new LabelError('Invalid QR code data');
+  }
+  if (!parsed || parsed.type !== 'chemical') {
+    throw new LabelError('Not a chemical container label');
+  }
+  if (parsed.v !== LABEL_VERSION || !parsed.chemicalMasterId || typeof parsed.sig !== 'string') {
+    throw new LabelError('Unsupported or incomplete chemical label');
+  }
+
+  const expected = Buffer.from(signatureOf(parsed));
+  const given = Buffer.from(parsed.sig);
+  if (expected.length !== given.length || !crypto.timingSafeEqual(expected, given)) {
+    throw new LabelError('Label signature does not match; reprint the label from the system', 403);
+  }
+  return Object.fromEntries(LABEL_FIELDS.map(field => [field, parsed[field] ?? null]));
+}
+
+// ChemicalLive filter for the scanned lot in one lab, or in every lab without labId
+function scannedStockFilter(label, labId) {
+  const filter = lotStockFilter(label, labId);
+  if (!labId) delete filter.labId;
+  return filter;
+}
+
+/**
+ * Stock record of the scanned lot in a lab.
+ * @param {string|Object} qrCodeData
+ * @param {string} labId
+ * @param {ClientSession} [session]
+ * @returns {Promise<{ label: Object, record: Document }>}
+ * @throws {LabelError} 404 when the lot has no stock record in the lab
+ */
+async function resolveScannedChemical(qrCodeData, labId, session = null) {
+  const label = verifyChemicalLabel(qrCodeData);
+  const record = await ChemicalLive.findOne(scannedStockFilter(label, labId)).session(session);
+  if (!record) {
+    throw new LabelError(`${label.name || 'This container'}${label.lotNumber ? ` (${label.lotNumber})` : ''} has no stock record in ${labId}`, 404);
+  }
+  return { label, record };
+}
+
+/**
+ * Give a stock record a label when it has none (records from before labels).
+ * @param {Document} record
+ * @returns {Promise<Document>} the record, with qrCodeData and qrCodeImage set
+ */
+async function ensureChemicalLabel(record) {
+  if (record.qrCodeData && record.qrCodeImage) return record;
+  const { qrCodeData, qrCodeImage } = await chemicalLabel(record);
+  await ChemicalLive.updateOne({ _id: record._id }, { $set: { qrCodeData, qrCodeImage } });
+  record.qrCodeData = qrCodeData;
+  record.qrCodeImage = qrCodeImage;
+  return record;
+}
+
+module.exports = {
+  LabelError,
+  chemicalLabelData,
+  chemicalLabel,
+  verifyChemicalLabel,
+  scannedStockFilter,
+  resolveScannedChemical,
+  ensureChemicalLabel
+};
@@ -0,0 +1,266 @@
+// Label Sheet Service
+// Prints the QR labels of live stock records in bulk: A4 sticker sheets as a
+// PDF, or ZPL for thermal printers. Each label shows the item's name, variant,
+// batch (the lot number for chemicals), lab and expiry next to its QR code.
+// Items are selected by batch, lab, invoice or id; records without QR data
+// (added before labels existed) are reported as skipped.
+const mongoose = require('mongoose');
+const PDFDocument = require('pdfkit');
+const QRCode = require('qrcode');
+const ChemicalLive = require('../models/ChemicalLive');
+const GlasswareLive = require('../models/GlasswareLive');
+const EquipmentLive = require('../models/EquipmentLive');
+const OtherProductLive = require('../models/OtherProductLive');
+const Invoice = require('../models/Invoice');
+const Lot = require('../models/Lot');
+const StockLedger = require('../models/StockLedger');
+const { ensureChemicalLabel } = require('./labelService');
+const { effectiveExpiry } = require('./shelfLifeService');
+const { LABEL_LAYOUTS, ZPL_DEFAULTS, MAX_LABELS } = require('../config/labelLayouts');
+
+const MODELS = { chemical: ChemicalLive, glassware: GlasswareLive, equipment: EquipmentLive, others: OtherProductLive };
+const MM = 72 / 25.4; // PDF points per millimetre
+
+class LabelSheetError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'LabelSheetError';
+    this.statusCode = statusCode;
+    this.code = 'LABEL_SHEET';
+  }
+}
+
+const formatDate = (value) => (value ? new Date(value).toISOString().slice(0, 10) : null);
+
+// Invoice by its _id or its INV number
+async function findInvoice(invoiceId) {
+  const invoice = mongoose.isValidObjectId(invoiceId)
+    ? await Invoice.findById(invoiceId).select('_id invoiceId')
+    : await Invoice.findOne({ invoiceId: String(invoiceId).trim() }).select('_id invoiceId');
+  if (!invoice) throw new LabelSheetError(`Invoice ${invoiceId} not found`, 404);
+  return invoice;
+}
+
+// Live-record filter of a category for the selection
+async function selectionFilter(category, { batchId, labId, invoiceId, ids, labIds }) {
+  const filter = category === 'equipment' ? { status: { $ne: 'Discarded' } } : { quantity: { $gt: 0 } };
+  if (labId) filter.labId = labId;
+  else if (labIds) filter.labId = { $in: labIds };
+
+  if (ids) {
+    const invalid = ids.filter(id => !mongoose.isValidObjectId(id));
+    if (invalid.length) throw new LabelSheetError(`Invalid item id(s): ${invalid.join(', ')}`);
+    filter._id = { $in: ids };
+  }
+
+  if (batchId) {
+    if (category === 'chemical') {
+      // A chemical's batch is its lot
+      const lot = await Lot.findOne({ lotNumber: String(batchId).trim().toUpperCase() }).select('_id');
+      if (!lot) throw new LabelSheetError(`Lot ${batchId} not found`, 404);
+      filter.lotId = lot._id;
+    } else {
+      filter.batchId = String(batchId).trim();
+    }
+  }
+
+  if (invoiceId) {
+    // Combined with the other selectors, so $and rather than overwriting lotId / _id
+    const invoice = await findInvoice(invoiceId);
+    if (category === 'chemical') {
+      // Every lab's share of the invoice's lots
+      filter.$and = [{ lotId: { $in: await Lot.find({ invoiceId: invoice._id }).distinct('_id') } }];
+    } else {
+      // Records the invoice brought into the central store
+      const itemIds = await StockLedger.find({
+        referenceType: 'Invoice',
+        referenceId: String(invoice._id),
+        movementType: 'intake',
+        itemModel: MODELS[category].modelName
+      }).distinct('itemId');
+      filter.$and = [{ _id: { $in: itemIds } }];
+    }
+  }
+  return filter;
+}
+
+// What is printed on the label of one live record
+async function labelOf(category, record) {
+  if (category === 'chemical') await ensureChemicalLabel(record);
+  if (!record.qrCodeData) return null;
+
+  const chemical = category === 'chemical';
+  return {
+    category,
+    id: record._id,
+    itemId: record.itemId || null,
+    name: chemical ? record.displayName : record.name,
+    variant: chemical ? null : record.variant || null,
+    batch: chemical ? (record.lotId && record.lotId.lotNumber) || null : record.batchId || null,
+    labId: record.labId,
+    labName: record.labName || record.labId,
+    expiryDate: formatDate(chemical ? effectiveExpiry(record) : record.expiryDate),
+    qrCodeData: record.qrCodeData,
+    qrCodeImage: record.qrCodeImage || await QRCode.toDataURL(record.qrCodeData)
+  };
+}
+
+/**
+ * Labels for a selection of live records of one category.
+ * @param {Object} selection
+ * @param {string} selection.category - chemical, glassware, equipment or others
+ * @param {string} [selection.batchId] - batch (lot number for chemicals)
+ * @param {string} [selection.labId]
+ * @param {string} [selection.invoiceId] - Invoice _id or INV number
+ * @param {string[]} [selection.ids] - live record ids
+ * @param {string[]} [selection.labIds] - only records in these labs (the user's labs)
+ * @param {number} [selection.copies] - labels per record
+ * @param {boolean} [selection.perUnit] - one label per unit of glassware / other products
+ * @returns {Promise<{ labels: Array, skipped: Array<{ id, name, labId }> }>}
+ */
+async function collectLabels({ category, copies = 1, perUnit = false, ...selection }) {
+  const Model = MODELS[category];
+  if (!Model) throw new LabelSheetError(`category must be one of ${Object.keys(MODELS).join(', ')}`);
+  if (!selection.batchId && !selection.labId && !selection.invoiceId && !selection.ids) {
+    throw new LabelSheetError('Select items by batchId, labId, invoiceId or ids');
+  }
+
+  let query = Model.find(await selectionFilter(category, selection)).sort({ labId: 1, createdAt: 1 });
+  if (category === 'chemical') query = query.populate('lotId', 'lotNumber');
+  const records = await query;
+
+  const countOf = (record) =>
+    (perUnit && (category === 'glassware' || category === 'others') ? Math.floor(record.quantity) : 1) * copies;
+  const total = records.reduce((sum, record) => sum + countOf(record), 0);
+  if (total > MAX_LABELS) {
+    throw new LabelSheetError(`The selection needs ${total} labels; narrow it to at most ${MAX_LABELS}`);
+  }
+
+  const labels = [];
+  const skipped = [];
+  for (const record of records) {
+    const label = await labelOf(category, record);
+    if (!label) {
+      skipped.push({ id: record._id, name: record.name || record.displayName, labId: record.labId });
+      continue;
+    }
+    for (let n = countOf(record); n > 0; n -= 1) labels.push(label);
+  }
+  return { labels, skipped };
+}
+
+// Text lines printed next to the code
+const labelLines = (label) => [
+  label.variant ? `Variant: ${label.variant}` : null,
+  label.batch ? `Batch: ${label.batch}` : null,
+  label.itemId ? `Item: ${label.itemId}` : null,
+  `Lab: ${label.labName}`,
+  label.expiryDate ? `Exp: ${label.expiryDate}` : null
+].filter(Boolean);
+
+// One label in the box at (x, y) of width w and height h (points)
+function drawLabel(doc, label, x, y, w, h) {
+  const pad = 2 * MM;
+  const size = Math.min(h - 2 * pad, w * 0.45);
+  doc.image(Buffer.from(label.qrCodeImage.split(',')[1], 'base64'), x + pad, y + (h - size) / 2, { width: size, height: size });
+
+  const textX = x + size + 2 * pad;
+  const textWidth = w - size - 3 * pad;
+  const fontSize = Math.max(6, Math.min(10, h / 11));
+  const bottom = y + h - pad;
+  let cursor = y + pad;
+
+  doc.font('Helvetica-Bold').fontSize(fontSize + 1);
+  doc.text(label.name, textX, cursor, { width: textWidth, height: (fontSize + 1) * 2.4, ellipsis: true });
+  cursor = doc.y + 1;
+
+  doc.font('Helvetica').fontSize(fontSize);
+  for (const line of labelLines(label)) {
+    if (cursor + fontSize * 1.2 > bottom) break;
+    doc.text(line, textX, cursor, { width: textWidth, height: fontSize * 1.2, ellipsis: true });
+    cursor = doc.y;
+  }
+}
+
+/**
+ * A4 label sheets as a PDF, written to `output` (e.g. the HTTP response).
+ * @param {Array} labels - from collectLabels()
+ * @param {string} layoutName - a key of LABEL_LAYOUTS
+ */
+function writeLabelSheetPdf(labels, layoutName, output) {
+  const layout = LABEL_LAYOUTS[layoutName];
+  const perPage = layout.columns * layout.rows;
+  const doc = new PDFDocument({ size: 'A4', margin: 0, autoFirstPage: false, info: { Title: `Labels (${layout.description})` } });
+  doc.pipe(output);
+
+  labels.forEach((label, index) => {
+    const slot = index % perPage;
+    if (slot === 0) doc.addPage();
+    const column = slot % layout.columns;
+    const row = Math.floor(slot / layout.columns);
+    drawLabel(
+      doc,
+      label,
+      (layout.left + column * (layout.width + layout.columnGap)) * MM,
+      (layout.top + row * (layout.height + layout.rowGap)) * MM,
+      layout.width * MM,
+      layout.height * MM
+    );
+  });
+
+  doc.end();
+  return doc;
+}
+
+// Field data for ^FH: the hex indicator and ZPL command prefixes are escaped
+const zplText = (text) => String(text).replace(/[_^~]/g, char => `_${char.charCodeAt(0).toString(16).toUpperCase()}`);
+
+/**
+ * ZPL for thermal printers, one label per entry.
+ * @param {Array} labels - from collectLabels()
+ * @param {{ width?: number, height?: number, dpi?: number }} [options] - label size in mm, printer resolution
+ * @returns {string}
+ */
+function labelSheetZpl(labels, options = {}) {
+  const { width, height, dpi } = { ...ZPL_DEFAULTS, ...options };
+  const dots = (mm) => Math.round((mm * dpi) / 25.4);
+  const pad = dots(2);
+  const labelWidth = dots(width);
+  const labelHeight = dots(height);
+  const fontSize = Math.max(dots(2), Math.min(dots(3.5), Math.round(labelHeight / 9)));
+
+  return labels.map(label => {
+    // Largest magnification at which the code fits the label height
+    const modules = QRCode.create(label.qrCodeData, { errorCorrectionLevel: 'M' }).modules.size;
+    const magnification = Math.max(1, Math.min(10, Math.floor((labelHeight - 2 * pad) / modules)));
+    const textX = pad * 2 + modules * magnification;
+    const textWidth = Math.max(labelWidth - textX - pad, dots(10));
+
+    const fields = [
+      `^FO${textX},${pad}^A0N,${fontSize + 2},${fontSize + 2}^FB${textWidth},2,0,L^FH^FD${zplText(label.name)}^FS`
+    ];
+    let y = pad + (fontSize + 2) * 2 + 4;
+    for (const line of labelLines(label)) {
+      if (y + fontSize > labelHeight - pad) break;
+      fields.push(`^FO${textX},${y}^A0N,${fontSize},${fontSize}^FB${textWidth},1,0,L^FH^FD${zplText(line)}^FS`);
+      y += fontSize + 4;
+    }
+
+    return [
+      '^XA',
+      '^CI28',
+      `^PW${labelWidth}`,
+      `^LL${labelHeight}`,
+      `^FO${pad},${pad}^BQN,2,${magnification}^FH^FDMA,${zplText(label.qrCodeData)}^FS`,
+      ...fields,
+      '^XZ'
+    ].join('\n');
+  }).join('\n');
+}
+
+module.exports = {
+  LabelSheetError,
+  collectLabels,
+  writeLabelSheetPdf,
+  labelSheetZpl
+};
@@ -0,0 +1,237 @@
+// Stock Ledger Service
+// Writes the append-only StockLedger for every category and answers
+// point-in-time questions from it. A movement is keyed by
+// (category, product, batch, lab); the running balance and sequence number
+// come from StockLedgerBalance via one atomic $inc, so concurrent movements
+// on the same key still produce a gap-free, consistent history.
+const mongoose = require('mongoose');
+const StockLedger = require('../models/StockLedger');
+const StockLedgerBalance = require('../models/StockLedgerBalance');
+const ChemicalMaster = require('../models/ChemicalMaster');
+const { recordControlledMovement } = require('./controlledSubstanceService');
+const { raceSafeUpsert } = require('../utils/stockTransaction');
+
+const CATEGORY_BY_MODEL = {
+  ChemicalLive: 'chemical',
+  GlasswareLive: 'glassware',
+  OtherProductLive: 'others',
+  EquipmentLive: 'equipment'
+};
+
+const idOf = (value) => (value ? (value._id || value).toString() : null);
+
+const sessionOf = ({ tx, session } = {}) => (tx ? tx.session : session) || null;
+
+// Product / batch identity of a live document. A chemical batch is its ChemicalMaster.
+async function describeItem(itemModel, item, session) {
+  if (itemModel === 'ChemicalLive') {
+    const masterId = idOf(item.chemicalMasterId);
+    const master = masterId
+      ? await ChemicalMaster.findById(masterId).select('productId batchId').session(session).lean()
+      : null;
+    return {
+      productId: master ? master.productId : undefined,
+      chemicalMasterId: masterId || undefined,
+      batchId: master ? master.batchId : undefined,
+      batchKey: masterId || item.chemicalName,
+      name: item.displayName || item.chemicalName,
+      unit: item.unit
+    };
+  }
+  return {
+    productId: idOf(item.productId) || undefined,
+    batchId: item.batchId,
+    batchKey: item.batchId || '-',
+    name: item.name,
+    variant: item.variant,
+    unit: item.unit
+  };
+}
+
+// Bump the key's balance and sequence (the first movement of a key creates it)
+function bumpBalance(balanceKey, quantity, fields, session) {
+  return raceSafeUpsert(() => StockLedgerBalance.findOneAndUpdate(
+    { balanceKey },
+    {
+      $inc: { balance: quantity, sequence: 1 },
+      $set: { name: fields.name, unit: fields.unit },
+      $setOnInsert: {
+        category: fields.category,
+        productId: fields.productId,
+        chemicalMasterId: fields.chemicalMasterId,
+        batchId: fields.batchId,
+        labId: fields.labId
+      }
+    },
+    { new: true, upsert: true, session }
+  ), session);
+}
+
+/**
+ * Append one signed movement to the ledger.
+ * @param {Object} movement
+ * @param {Document|Object} movement.item - the live stock document that moved
+ * @param {string} [movement.itemModel] - required when `item` is a plain object
+ * @param {number} movement.quantity - signed: positive into `labId`, negative out of it
+ * @param {string} movement.movementType - one of StockLedger.MOVEMENT_TYPES
+ * @param {string} [movement.labId] - defaults to item.labId
+ * @param {string} [movement.counterpartyLabId] - where the stock came from / went to
+ * @param {{type: string, id: *}} [movement.reference] - business document behind the movement
+ * @param {ObjectId} [movement.userId]
+ * @param {ObjectId} [movement.witnessId] - second signatory, for controlled substances
+ * @param {string} [movement.note]
+ * @param {Object} [options] - { tx } from runStockTransaction or a raw { session }
+ * @returns {Promise<Document|null>} the ledger row (null for zero quantities)
+ */
+async function recordMovement(movement, options = {}) {
+  const { item, quantity, movementType } = movement;
+  if (!item || !quantity) return null;
+
+  const itemModel = movement.itemModel || (item.constructor && item.constructor.modelName);
+  const category = CATEGORY_BY_MODEL[itemModel];
+  if (!category) {
+    throw new Error(`Cannot record a ledger movement for ${itemModel || 'unknown model'}`);
+  }
+
+  const session = sessionOf(options);
+  const labId = movement.labId || item.labId;
+  const identity = await describeItem(itemModel, item, session);
+  const balanceKey = [category, identity.productId || '-', identity.batchKey, labId].join('|');
+
+  const counter = await bumpBalance(balanceKey, quantity, { ...identity, category, labId }, session);
+
+  const [entry] = await StockLedger.create([{
+    category,
+    itemModel,
+    itemId: idOf(item),
+    productId: identity.productId,
+    chemicalMasterId: identity.chemicalMasterId,
+    batchId: identity.batchId,
+    balanceKey,
+    name: identity.name,
+    variant: identity.variant,
+    unit: identity.unit,
+    labId,
+    counterpartyLabId: movement.counterpartyLabId,
+    movementType,
+    quantity,
+    balanceAfter: counter.balance,
+    sequence: counter.sequence,
+    referenceType: movement.reference ? movement.reference.type : undefined,
+    referenceId: movement.reference && movement.reference.id ? movement.reference.id.toString() : undefined,
+    reversalOf: movement.reversalOf,
+    note: movement.note,
+    createdBy: movement.userId
+  }], { session });
+
+  // Controlled substances are also copied into their statutory register
+  await recordControlledMovement(entry, { witnessId: movement.witnessId, session });
+
+  // Without a real transaction the ledger stays append-only: undo by appending a reversal
+  if (options.tx) {
+    options.tx.compensate(() => recordMovement({
+      item,
+      itemModel,
+      quantity: -quantity,
+      movementType: 'reversal',
+      labId,
+      counterpartyLabId: movement.counterpartyLabId,
+      reference: movement.reference,
+      reversalOf: entry._id,
+      userId: movement.userId,
+      witnessId: movement.witnessId,
+      note: `Rolled back ${movementType}`
+    }));
+  }
+
+  return entry;
+}
+
+/**
+ * Record a move of `quantity` from one live row to another (e.g. central store -> lab):
+ * a negative row on the source key and a positive row on the destination key.
+ */
+async function recordTransfer({ from, to, quantity, movementType, itemModel, reference, userId, witnessId, note }, options = {}) {
+  const out = await recordMovement({
+    item: from,
+    itemModel,
+    quantity: -quantity,
+    movementType,
+    counterpartyLabId: to.labId,
+    reference,
+    userId,
+    witnessId,
+    note
+  }, options);
+  const into = await recordMovement({
+    item: to,
+    itemModel,
+    quantity,
+    movementType,
+    counterpartyLabId: from.labId,
+    reference,
+    userId,
+    witnessId,
+    note
+  }, options);
+  return [out, into];
+}
+
+// Ledger filter from query parameters shared by the listing and balance endpoints
+function buildLedgerFilter({ category, productId, batchId, labId, itemId, movementType, referenceType, referenceId } = {}) {
+  const filter = {};
+  if (category) filter.category = category;
+  if (productId) filter.productId = productId;
+  if (batchId) filter.batchId = batchId;
+  if (labId) filter.labId = labId;
+  if (itemId) filter.itemId = itemId;
+  if (movementType) filter.movementType = movementType;
+  if (referenceType) filter.referenceType = referenceType;
+  if (referenceId) filter.referenceId = referenceId;
+  return filter;
+}
+
+/**
+ * Reconstruct balances per (category, product, batch, lab) as they stood at `asOf`
+ * by summing every ledger movement up to that instant.
+ * @returns {Promise<Array>} one row per key with a non-empty history
+ */
+async function getBalancesAsOf({ asOf = new Date(), includeZero = false, ...filters } = {}) {
+  const match = { ...buildLedgerFilter(filters), createdAt: { $lte: asOf } };
+  // aggregate() does not cast, so ids must be ObjectIds here
+  if (match.productId) match.productId = new mongoose.Types.ObjectId(match.productId);
+  if (match.itemId) match.itemId = new mongoose.Types.ObjectId(match.itemId);
+
+  const rows = await StockLedger.aggregate([
+    { $match: match },
+    { $sort: { balanceKey: 1, sequence: 1 } },
+    {
+      $group: {
+        _id: '$balanceKey',
+        category: { $last: '$category' },
+        productId: { $last: '$productId' },
+        chemicalMasterId: { $last: '$chemicalMasterId' },
+        batchId: { $last: '$batchId' },
+        labId: { $last: '$labId' },
+        name: { $last: '$name' },
+        variant: { $last: '$variant' },
+        unit: { $last: '$unit' },
+        balance: { $sum: '$quantity' },
+        movements: { $sum: 1 },
+        lastMovementAt: { $max: '$createdAt' }
+      }
+    },
+    ...(includeZero ? [] : [{ $match: { balance: { $ne: 0 } } }]),
+    { $sort: { labId: 1, category: 1, name: 1 } }
+  ]);
+
+  return rows.map(({ _id, ...row }) => ({ balanceKey: _id, ...row }));
+}
+
+module.exports = {
+  CATEGORY_BY_MODEL,
+  recordMovement,
+  recordTransfer,
+  buildLedgerFilter,
+  getBalancesAsOf
+};
@@ -0,0 +1,346 @@
+// Location Service
+// Maintains each lab's storage tree (config/storageLocations.js) and where
+// stock records sit in it. Allocations put stock away with putAway(); moving a
+// record to another shelf inside the lab goes through moveStock(). Both write a
+// LocationMove so every change of place can be traced.
+const mongoose = require('mongoose');
+const StorageLocation = require('../models/StorageLocation');
+const LocationMove = require('../models/LocationMove');
+const ChemicalLive = require('../models/ChemicalLive');
+const GlasswareLive = require('../models/GlasswareLive');
+const OtherProductLive = require('../models/OtherProductLive');
+const { LOCATION_TYPES, LOCATABLE_MODELS, PATH_SEPARATOR } = require('../config/storageLocations');
+const { runStockTransaction } = require('../utils/stockTransaction');
+
+class LocationError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'LocationError';
+    this.statusCode = statusCode;
+    this.code = 'LOCATION';
+  }
+}
+
+const STOCK_MODELS = { ChemicalLive, GlasswareLive, OtherProductLive };
+
+const sessionOf = ({ tx, session } = {}) => (tx ? tx.session : session) || null;
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+
+const bySortOrder = (a, b) => (a.sortOrder - b.sortOrder) || a.name.localeCompare(b.name);
+
+/**
+ * Active location `locationId` of lab `labId`.
+ * @throws {LocationError} when it does not exist, is inactive or belongs to another lab
+ */
+async function findLabLocation(labId, locationId, session = null) {
+  if (!mongoose.isValidObjectId(locationId)) {
+    throw new LocationError(`Invalid location id ${locationId}`);
+  }
+  const location = await StorageLocation.findOne({ _id: locationId, labId, isActive: true }).session(session);
+  if (!location) {
+    throw new LocationError(`Location ${locationId} is not an active location of lab ${labId}`);
+  }
+  return location;
+}
+
+// Allocation handlers check a requested put-away location before moving any stock
+const assertPutAwayLocation = (labId, locationId) =>
+  (locationId ? findLabLocation(labId, locationId) : Promise.resolve(null));
+
+// Parent of a new / re-parented location, checked against the hierarchy rules
+async function resolveParent(labId, type, parentId) {
+  const allowed = LOCATION_TYPES[type] && LOCATION_TYPES[type].parents;
+  if (!allowed) {
+    throw new LocationError(`Unknown location type "${type}". Use ${Object.keys(LOCATION_TYPES).join(', ')}`);
+  }
+  const parent = parentId ? await findLabLocation(labId, parentId) : null;
+  const parentType = parent ? parent.type : null;
+  if (!allowed.includes(parentType)) {
+    const where = allowed.map(p => (p ? `a ${p}` : 'the lab')).join(' or ');
+    throw new LocationError(`A ${type} must be placed directly under ${where}`);
+  }
+  return parent;
+}
+
+const placement = (parent, name) => ({
+  parentId: parent ? parent._id : null,
+  ancestors: parent ? [...parent.ancestors, parent._id] : [],
+  path: parent ? `${parent.path}${PATH_SEPARATOR}${name}` : name
+});
+
+// Only one default put-away location per lab
+async function clearOtherDefaults(location) {
+  if (!location.isDefaultPutAway) return;
+  await StorageLocation.updateMany(
+    { labId: location.labId, _id: { $ne: location._id }, isDefaultPutAway: true },
+    { $set: { isDefaultPutAway: false } }
+  );
+}
+
+/**
+ * Create a location in a lab's tree.
+ * @param {string} labId
+ * @param {{ name, type, parentId?, code?, sortOrder?, description?, isDefaultPutAway? }} fields
+ * @param {ObjectId} [userId]
+ */
+async function createLocation(labId, fields, userId) {
+  const parent = await resolveParent(labId, fields.type, fields.parentId);
+  const location = await StorageLocation.create({
+    labId,
+    name: fields.name,
+    code: fields.code,
+    type: fields.type,
+    sortOrder: fields.sortOrder,
+    description: fields.description,
+    isDefaultPutAway: Boolean(fields.isDefaultPutAway),
+    createdBy: userId,
+    ...placement(parent, String(fields.name || '').trim())
+  });
+  await clearOtherDefaults(location);
+  return location;
+}
+
+// Rewrite ancestors and path of everything below `location` after it was renamed or moved
+async function refreshDescendants(location) {
+  const descendants = await StorageLocation.find({ ancestors: location._id });
+  descendants.sort((a, b) => a.ancestors.length - b.ancestors.length);
+  const placed = new Map([[idOf(location), location]]);
+  for (const descendant of descendants) {
+    const parent = placed.get(idOf(descendant.parentId));
+    Object.assign(descendant, placement(parent, descendant.name));
+    await StorageLocation.updateOne(
+      { _id: descendant._id },
+      { $set: { ancestors: descendant.ancestors, path: descendant.path } }
+    );
+    placed.set(idOf(descendant), descendant);
+  }
+  return descendants.length;
+}
+
+// Stock records of any category assigned to one of `locationIds`
+async function countStockIn(locationIds) {
+  const counts = await Promise.all(Object.values(LOCATABLE_MODELS).map(modelName =>
+    STOCK_MODELS[modelName].countDocuments({ locationId: { $in: locationIds }, quantity: { $gt: 0 } })
+  ));
+  return counts.reduce((sum, count) => sum + count, 0);
+}
+
+/**
+ * Rename, re-order, re-parent or (de)activate a location. Moving a location
+ * moves its whole subtree with it.
+ */
+async function updateLocation(location, fields) {
+  const renamed = fields.name !== undefined && fields.name.trim() !== location.name;
+  const reparented = fields.parentId !== undefined && idOf(fields.parentId) !== idOf(location.parentId);
+
+  if (reparented) {
+    if (fields.parentId && (idOf(fields.parentId) === idOf(location) ||
+        (await StorageLocation.exists({ _id: fields.parentId, ancestors: location._id })))) {
+      throw new LocationError('A location cannot be moved under itself');
+    }
+    const parent = await resolveParent(location.labId, location.type, fields.parentId);
+    Object.assign(location, placement(parent, fields.name !== undefined ? fields.name.trim() : location.name));
+  } else if (renamed) {
+    const parent = location.parentId ? await StorageLocation.findById(location.parentId) : null;
+    Object.assign(location, placement(parent, fields.name.trim()));
+  }
+
+  if (fields.isActive === false && location.isActive) {
+    const subtree = [location._id, ...(await StorageLocation.find({ ancestors: location._id }).distinct('_id'))];
+    if (await countStockIn(subtree) > 0) {
+      throw new LocationError('Move the stock out of this location before deactivating it', 409);
+    }
+  }
+
+  ['name', 'code', 'sortOrder', 'description', 'isDefaultPutAway', 'isActive'].forEach(field => {
+    if (fields[field] !== undefined) location[field] = fields[field];
+  });
+  await location.save();
+  await clearOtherDefaults(location);
+  if (renamed || reparented) await refreshDescendants(location);
+  return location;
+}
+
+// Delete an empty leaf location
+async function deleteLocation(location) {
+  if (await StorageLocation.exists({ parentId: location._id })) {
+    throw new LocationError('Remove or move the locations inside it first', 409);
+  }
+  if (await countStockIn([location._id]) > 0) {
+    throw new LocationError('Move the stock out of this location before deleting it', 409);
+  }
+  await StorageLocation.deleteOne({ _id: location._id });
+}
+
+/**
+ * Locations of a lab as a tree: root nodes with nested `children`, siblings
+ * in sortOrder / name order.
+ */
+async function getLocationTree(labId, { includeInactive = false } = {}) {
+  const filter = { labId };
+  if (!includeInactive) filter.isActive = true;
+  const locations = await StorageLocation.find(filter).lean();
+  const nodes = new Map(locations.map(location => [idOf(location), { ...location, children: [] }]));
+  const roots = [];
+  for (const node of nodes.values()) {
+    const parent = node.parentId && nodes.get(idOf(node.parentId));
+    (parent ? parent.children : roots).push(node);
+  }
+  const sortTree = (list) => {
+    list.sort(bySortOrder);
+    list.forEach(node => sortTree(node.children));
+    return list;
+  };
+  return sortTree(roots);
+}
+
+/**
+ * Walking order of a lab's locations (depth first, siblings by sortOrder):
+ * location id -> { rank, path }. Used to order audit checklists.
+ */
+async function locationOrder(labId) {
+  const order = new Map();
+  const walk = (nodes) => nodes.forEach(node => {
+    order.set(idOf(node), { rank: order.size, path: node.path });
+    walk(node.children);
+  });
+  walk(await getLocationTree(labId, { includeInactive: true }));
+  return order;
+}
+
+// Write a LocationMove (undone with the transaction when written inside one)
+async function recordMove(Model, doc, from, to, fields, options) {
+  const move = {
+    labId: doc.labId,
+    itemModel: Model.modelName,
+    itemId: doc._id,
+    productId: doc.productId,
+    name: doc.displayName || doc.name || doc.chemicalName,
+    quantity: doc.quantity,
+    unit: doc.unit,
+    fromLocationId: from ? from._id : null,
+    toLocationId: to ? to._id : null,
+    fromPath: from ? from.path : undefined,
+    toPath: to ? to.path : undefined,
+    reason: fields.reason,
+    referenceType: fields.reference && fields.reference.type,
+    referenceId: fields.reference && idOf(fields.reference.id),
+    note: fields.note,
+    movedBy: fields.userId
+  };
+  if (options.tx) return options.tx.create(LocationMove, move);
+  const [created] = await LocationMove.create([move], { session: sessionOf(options) });
+  return created;
+}
+
+/**
+ * Put a lab stock record away after an allocation. With `locationId` the record
+ * goes there; without one a record that has no location yet goes to the lab's
+ * default put-away location, if the lab has one. Records that already sit on
+ * a shelf stay where they are.
+ * @param {mongoose.Model} Model - ChemicalLive, GlasswareLive or OtherProductLive
+ * @param {Document} doc - the lab stock record the allocation landed in
+ * @param {ObjectId|string} [locationId]
+ * @param {Object} [options] - { tx } or { session }, plus userId and reference { type, id }
+ * @returns {Promise<Document|null>} the location the record is now in
+ */
+async function putAway(Model, doc, locationId, options = {}) {
+  if (!doc || doc.labId === 'central-store') return null;
+  const session = sessionOf(options);
+
+  let target = locationId ? await findLabLocation(doc.labId, locationId, session) : null;
+  if (!target) {
+    if (doc.locationId) return StorageLocation.findById(doc.locationId).session(session);
+    target = await StorageLocation.findOne({ labId: doc.labId, isDefaultPutAway: true, isActive: true })
+      .session(session);
+    if (!target) return null;
+  }
+  if (idOf(doc.locationId) === idOf(target)) return target;
+
+  const previousId = doc.locationId || null;
+  const from = previousId ? await StorageLocation.findById(previousId).session(session) : null;
+  await Model.updateOne({ _id: doc._id }, { $set: { locationId: target._id } }, { session });
+  if (options.tx) {
+    options.tx.compensate(() => Model.updateOne({ _id: doc._id }, { $set: { locationId: previousId } }));
+  }
+  await recordMove(Model, doc, from, target, { ...options, reason: 'put_away' }, options);
+  doc.locationId = target._id;
+  return target;
+}
+
+/**
+ * Move a whole stock record to another location in the same lab (or off the
+ * shelves with toLocationId null). Lots stay in one record per lab, so a
+ * record is always moved as a whole.
+ * @param {{ labId, itemType, itemId, toLocationId, userId, note }} params
+ * @returns {Promise<{ item, move }>}
+ */
+async function moveStock({ labId, itemType, itemId, toLocationId, userId, note }) {
+  const modelName = LOCATABLE_MODELS[itemType];
+  if (!modelName) {
+    throw new LocationError(`itemType must be one of ${Object.keys(LOCATABLE_MODELS).join(', ')}`);
+  }
+  if (!mongoose.isValidObjectId(itemId)) {
+    throw new LocationError(`Invalid item id ${itemId}`);
+  }
+  const Model = STOCK_MODELS[modelName];
+
+  const item = await Model.findOne({ _id: itemId, labId });
+  if (!item) {
+    throw new LocationError(`No ${itemType} stock ${itemId} in lab ${labId}`, 404);
+  }
+  const to = toLocationId ? await findLabLocation(labId, toLocationId) : null;
+  if (idOf(item.locationId) === idOf(to)) {
+    throw new LocationError(`Item is already ${to ? `in ${to.path}` : 'unassigned'}`);
+  }
+  const from = item.locationId ? await StorageLocation.findById(item.locationId) : null;
+
+  let move;
+  await runStockTransaction(async (tx) => {
+    // Guarded on the current location so two concurrent moves cannot both apply
+    const result = await Model.updateOne(
+      { _id: item._id, locationId: item.locationId || null },
+      { $set: { locationId: to ? to._id : null } },
+      { session: tx.session }
+    );
+    if (result.matchedCount === 0) {
+      throw new LocationError('Item was moved by another user. Please refresh and retry.', 409);
+    }
+    tx.compensate(() => Model.updateOne({ _id: item._id }, { $set: { locationId: item.locationId || null } }));
+    move = await recordMove(Model, item, from, to, { reason: 'move', userId, note }, { tx });
+  });
+
+  item.locationId = to ? to._id : null;
+  console.log(`📦 Moved ${move.name} in ${labId}: ${move.fromPath || 'unassigned'} -> ${move.toPath || 'unassigned'}`);
+  return { item, move };
+}
+
+/**
+ * Stock records in a location and everything below it, per category.
+ */
+async function locationContents(location) {
+  const subtree = [location._id, ...(await StorageLocation.find({ ancestors: location._id }).distinct('_id'))];
+  const entries = await Promise.all(Object.entries(LOCATABLE_MODELS).map(async ([itemType, modelName]) => [
+    itemType,
+    await STOCK_MODELS[modelName]
+      .find({ labId: location.labId, locationId: { $in: subtree }, quantity: { $gt: 0 } })
+      .populate('locationId', 'name path')
+      .lean()
+  ]));
+  return Object.fromEntries(entries);
+}
+
+module.exports = {
+  LocationError,
+  findLabLocation,
+  assertPutAwayLocation,
+  createLocation,
+  updateLocation,
+  deleteLocation,
+  getLocationTree,
+  locationOrder,
+  putAway,
+  moveStock,
+  locationContents
+};
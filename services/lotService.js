@@ -0,0 +1,194 @@
+// Lot Service
+// Chemical batches are Lot documents. Stock of a product is found by its
+// productId and a lab's share of a lot by (lotId, labId); names are for display
+// only. migrateChemicalLots() converts records from the old scheme, where
+// batches were told apart by " - A" / " - B" suffixes on chemicalName.
+const Lot = require('../models/Lot');
+const Product = require('../models/Product');
+const ChemicalMaster = require('../models/ChemicalMaster');
+const ChemicalLive = require('../models/ChemicalLive');
+const { getBaseName } = require('../utils/chemicalProductIntegration');
+
+const MAX_LOT_NUMBER_ATTEMPTS = 5;
+
+const escapeRegExp = (value) => value.replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+/**
+ * Create a Lot with the next free lot number for its received date.
+ * @param {Object} fields - Lot fields except lotNumber
+ * @param {{ session?: ClientSession }} [options]
+ * @returns {Promise<Document>}
+ */
+async function createLot(fields, { session } = {}) {
+  const receivedDate = fields.receivedDate ? new Date(fields.receivedDate) : new Date();
+  for (let attempt = 1; ; attempt++) {
+    const lotNumber = await Lot.nextLotNumber(receivedDate);
+    try {
+      const [lot] = await Lot.create([{ ...fields, receivedDate, lotNumber }], { session });
+      return lot;
+    } catch (error) {
+      // Two intakes took the same number: take the next one
+      if (error.code !== 11000 || attempt >= MAX_LOT_NUMBER_ATTEMPTS) throw error;
+    }
+  }
+}
+
+/**
+ * Chemical product a line refers to: its productId, the product of its
+ * chemicalMasterId, or else the chemical product with that (base) name.
+ * @returns {Promise<Document|null>}
+ */
+async function resolveChemicalProduct({ productId, chemicalMasterId, chemicalName } = {}) {
+  if (productId) {
+    const product = await Product.findById(productId);
+    if (product) return product;
+  }
+  if (chemicalMasterId) {
+    const master = await ChemicalMaster.findById(chemicalMasterId).select('productId');
+    if (master && master.productId) {
+      const product = await Product.findById(master.productId);
+      if (product) return product;
+    }
+  }
+  if (!chemicalName) return null;
+  return Product.findOne({
+    name: new RegExp(`^${escapeRegExp(getBaseName(chemicalName.trim()))}$`, 'i'),
+    category: 'chemical'
+  });
+}
+
+/**
+ * ChemicalLive filter for all stock of a product in one lab. Records that
+ * predate the lot migration have no productId and are matched by name.
+ * @param {Document|null} product - from resolveChemicalProduct()
+ * @param {string} labId
+ * @param {string} [chemicalName] - used when there is no product at all
+ */
+function productStockFilter(product, labId, chemicalName) {
+  if (!product) {
+    return { labId, displayName: getBaseName(String(chemicalName || '').trim()) };
+  }
+  return {
+    labId,
+    $or: [
+      { productId: product._id },
+      { productId: null, displayName: product.name }
+    ]
+  };
+}
+
+// ChemicalLive filter for a lab's share of the same lot as `batch`
+const lotStockFilter = (batch, labId) =>
+  (batch.lotId
+    ? { lotId: batch.lotId, labId }
+    : { chemicalMasterId: batch.chemicalMasterId, labId });
+
+// Fields for a lab record created on the first allocation of `batch` to that lab
+function labStockInsert(batch, quantity, labId) {
+  const insert = {
+    chemicalMasterId: batch.chemicalMasterId,
+    productId: batch.productId,
+    lotId: batch.lotId,
+    chemicalName: batch.chemicalName,
+    displayName: batch.displayName,
+    unit: batch.unit,
+    expiryDate: batch.expiryDate,
+    originalQuantity: quantity,
+    isAllocated: true
+  };
+  // Stock taken from an opened container keeps its after-opening use-by date
+  if (batch.openedAt) {
+    insert.openedAt = batch.openedAt;
+    insert.openedExpiryDate = batch.openedExpiryDate || null;
+  }
+  // The container keeps its label (services/labelService.js) wherever it goes
+  if (batch.qrCodeData) {
+    insert.qrCodeData = batch.qrCodeData;
+    insert.qrCodeImage = batch.qrCodeImage;
+  }
+  // Fields in the upsert filter are set from it already
+  Object.keys(lotStockFilter(batch, labId)).forEach(field => delete insert[field]);
+  return insert;
+}
+
+/**
+ * Give every ChemicalMaster a Lot, strip " - X" suffixes from chemical names and
+ * link every ChemicalLive of the master to the lot and product. Safe to re-run:
+ * masters that already have a lot are only re-linked.
+ * @param {{ dryRun?: boolean }} [options]
+ * @returns {Promise<{ masters, lotsCreated, renamed, liveLinked, errors, details }>}
+ */
+async function migrateChemicalLots({ dryRun = false } = {}) {
+  const masters = await ChemicalMaster.find().sort({ createdAt: 1 });
+  const result = { masters: masters.length, lotsCreated: 0, renamed: 0, liveLinked: 0, errors: 0, details: [] };
+
+  for (const master of masters) {
+    try {
+      const product = await resolveChemicalProduct({
+        productId: master.productId,
+        chemicalName: master.chemicalName
+      });
+      if (!product) {
+        throw new Error(`No product found for ${master.chemicalName}`);
+      }
+      const baseName = product.name;
+
+      let lot = await Lot.findOne({ chemicalMasterId: master._id });
+      const detail = {
+        masterId: master._id,
+        from: master.chemicalName,
+        to: baseName,
+        lotNumber: lot ? lot.lotNumber : null
+      };
+
+      if (!dryRun) {
+        if (!lot) {
+          lot = await createLot({
+            productId: product._id,
+            chemicalMasterId: master._id,
+            receivedDate: master.createdAt,
+            expiryDate: master.expiryDate,
+            vendor: master.vendor,
+            unit: master.unit,
+            quantityReceived: master.quantity,
+            costPerUnit: master.pricePerUnit,
+            intakeBatchId: master.batchId
+          });
+          result.lotsCreated++;
+          detail.lotNumber = lot.lotNumber;
+        }
+
+        // updateOne: the ChemicalMaster save hooks would re-apply the suffix
+        await ChemicalMaster.updateOne(
+          { _id: master._id },
+          { $set: { chemicalName: baseName, lotId: lot._id, productId: product._id } }
+        );
+        const linked = await ChemicalLive.updateMany(
+          { chemicalMasterId: master._id },
+          { $set: { lotId: lot._id, productId: product._id, chemicalName: baseName, displayName: baseName } }
+        );
+        result.liveLinked += linked.modifiedCount;
+      } else if (!lot) {
+        result.lotsCreated++;
+      }
+
+      if (baseName !== master.chemicalName) result.renamed++;
+      if (result.details.length < 50) result.details.push(detail);
+    } catch (error) {
+      console.error(`❌ Lot migration failed for master ${master._id}:`, error.message);
+      result.errors++;
+    }
+  }
+
+  console.log(`🏷️ Lot migration${dryRun ? ' (dry run)' : ''}: ${result.lotsCreated} lots created, ${result.renamed} names unsuffixed, ${result.liveLinked} live records linked, ${result.errors} errors`);
+  return result;
+}
+
+module.exports = {
+  createLot,
+  resolveChemicalProduct,
+  productStockFilter,
+  lotStockFilter,
+  labStockInsert,
+  migrateChemicalLots
+};
@@ -1 +1,79 @@
-// Notification Service 
+// Notification Service
+// Turns domain changes (new notifications, request status, live stock) into
+// real-time events on the WebSocket channel. Publishing never throws: a push
+// failure must not break the REST call that triggered it.
+const {
+  emitToUser,
+  emitToRooms,
+  userRoom,
+  roleRoom,
+  labRoom
+} = require('../utils/websocketManager');
+
+// Roles that follow every request and every stock movement
+const OVERSIGHT_ROLES = ['admin', 'central_store_admin'];
+
+const safePublish = (label, fn) => {
+  try {
+    return fn();
+  } catch (error) {
+    console.error(`Realtime publish error (${label}):`, error.message);
+    return 0;
+  }
+};
+
+// Push a freshly saved Notification document to its recipient
+const publishNotification = (notification) => safePublish('notification', () =>
+  emitToUser(notification.userId, 'notification:new', {
+    _id: notification._id,
+    userId: notification.userId,
+    message: notification.message,
+    type: notification.type,
+    read: notification.read,
+    createdAt: notification.createdAt
+  })
+);
+
+// Push a Request status change (approve/reject/allocate/...) to the faculty,
+// the request's lab room and the oversight roles
+const publishRequestStatus = (request, action) => safePublish('request', () => {
+  const facultyId = request.facultyId?._id || request.facultyId;
+  return emitToRooms(
+    [
+      userRoom(facultyId),
+      labRoom(request.labId),
+      ...OVERSIGHT_ROLES.map(roleRoom)
+    ],
+    'request:status',
+    {
+      requestId: request._id,
+      labId: request.labId,
+      status: request.status,
+      action
+    }
+  );
+});
+
+// Push a ChemicalLive quantity change to the lab room and the oversight roles
+const publishStockChange = (chemicalLive, { deleted = false } = {}) => safePublish('stock', () => {
+  const data = {
+    chemicalLiveId: chemicalLive._id,
+    chemicalMasterId: chemicalLive.chemicalMasterId,
+    displayName: chemicalLive.displayName,
+    labId: chemicalLive.labId,
+    quantity: deleted ? 0 : chemicalLive.quantity,
+    unit: chemicalLive.unit,
+    deleted
+  };
+  return emitToRooms(
+    [labRoom(chemicalLive.labId), ...OVERSIGHT_ROLES.map(roleRoom)],
+    'stock:chemical',
+    data
+  );
+});
+
+module.exports = {
+  publishNotification,
+  publishRequestStatus,
+  publishStockChange
+};
@@ -0,0 +1,275 @@
+// Stock Reconciliation Service
+// Rebuilds historical stock per (category, lab, product) by replaying the
+// legacy movement logs - Transaction (chemicals), GlasswareTransaction and
+// EquipmentTransaction - and compares the replayed figures with the live
+// collections. Used for "what was the stock on <date>" questions and the
+// month-end drift report.
+const ChemicalLive = require('../models/ChemicalLive');
+const GlasswareLive = require('../models/GlasswareLive');
+const EquipmentLive = require('../models/EquipmentLive');
+const Transaction = require('../models/Transaction');
+const GlasswareTransaction = require('../models/GlasswareTransaction');
+const EquipmentTransaction = require('../models/EquipmentTransaction');
+
+const CATEGORIES = ['chemical', 'glassware', 'equipment'];
+
+// Locations that hold no stock: a move to/from them only touches the other side
+const NON_STOCK_LOCATIONS = ['faculty', 'vendor', 'broken', 'maintenance'];
+
+// Cap on skipped log entries echoed back in a response (the summary keeps the full count)
+const SKIPPED_SAMPLE_SIZE = 200;
+
+const round = (value) => Math.round(value * 1e6) / 1e6;
+
+const baseChemicalName = (name) => (name || '').split(' - ')[0].trim();
+
+// 'Central Store' / 'central-store' are the same place; faculty and vendors are not stock
+function normalizeLocation(location) {
+  if (!location || typeof location !== 'string') return null;
+  const trimmed = location.trim();
+  const lower = trimmed.toLowerCase();
+  if (lower === 'central store' || lower === 'central-store') return 'central-store';
+  if (NON_STOCK_LOCATIONS.includes(lower)) return null;
+  return trimmed;
+}
+
+/**
+ * Signed quantity changes ("legs") one logged movement applies per lab.
+ * Entries only credit the receiving store, write-offs only debit the source,
+ * everything else moves stock from `from` to `to`.
+ */
+function movementLegs(type, from, to, quantity) {
+  const source = normalizeLocation(from);
+  const target = normalizeLocation(to);
+  switch (type) {
+    case 'entry':
+    case 'purchase':
+      return [[target || 'central-store', quantity]];
+    case 'broken':
+    case 'discard':
+      return source ? [[source, -quantity]] : [];
+    case 'maintenance':
+      // Glassware sent for maintenance leaves usable stock; equipment stays on the books
+      return source ? [[source, -quantity]] : [];
+    default: {
+      const legs = [];
+      if (source) legs.push([source, -quantity]);
+      if (target && target !== source) legs.push([target, quantity]);
+      return legs;
+    }
+  }
+}
+
+// Accumulates balances per category|lab|product key
+function createBook() {
+  const rows = new Map();
+  return {
+    rows,
+    add(category, labId, product, quantity, field = 'replayed') {
+      const key = [category, labId, product.key].join('|');
+      let row = rows.get(key);
+      if (!row) {
+        row = {
+          key,
+          category,
+          labId,
+          productId: product.productId || null,
+          name: product.name,
+          variant: product.variant || null,
+          unit: product.unit || null,
+          replayed: 0,
+          live: 0,
+          movements: 0
+        };
+        rows.set(key, row);
+      }
+      row[field] += quantity;
+      if (field === 'replayed') row.movements += 1;
+      if (!row.unit && product.unit) row.unit = product.unit;
+    }
+  };
+}
+
+const chemicalProduct = (name, unit) => {
+  const base = baseChemicalName(name);
+  return { key: base.toLowerCase(), name: base, unit };
+};
+
+const productKey = (productId, variant) => `${productId}|${(variant || '').toLowerCase()}`;
+
+async function replayChemicals(book, asOf, skipped) {
+  const cursor = Transaction.find({ createdAt: { $lte: asOf } }).sort({ createdAt: 1 }).lean().cursor();
+  for await (const txn of cursor) {
+    const product = chemicalProduct(txn.chemicalName, txn.unit);
+    if (!product.key) {
+      skipped.push({ category: 'chemical', id: txn._id, reason: 'Missing chemical name' });
+      continue;
+    }
+    for (const [labId, quantity] of movementLegs(txn.transactionType, txn.fromLabId, txn.toLabId, txn.quantity)) {
+      book.add('chemical', labId, product, quantity);
+    }
+  }
+}
+
+async function replayGlassware(book, asOf, skipped) {
+  // Resolve the product behind each logged row; rows deleted since fall back to name + variant
+  const liveRows = await GlasswareLive.find({}, 'productId name variant unit labId').lean();
+  const byId = new Map(liveRows.map(row => [row._id.toString(), row]));
+  const byName = new Map(liveRows.map(row => [`${row.name}|${row.variant || ''}`.toLowerCase(), row]));
+
+  const cursor = GlasswareTransaction.find({ createdAt: { $lte: asOf } }).sort({ createdAt: 1 }).lean().cursor();
+  for await (const txn of cursor) {
+    const live = byId.get(String(txn.glasswareLiveId)) ||
+      byName.get(`${txn.glasswareName}|${txn.variant || ''}`.toLowerCase());
+    if (!live && !txn.glasswareName) {
+      skipped.push({ category: 'glassware', id: txn._id, reason: 'Glassware not found' });
+      continue;
+    }
+    const product = live
+      ? { key: productKey(live.productId, live.variant), productId: live.productId, name: live.name, variant: live.variant, unit: live.unit }
+      : { key: `name:${txn.glasswareName}|${txn.variant || ''}`.toLowerCase(), name: txn.glasswareName, variant: txn.variant };
+    // Write-offs logged without a source lab happened where the row lives
+    const from = txn.fromLabId || (['broken', 'maintenance'].includes(txn.transactionType) && live ? live.labId : undefined);
+    for (const [labId, quantity] of movementLegs(txn.transactionType, from, txn.toLabId, txn.quantity)) {
+      book.add('glassware', labId, product, quantity);
+    }
+  }
+}
+
+async function replayEquipment(book, asOf, skipped) {
+  // Every item is registered into the central store; movements are logged per item
+  const items = await EquipmentLive.find({}, 'itemId productId name variant unit createdAt').lean();
+  const byItemId = new Map();
+  for (const item of items) {
+    const product = { key: productKey(item.productId, item.variant), productId: item.productId, name: item.name, variant: item.variant, unit: item.unit };
+    byItemId.set(item.itemId, product);
+    if (item.createdAt && item.createdAt <= asOf) {
+      book.add('equipment', 'central-store', product, 1);
+    }
+  }
+
+  const cursor = EquipmentTransaction.find({ timestamp: { $lte: asOf } }).sort({ timestamp: 1 }).lean().cursor();
+  for await (const txn of cursor) {
+    const product = byItemId.get(txn.itemId);
+    if (!product) {
+      skipped.push({ category: 'equipment', id: txn._id, reason: `Item ${txn.itemId} not found` });
+      continue;
+    }
+    if (txn.action === 'maintenance') continue;
+    for (const [labId, quantity] of movementLegs(txn.action, txn.fromLocation, txn.toLocation, 1)) {
+      book.add('equipment', labId, product, quantity);
+    }
+  }
+}
+
+const REPLAYERS = {
+  chemical: replayChemicals,
+  glassware: replayGlassware,
+  equipment: replayEquipment
+};
+
+// Current quantities from the live collections, on the same keys as the replay
+async function loadLiveStock(book, categories) {
+  if (categories.includes('chemical')) {
+    const rows = await ChemicalLive.find({}, 'labId displayName chemicalName unit quantity').lean();
+    for (const row of rows) {
+      book.add('chemical', row.labId, chemicalProduct(row.displayName || row.chemicalName, row.unit), row.quantity, 'live');
+    }
+  }
+  if (categories.includes('glassware')) {
+    const rows = await GlasswareLive.find({}, 'labId productId name variant unit quantity').lean();
+    for (const row of rows) {
+      book.add('glassware', row.labId, {
+        key: productKey(row.productId, row.variant), productId: row.productId, name: row.name, variant: row.variant, unit: row.unit
+      }, row.quantity, 'live');
+    }
+  }
+  if (categories.includes('equipment')) {
+    const rows = await EquipmentLive.find({ status: { $ne: 'Discarded' } }, 'labId productId name variant unit').lean();
+    for (const row of rows) {
+      const labId = normalizeLocation(row.labId);
+      if (!labId) continue;
+      book.add('equipment', labId, {
+        key: productKey(row.productId, row.variant), productId: row.productId, name: row.name, variant: row.variant, unit: row.unit
+      }, 1, 'live');
+    }
+  }
+}
+
+const selectCategories = (category) => (category ? [category] : CATEGORIES);
+
+async function replay(asOf, categories) {
+  const book = createBook();
+  const skipped = [];
+  for (const category of categories) {
+    await REPLAYERS[category](book, asOf, skipped);
+  }
+  return { book, skipped };
+}
+
+const sortRows = (a, b) =>
+  a.labId.localeCompare(b.labId) || a.category.localeCompare(b.category) || String(a.name).localeCompare(String(b.name));
+
+/**
+ * Stock per (category, lab, product) as it stood at `asOf`, rebuilt from the movement logs.
+ * @param {Object} options
+ * @param {Date} options.asOf
+ * @param {string} [options.category] - chemical | glassware | equipment (default: all)
+ * @param {string} [options.labId]
+ * @returns {Promise<{asOf: Date, balances: Array, skipped: Array}>}
+ */
+async function getHistoricalBalances({ asOf = new Date(), category, labId } = {}) {
+  const { book, skipped } = await replay(asOf, selectCategories(category));
+  const balances = [...book.rows.values()]
+    .filter(row => !labId || row.labId === labId)
+    .map(({ live, replayed, ...row }) => ({ ...row, quantity: round(replayed) }))
+    .filter(row => row.quantity !== 0)
+    .sort(sortRows);
+  return { asOf, balances, skippedCount: skipped.length, skipped: skipped.slice(0, SKIPPED_SAMPLE_SIZE) };
+}
+
+/**
+ * Replay all history up to now and compare it with the live quantities.
+ * Every key whose |live - replayed| exceeds `tolerance` is reported as drift.
+ * @returns {Promise<Object>} summary, drift rows and skipped log entries
+ */
+async function buildReconciliationReport({ category, labId, tolerance = 0 } = {}) {
+  const generatedAt = new Date();
+  const categories = selectCategories(category);
+  const { book, skipped } = await replay(generatedAt, categories);
+  await loadLiveStock(book, categories);
+
+  const rows = [...book.rows.values()].filter(row => !labId || row.labId === labId);
+  const drift = rows
+    .map(row => ({
+      ...row,
+      replayed: round(row.replayed),
+      live: round(row.live),
+      drift: round(row.live - row.replayed)
+    }))
+    .filter(row => Math.abs(row.drift) > tolerance)
+    .sort(sortRows);
+
+  return {
+    generatedAt,
+    filters: { category: category || 'all', labId: labId || 'all', tolerance },
+    summary: {
+      keysChecked: rows.length,
+      keysInBalance: rows.length - drift.length,
+      keysWithDrift: drift.length,
+      missingFromLive: drift.filter(row => row.live === 0).length,
+      missingFromHistory: drift.filter(row => row.movements === 0).length,
+      skippedLogEntries: skipped.length
+    },
+    drift,
+    skipped: skipped.slice(0, SKIPPED_SAMPLE_SIZE)
+  };
+}
+
+module.exports = {
+  CATEGORIES,
+  normalizeLocation,
+  movementLegs,
+  getHistoricalBalances,
+  buildReconciliationReport
+};
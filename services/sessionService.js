@@ -0,0 +1,196 @@
+// Session Service
+// Short-lived JWT access tokens bound to a Session, plus opaque refresh tokens
+// that are rotated on every use. Revoking a session cuts off its access token
+// at the next request, because authMiddleware checks the session each time.
+const crypto = require('crypto');
+const jwt = require('jsonwebtoken');
+const Session = require('../models/Session');
+
+const ACCESS_TOKEN_TTL = process.env.ACCESS_TOKEN_TTL || '15m';
+const REFRESH_TOKEN_TTL_DAYS = Number(process.env.REFRESH_TOKEN_TTL_DAYS) || 10;
+
+const hashToken = (token) => crypto.createHash('sha256').update(String(token)).digest('hex');
+
+// Refresh tokens are "<sessionId>.<secret>" so the session is found without scanning
+const newRefreshToken = (sessionId) => `${sessionId}.${crypto.randomBytes(40).toString('hex')}`;
+
+const parseRefreshToken = (token) => {
+  const [sessionId, secret] = String(token || '').split('.');
+  if (!secret || !/^[a-f0-9]{24}$/i.test(sessionId)) return null;
+  return sessionId;
+};
+
+const refreshExpiry = () => new Date(Date.now() + REFRESH_TOKEN_TTL_DAYS * 24 * 60 * 60 * 1000);
+
+function signAccessToken(user, sessionId) {
+  const payload = {
+    user: {
+      id: user._id,
+      userId: user.userId,
+      role: user.role,
+      labId: user.labId
+    },
+    sid: sessionId.toString()
+  };
+  return jwt.sign(payload, process.env.JWT_SECRET, { expiresIn: ACCESS_TOKEN_TTL });
+}
+
+const tokenPair = (user, session, refreshToken) => ({
+  token: signAccessToken(user, session._id),
+  refreshToken,
+  expiresIn: ACCESS_TOKEN_TTL,
+  refreshTokenExpiresAt: session.expiresAt
+});
+
+/**
+ * Start a session for a user who just logged in.
+ * @param {Document} user
+ * @param {{ userAgent?: string, ip?: string }} [client]
+ * @returns {Promise<{token, refreshToken, expiresIn, refreshTokenExpiresAt, session}>}
+ */
+async function createSession(user, client = {}) {
+  const session = new Session({
+    user: user._id,
+    userAgent: client.userAgent,
+    ip: client.ip,
+    expiresAt: refreshExpiry()
+  });
+  const refreshToken = newRefreshToken(session._id);
+  session.refreshTokenHash = hashToken(refreshToken);
+  await session.save();
+  return { ...tokenPair(user, session, refreshToken), session };
+}
+
+/**
+ * Exchange a refresh token for a new access/refresh pair. The presented token
+ * stops working; presenting it again revokes the whole session.
+ * @param {string} refreshToken
+ * @param {Function} loadUser - (userId) => user document or null
+ * @returns {Promise<Object|null>} new token pair, or null if the token is not valid
+ */
+async function rotateRefreshToken(refreshToken, loadUser) {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) return null;
+
+  const presentedHash = hashToken(refreshToken);
+  const nextToken = newRefreshToken(sessionId);
+  const now = new Date();
+
+  // Atomic swap: two concurrent refreshes with the same token cannot both win
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, refreshTokenHash: presentedHash, revokedAt: null, expiresAt: { $gt: now } },
+    {
+      $set: {
+        refreshTokenHash: hashToken(nextToken),
+        previousRefreshTokenHash: presentedHash,
+        lastUsedAt: now,
+        expiresAt: refreshExpiry()
+      }
+    },
+    { new: true }
+  );
+
+  if (!session) {
+    const reused = await Session.findOne({ _id: sessionId, previousRefreshTokenHash: presentedHash, revokedAt: null });
+    if (reused) {
+      console.warn(`🚨 Refresh token reuse detected for session ${sessionId}; revoking it`);
+      await revokeSession(sessionId, 'token_reuse');
+    }
+    return null;
+  }
+
+  const user = await loadUser(session.user);
+  if (!user) {
+    await revokeSession(sessionId, 'user_deleted');
+    return null;
+  }
+  return tokenPair(user, session, nextToken);
+}
+
+// Open WebSocket connections of revoked sessions stop receiving pushes.
+// Required here: the WebSocket manager loads authMiddleware, which loads this module.
+function closeSockets(target) {
+  require('../utils/websocketManager').closeSessionSockets(target);
+}
+
+async function revokeSession(sessionId, reason, revokedBy) {
+  const session = await Session.findOneAndUpdate(
+    { _id: sessionId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } },
+    { new: true }
+  );
+  if (session) closeSockets({ sessionId: session._id });
+  return session;
+}
+
+/**
+ * Revoke the session a refresh token belongs to (logout). The token must be
+ * the session's current one or the one it replaced; knowing the session id is
+ * not enough.
+ * @returns {Promise<Document|null>} the revoked session, or null if the token does not match
+ */
+async function revokeSessionByRefreshToken(refreshToken, reason) {
+  const sessionId = parseRefreshToken(refreshToken);
+  if (!sessionId) return null;
+  const presentedHash = hashToken(refreshToken);
+  const session = await Session.findOneAndUpdate(
+    {
+      _id: sessionId,
+      revokedAt: null,
+      $or: [{ refreshTokenHash: presentedHash }, { previousRefreshTokenHash: presentedHash }]
+    },
+    { $set: { revokedAt: new Date(), revokedReason: reason } },
+    { new: true }
+  );
+  if (session) closeSockets({ sessionId: session._id });
+  return session;
+}
+
+/**
+ * Revoke every active session of a user (role change, password change, admin action...).
+ * @returns {Promise<number>} sessions revoked
+ */
+async function revokeUserSessions(userId, reason, revokedBy) {
+  const result = await Session.updateMany(
+    { user: userId, revokedAt: null },
+    { $set: { revokedAt: new Date(), revokedReason: reason, revokedBy } }
+  );
+  if (result.modifiedCount > 0) {
+    console.log(`🔐 Revoked ${result.modifiedCount} session(s) of user ${userId} (${reason})`);
+  }
+  closeSockets({ userId });
+  return result.modifiedCount;
+}
+
+// Active sessions of a user, newest first, without token hashes
+function listActiveSessions(userId) {
+  return Session.find({ user: userId, revokedAt: null, expiresAt: { $gt: new Date() } })
+    .select('-refreshTokenHash -previousRefreshTokenHash')
+    .sort({ lastUsedAt: -1 });
+}
+
+// Session an access token belongs to, if it is still usable
+async function findActiveSession(sessionId) {
+  if (!sessionId) return null;
+  const session = await Session.findById(sessionId).select('user revokedAt expiresAt');
+  return session && session.isActive() ? session : null;
+}
+
+// Those of `sessionIds` that are still active, as a Set of strings
+async function activeSessionIds(sessionIds) {
+  const sessions = await Session.find({ _id: { $in: sessionIds }, revokedAt: null, expiresAt: { $gt: new Date() } }).select('_id');
+  return new Set(sessions.map(session => session._id.toString()));
+}
+
+module.exports = {
+  ACCESS_TOKEN_TTL,
+  createSession,
+  rotateRefreshToken,
+  revokeSession,
+  revokeSessionByRefreshToken,
+  revokeUserSessions,
+  listActiveSessions,
+  findActiveSession,
+  activeSessionIds,
+  parseRefreshToken
+};
@@ -0,0 +1,155 @@
+// Shelf Life Service
+// Many reagents must be used within a number of days once their container is
+// opened (Product.shelfLifeAfterOpeningDays). A ChemicalLive record remembers
+// when it was first opened (openedAt) and the date that rule gives
+// (openedExpiryDate); expiryDate stays the manufacturer's date. The effective
+// expiry is the earlier of the two, and everything that decides whether stock
+// is expired (batch selection, the expiry engine, the expired list) uses it.
+const ChemicalLive = require('../models/ChemicalLive');
+const Lot = require('../models/Lot');
+const { resolveChemicalProduct } = require('./lotService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+class ShelfLifeError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'ShelfLifeError';
+    this.statusCode = statusCode;
+    this.code = 'SHELF_LIFE';
+  }
+}
+
+const time = (date) => (date ? new Date(date).getTime() : null);
+
+// Use-by date of a container opened at `openedAt` under a rule of `days`
+const openedExpiryFor = (openedAt, days) =>
+  (openedAt && days ? new Date(new Date(openedAt).getTime() + days * DAY_MS) : null);
+
+/**
+ * Earlier of the manufacturer expiry and the after-opening use-by date.
+ * @param {{ expiryDate?, openedExpiryDate? }} batch - ChemicalLive document or plain object
+ * @returns {Date|null}
+ */
+function effectiveExpiry(batch) {
+  const dates = [batch.expiryDate, batch.openedExpiryDate].map(time).filter(t => t !== null);
+  return dates.length ? new Date(Math.min(...dates)) : null;
+}
+
+// Which date makes the batch expire: 'openedExpiryDate' or 'expiryDate' (null without either)
+function expiryBasis(batch) {
+  const opened = time(batch.openedExpiryDate);
+  const manufacturer = time(batch.expiryDate);
+  if (opened !== null && (manufacturer === null || opened < manufacturer)) return 'openedExpiryDate';
+  return manufacturer !== null ? 'expiryDate' : null;
+}
+
+// ChemicalLive filter for stock whose effective expiry is before `date`
+const expiresBeforeFilter = (date) => ({
+  $or: [
+    { expiryDate: { $lt: date } },
+    { openedExpiryDate: { $lt: date } }
+  ]
+});
+
+// Days a product's containers may be used once opened (null: no rule)
+async function shelfLifeDaysFor(record) {
+  const product = await resolveChemicalProduct({
+    productId: record.productId,
+    chemicalMasterId: record.chemicalMasterId,
+    chemicalName: record.displayName || record.chemicalName
+  });
+  return product && product.shelfLifeAfterOpeningDays ? product.shelfLifeAfterOpeningDays : null;
+}
+
+/**
+ * Record that a container was opened. Only the first opening counts: a record
+ * that is already open is returned unchanged.
+ * @param {Document} record - ChemicalLive
+ * @param {{ userId?, openedAt?: Date, tx? }} [options] - tx to undo the change on rollback
+ * @returns {Promise<{ record: Document, alreadyOpen: boolean }>}
+ */
+async function markOpened(record, { userId, openedAt = new Date(), tx } = {}) {
+  if (record.openedAt) return { record, alreadyOpen: true };
+  if (openedAt > new Date()) {
+    throw new ShelfLifeError('openedAt cannot be in the future');
+  }
+
+  const days = await shelfLifeDaysFor(record);
+  const set = { openedAt, openedBy: userId, openedExpiryDate: openedExpiryFor(openedAt, days) };
+  const session = tx ? tx.session : null;
+  const updated = await ChemicalLive.findOneAndUpdate(
+    { _id: record._id, openedAt: null },
+    { $set: set },
+    { new: true, session }
+  );
+  if (!updated) {
+    // Opened by someone else in the meantime
+    return { record: await ChemicalLive.findById(record._id).session(session), alreadyOpen: true };
+  }
+  if (tx) {
+    tx.compensate(() => ChemicalLive.updateOne(
+      { _id: record._id },
+      { $set: { openedAt: null, openedBy: null, openedExpiryDate: null } }
+    ));
+  }
+
+  const until = set.openedExpiryDate ? `, use within ${days} day(s)` : '';
+  console.log(`🧴 Opened ${updated.displayName} in ${updated.labId}${until}`);
+  return { record: updated, alreadyOpen: false };
+}
+
+/**
+ * Open a container of a lab by scanning: its stock record id, or its lot number.
+ * @param {{ labId, chemicalLiveId?, lotNumber?, openedAt?, userId }} params
+ * @returns {Promise<{ record: Document, alreadyOpen: boolean }>}
+ */
+async function openContainer({ labId, chemicalLiveId, lotNumber, openedAt, userId }) {
+  let record;
+  if (chemicalLiveId) {
+    record = await ChemicalLive.findOne({ _id: chemicalLiveId, labId });
+    if (!record) throw new ShelfLifeError(`Stock record not found in ${labId}`, 404);
+  } else if (lotNumber) {
+    const lot = await Lot.findOne({ lotNumber: String(lotNumber).trim().toUpperCase() }).select('_id');
+    if (!lot) throw new ShelfLifeError(`Lot ${lotNumber} not found`, 404);
+    record = await ChemicalLive.findOne({ lotId: lot._id, labId });
+    if (!record) throw new ShelfLifeError(`Lot ${lotNumber} has no stock in ${labId}`, 404);
+  } else {
+    throw new ShelfLifeError('chemicalLiveId or lotNumber is required');
+  }
+  if (record.quantity <= 0) {
+    throw new ShelfLifeError(`${record.displayName} in ${record.labId} has no stock left`, 409);
+  }
+
+  return markOpened(record, { userId, openedAt: openedAt ? new Date(openedAt) : undefined });
+}
+
+/**
+ * Re-date the open containers of a product after its after-opening rule changed.
+ * @param {Document} product
+ * @returns {Promise<number>} records updated
+ */
+async function applyShelfLifeRule(product) {
+  const days = product.shelfLifeAfterOpeningDays;
+  const { modifiedCount } = await ChemicalLive.updateMany(
+    { productId: product._id, openedAt: { $ne: null } },
+    days
+      ? [{ $set: { openedExpiryDate: { $add: ['$openedAt', days * DAY_MS] } } }]
+      : { $set: { openedExpiryDate: null } }
+  );
+  if (modifiedCount) {
+    console.log(`🧴 ${product.name}: ${modifiedCount} open container(s) re-dated (${days ? `${days} day(s)` : 'no rule'})`);
+  }
+  return modifiedCount;
+}
+
+module.exports = {
+  ShelfLifeError,
+  openedExpiryFor,
+  effectiveExpiry,
+  expiryBasis,
+  expiresBeforeFilter,
+  markOpened,
+  openContainer,
+  applyShelfLifeRule
+};
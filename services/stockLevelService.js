@@ -0,0 +1,186 @@
+// Stock Level Service
+// Compares each lab's stock with the min / par / max levels it keeps per
+// product (models/LabStockLevel.js) and turns the shortfall of chemicals into
+// allocation lines for allocateChemicalsToLab. Stock counts what the lab can
+// use: free quantity (not reserved for an outgoing transfer), no expired
+// chemicals, no discarded equipment. Transfers on their way in count as incoming.
+const LabStockLevel = require('../models/LabStockLevel');
+const Product = require('../models/Product');
+const Transfer = require('../models/Transfer');
+const ChemicalLive = require('../models/ChemicalLive');
+const GlasswareLive = require('../models/GlasswareLive');
+const OtherProductLive = require('../models/OtherProductLive');
+const EquipmentLive = require('../models/EquipmentLive');
+const { toProductUnit, roundQuantity } = require('./unitService');
+const { expiresBeforeFilter } = require('./shelfLifeService');
+const { productStockFilter } = require('./lotService');
+const { resolveBatchOptions, planBatches, findChemicalBatches } = require('./batchSelectionService');
+const { COUNT_UNIT } = require('../config/reorder');
+
+const FREE_QUANTITY = { $subtract: ['$quantity', { $ifNull: ['$reservedQuantity', 0] }] };
+const INCOMING_TRANSFER_STATUSES = ['requested', 'approved', 'dispatched'];
+const UNUSABLE_EQUIPMENT_STATUSES = ['Discarded', 'In Transfer'];
+
+// Quantity in the product's unit, or null when a chemical quantity does not convert
+function inProductUnit(product, quantity, unit) {
+  try {
+    return toProductUnit(product, quantity, unit);
+  } catch (error) {
+    console.warn(`⚠️ Stock levels: ${product.name} has a quantity in ${unit}, which does not convert to ${product.unit}`);
+    return null;
+  }
+}
+
+// Chemicals to the unit's precision, counted items to whole units (always up)
+const roundUp = (product, quantity) =>
+  (product.category === 'chemical' ? roundQuantity(Math.ceil(quantity * 100) / 100) : Math.ceil(quantity));
+
+// Add a quantity to the `labId|productId` total in `totals`
+function addTo(totals, products, labId, productId, quantity, unit) {
+  const product = productId && products.get(String(productId));
+  if (!product) return;
+  const converted = inProductUnit(product, quantity, unit);
+  if (converted === null) return;
+  const key = `${labId}|${productId}`;
+  totals.set(key, (totals.get(key) || 0) + converted);
+}
+
+// Usable stock per lab and product
+async function labStock(labIds, products, now) {
+  const stock = new Map();
+  const match = { labId: { $in: labIds }, productId: { $in: [...products.values()].map(p => p._id) } };
+  const counted = [
+    [ChemicalLive, { ...match, $nor: [expiresBeforeFilter(now)] }],
+    [GlasswareLive, match],
+    [OtherProductLive, match]
+  ];
+
+  for (const [Model, filter] of counted) {
+    const rows = await Model.aggregate([
+      { $match: filter },
+      { $group: { _id: { labId: '$labId', productId: '$productId', unit: '$unit' }, quantity: { $sum: FREE_QUANTITY } } }
+    ]);
+    rows.forEach(({ _id, quantity }) => addTo(stock, products, _id.labId, _id.productId, quantity, _id.unit));
+  }
+
+  const equipment = await EquipmentLive.aggregate([
+    { $match: { ...match, status: { $nin: UNUSABLE_EQUIPMENT_STATUSES } } },
+    { $group: { _id: { labId: '$labId', productId: '$productId' }, quantity: { $sum: 1 } } }
+  ]);
+  equipment.forEach(({ _id, quantity }) => addTo(stock, products, _id.labId, _id.productId, quantity));
+  return stock;
+}
+
+// Quantities on transfers not yet received, per destination lab and product
+async function incomingTransfers(labIds, products) {
+  const incoming = new Map();
+  const transfers = await Transfer.find({ toLabId: { $in: labIds }, status: { $in: INCOMING_TRANSFER_STATUSES } })
+    .select('toLabId items')
+    .lean();
+  for (const transfer of transfers) {
+    for (const item of transfer.items) {
+      addTo(incoming, products, transfer.toLabId, item.productId, item.quantity, item.unit);
+    }
+  }
+  return incoming;
+}
+
+// 'below_min', 'below_par', 'over_max' or 'ok' for a lab's available quantity
+function levelStatus(level, available, stock) {
+  if (available < level.minLevel) return 'below_min';
+  if (available < level.parLevel) return 'below_par';
+  if (level.maxLevel !== undefined && level.maxLevel !== null && stock > level.maxLevel) return 'over_max';
+  return 'ok';
+}
+
+/**
+ * Stock of every configured level against its min / par / max. `needed` is
+ * what tops the lab up to par once incoming transfers have arrived.
+ * @param {Object} [options]
+ * @param {string[]} [options.labIds] - all labs with levels when omitted
+ * @param {string[]} [options.productIds]
+ * @param {Date} [options.now]
+ * @returns {Promise<Array>} one row per level, neediest first
+ */
+async function replenishmentReport({ labIds, productIds, now = new Date() } = {}) {
+  const filter = {};
+  if (labIds) filter.labId = { $in: labIds };
+  if (productIds) filter.productId = { $in: productIds };
+  const levels = await LabStockLevel.find(filter).lean();
+  if (levels.length === 0) return [];
+
+  const list = await Product.find({ _id: { $in: levels.map(level => level.productId) } })
+    .select('name unit category variant')
+    .lean();
+  const products = new Map(list.map(product => [String(product._id), product]));
+  const labs = [...new Set(levels.map(level => level.labId))];
+  const [stock, incoming] = await Promise.all([labStock(labs, products, now), incomingTransfers(labs, products)]);
+
+  const rows = [];
+  for (const level of levels) {
+    const product = products.get(String(level.productId));
+    if (!product) continue;
+    const key = `${level.labId}|${level.productId}`;
+    const inStock = roundQuantity(stock.get(key) || 0);
+    const onTheWay = roundQuantity(incoming.get(key) || 0);
+    const available = inStock + onTheWay;
+    const shortfall = level.parLevel - available;
+
+    rows.push({
+      levelId: level._id,
+      labId: level.labId,
+      productId: product._id,
+      name: product.variant && product.category !== 'chemical' ? `${product.name} (${product.variant})` : product.name,
+      category: product.category,
+      unit: product.unit || COUNT_UNIT,
+      minLevel: level.minLevel,
+      parLevel: level.parLevel,
+      maxLevel: level.maxLevel ?? null,
+      stock: inStock,
+      incoming: onTheWay,
+      status: levelStatus(level, available, inStock),
+      needed: shortfall > 0 ? roundUp(product, shortfall) : 0
+    });
+  }
+
+  const rank = { below_min: 0, below_par: 1, over_max: 2, ok: 3 };
+  return rows.sort((a, b) => rank[a.status] - rank[b.status] || a.labId.localeCompare(b.labId) || a.name.localeCompare(b.name));
+}
+
+/**
+ * Allocation lines that bring a lab's chemicals up to par from the central
+ * store, capped at what the central store can allocate under the batch rules.
+ * @param {string} labId
+ * @param {Object} [options]
+ * @param {string[]} [options.productIds] - only these products
+ * @param {boolean} [options.belowMinOnly] - only products below their minimum
+ * @param {Object} [options.batchDefaults] - strategy / minShelfLifeDays / useBy of the allocation
+ * @returns {Promise<{ allocations: Array, shortfalls: Array }>}
+ */
+async function replenishmentAllocations(labId, { productIds, belowMinOnly = false, batchDefaults = {} } = {}) {
+  const rows = (await replenishmentReport({ labIds: [labId], productIds }))
+    .filter(row => row.category === 'chemical' && row.needed > 0)
+    .filter(row => !belowMinOnly || row.status === 'below_min');
+
+  const allocations = [];
+  const shortfalls = [];
+  for (const row of rows) {
+    const product = await Product.findById(row.productId);
+    const batches = await findChemicalBatches(productStockFilter(product, 'central-store'));
+    const plan = planBatches(batches, row.needed, resolveBatchOptions({ unit: row.unit }, batchDefaults));
+    const quantity = roundQuantity(Math.min(row.needed, plan.allocatable));
+
+    if (quantity > 0) {
+      allocations.push({ productId: row.productId, chemicalName: row.name, quantity, unit: row.unit });
+    }
+    if (quantity < row.needed) {
+      shortfalls.push({ productId: row.productId, name: row.name, unit: row.unit, needed: row.needed, allocatable: quantity });
+    }
+  }
+  return { allocations, shortfalls };
+}
+
+module.exports = {
+  replenishmentReport,
+  replenishmentAllocations
+};
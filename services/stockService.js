@@ -0,0 +1,251 @@
+// Stock Mutation Service
+// Single entry point for quantity changes on ChemicalLive, GlasswareLive and
+// OtherProductLive. Every change is a conditional $inc on the server, so two
+// concurrent allocations can never both spend the same units and quantity can
+// never go below zero. A lost race surfaces as StockConflictError (HTTP 409,
+// safe to retry) instead of a silently overwritten read-modify-save.
+//
+// Units can be set aside with reserveStock() (e.g. for a pending transfer).
+// They stay in `quantity` but only a decrement with { reserved: true } spends them.
+const mongoose = require('mongoose');
+const { recordMovement } = require('./ledgerService');
+
+class StockMutationError extends Error {
+  constructor(message, statusCode = 400, details = {}) {
+    super(message);
+    this.name = 'StockMutationError';
+    this.statusCode = statusCode;
+    this.details = details;
+  }
+}
+
+class StockConflictError extends StockMutationError {
+  constructor(message, details = {}) {
+    super(message, 409, details);
+    this.name = 'StockConflictError';
+    this.code = 'STOCK_CONFLICT';
+    this.retryable = true;
+  }
+}
+
+// MongoDB write conflicts inside a transaction are just as retryable, and so is
+// a transaction that lost a first-write race (utils/stockTransaction raceSafeUpsert)
+const isWriteConflict = (error) =>
+  error?.code === 112 ||
+  error?.retryUnitOfWork === true ||
+  (typeof error?.hasErrorLabel === 'function' && error.hasErrorLabel('TransientTransactionError'));
+
+const toFilter = (target) =>
+  (target instanceof mongoose.Types.ObjectId || typeof target === 'string')
+    ? { _id: target }
+    : target;
+
+const assertQuantity = (quantity) => {
+  if (typeof quantity !== 'number' || !Number.isFinite(quantity) || quantity <= 0) {
+    throw new StockMutationError(`Quantity must be a positive number (got ${quantity})`);
+  }
+};
+
+const sessionOf = ({ tx, session } = {}) => (tx ? tx.session : session) || null;
+
+// Filter for documents with at least `quantity` units that are not reserved
+const freeAtLeast = (quantity) => ({
+  $expr: { $gte: [{ $subtract: ['$quantity', { $ifNull: ['$reservedQuantity', 0] }] }, quantity] }
+});
+
+// Units of a document that are not reserved
+const freeQuantity = (doc) => (doc ? doc.quantity - (doc.reservedQuantity || 0) : 0);
+
+async function conflictFor(Model, filter, quantity, options, what = 'stock') {
+  const current = await Model.findOne(filter).select('quantity reservedQuantity').session(sessionOf(options));
+  const available = freeQuantity(current);
+  return new StockConflictError(
+    current
+      ? `Insufficient ${what}: requested ${quantity}, available ${available}. Stock may have changed, please retry.`
+      : 'Stock record no longer exists. Please refresh and retry.',
+    { model: Model.modelName, filter, requested: quantity, available }
+  );
+}
+
+// Append the movement to the stock ledger when the caller describes it
+// (options.ledger = { movementType, counterpartyLabId, reference, userId, witnessId, note })
+const recordLedger = (doc, signedQuantity, options) => {
+  if (!options.ledger) return null;
+  return recordMovement(
+    { ...options.ledger, item: doc, quantity: signedQuantity },
+    { tx: options.tx, session: options.session }
+  );
+};
+
+/**
+ * Atomically remove `quantity` from one live stock document.
+ * @param {mongoose.Model} Model - ChemicalLive, GlasswareLive or OtherProductLive
+ * @param {ObjectId|string|Object} target - document id or filter
+ * @param {number} quantity - amount to remove (> 0)
+ * @param {Object} [options] - { tx } from runStockTransaction or a raw { session },
+ *   plus `ledger` to append the movement to the stock ledger and `reserved: true`
+ *   to spend units set aside by reserveStock()
+ * @returns {Promise<Document>} the updated document
+ * @throws {StockConflictError} when the document is gone or holds less than `quantity`
+ *   (unreserved, or reserved with `reserved: true`)
+ */
+async function decrementStock(Model, target, quantity, options = {}) {
+  assertQuantity(quantity);
+  const filter = toFilter(target);
+  const inc = options.reserved ? { quantity: -quantity, reservedQuantity: -quantity } : { quantity: -quantity };
+
+  const updated = await Model.findOneAndUpdate(
+    options.reserved
+      ? { ...filter, quantity: { $gte: quantity }, reservedQuantity: { $gte: quantity } }
+      : { ...filter, ...freeAtLeast(quantity) },
+    { $inc: inc },
+    { new: true, session: sessionOf(options) }
+  );
+
+  if (!updated) {
+    throw await conflictFor(Model, filter, quantity, options, options.reserved ? 'reserved stock' : 'stock');
+  }
+
+  if (options.tx) {
+    const undo = Object.fromEntries(Object.entries(inc).map(([field, n]) => [field, -n]));
+    options.tx.compensate(() => Model.updateOne({ _id: updated._id }, { $inc: undo }));
+  }
+  await recordLedger(updated, -quantity, options);
+  return updated;
+}
+
+/**
+ * Atomically add `quantity` to one live stock document.
+ * Pass `insert` (fields for $setOnInsert) to create the document when it does not exist,
+ * and `alsoInc` for counters that move with quantity (e.g. { originalQuantity: n }).
+ * @returns {Promise<Document>} the updated (or inserted) document
+ */
+async function incrementStock(Model, target, quantity, options = {}) {
+  assertQuantity(quantity);
+  const filter = toFilter(target);
+  const { insert, alsoInc = {} } = options;
+
+  const update = { $inc: { ...alsoInc, quantity } };
+  if (insert) update.$setOnInsert = insert;
+
+  const result = await Model.findOneAndUpdate(filter, update, {
+    new: true,
+    upsert: Boolean(insert),
+    includeResultMetadata: true,
+    session: sessionOf(options)
+  });
+  const updated = result.value;
+
+  if (!updated) {
+    throw new StockConflictError('Stock record no longer exists. Please refresh and retry.', {
+      model: Model.modelName,
+      filter
+    });
+  }
+
+  if (options.tx) {
+    if (result.lastErrorObject?.updatedExisting) {
+      const undo = Object.fromEntries(Object.entries(alsoInc).map(([field, n]) => [field, -n]));
+      options.tx.compensate(() => Model.updateOne({ _id: updated._id }, { $inc: { ...undo, quantity: -quantity } }));
+    } else {
+      options.tx.compensate(() => Model.deleteOne({ _id: updated._id }));
+    }
+  }
+  await recordLedger(updated, quantity, options);
+  return updated;
+}
+
+/**
+ * Set `quantity` units of one live stock document aside. They remain in stock
+ * but decrementStock() only spends them when called with { reserved: true }.
+ * @returns {Promise<Document>} the updated document
+ * @throws {StockConflictError} when fewer than `quantity` units are free
+ */
+async function reserveStock(Model, target, quantity, options = {}) {
+  assertQuantity(quantity);
+  const filter = toFilter(target);
+
+  const updated = await Model.findOneAndUpdate(
+    { ...filter, ...freeAtLeast(quantity) },
+    { $inc: { reservedQuantity: quantity } },
+    { new: true, session: sessionOf(options) }
+  );
+  if (!updated) {
+    throw await conflictFor(Model, filter, quantity, options);
+  }
+
+  if (options.tx) {
+    options.tx.compensate(() => Model.updateOne({ _id: updated._id }, { $inc: { reservedQuantity: -quantity } }));
+  }
+  return updated;
+}
+
+/**
+ * Return reserved units to free stock (a reservation that will not be used).
+ * @returns {Promise<Document>} the updated document
+ */
+async function releaseStock(Model, target, quantity, options = {}) {
+  assertQuantity(quantity);
+  const filter = toFilter(target);
+
+  const updated = await Model.findOneAndUpdate(
+    { ...filter, reservedQuantity: { $gte: quantity } },
+    { $inc: { reservedQuantity: -quantity } },
+    { new: true, session: sessionOf(options) }
+  );
+  if (!updated) {
+    throw new StockConflictError('Reservation no longer matches the stock record. Please refresh and retry.', {
+      model: Model.modelName,
+      filter,
+      released: quantity
+    });
+  }
+
+  if (options.tx) {
+    options.tx.compensate(() => Model.updateOne({ _id: updated._id }, { $inc: { reservedQuantity: quantity } }));
+  }
+  return updated;
+}
+
+/**
+ * Compare-and-set an absolute quantity (stock checks, condition changes).
+ * Fails with StockConflictError if the quantity is no longer `expectedQuantity`.
+ */
+async function setStockQuantity(Model, target, newQuantity, expectedQuantity, options = {}) {
+  if (typeof newQuantity !== 'number' || !Number.isFinite(newQuantity) || newQuantity < 0) {
+    throw new StockMutationError(`Quantity cannot be negative (got ${newQuantity})`);
+  }
+  const filter = toFilter(target);
+
+  const updated = await Model.findOneAndUpdate(
+    { ...filter, quantity: expectedQuantity },
+    { $set: { quantity: newQuantity } },
+    { new: true, session: sessionOf(options) }
+  );
+
+  if (!updated) {
+    throw new StockConflictError('Stock was changed by another user. Please refresh and retry.', {
+      model: Model.modelName,
+      filter,
+      expected: expectedQuantity
+    });
+  }
+
+  if (options.tx) {
+    options.tx.compensate(() => Model.updateOne({ _id: updated._id }, { $set: { quantity: expectedQuantity } }));
+  }
+  await recordLedger(updated, newQuantity - expectedQuantity, options);
+  return updated;
+}
+
+module.exports = {
+  StockMutationError,
+  StockConflictError,
+  isWriteConflict,
+  freeQuantity,
+  decrementStock,
+  incrementStock,
+  reserveStock,
+  releaseStock,
+  setStockQuantity
+};
@@ -0,0 +1,469 @@
+// Transfer Service
+// Lab-to-lab transfers of chemicals, glassware, other products and equipment
+// (config/transfers.js). Counted stock is reserved on its source record when
+// the transfer is requested (stockService.reserveStock) and equipment items
+// are put 'In Transfer', so nothing else can spend them. Rejecting or
+// cancelling releases the reservation; receiving spends it and moves the
+// stock into the destination lab with ledger entries and transaction rows.
+const Transfer = require('../models/Transfer');
+const Lab = require('../models/Lab');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const Transaction = require('../models/Transaction');
+const GlasswareTransaction = require('../models/GlasswareTransaction');
+const EquipmentTransaction = require('../models/EquipmentTransaction');
+const ChemicalLive = require('../models/ChemicalLive');
+const GlasswareLive = require('../models/GlasswareLive');
+const OtherProductLive = require('../models/OtherProductLive');
+const EquipmentLive = require('../models/EquipmentLive');
+const { runStockTransaction } = require('../utils/stockTransaction');
+const { decrementStock, incrementStock, reserveStock, releaseStock, freeQuantity } = require('./stockService');
+const { recordMovement } = require('./ledgerService');
+const { lotStockFilter, labStockInsert } = require('./lotService');
+const { convertQuantity, roundQuantity } = require('./unitService');
+const { assertPutAwayLocation, putAway } = require('./locationService');
+const { requireWitness } = require('./controlledSubstanceService');
+const {
+  TRANSFER_CATEGORIES,
+  TRANSFERABLE_EQUIPMENT_STATUSES,
+  TRANSITIONS
+} = require('../config/transfers');
+
+const MODELS = { ChemicalLive, GlasswareLive, OtherProductLive, EquipmentLive };
+const MAX_NUMBER_ATTEMPTS = 5;
+
+class TransferError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'TransferError';
+    this.statusCode = statusCode;
+    this.code = 'TRANSFER';
+  }
+}
+
+const idOf = (value) => (value ? String(value._id || value) : null);
+const modelOf = (category) => MODELS[TRANSFER_CATEGORIES[category].model];
+
+// Status `action` leads to from the transfer's current status (409 if not allowed)
+function nextStatus(transfer, action) {
+  const next = TRANSITIONS[transfer.status][action];
+  if (!next) {
+    throw new TransferError(`Cannot ${action} transfer ${transfer.transferNumber}: it is ${transfer.status}`, 409);
+  }
+  return next;
+}
+
+/**
+ * Move a transfer on by `action`, on the condition that it is still in the
+ * status it was loaded with: of two concurrent calls only one gets through,
+ * the other gets a 409 before it has moved any stock. Inside a unit of work
+ * the change is part of it (and undone with it).
+ * @param {Document} transfer - as loaded
+ * @param {string} action - approve, reject, cancel, dispatch or receive
+ * @param {{ userId, note?, fields?: Object }} change - fields: set along with the status
+ * @param {StockTransactionContext} [tx]
+ * @returns {Promise<Document>} the updated transfer
+ */
+async function moveTo(transfer, action, { userId, note, fields = {} }, tx) {
+  const from = transfer.status;
+  const status = nextStatus(transfer, action);
+  const entry = { status, at: new Date(), by: userId, note };
+
+  const updated = await Transfer.findOneAndUpdate(
+    { _id: transfer._id, status: from },
+    { $set: { status, ...fields }, $push: { history: entry } },
+    { new: true, session: tx ? tx.session : undefined }
+  );
+  if (!updated) {
+    throw new TransferError(`Transfer ${transfer.transferNumber} was changed by another request meanwhile, please reload it`, 409);
+  }
+  if (tx) {
+    const undo = { $set: { status: from }, $pull: { history: { status, at: entry.at } } };
+    if (Object.keys(fields).length) undo.$unset = Object.fromEntries(Object.keys(fields).map(field => [field, '']));
+    tx.compensate(() => Transfer.updateOne({ _id: transfer._id, status }, undo));
+  }
+  return updated;
+}
+
+// Lab assistants of both labs, plus central store admins when an approval is needed
+async function notifyLabs(transfer, message, { approvers = false } = {}) {
+  const labIds = [transfer.fromLabId, transfer.toLabId];
+  const filters = [{
+    role: 'lab_assistant',
+    $or: [
+      { labAssignments: { $elemMatch: { labId: { $in: labIds }, isActive: true } } },
+      { labId: { $in: labIds } }
+    ]
+  }];
+  if (approvers) filters.push({ role: 'central_store_admin' });
+
+  try {
+    const recipients = await User.find({ $or: filters }).select('_id');
+    for (const recipient of recipients) {
+      await Notification.create({ userId: recipient._id, message, type: 'transfer' });
+    }
+  } catch (error) {
+    console.error(`⚠️ Transfer notification failed (${transfer.transferNumber}):`, error.message);
+  }
+}
+
+// Quantity of a chemical line in its record's unit (a line may name another unit)
+function lineQuantity(line, record) {
+  const quantity = Number(line.quantity);
+  if (!(quantity > 0)) {
+    throw new TransferError(`Quantity for ${record.displayName || record.name} must be greater than 0`);
+  }
+  if (!line.unit || !record.unit || line.unit === record.unit) return quantity;
+  return roundQuantity(convertQuantity(quantity, line.unit, record.unit));
+}
+
+// Transfer line for one requested item, checked against the source lab's stock
+async function resolveLine(line, fromLabId) {
+  const definition = TRANSFER_CATEGORIES[line.category];
+  if (!definition) {
+    throw new TransferError(`category must be one of ${Object.keys(TRANSFER_CATEGORIES).join(', ')}`);
+  }
+  const Model = modelOf(line.category);
+
+  if (!definition.counted) {
+    const filter = line.stockId ? { _id: line.stockId } : { itemId: line.itemId };
+    const item = line.stockId || line.itemId ? await EquipmentLive.findOne({ ...filter, labId: fromLabId }) : null;
+    if (!item) throw new TransferError(`Equipment ${line.itemId || line.stockId} not found in ${fromLabId}`, 404);
+    if (!TRANSFERABLE_EQUIPMENT_STATUSES.includes(item.status)) {
+      throw new TransferError(`Equipment ${item.itemId} is ${item.status} and cannot be transferred`, 409);
+    }
+    return {
+      category: line.category,
+      sourceId: item._id,
+      productId: item.productId,
+      name: item.name,
+      variant: item.variant,
+      batchId: item.batchId,
+      equipmentItemId: item.itemId,
+      previousStatus: item.status,
+      quantity: 1,
+      unit: item.unit
+    };
+  }
+
+  const record = line.stockId ? await Model.findOne({ _id: line.stockId, labId: fromLabId }) : null;
+  if (!record) throw new TransferError(`Stock record ${line.stockId} not found in ${fromLabId}`, 404);
+  const quantity = lineQuantity(line, record);
+  const name = record.displayName || record.name;
+  const free = freeQuantity(record);
+  if (quantity > free) {
+    throw new TransferError(`Only ${free}${record.unit ? ` ${record.unit}` : ''} of ${name} can be transferred from ${fromLabId}`, 409);
+  }
+  return {
+    category: line.category,
+    sourceId: record._id,
+    productId: record.productId,
+    chemicalMasterId: record.chemicalMasterId,
+    lotId: record.lotId,
+    name,
+    variant: record.variant,
+    batchId: record.batchId,
+    quantity,
+    unit: record.unit
+  };
+}
+
+// Hold the line's stock in the source lab
+async function reserveLine(tx, item, fromLabId) {
+  if (TRANSFER_CATEGORIES[item.category].counted) {
+    await reserveStock(modelOf(item.category), { _id: item.sourceId, labId: fromLabId }, item.quantity, { tx });
+    return;
+  }
+  const reserved = await EquipmentLive.findOneAndUpdate(
+    { _id: item.sourceId, labId: fromLabId, status: item.previousStatus },
+    { $set: { status: 'In Transfer' } },
+    { new: true, session: tx.session }
+  );
+  if (!reserved) {
+    throw new TransferError(`Equipment ${item.equipmentItemId} changed meanwhile, please retry`, 409);
+  }
+  tx.compensate(() => EquipmentLive.updateOne({ _id: item.sourceId }, { $set: { status: item.previousStatus } }));
+}
+
+// Give the line's stock back to the source lab
+async function releaseLine(tx, item, fromLabId) {
+  if (TRANSFER_CATEGORIES[item.category].counted) {
+    await releaseStock(modelOf(item.category), { _id: item.sourceId, labId: fromLabId }, item.quantity, { tx });
+    return;
+  }
+  await EquipmentLive.updateOne(
+    { _id: item.sourceId, status: 'In Transfer' },
+    { $set: { status: item.previousStatus } },
+    { session: tx.session }
+  );
+  tx.compensate(() => EquipmentLive.updateOne({ _id: item.sourceId }, { $set: { status: 'In Transfer' } }));
+}
+
+/**
+ * Request a transfer and reserve its stock in the source lab.
+ * @param {Object} params
+ * @param {string} params.fromLabId
+ * @param {string} params.toLabId
+ * @param {Array<{ category, stockId?, itemId?, quantity?, unit? }>} params.items -
+ *   stockId is the source record (equipment may give its itemId instead)
+ * @param {string} [params.reason]
+ * @param {ObjectId} params.userId
+ * @returns {Promise<Document>} the Transfer
+ */
+async function requestTransfer({ fromLabId, toLabId, items, reason, userId }) {
+  if (!fromLabId || !toLabId || fromLabId === toLabId) {
+    throw new TransferError('fromLabId and toLabId must name two different labs');
+  }
+  const labs = await Lab.find({ labId: { $in: [fromLabId, toLabId].filter(id => id !== 'central-store') }, isActive: true })
+    .select('labId');
+  const known = ['central-store', ...labs.map(lab => lab.labId)];
+  const unknown = [fromLabId, toLabId].filter(id => !known.includes(id));
+  if (unknown.length) {
+    throw new TransferError(`Unknown or inactive lab: ${unknown.join(', ')}`, 404);
+  }
+  if (!Array.isArray(items) || items.length === 0) {
+    throw new TransferError('items must list at least one stock record');
+  }
+
+  const lines = [];
+  for (const line of items) {
+    lines.push(await resolveLine(line, fromLabId));
+  }
+  const sources = lines.map(line => idOf(line.sourceId));
+  if (new Set(sources).size !== sources.length) {
+    throw new TransferError('A stock record can only be listed once per transfer');
+  }
+
+  let transfer;
+  for (let attempt = 1; ; attempt++) {
+    const transferNumber = await Transfer.nextTransferNumber();
+    try {
+      transfer = await runStockTransaction(async (tx) => {
+        for (const line of lines) {
+          await reserveLine(tx, line, fromLabId);
+        }
+        return tx.create(Transfer, {
+          transferNumber,
+          fromLabId,
+          toLabId,
+          items: lines,
+          reason,
+          createdBy: userId,
+          history: [{ status: 'requested', by: userId, note: reason }]
+        });
+      });
+      break;
+    } catch (error) {
+      // Two requests took the same number: take the next one
+      if (error.code !== 11000 || !/transferNumber/.test(error.message) || attempt >= MAX_NUMBER_ATTEMPTS) throw error;
+    }
+  }
+
+  console.log(`🔁 ${transfer.transferNumber}: ${lines.length} item(s) reserved in ${fromLabId} for ${toLabId}`);
+  await notifyLabs(transfer, `Transfer ${transfer.transferNumber} from ${fromLabId} to ${toLabId} (${lines.length} item(s)) is awaiting approval.`, { approvers: true });
+  return transfer;
+}
+
+// Approve a requested transfer
+async function approveTransfer(transfer, { userId, note }) {
+  const approved = await moveTo(transfer, 'approve', { userId, note, fields: { approvedBy: userId, approvedAt: new Date() } });
+
+  await notifyLabs(approved, `Transfer ${approved.transferNumber} from ${approved.fromLabId} to ${approved.toLabId} was approved and can be dispatched.`);
+  return approved;
+}
+
+// End a transfer before dispatch (reject or cancel) and release its reservation
+async function closeUnsent(transfer, action, { userId, note }) {
+  const fields = action === 'reject'
+    ? { rejectedBy: userId, rejectedAt: new Date(), rejectionReason: note }
+    : { cancelledBy: userId, cancelledAt: new Date() };
+
+  const closed = await runStockTransaction(async (tx) => {
+    // Status first: a concurrent close or receive fails here, before any reservation is touched
+    const updated = await moveTo(transfer, action, { userId, note, fields }, tx);
+    for (const item of updated.items) {
+      await releaseLine(tx, item, updated.fromLabId);
+    }
+    return updated;
+  });
+
+  console.log(`↩️ ${closed.transferNumber} ${closed.status}, reservation released in ${closed.fromLabId}`);
+  await notifyLabs(closed, `Transfer ${closed.transferNumber} from ${closed.fromLabId} to ${closed.toLabId} was ${closed.status}${note ? `: ${note}` : ''}.`);
+  return closed;
+}
+
+// Reject a transfer (a reason is required)
+function rejectTransfer(transfer, { userId, reason }) {
+  if (!reason) {
+    throw new TransferError('reason is required when rejecting a transfer');
+  }
+  return closeUnsent(transfer, 'reject', { userId, note: reason });
+}
+
+// Cancel a transfer that has not been dispatched yet
+function cancelTransfer(transfer, { userId, note }) {
+  return closeUnsent(transfer, 'cancel', { userId, note });
+}
+
+// The source lab hands the stock over for delivery (it stays reserved until receipt)
+async function dispatchTransfer(transfer, { userId, note }) {
+  const dispatched = await moveTo(transfer, 'dispatch', { userId, note, fields: { dispatchedBy: userId, dispatchedAt: new Date() } });
+
+  await notifyLabs(dispatched, `Transfer ${dispatched.transferNumber} was dispatched from ${dispatched.fromLabId} and is on its way to ${dispatched.toLabId}.`);
+  return dispatched;
+}
+
+// Destination record of a counted line in the receiving lab, created on first receipt
+function destinationOf(item, source, toLabId) {
+  if (item.category === 'chemical') {
+    return { filter: lotStockFilter(source, toLabId), insert: labStockInsert(source, item.quantity, toLabId) };
+  }
+  const insert = {
+    name: source.name,
+    unit: source.unit,
+    expiryDate: source.expiryDate,
+    batchId: source.batchId,
+    createdAt: new Date(),
+    updatedAt: new Date()
+  };
+  if (item.category === 'glassware') {
+    Object.assign(insert, { condition: source.condition, warranty: source.warranty });
+  } else {
+    Object.assign(insert, { vendor: source.vendor, pricePerUnit: source.pricePerUnit, department: source.department });
+  }
+  return { filter: { productId: source.productId, labId: toLabId, variant: source.variant }, insert };
+}
+
+// Move one counted line from the source record into the receiving lab
+async function receiveCountedLine(tx, transfer, item, context) {
+  const Model = modelOf(item.category);
+  const ledger = {
+    movementType: 'transfer',
+    reference: { type: 'Transfer', id: transfer._id },
+    userId: context.userId,
+    witnessId: context.witnessId,
+    note: `Transfer ${transfer.transferNumber}`
+  };
+
+  const source = await decrementStock(Model, { _id: item.sourceId, labId: transfer.fromLabId }, item.quantity, {
+    tx,
+    reserved: true,
+    ledger: { ...ledger, counterpartyLabId: transfer.toLabId }
+  });
+  const { filter, insert } = destinationOf(item, source, transfer.toLabId);
+  const destination = await incrementStock(Model, filter, item.quantity, {
+    tx,
+    insert,
+    ledger: { ...ledger, counterpartyLabId: transfer.fromLabId }
+  });
+  await putAway(Model, destination, context.locationId, { tx, userId: context.userId });
+  item.destinationId = destination._id;
+
+  const row = {
+    transactionType: 'transfer',
+    quantity: item.quantity,
+    fromLabId: transfer.fromLabId,
+    toLabId: transfer.toLabId,
+    createdBy: context.userId
+  };
+  if (item.category === 'glassware') {
+    await tx.create(GlasswareTransaction, {
+      ...row,
+      glasswareLiveId: destination._id,
+      glasswareName: item.name,
+      variant: item.variant || item.unit || '-',
+      condition: source.condition,
+      batchId: item.batchId,
+      notes: `Transfer ${transfer.transferNumber}`
+    });
+  } else {
+    await tx.create(Transaction, { ...row, chemicalLiveId: destination._id, chemicalName: item.name, unit: item.unit || '-' });
+  }
+}
+
+// Move one equipment item into the receiving lab
+async function receiveEquipmentLine(tx, transfer, item, context) {
+  const equipment = await EquipmentLive.findOne({ _id: item.sourceId, status: 'In Transfer' }).session(tx.session);
+  if (!equipment) {
+    throw new TransferError(`Equipment ${item.equipmentItemId} is no longer reserved for this transfer`, 409);
+  }
+  const before = {
+    labId: equipment.labId,
+    location: equipment.location,
+    assignedTo: equipment.assignedTo,
+    status: equipment.status
+  };
+  equipment.labId = transfer.toLabId;
+  equipment.location = transfer.toLabId;
+  if (equipment.assignedTo === transfer.fromLabId) equipment.assignedTo = transfer.toLabId;
+  equipment.status = item.previousStatus;
+  await equipment.save({ session: tx.session });
+  tx.compensate(() => EquipmentLive.updateOne({ _id: equipment._id }, { $set: before }));
+  item.destinationId = equipment._id;
+
+  const ledger = {
+    item: equipment,
+    movementType: 'transfer',
+    reference: { type: 'Transfer', id: transfer._id },
+    userId: context.userId,
+    note: `Transfer ${transfer.transferNumber}`
+  };
+  await recordMovement({ ...ledger, labId: transfer.fromLabId, quantity: -1, counterpartyLabId: transfer.toLabId }, { tx });
+  await recordMovement({ ...ledger, quantity: 1, counterpartyLabId: transfer.fromLabId }, { tx });
+  await tx.create(EquipmentTransaction, {
+    itemId: equipment.itemId,
+    action: 'transfer',
+    performedBy: context.userId,
+    performedByRole: context.userRole,
+    fromLocation: transfer.fromLabId,
+    toLocation: transfer.toLabId,
+    remarks: `Transfer ${transfer.transferNumber}`
+  });
+}
+
+/**
+ * Receive a dispatched transfer: the reserved stock leaves the source lab and
+ * lands in the receiving lab, all or nothing.
+ * @param {Document} transfer
+ * @param {{ userId, userRole?, locationId?, note?, witness? }} options - locationId: where the
+ *   stock is put away; witness { email, password } for controlled substances
+ */
+async function receiveTransfer(transfer, { userId, userRole, locationId, note, witness: credentials }) {
+  nextStatus(transfer, 'receive');
+  if (locationId) await assertPutAwayLocation(transfer.toLabId, locationId);
+
+  const chemicals = transfer.items.filter(item => item.category === 'chemical');
+  const witness = await requireWitness(credentials, chemicals, { actorId: userId, labId: transfer.toLabId });
+  const context = { userId, userRole, locationId, witnessId: witness ? witness._id : undefined };
+  const fields = { receivedBy: userId, receivedAt: new Date() };
+  if (witness) fields.witnessedBy = witness._id;
+
+  const received = await runStockTransaction(async (tx) => {
+    // Status first: a second receive (or a cancel) fails here instead of spending the reservation again
+    const updated = await moveTo(transfer, 'receive', { userId, note, fields }, tx);
+    for (const item of updated.items) {
+      if (TRANSFER_CATEGORIES[item.category].counted) {
+        await receiveCountedLine(tx, updated, item, context);
+      } else {
+        await receiveEquipmentLine(tx, updated, item, context);
+      }
+    }
+    // receive*Line() record where each line landed
+    if (updated.isModified()) await updated.save({ session: tx.session });
+    return updated;
+  });
+
+  console.log(`📦 ${received.transferNumber} received in ${received.toLabId} (${received.items.length} item(s))`);
+  await notifyLabs(received, `Transfer ${received.transferNumber} from ${received.fromLabId} was received in ${received.toLabId}.`);
+  return received;
+}
+
+module.exports = {
+  TransferError,
+  requestTransfer,
+  approveTransfer,
+  rejectTransfer,
+  cancelTransfer,
+  dispatchTransfer,
+  receiveTransfer
+};
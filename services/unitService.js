@@ -0,0 +1,237 @@
+// Unit Service
+// Reads the unit registry (config/units.js) and converts quantities between
+// units of the same dimension. Stock is kept in whatever unit it was received
+// in; requests, returns and reports convert to it instead of assuming that
+// "500 mL" and "0.5 L" are different chemicals.
+const { DIMENSIONS, UNITS } = require('../config/units');
+
+// Quantities are rounded to this many decimals after a conversion, so that
+// 0.1 L becomes 100 mL and not 100.00000000000001 mL
+const QUANTITY_DECIMALS = 6;
+
+class UnitConversionError extends Error {
+  constructor(message, details = {}) {
+    super(message);
+    this.name = 'UnitConversionError';
+    this.statusCode = 400;
+    this.code = 'UNIT_CONVERSION';
+    this.details = details;
+  }
+}
+
+// lower-cased symbol or alias -> canonical symbol
+const LOOKUP = new Map();
+for (const [symbol, unit] of Object.entries(UNITS)) {
+  LOOKUP.set(symbol.toLowerCase(), symbol);
+  unit.aliases.forEach(alias => LOOKUP.set(alias.toLowerCase(), symbol));
+}
+
+const KNOWN_UNITS = Object.keys(UNITS);
+
+/**
+ * Canonical symbol of a unit ("ml", "Millilitre" -> "mL"), or null if unknown.
+ * @param {string} unit
+ * @returns {string|null}
+ */
+function normalizeUnit(unit) {
+  if (typeof unit !== 'string') return null;
+  return LOOKUP.get(unit.trim().toLowerCase()) || null;
+}
+
+const isKnownUnit = (unit) => normalizeUnit(unit) !== null;
+
+// Registry entry of a unit: { symbol, dimension, factor, baseUnit } or null
+function getUnit(unit) {
+  const symbol = normalizeUnit(unit);
+  if (!symbol) return null;
+  const { dimension, factor } = UNITS[symbol];
+  return { symbol, dimension, factor, baseUnit: DIMENSIONS[dimension].baseUnit };
+}
+
+const roundQuantity = (quantity) => {
+  const scale = 10 ** QUANTITY_DECIMALS;
+  return Math.round(quantity * scale) / scale;
+};
+
+/**
+ * Canonical symbol of a unit, or UnitConversionError listing the known units.
+ * @param {string} unit
+ * @param {string} [label] - what the unit belongs to, for the message
+ */
+function assertKnownUnit(unit, label = 'unit') {
+  const symbol = normalizeUnit(unit);
+  if (!symbol) {
+    throw new UnitConversionError(
+      `Unknown ${label} "${unit}". Known units: ${KNOWN_UNITS.join(', ')}`,
+      { unit }
+    );
+  }
+  return symbol;
+}
+
+/**
+ * Check that quantities in `from` can be expressed in `to`.
+ * @throws {UnitConversionError} when either unit is unknown or the dimensions differ
+ */
+function assertConvertible(from, to) {
+  const source = getUnit(assertKnownUnit(from));
+  const target = getUnit(assertKnownUnit(to));
+  if (source.dimension !== target.dimension) {
+    throw new UnitConversionError(
+      `Cannot convert ${source.symbol} (${source.dimension}) to ${target.symbol} (${target.dimension})`,
+      { from, to }
+    );
+  }
+  return { source, target };
+}
+
+/**
+ * Express `quantity` of `from` in `to` (500 mL -> 0.5 L). Identical unit
+ * strings are returned unchanged, so stock with unregistered legacy units
+ * keeps working as long as request and stock use the same text.
+ * @returns {number}
+ * @throws {UnitConversionError}
+ */
+function convertQuantity(quantity, from, to) {
+  if (from === to || (from && to && from.trim().toLowerCase() === to.trim().toLowerCase())) {
+    return quantity;
+  }
+  const { source, target } = assertConvertible(from, to);
+  return roundQuantity((quantity * source.factor) / target.factor);
+}
+
+/**
+ * Express `quantity` of a product in the product's own unit. Chemicals convert;
+ * glassware, equipment and other products keep free-text units and are taken as they are.
+ * @param {{ category: string, unit?: string }} product
+ * @throws {UnitConversionError}
+ */
+function toProductUnit(product, quantity, unit) {
+  if (product.category !== 'chemical' || !unit || !product.unit) return quantity;
+  return convertQuantity(quantity, unit, product.unit);
+}
+
+const factorBranches = (pick) =>
+  [...LOOKUP.entries()].map(([key, symbol]) => ({
+    case: { $eq: ['$$unitKey', key] },
+    then: pick(symbol)
+  }));
+
+// Aggregation expression for the lower-cased, trimmed unit of a document
+const unitKeyExpr = (unitPath) => ({ $toLower: { $trim: { input: { $ifNull: [unitPath, ''] } } } });
+
+/**
+ * Aggregation expression: `quantityPath` converted to the base unit of its
+ * dimension. Unregistered units are left as they are.
+ * e.g. { $sum: baseQuantityExpr('$quantity', '$unit') }
+ */
+function baseQuantityExpr(quantityPath, unitPath) {
+  return {
+    $let: {
+      vars: { unitKey: unitKeyExpr(unitPath) },
+      in: {
+        $multiply: [
+          { $ifNull: [quantityPath, 0] },
+          { $switch: { branches: factorBranches(symbol => UNITS[symbol].factor), default: 1 } }
+        ]
+      }
+    }
+  };
+}
+
+// Aggregation expression: the base unit baseQuantityExpr() converts `unitPath` to
+function baseUnitExpr(unitPath) {
+  return {
+    $let: {
+      vars: { unitKey: unitKeyExpr(unitPath) },
+      in: {
+        $switch: {
+          branches: factorBranches(symbol => DIMENSIONS[UNITS[symbol].dimension].baseUnit),
+          default: unitPath
+        }
+      }
+    }
+  };
+}
+
+/**
+ * Problems with the units of request / indent chemical lines: units missing
+ * from the registry, or ones that cannot be converted to the unit the
+ * chemical's product is stocked in.
+ * @param {Array<{ chemicalName, unit, productId?, chemicalMasterId? }>} chemicals
+ * @returns {Promise<string[]>} one message per bad line; empty when all are fine
+ */
+async function validateChemicalUnits(chemicals = []) {
+  // Required here: lotService loads Product, whose schema uses this module
+  const { resolveChemicalProduct } = require('./lotService');
+  const errors = [];
+  for (const chemical of chemicals) {
+    const entry = getUnit(chemical.unit);
+    if (!entry) {
+      errors.push(`${chemical.chemicalName}: unknown unit "${chemical.unit}". Known units: ${KNOWN_UNITS.join(', ')}`);
+      continue;
+    }
+    const product = await resolveChemicalProduct(chemical);
+    const stockUnit = product && getUnit(product.unit);
+    if (stockUnit && stockUnit.dimension !== entry.dimension) {
+      errors.push(
+        `${chemical.chemicalName}: ${entry.symbol} (${entry.dimension}) cannot be converted to ${stockUnit.symbol} (${stockUnit.dimension}), the unit it is stocked in`
+      );
+    }
+  }
+  return errors;
+}
+
+/**
+ * Store the canonical symbol on chemical products saved with an alias
+ * ("ml", "Litre") and list the ones whose unit is not in the registry at all.
+ * Those cannot be converted and need their unit set by hand.
+ * @param {{ dryRun?: boolean }} [options] - dryRun only reports
+ * @returns {Promise<{ products: number, normalized: number, unknown: Array<{ productId, name, unit }> }>}
+ */
+async function migrateChemicalUnits({ dryRun = false } = {}) {
+  // Required here: Product's schema uses this module
+  const Product = require('../models/Product');
+  const products = await Product.find({ category: 'chemical', unit: { $nin: [null, ''] } }).select('name unit').lean();
+  const result = { products: products.length, normalized: 0, unknown: [] };
+
+  for (const product of products) {
+    const symbol = normalizeUnit(product.unit);
+    if (!symbol) {
+      result.unknown.push({ productId: product._id, name: product.name, unit: product.unit });
+    } else if (symbol !== product.unit) {
+      if (!dryRun) await Product.updateOne({ _id: product._id }, { $set: { unit: symbol } });
+      result.normalized++;
+    }
+  }
+  return result;
+}
+
+// Registry as served by GET /api/units
+const listUnits = () =>
+  Object.entries(DIMENSIONS).map(([dimension, { baseUnit, description }]) => ({
+    dimension,
+    description,
+    baseUnit,
+    units: Object.entries(UNITS)
+      .filter(([, unit]) => unit.dimension === dimension)
+      .map(([symbol, unit]) => ({ symbol, factor: unit.factor, aliases: unit.aliases }))
+  }));
+
+module.exports = {
+  UnitConversionError,
+  KNOWN_UNITS,
+  normalizeUnit,
+  isKnownUnit,
+  getUnit,
+  roundQuantity,
+  assertKnownUnit,
+  assertConvertible,
+  convertQuantity,
+  toProductUnit,
+  baseQuantityExpr,
+  baseUnitExpr,
+  validateChemicalUnits,
+  migrateChemicalUnits,
+  listUnits
+};
@@ -0,0 +1,93 @@
+// Activity trail plugin (services/activityService.js) inside transactions
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { ClientSession } = require('mongodb');
+const ActivityLog = require('../models/ActivityLog');
+const { activityPlugin } = require('../services/activityService');
+
+const schema = new mongoose.Schema({ name: String, lastSeen: Date });
+schema.plugin(activityPlugin, { entity: 'Widget', ignore: ['lastSeen'] });
+const Widget = mongoose.model('ActivityTestWidget', schema);
+
+const rows = [];
+const originalCreate = ActivityLog.create;
+ActivityLog.create = async (row) => { rows.push(row); return row; };
+
+// Session of a runStockTransaction() unit in progress
+const transactionSession = () => Object.assign(Object.create(ClientSession.prototype), {
+  inTransaction: () => true,
+  $afterCommit: []
+});
+
+// Image reads of the plugin, answered from `image` and recording their session
+const reads = [];
+const imageQuery = (image) => ({
+  session(session) { reads.push(session); return this; },
+  lean: async () => image
+});
+
+const runHooks = (hooks, kind, name, target, args = []) =>
+  new Promise((resolve, reject) => hooks[kind](name, target, args, error => (error ? reject(error) : resolve())));
+
+const id = new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+  rows.length = 0;
+  reads.length = 0;
+});
+
+after(() => {
+  ActivityLog.create = originalCreate;
+});
+
+test('a query write in a transaction reads its images in the session and is recorded on commit', async () => {
+  const session = transactionSession();
+  let image = { _id: id, name: 'before' };
+  Widget.findOne = () => imageQuery(image);
+  Widget.findById = () => imageQuery(image);
+
+  const query = Widget.findOneAndUpdate({ _id: id }, { $set: { name: 'after' } }, { session });
+  await runHooks(query._queryMiddleware, 'execPre', 'findOneAndUpdate', query);
+  image = { _id: id, name: 'after' }; // what the session sees after its own write
+  await runHooks(query._queryMiddleware, 'execPost', 'findOneAndUpdate', query, [{ _id: id }]);
+
+  assert.deepEqual(reads, [session, session]);
+  assert.equal(rows.length, 0);
+  assert.equal(session.$afterCommit.length, 1);
+
+  await session.$afterCommit[0]();
+  assert.equal(rows.length, 1);
+  assert.deepEqual(rows[0].changes, [{ path: 'name', from: 'before', to: 'after' }]);
+});
+
+test('an aborted transaction leaves no row', async () => {
+  const session = transactionSession();
+  Widget.findOne = () => imageQuery({ _id: id, name: 'before' });
+  Widget.findById = () => imageQuery({ _id: id, name: 'after' });
+
+  const query = Widget.updateOne({ _id: id }, { $set: { name: 'after' } }, { session });
+  await runHooks(query._queryMiddleware, 'execPre', 'updateOne', query);
+  await runHooks(query._queryMiddleware, 'execPost', 'updateOne', query, [{ matchedCount: 1 }]);
+
+  // runStockTransaction drops the after-commit tasks of an aborted attempt
+  assert.equal(session.$afterCommit.length, 1);
+  assert.equal(rows.length, 0);
+});
+
+test('save() diffs against the loaded document and skips ignored fields', async () => {
+  const doc = Widget.hydrate({ _id: id, name: 'before', lastSeen: new Date(0) });
+  const save = async () => {
+    await runHooks(schema.s.hooks, 'execPre', 'save', doc);
+    await runHooks(schema.s.hooks, 'execPost', 'save', doc, [doc]);
+  };
+
+  doc.lastSeen = new Date();
+  await save();
+  assert.equal(rows.length, 0);
+
+  doc.name = 'after';
+  await save();
+  assert.equal(rows.length, 1);
+  assert.deepEqual(rows[0].changes, [{ path: 'name', from: 'before', to: 'after' }]);
+});
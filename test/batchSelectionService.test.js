@@ -0,0 +1,72 @@
+// Batch picking (services/batchSelectionService.js): expired and short-dated
+// stock is never picked, whatever the strategy
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveBatchOptions, planBatches, BatchSelectionError } = require('../services/batchSelectionService');
+
+const NOW = new Date('2025-06-01T00:00:00Z');
+const day = (date) => new Date(`${date}T00:00:00Z`);
+
+const batch = (id, fields) => ({ _id: id, chemicalName: 'Acetone', unit: 'L', createdAt: day('2025-01-01'), ...fields });
+
+const batches = [
+  batch('late', { quantity: 2, expiryDate: day('2026-01-01'), createdAt: day('2024-01-01') }),
+  batch('soon', { quantity: 1, expiryDate: day('2025-07-01'), createdAt: day('2025-03-01') }),
+  batch('none', { quantity: 5 }),
+  batch('expired', { quantity: 3, expiryDate: day('2025-05-01') }),
+  batch('reserved', { quantity: 4, reservedQuantity: 4, expiryDate: day('2025-06-15') })
+];
+
+const picked = (plan) => plan.picks.map(pick => [pick.batch._id, pick.quantity]);
+
+test('FEFO takes the earliest expiry first and undated stock last', () => {
+  const plan = planBatches(batches, 4, resolveBatchOptions({}), NOW);
+
+  assert.deepEqual(picked(plan), [['soon', 1], ['late', 2], ['none', 1]]);
+  assert.equal(plan.allocatable, 4);
+  assert.equal(plan.shortfall, 0);
+});
+
+test('expired stock is excluded under every strategy', () => {
+  for (const input of [{}, { strategy: 'fifo' }, { strategy: 'manual', batchIds: ['expired', 'late'] }]) {
+    const plan = planBatches(batches, 10, resolveBatchOptions(input), NOW);
+    assert.ok(!plan.picks.some(pick => pick.batch._id === 'expired'));
+    assert.deepEqual(plan.excluded.map(({ batch: excluded, reason }) => [excluded._id, reason]), [['expired', 'expired']]);
+  }
+});
+
+test('stock that will not last until it is used is skipped', () => {
+  const options = resolveBatchOptions({ useBy: '2025-06-20', minShelfLifeDays: 14 });
+  const plan = planBatches(batches, 3, options, NOW);
+
+  assert.deepEqual(picked(plan), [['late', 2], ['none', 1]]);
+  assert.ok(plan.excluded.some(({ batch: excluded, reason }) => excluded._id === 'soon' && reason === 'short_shelf_life'));
+});
+
+test('an opened container expires at its after-opening date', () => {
+  const opened = batch('opened', { quantity: 1, expiryDate: day('2026-01-01'), openedAt: day('2025-04-01'), openedExpiryDate: day('2025-05-15') });
+  const plan = planBatches([opened], 1, resolveBatchOptions({}), NOW);
+
+  assert.equal(plan.picks.length, 0);
+  assert.equal(plan.excluded[0].reason, 'expired_after_opening');
+  assert.equal(plan.shortfall, 1);
+});
+
+test('converts batch stock to the requested unit', () => {
+  const plan = planBatches([batch('litres', { quantity: 1.5 })], 2000, resolveBatchOptions({ unit: 'mL' }), NOW);
+
+  assert.equal(plan.picks[0].quantity, 1500);
+  assert.equal(plan.picks[0].stockQuantity, 1.5);
+  assert.equal(plan.shortfall, 500);
+});
+
+test('refuses malformed options with a BatchSelectionError', () => {
+  const refused = (input) => assert.throws(() => resolveBatchOptions(input), error => error instanceof BatchSelectionError && error.statusCode === 400);
+
+  refused({ strategy: 'random' });
+  refused({ minShelfLifeDays: -1 });
+  refused({ strategy: 'manual' });
+  refused({ batchIds: 'abc' });
+  refused({ batchIds: { $ne: null } });
+  refused({ useBy: 'not a date' });
+});
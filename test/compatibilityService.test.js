@@ -0,0 +1,104 @@
+// Storage compatibility matrix and segregation checks (services/compatibilityService.js)
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const Product = require('../models/Product');
+const ChemicalLive = require('../models/ChemicalLive');
+const StorageLocation = require('../models/StorageLocation');
+const CompatibilityRule = require('../models/CompatibilityRule');
+const {
+  pairKey,
+  getCompatibilityMatrix,
+  findViolations,
+  checkStoragePlacement,
+  storageComplianceReport
+} = require('../services/compatibilityService');
+
+const products = useMemoryModel(Product);
+const chemicals = useMemoryModel(ChemicalLive);
+const locations = useMemoryModel(StorageLocation);
+const rules = useMemoryModel(CompatibilityRule);
+const models = [products, chemicals, locations, rules];
+
+const LAB = 'LAB01';
+const id = () => new mongoose.Types.ObjectId();
+
+// Room 101 with two cabinets; cabinet A holds two shelves and a bin
+const room = { _id: id(), labId: LAB, type: 'room', name: 'Room 101', path: 'Room 101', ancestors: [] };
+const under = (parent, type, name) =>
+  ({ _id: id(), labId: LAB, type, name, path: `${parent.path} / ${name}`, ancestors: [...parent.ancestors, parent._id], parentId: parent._id });
+const cabinetA = under(room, 'cabinet', 'Cabinet A');
+const cabinetB = under(room, 'cabinet', 'Cabinet B');
+const shelf1 = under(cabinetA, 'shelf', 'Shelf 1');
+const shelf2 = under(cabinetA, 'shelf', 'Shelf 2');
+const bin = under(cabinetA, 'bin', 'Bin 1');
+const tree = [room, cabinetA, cabinetB, shelf1, shelf2, bin];
+const byId = new Map(tree.map(location => [String(location._id), location]));
+
+const entry = (name, groups, location) => ({ record: { _id: id(), displayName: name, quantity: 1, unit: 'L' }, groups, location });
+
+const originalLog = console.log;
+
+beforeEach(() => {
+  models.forEach(model => { model.docs.length = 0; });
+  locations.docs.push(...tree.map(location => ({ ...location })));
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+  models.forEach(model => model.restore());
+});
+
+test('admin overrides change or switch off default rules', async () => {
+  rules.docs.push(
+    { _id: id(), pairKey: pairKey('flammable', 'oxidizer'), groups: ['flammable', 'oxidizer'], separation: 'room', reason: 'Site rule' },
+    { _id: id(), pairKey: pairKey('acid', 'base'), groups: ['acid', 'base'], separation: 'none' }
+  );
+
+  const matrix = await getCompatibilityMatrix();
+
+  assert.equal(matrix.get('flammable|oxidizer').separation, 'room');
+  assert.equal(matrix.get('flammable|oxidizer').source, 'override');
+  assert.equal(matrix.has('acid|base'), false);
+  assert.equal(matrix.get('acid|cyanide').source, 'default');
+});
+
+test('incompatible groups may not share the level their rule names', async () => {
+  const matrix = await getCompatibilityMatrix();
+  const violations = (a, b) => findViolations([a, b], matrix, byId);
+
+  // oxidizer / flammable: separate cabinets
+  const [breach] = violations(entry('Nitric acid', ['oxidizer'], shelf1), entry('Acetone', ['flammable'], shelf2));
+  assert.equal(breach.separation, 'cabinet');
+  assert.equal(breach.sharedLocation.path, 'Room 101 / Cabinet A');
+  assert.match(breach.message, /Nitric acid \(Oxidizers\) and Acetone \(Flammables\) share Room 101 \/ Cabinet A/);
+  assert.deepEqual(violations(entry('Nitric acid', ['oxidizer'], shelf1), entry('Acetone', ['flammable'], cabinetB)), []);
+
+  // compressed gas / flammable: separate shelves; a bin straight in a cabinet is the cabinet
+  assert.deepEqual(violations(entry('Propane', ['compressed_gas'], shelf1), entry('Acetone', ['flammable'], shelf2)), []);
+  assert.equal(violations(entry('Propane', ['compressed_gas'], shelf1), entry('Acetone', ['flammable'], shelf1)).length, 1);
+  assert.equal(violations(entry('Propane', ['compressed_gas'], bin), entry('Acetone', ['flammable'], cabinetA)).length, 1);
+});
+
+test('lab report lists violations, unlocated and unclassified stock', async () => {
+  const nitric = { _id: id(), name: 'Nitric acid', category: 'chemical', unit: 'L', safety: { hazardClasses: ['oxidizer'], compatibilityGroups: ['acid'] } };
+  const acetone = { _id: id(), name: 'Acetone', category: 'chemical', unit: 'L', safety: { storageClass: '3' } };
+  const water = { _id: id(), name: 'Water', category: 'chemical', unit: 'L' };
+  products.docs.push(nitric, acetone, water);
+  const record = (product, locationId) =>
+    ({ _id: id(), labId: LAB, productId: product._id, displayName: product.name, quantity: 1, unit: 'L', locationId });
+  chemicals.docs.push(record(nitric, shelf1._id), record(acetone, shelf2._id), record(acetone, undefined), record(water, cabinetB._id));
+
+  const report = await storageComplianceReport(LAB);
+
+  assert.equal(report.compliant, false);
+  assert.deepEqual(report.summary, { chemicals: 4, checked: 2, violations: 1, unlocated: 1, unclassified: 1 });
+  assert.deepEqual(report.violations[0].items.map(item => item.group), ['oxidizer', 'flammable']);
+
+  // Checking the acetone on shelf 2 as it is put away finds the same breach
+  const placed = await checkStoragePlacement(ChemicalLive.hydrate(chemicals.docs[1]));
+  assert.equal(placed.length, 1);
+  assert.equal(placed[0].sharedLocation.type, 'cabinet');
+});
@@ -0,0 +1,92 @@
+// Witness sign-off for controlled substances (services/controlledSubstanceService.js):
+// wrong passwords are counted per witness and lock it out at the limit.
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const User = require('../models/User');
+const Product = require('../models/Product');
+const WitnessAttempt = require('../models/WitnessAttempt');
+const { verifyWitness, requireWitness } = require('../services/controlledSubstanceService');
+
+const users = useMemoryModel(User);
+const products = useMemoryModel(Product);
+const attempts = useMemoryModel(WitnessAttempt);
+
+const WITNESS = 'store.admin@college.edu';
+const actorId = new mongoose.Types.ObjectId();
+const context = { actorId, labId: 'LAB01' };
+
+// Verification outcome as the errorHandler would answer it
+const outcome = (credentials) => verifyWitness(credentials, context).then(
+  witness => ({ statusCode: 200, witness }),
+  error => ({ statusCode: error.statusCode, code: error.code, details: error.details })
+);
+
+const originalWarn = console.warn;
+
+beforeEach(async () => {
+  [users, products, attempts].forEach(model => { model.docs.length = 0; });
+  users.docs.push({
+    _id: new mongoose.Types.ObjectId(),
+    name: 'Store Admin',
+    email: WITNESS,
+    password: await bcrypt.hash('right-password', 4),
+    role: 'central_store_admin'
+  });
+  console.warn = () => {};
+});
+
+after(() => {
+  console.warn = originalWarn;
+  [users, products, attempts].forEach(model => model.restore());
+});
+
+test('accepts the right password', async () => {
+  const result = await outcome({ email: WITNESS, password: 'right-password' });
+  assert.equal(result.statusCode, 200);
+  assert.equal(result.witness.email, WITNESS);
+});
+
+test('locks the witness after 5 wrong passwords, even for the right one', async () => {
+  for (let attempt = 1; attempt < 5; attempt++) {
+    assert.equal((await outcome({ email: WITNESS, password: 'guess' })).code, 'WITNESS_INVALID');
+  }
+  const locked = await outcome({ email: WITNESS, password: 'guess' });
+  assert.equal(locked.statusCode, 429);
+  assert.equal(locked.code, 'WITNESS_LOCKED');
+  assert.ok(locked.details.lockedUntil > new Date());
+
+  const right = await outcome({ email: ` ${WITNESS.toUpperCase()} `, password: 'right-password' });
+  assert.equal(right.statusCode, 429);
+});
+
+test('unknown witness emails are counted too', async () => {
+  for (let attempt = 1; attempt < 5; attempt++) {
+    await outcome({ email: 'nobody@college.edu', password: 'guess' });
+  }
+  assert.equal((await outcome({ email: 'nobody@college.edu', password: 'guess' })).statusCode, 429);
+  assert.equal((await outcome({ email: WITNESS, password: 'right-password' })).statusCode, 200);
+});
+
+test('the right password clears the count', async () => {
+  for (let attempt = 1; attempt < 5; attempt++) {
+    await outcome({ email: WITNESS, password: 'guess' });
+  }
+  assert.equal((await outcome({ email: WITNESS, password: 'right-password' })).statusCode, 200);
+  assert.equal(attempts.docs.length, 0);
+  assert.equal((await outcome({ email: WITNESS, password: 'guess' })).code, 'WITNESS_INVALID');
+});
+
+test('a lockout keeps its details when a controlled movement asks for the witness', async () => {
+  const productId = new mongoose.Types.ObjectId();
+  products.docs.push({ _id: productId, name: 'Ephedrine', category: 'chemical', controlled: { isControlled: true, schedule: 'Precursor Category 1' } });
+  attempts.docs.push({ _id: new mongoose.Types.ObjectId(), email: WITNESS, attempts: 0, lockedUntil: new Date(Date.now() + 60000), expiresAt: new Date(Date.now() + 60000) });
+
+  const error = await requireWitness({ email: WITNESS, password: 'right-password' }, [{ productId }], context).catch(caught => caught);
+
+  assert.equal(error.statusCode, 429);
+  assert.ok(error.details.lockedUntil);
+  assert.deepEqual(error.details.controlledProducts.map(product => product.name), ['Ephedrine']);
+});
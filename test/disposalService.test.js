@@ -0,0 +1,115 @@
+// Disposal status flow (services/disposalService.js): each step only moves a
+// disposal that is still in the status it was loaded in. Runs as a
+// compensating saga on memory models; stock changes go to a recording stub.
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const stockService = require('../services/stockService');
+const Disposal = require('../models/Disposal');
+const Product = require('../models/Product');
+
+process.env.MONGO_TRANSACTIONS = 'false';
+
+const disposals = useMemoryModel(Disposal);
+const products = useMemoryModel(Product);
+
+let increments = [];
+let failIncrement = false;
+const originalIncrement = stockService.incrementStock;
+stockService.incrementStock = async (Model, filter, quantity) => {
+  await new Promise(resolve => setImmediate(resolve));
+  if (failIncrement) throw new Error('stock write failed');
+  increments.push({ model: Model.modelName, quantity });
+};
+const disposalService = require('../services/disposalService');
+
+// The service logs each step; keep that out of the test runner's output
+const originalLog = console.log;
+console.log = () => {};
+
+const requester = new mongoose.Types.ObjectId();
+const reviewer = new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+  disposals.docs.length = 0;
+  products.docs.length = 0;
+  increments = [];
+  failIncrement = false;
+  disposals.docs.push({
+    _id: new mongoose.Types.ObjectId(),
+    disposalNumber: 'DSP-20250314-001',
+    labId: 'LAB01',
+    status: 'quarantined',
+    reason: 'expired',
+    items: [{ _id: new mongoose.Types.ObjectId(), chemicalName: 'Acetone', lotNumber: 'A1', quantity: 0.5, unit: 'L' }],
+    history: [{ status: 'quarantined', at: new Date('2025-03-14T09:00:00Z'), by: requester }]
+  });
+});
+
+after(() => {
+  stockService.incrementStock = originalIncrement;
+  console.log = originalLog;
+  [disposals, products].forEach(model => model.restore());
+});
+
+const load = () => Disposal.findById(disposals.docs[0]._id);
+const statusOf = (error) => error.statusCode;
+
+test('moves through request, approval and disposal', async () => {
+  const requested = await disposalService.requestDisposal(await load(), { userId: requester, note: 'Out of date' });
+  assert.equal(requested.status, 'requested');
+  assert.equal(String(requested.requestedBy), String(requester));
+
+  await assert.rejects(
+    disposalService.reviewDisposal(requested, { decision: 'approve', userId: requester }),
+    error => statusOf(error) === 403
+  );
+  const approved = await disposalService.reviewDisposal(requested, { decision: 'approve', comments: 'ok', userId: reviewer });
+  assert.equal(approved.status, 'approved');
+
+  const disposed = await disposalService.completeDisposal(approved, {
+    contractor: { name: 'GreenChem Waste Ltd' },
+    method: 'incineration',
+    wasteAmount: { value: 0.4, unit: 'kg' },
+    manifestNumber: ' MAN-1 ',
+    userId: reviewer
+  });
+  assert.equal(disposed.status, 'disposed');
+  assert.equal(disposed.manifestNumber, 'MAN-1');
+  assert.deepEqual(disposals.docs[0].history.map(entry => entry.status), ['quarantined', 'requested', 'approved', 'disposed']);
+});
+
+test('a step out of order is refused with 409', async () => {
+  await assert.rejects(
+    disposalService.reviewDisposal(await load(), { decision: 'approve', userId: reviewer }),
+    error => statusOf(error) === 409 && /it is quarantined/.test(error.message)
+  );
+  assert.equal(disposals.docs[0].status, 'quarantined');
+});
+
+test('of two concurrent cancels one returns the stock, the other gets 409', async () => {
+  const [first, second] = [await load(), await load()];
+
+  const results = await Promise.allSettled([
+    disposalService.cancelDisposal(first, { userId: requester }),
+    disposalService.cancelDisposal(second, { userId: requester })
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  const refused = results.find(result => result.status === 'rejected').reason;
+  assert.equal(statusOf(refused), 409);
+  assert.match(refused.message, /changed by another request/);
+  assert.deepEqual(increments, [{ model: 'ChemicalLive', quantity: 0.5 }]);
+  assert.equal(disposals.docs[0].status, 'cancelled');
+  assert.equal(disposals.docs[0].history.length, 2);
+});
+
+test('a cancel that fails to return the stock leaves the disposal as it was', async () => {
+  failIncrement = true;
+
+  await assert.rejects(disposalService.cancelDisposal(await load(), { userId: requester }), /stock write failed/);
+
+  assert.equal(disposals.docs[0].status, 'quarantined');
+  assert.deepEqual(disposals.docs[0].history.map(entry => entry.status), ['quarantined']);
+});
@@ -0,0 +1,44 @@
+// Day-numbered lot, transfer and disposal numbers (utils/documentNumbers.js)
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const Lot = require('../models/Lot');
+const Transfer = require('../models/Transfer');
+const NumberCounter = require('../models/NumberCounter');
+
+const lots = useMemoryModel(Lot);
+const transfers = useMemoryModel(Transfer);
+const counters = useMemoryModel(NumberCounter);
+
+const DAY = new Date('2025-03-01T10:00:00Z');
+
+beforeEach(() => {
+  [lots, transfers, counters].forEach(model => { model.docs.length = 0; });
+});
+
+after(() => {
+  [lots, transfers, counters].forEach(model => model.restore());
+});
+
+test('numbers each day from 001', async () => {
+  assert.equal(await Lot.nextLotNumber(DAY), 'LOT-20250301-001');
+  assert.equal(await Lot.nextLotNumber(DAY), 'LOT-20250301-002');
+  assert.equal(await Lot.nextLotNumber(new Date('2025-03-02T10:00:00Z')), 'LOT-20250302-001');
+  assert.equal(await Transfer.nextTransferNumber(DAY), 'TRF-20250301-001');
+});
+
+test('goes on past 999 in a day', async () => {
+  counters.docs.push({ counterKey: 'LOT-20250301-', sequence: 998 });
+
+  assert.equal(await Lot.nextLotNumber(DAY), 'LOT-20250301-999');
+  assert.equal(await Lot.nextLotNumber(DAY), 'LOT-20250301-1000');
+  assert.equal(await Lot.nextLotNumber(DAY), 'LOT-20250301-1001');
+});
+
+test('continues after numbers issued before the counter existed, compared as numbers', async () => {
+  ['LOT-20250301-999', 'LOT-20250301-1000', 'LOT-20250301-002', 'LOT-20250302-5000']
+    .forEach(lotNumber => lots.docs.push({ lotNumber }));
+
+  assert.equal(await Lot.nextLotNumber(DAY), 'LOT-20250301-1001');
+  assert.equal(await Lot.nextLotNumber(DAY), 'LOT-20250301-1002');
+});
@@ -0,0 +1,78 @@
+// Chemical hazard data (services/hazardService.js, Product.safety)
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const Product = require('../models/Product');
+const { isValidCasNumber, compatibilityGroupsOf, describeHazards, hazardWarningsFor } = require('../services/hazardService');
+
+const products = useMemoryModel(Product);
+
+const product = (name, safety) => ({ _id: new mongoose.Types.ObjectId(), name, category: 'chemical', unit: 'L', safety });
+
+beforeEach(() => {
+  products.docs.length = 0;
+});
+
+after(() => {
+  products.restore();
+});
+
+test('CAS numbers must carry the right check digit', () => {
+  assert.equal(isValidCasNumber('7732-18-5'), true);
+  assert.equal(isValidCasNumber(' 67-64-1 '), true);
+  assert.equal(isValidCasNumber('67-64-2'), false);
+  assert.equal(isValidCasNumber('6764-1'), false);
+  assert.equal(isValidCasNumber(undefined), false);
+});
+
+test('product validation refuses unknown safety keys and non-chemical safety data', async () => {
+  const errors = (fields) => new Product({ name: 'X', unit: 'L', category: 'chemical', thresholdValue: 1, ...fields })
+    .validate().then(() => [], error => Object.keys(error.errors));
+
+  assert.deepEqual(await errors({ safety: { casNumber: '67-64-1', hazardClasses: ['flammable_liquid'], signalWord: 'Danger', hazardStatements: ['h225'] } }), []);
+  assert.ok((await errors({ safety: { casNumber: '67-64-2' } })).includes('safety.casNumber'));
+  assert.ok((await errors({ safety: { hazardClasses: ['spicy'] } })).includes('safety.hazardClasses.0'));
+  assert.ok((await errors({ safety: { hazardStatements: ['flammable'] } })).includes('safety.hazardStatements.0'));
+  assert.ok((await errors({ category: 'glassware', unit: 'pcs', safety: { signalWord: 'warning' } })).includes('safety'));
+});
+
+test('describes hazards with pictograms, storage class, PPE and derived groups', () => {
+  const acetone = product('Acetone', {
+    casNumber: '67-64-1',
+    signalWord: 'danger',
+    hazardClasses: ['flammable_liquid', 'irritant', 'organ_toxicity'],
+    storageClass: '3',
+    ppe: ['gloves', 'safety_goggles']
+  });
+  const hazards = describeHazards(acetone);
+
+  assert.deepEqual(hazards.pictograms.map(pictogram => pictogram.code), ['GHS02', 'GHS07', 'GHS08']);
+  assert.equal(hazards.storageClass.description, 'Flammable liquids');
+  assert.deepEqual(hazards.ppe.map(item => item.label), ['Chemical-resistant gloves', 'Safety goggles']);
+  assert.ok(compatibilityGroupsOf(acetone).includes('flammable'));
+  assert.equal(hazards.sds, null);
+
+  assert.equal(describeHazards(product('Water', {})), null);
+  assert.equal(describeHazards(product('Water')), null);
+});
+
+test('warns once per hazardous product, most severe first', async () => {
+  products.docs.push(
+    product('Ethanol', { signalWord: 'warning', hazardClasses: ['flammable_liquid'] }),
+    product('Nitric acid', { signalWord: 'danger', hazardClasses: ['oxidizer', 'skin_corrosion'], ppe: ['face_shield'] }),
+    product('Sodium chloride', {})
+  );
+
+  const warnings = await hazardWarningsFor([
+    { chemicalName: 'Ethanol - A' },
+    { chemicalName: 'Ethanol - B' },
+    { chemicalName: 'Sodium chloride' },
+    { chemicalName: 'Nitric acid' },
+    null
+  ]);
+
+  assert.deepEqual(warnings.map(warning => warning.chemicalName), ['Nitric acid', 'Ethanol']);
+  assert.equal(warnings[0].message, 'Nitric acid: DANGER - Oxidizer, Skin corrosion. Required PPE: Face shield.');
+  assert.equal(warnings[1].sdsAvailable, false);
+});
@@ -0,0 +1,146 @@
+// In-memory stand-in for the MongoDB collections behind a Mongoose model, for
+// tests that run without a database. Replaces the model's query statics used
+// by the code under test (find, findOne, findById, findOneAndUpdate, updateOne,
+// updateMany, deleteOne, create) and document save() with versions that read and
+// write a plain array. The store outlives the modules that use the model,
+// like a database outlives a server restart.
+const mongoose = require('mongoose');
+
+const same = (a, b) => {
+  if (a instanceof Date || b instanceof Date) return a != null && b != null && new Date(a).getTime() === new Date(b).getTime();
+  return String(a) === String(b);
+};
+
+// Mongo-style match of one stored document or array element: equality (or
+// membership for arrays), regex, $gt, $gte, $lt, $lte, $ne, $in, $nin, $elemMatch and $or
+function matches(doc, filter = {}) {
+  return Object.entries(filter).every(([key, condition]) => {
+    if (key === '$or') return condition.some(option => matches(doc, option));
+    const value = doc[key];
+    if (condition instanceof RegExp) return typeof value === 'string' && condition.test(value);
+    if (condition && typeof condition === 'object' && !(condition instanceof Date) && !mongoose.isValidObjectId(condition)) {
+      return Object.entries(condition).every(([operator, operand]) => {
+        if (operator === '$gt') return value != null && value > operand;
+        if (operator === '$gte') return value != null && value >= operand;
+        if (operator === '$lt') return value != null && value < operand;
+        if (operator === '$lte') return value != null && value <= operand;
+        if (operator === '$ne') return !same(value, operand);
+        if (operator === '$in') return operand.some(option => (Array.isArray(value) ? value.some(item => same(item, option)) : same(value, option)));
+        if (operator === '$elemMatch') return Array.isArray(value) && value.some(item => matches(item, operand));
+        if (operator === '$nin') return !operand.some(option => (option == null ? value == null : same(value, option)));
+        throw new Error(`memoryModels: unsupported operator ${operator}`);
+      });
+    }
+    if (condition === null) return value == null;
+    if (Array.isArray(value)) return value.some(item => same(item, condition));
+    return value != null && same(value, condition);
+  });
+}
+
+function applyUpdate(doc, update) {
+  const { $set = {}, $unset = {}, $inc = {}, $max = {}, $push = {}, $pull = {}, ...plain } = update;
+  Object.assign(doc, plain, $set);
+  Object.keys($unset).forEach(key => { delete doc[key]; });
+  Object.entries($inc).forEach(([key, amount]) => { doc[key] = (doc[key] || 0) + amount; });
+  Object.entries($max).forEach(([key, value]) => { if (doc[key] == null || value > doc[key]) doc[key] = value; });
+  Object.entries($push).forEach(([key, value]) => { doc[key] = [...(doc[key] || []), value]; });
+  Object.entries($pull).forEach(([key, condition]) => { doc[key] = (doc[key] || []).filter(item => !matches(item, condition)); });
+  doc.updatedAt = new Date();
+}
+
+/**
+ * Back `Model` with an in-memory array.
+ * @param {mongoose.Model} Model
+ * @returns {{ docs: Object[], restore: Function }} the stored documents (plain objects)
+ */
+function useMemoryModel(Model) {
+  const docs = [];
+  const originals = [];
+  const replace = (target, name, fn) => {
+    originals.push([target, name, target[name]]);
+    target[name] = fn;
+  };
+  const hydrate = (doc) => (doc ? Model.hydrate({ ...doc }) : null);
+  const first = (filter) => docs.find(doc => matches(doc, filter));
+  // Copies of the matching documents in `order` (a sort spec)
+  const sorted = (filter, order) => docs.filter(doc => matches(doc, filter)).map(doc => ({ ...doc })).sort((a, b) => {
+    for (const [key, direction] of Object.entries(order)) {
+      if (a[key] < b[key]) return -direction;
+      if (a[key] > b[key]) return direction;
+    }
+    return 0;
+  });
+  // Awaitable like a query, handed the sort spec; select() and session() change nothing here
+  const query = (run) => {
+    let order = {};
+    return {
+      sort(spec) { order = spec; return this; },
+      select() { return this; },
+      session() { return this; },
+      then: (resolve, reject) => Promise.resolve().then(() => run(order)).then(resolve, reject)
+    };
+  };
+
+  // find(filter).sort(spec), awaited as documents or .lean() as plain objects (also through cursor())
+  replace(Model, 'find', (filter) => {
+    let order = {};
+    const found = query(() => sorted(filter, order).map(hydrate));
+    found.sort = (spec) => { order = spec; return found; };
+    found.lean = () => ({
+      cursor: () => sorted(filter, order),
+      then: (resolve, reject) => Promise.resolve().then(() => sorted(filter, order)).then(resolve, reject)
+    });
+    return found;
+  });
+  replace(Model, 'findOne', (filter) => query(order => hydrate(sorted(filter, order)[0])));
+  replace(Model, 'findById', (id) => query(() => hydrate(first({ _id: id }))));
+  replace(Model, 'findOneAndUpdate', async (filter, update, options = {}) => {
+    let doc = first(filter);
+    if (!doc) {
+      if (!options.upsert) return null;
+      doc = { _id: new mongoose.Types.ObjectId(), createdAt: new Date() };
+      Object.entries(filter).forEach(([key, value]) => { if (!key.startsWith('$')) doc[key] = value; });
+      docs.push(doc);
+    }
+    const before = { ...doc };
+    applyUpdate(doc, update);
+    return hydrate(options.new ? doc : before);
+  });
+  replace(Model, 'updateOne', async (filter, update) => {
+    const doc = first(filter);
+    if (doc) applyUpdate(doc, update);
+    return { matchedCount: doc ? 1 : 0, modifiedCount: doc ? 1 : 0 };
+  });
+  replace(Model, 'updateMany', async (filter, update) => {
+    const matched = docs.filter(doc => matches(doc, filter));
+    matched.forEach(doc => applyUpdate(doc, update));
+    return { matchedCount: matched.length, modifiedCount: matched.length };
+  });
+  replace(Model, 'deleteOne', async (filter) => {
+    const index = docs.findIndex(doc => matches(doc, filter));
+    if (index >= 0) docs.splice(index, 1);
+    return { deletedCount: index >= 0 ? 1 : 0 };
+  });
+  replace(Model, 'create', async (data) => {
+    const created = [].concat(data).map(fields => {
+      const doc = new Model(fields).toObject({ depopulate: true });
+      docs.push(doc);
+      return hydrate(doc);
+    });
+    return Array.isArray(data) ? created : created[0];
+  });
+  replace(Model.prototype, 'save', async function() {
+    const data = this.toObject({ depopulate: true });
+    const index = docs.findIndex(doc => same(doc._id, data._id));
+    if (index >= 0) docs[index] = data;
+    else docs.push(data);
+    return this;
+  });
+
+  return {
+    docs,
+    restore: () => originals.forEach(([target, name, fn]) => { target[name] = fn; })
+  };
+}
+
+module.exports = { useMemoryModel };
@@ -0,0 +1,102 @@
+// Signed QR labels for chemical containers (services/labelService.js)
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const ChemicalLive = require('../models/ChemicalLive');
+const Lot = require('../models/Lot');
+const {
+  LabelError,
+  chemicalLabelData,
+  verifyChemicalLabel,
+  resolveScannedChemical,
+  ensureChemicalLabel
+} = require('../services/labelService');
+
+const chemicals = useMemoryModel(ChemicalLive);
+const lots = useMemoryModel(Lot);
+
+const originalSecrets = { LABEL_SIGNING_SECRET: process.env.LABEL_SIGNING_SECRET, JWT_SECRET: process.env.JWT_SECRET };
+process.env.LABEL_SIGNING_SECRET = 'label-test-secret';
+
+const id = () => new mongoose.Types.ObjectId();
+const lot = { _id: id(), lotNumber: 'LOT-20260101-001' };
+const record = { _id: id(), labId: 'LAB01', lotId: lot._id, chemicalMasterId: id(), displayName: 'Acetone', quantity: 2, unit: 'L' };
+
+beforeEach(() => {
+  [chemicals, lots].forEach(model => { model.docs.length = 0; });
+  lots.docs.push({ ...lot });
+  chemicals.docs.push({ ...record });
+});
+
+after(() => {
+  Object.entries(originalSecrets).forEach(([name, value]) => {
+    if (value === undefined) delete process.env[name];
+    else process.env[name] = value;
+  });
+  [chemicals, lots].forEach(model => model.restore());
+});
+
+const refused = (qrCodeData, statusCode, message) =>
+  assert.throws(() => verifyChemicalLabel(qrCodeData), error => error instanceof LabelError && error.statusCode === statusCode && message.test(error.message));
+
+test('a label names the lot and verifies with its signature', () => {
+  const label = verifyChemicalLabel(chemicalLabelData(record, lot));
+
+  assert.deepEqual(label, {
+    type: 'chemical',
+    v: 1,
+    lotId: String(lot._id),
+    chemicalMasterId: String(record.chemicalMasterId),
+    lotNumber: 'LOT-20260101-001',
+    name: 'Acetone'
+  });
+  assert.equal(verifyChemicalLabel(JSON.parse(chemicalLabelData(record, lot))).name, 'Acetone');
+});
+
+test('edited, foreign or malformed labels are rejected', () => {
+  const data = JSON.parse(chemicalLabelData(record, lot));
+
+  refused(JSON.stringify({ ...data, name: 'Ethanol' }), 403, /signature does not match/);
+  refused(JSON.stringify({ ...data, sig: data.sig.slice(1) }), 403, /signature does not match/);
+  refused(JSON.stringify({ ...data, type: 'equipment' }), 400, /Not a chemical container label/);
+  refused(JSON.stringify({ ...data, v: 2 }), 400, /Unsupported or incomplete/);
+  refused('{not json', 400, /Invalid QR code data/);
+  refused('', 400, /qrCodeData is required/);
+
+  process.env.LABEL_SIGNING_SECRET = 'another-secret';
+  try {
+    refused(JSON.stringify(data), 403, /signature does not match/);
+  } finally {
+    process.env.LABEL_SIGNING_SECRET = 'label-test-secret';
+  }
+});
+
+test('signing needs a configured secret', () => {
+  delete process.env.LABEL_SIGNING_SECRET;
+  delete process.env.JWT_SECRET;
+  try {
+    assert.throws(() => chemicalLabelData(record, lot), error => error instanceof LabelError && error.statusCode === 500);
+  } finally {
+    process.env.LABEL_SIGNING_SECRET = 'label-test-secret';
+  }
+});
+
+test('a scan resolves to the lot\'s stock record in the scanning lab', async () => {
+  const data = chemicalLabelData(record, lot);
+
+  const { label, record: found } = await resolveScannedChemical(data, 'LAB01');
+  assert.equal(label.lotNumber, 'LOT-20260101-001');
+  assert.equal(String(found._id), String(record._id));
+
+  await assert.rejects(resolveScannedChemical(data, 'LAB02'),
+    error => error instanceof LabelError && error.statusCode === 404 && /Acetone \(LOT-20260101-001\) has no stock record in LAB02/.test(error.message));
+});
+
+test('records from before labels get one on first use', async () => {
+  const labelled = await ensureChemicalLabel(ChemicalLive.hydrate({ ...record }));
+
+  assert.equal(verifyChemicalLabel(labelled.qrCodeData).lotNumber, 'LOT-20260101-001');
+  assert.match(labelled.qrCodeImage, /^data:image\/png;base64,/);
+  assert.equal(chemicals.docs[0].qrCodeData, labelled.qrCodeData);
+});
@@ -0,0 +1,95 @@
+// Printable label sheets (services/labelSheetService.js): selecting items,
+// A4 PDF sheets and ZPL, on memory models
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { PassThrough } = require('stream');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const GlasswareLive = require('../models/GlasswareLive');
+const { LabelSheetError, collectLabels, writeLabelSheetPdf, labelSheetZpl } = require('../services/labelSheetService');
+
+const glassware = useMemoryModel(GlasswareLive);
+
+const id = () => new mongoose.Types.ObjectId();
+const beaker = (fields) => ({
+  _id: id(),
+  labId: 'LAB01',
+  name: 'Beaker',
+  variant: '250 mL',
+  batchId: 'GL-7',
+  quantity: 3,
+  unit: 'pcs',
+  qrCodeData: JSON.stringify({ type: 'glassware', batchId: 'GL-7' }),
+  createdAt: new Date('2026-01-01'),
+  ...fields
+});
+
+beforeEach(() => {
+  glassware.docs.length = 0;
+});
+
+after(() => {
+  glassware.restore();
+});
+
+const refused = (promise, statusCode, message) =>
+  assert.rejects(promise, error => error instanceof LabelSheetError && error.statusCode === statusCode && message.test(error.message));
+
+test('selects a batch, per unit and with copies, and skips unlabelled records', async () => {
+  glassware.docs.push(
+    beaker({ labId: 'LAB02' }),
+    beaker({}),
+    beaker({ name: 'Flask', qrCodeData: undefined }),
+    beaker({ batchId: 'GL-8' }),
+    beaker({ quantity: 0 })
+  );
+
+  const { labels, skipped } = await collectLabels({ category: 'glassware', batchId: ' GL-7 ', perUnit: true, copies: 2 });
+
+  assert.equal(labels.length, 12);
+  assert.deepEqual([...new Set(labels.map(label => label.labId))], ['LAB01', 'LAB02']);
+  assert.deepEqual(
+    [labels[0].name, labels[0].variant, labels[0].batch, labels[0].expiryDate],
+    ['Beaker', '250 mL', 'GL-7', null]
+  );
+  assert.match(labels[0].qrCodeImage, /^data:image\/png;base64,/);
+  assert.deepEqual(skipped.map(item => item.name), ['Flask']);
+});
+
+test('refuses selections that are empty, invalid or too large', async () => {
+  glassware.docs.push(beaker({ quantity: 600 }));
+
+  await refused(collectLabels({ category: 'reagents', labId: 'LAB01' }), 400, /category must be one of/);
+  await refused(collectLabels({ category: 'glassware' }), 400, /Select items by/);
+  await refused(collectLabels({ category: 'glassware', ids: ['nope'] }), 400, /Invalid item id\(s\): nope/);
+  await refused(collectLabels({ category: 'glassware', labId: 'LAB01', perUnit: true, copies: 2 }), 400, /needs 1200 labels/);
+});
+
+test('ZPL prints one escaped label per entry', async () => {
+  glassware.docs.push(beaker({ name: 'Beaker_wide^', expiryDate: new Date('2027-05-01T00:00:00Z') }));
+  const { labels } = await collectLabels({ category: 'glassware', labId: 'LAB01', copies: 2 });
+
+  const zpl = labelSheetZpl(labels, { dpi: 300 });
+
+  assert.equal(zpl.match(/\^XA/g).length, 2);
+  assert.match(zpl, /\^PW591\n\^LL295\n/);
+  assert.match(zpl, /\^FDBeaker_5Fwide_5E\^FS/);
+  assert.match(zpl, /\^FDExp: 2027-05-01\^FS/);
+  assert.match(zpl, /\^BQN,2,\d+\^FH\^FDMA,\{"type":"glassware"/);
+});
+
+test('PDF sheets start a new page when a sheet is full', async () => {
+  glassware.docs.push(beaker({}));
+  const { labels } = await collectLabels({ category: 'glassware', labId: 'LAB01', copies: 9 });
+
+  const output = new PassThrough();
+  const chunks = [];
+  output.on('data', chunk => chunks.push(chunk));
+  const finished = new Promise(resolve => output.on('end', resolve));
+  writeLabelSheetPdf(labels, 'a4-8', output);
+  await finished;
+
+  const pdf = Buffer.concat(chunks).toString('latin1');
+  assert.ok(pdf.startsWith('%PDF-'));
+  assert.equal(pdf.match(/\/Type \/Page\n/g).length, 2);
+});
@@ -0,0 +1,111 @@
+// Lab storage tree and stock moves (services/locationService.js), on memory
+// models with the compensating-saga unit of work
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const StorageLocation = require('../models/StorageLocation');
+const LocationMove = require('../models/LocationMove');
+const ChemicalLive = require('../models/ChemicalLive');
+const {
+  LocationError,
+  createLocation,
+  updateLocation,
+  getLocationTree,
+  locationOrder,
+  moveStock
+} = require('../services/locationService');
+
+process.env.MONGO_TRANSACTIONS = 'false';
+
+const locations = useMemoryModel(StorageLocation);
+const moves = useMemoryModel(LocationMove);
+const chemicals = useMemoryModel(ChemicalLive);
+
+const LAB = 'LAB01';
+const originalLog = console.log;
+
+beforeEach(() => {
+  [locations, moves, chemicals].forEach(model => { model.docs.length = 0; });
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+  [locations, moves, chemicals].forEach(model => model.restore());
+});
+
+const refused = (promise, statusCode, message) =>
+  assert.rejects(promise, error => error instanceof LocationError && error.statusCode === statusCode && message.test(error.message));
+
+async function buildTree() {
+  const room = await createLocation(LAB, { name: 'Room 101', type: 'room' });
+  const cabinet = await createLocation(LAB, { name: 'Cabinet A', type: 'cabinet', parentId: room._id });
+  const shelf2 = await createLocation(LAB, { name: 'Shelf 2', type: 'shelf', parentId: cabinet._id, sortOrder: 2 });
+  const shelf1 = await createLocation(LAB, { name: 'Shelf 1', type: 'shelf', parentId: cabinet._id, sortOrder: 1 });
+  const bin = await createLocation(LAB, { name: 'Bin 1', type: 'bin', parentId: shelf2._id });
+  return { room, cabinet, shelf1, shelf2, bin };
+}
+
+test('locations nest room > cabinet > shelf > bin', async () => {
+  const { room, cabinet, bin } = await buildTree();
+
+  assert.equal(bin.path, 'Room 101 / Cabinet A / Shelf 2 / Bin 1');
+  assert.equal(bin.ancestors.length, 3);
+  await refused(createLocation(LAB, { name: 'Shelf 9', type: 'shelf', parentId: room._id }), 400, /under a cabinet/);
+  await refused(createLocation(LAB, { name: 'Cabinet B', type: 'cabinet' }), 400, /under a room/);
+  await refused(createLocation('LAB02', { name: 'Shelf 9', type: 'shelf', parentId: cabinet._id }), 400, /not an active location of lab LAB02/);
+});
+
+test('the tree and walking order follow sortOrder', async () => {
+  const { shelf1, shelf2 } = await buildTree();
+
+  const [room] = await getLocationTree(LAB);
+  assert.deepEqual(room.children[0].children.map(shelf => shelf.name), ['Shelf 1', 'Shelf 2']);
+
+  const order = await locationOrder(LAB);
+  assert.ok(order.get(String(shelf1._id)).rank < order.get(String(shelf2._id)).rank);
+});
+
+test('renaming a cabinet rewrites the paths below it', async () => {
+  const { cabinet } = await buildTree();
+
+  await updateLocation(cabinet, { name: 'Flammables cabinet' });
+
+  assert.deepEqual(locations.docs.map(location => location.path).sort(), [
+    'Room 101',
+    'Room 101 / Flammables cabinet',
+    'Room 101 / Flammables cabinet / Shelf 1',
+    'Room 101 / Flammables cabinet / Shelf 2',
+    'Room 101 / Flammables cabinet / Shelf 2 / Bin 1'
+  ]);
+});
+
+test('moves a record and logs where it came from', async () => {
+  const { shelf1, shelf2 } = await buildTree();
+  const itemId = new mongoose.Types.ObjectId();
+  chemicals.docs.push({ _id: itemId, labId: LAB, displayName: 'Acetone', quantity: 2, unit: 'L', locationId: shelf1._id });
+
+  const { move } = await moveStock({ labId: LAB, itemType: 'chemical', itemId, toLocationId: shelf2._id });
+
+  assert.equal(String(chemicals.docs[0].locationId), String(shelf2._id));
+  assert.equal(move.fromPath, 'Room 101 / Cabinet A / Shelf 1');
+  assert.equal(move.toPath, 'Room 101 / Cabinet A / Shelf 2');
+  assert.equal(moves.docs.length, 1);
+  await refused(moveStock({ labId: LAB, itemType: 'chemical', itemId, toLocationId: shelf2._id }), 400, /already in/);
+});
+
+test('of two concurrent moves of a record one gets 409', async () => {
+  const { shelf1, shelf2 } = await buildTree();
+  const itemId = new mongoose.Types.ObjectId();
+  chemicals.docs.push({ _id: itemId, labId: LAB, displayName: 'Acetone', quantity: 2, unit: 'L' });
+
+  const results = await Promise.allSettled([
+    moveStock({ labId: LAB, itemType: 'chemical', itemId, toLocationId: shelf1._id }),
+    moveStock({ labId: LAB, itemType: 'chemical', itemId, toLocationId: shelf2._id })
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(results.find(result => result.status === 'rejected').reason.statusCode, 409);
+  assert.equal(moves.docs.length, 1);
+});
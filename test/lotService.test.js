@@ -0,0 +1,109 @@
+// Lots instead of " - A" name suffixes (services/lotService.js): stock filters
+// and the migration of suffixed chemical records, on memory models
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const Lot = require('../models/Lot');
+const Product = require('../models/Product');
+const ChemicalMaster = require('../models/ChemicalMaster');
+const ChemicalLive = require('../models/ChemicalLive');
+const NumberCounter = require('../models/NumberCounter');
+const {
+  resolveChemicalProduct,
+  productStockFilter,
+  lotStockFilter,
+  labStockInsert,
+  migrateChemicalLots
+} = require('../services/lotService');
+
+const lots = useMemoryModel(Lot);
+const products = useMemoryModel(Product);
+const masters = useMemoryModel(ChemicalMaster);
+const chemicals = useMemoryModel(ChemicalLive);
+const counters = useMemoryModel(NumberCounter);
+const models = [lots, products, masters, chemicals, counters];
+
+const id = () => new mongoose.Types.ObjectId();
+const acetone = { _id: id(), name: 'Acetone', category: 'chemical', unit: 'L' };
+
+const originalLog = console.log;
+
+beforeEach(() => {
+  models.forEach(model => { model.docs.length = 0; });
+  products.docs.push({ ...acetone });
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+  models.forEach(model => model.restore());
+});
+
+test('finds the product by id, by master or by base name', async () => {
+  const masterId = id();
+  masters.docs.push({ _id: masterId, chemicalName: 'Acetone', productId: acetone._id, quantity: 1, unit: 'L' });
+
+  assert.equal((await resolveChemicalProduct({ productId: acetone._id })).name, 'Acetone');
+  assert.equal((await resolveChemicalProduct({ chemicalMasterId: masterId })).name, 'Acetone');
+  assert.equal((await resolveChemicalProduct({ chemicalName: 'acetone - B' })).name, 'Acetone');
+  assert.equal(await resolveChemicalProduct({ chemicalName: 'Acetone (HPLC)' }), null);
+});
+
+test('stock filters go by product and lot, not by name', () => {
+  assert.deepEqual(productStockFilter(acetone, 'LAB01'), {
+    labId: 'LAB01',
+    $or: [{ productId: acetone._id }, { productId: null, displayName: 'Acetone' }]
+  });
+  assert.deepEqual(productStockFilter(null, 'LAB01', ' Ethanol - A '), { labId: 'LAB01', displayName: 'Ethanol' });
+
+  const lotId = id();
+  const masterId = id();
+  assert.deepEqual(lotStockFilter({ lotId, chemicalMasterId: masterId }, 'LAB01'), { lotId, labId: 'LAB01' });
+  assert.deepEqual(lotStockFilter({ chemicalMasterId: masterId }, 'LAB01'), { chemicalMasterId: masterId, labId: 'LAB01' });
+});
+
+test('a lab record created from a batch keeps its lot, opening date and label', () => {
+  const lotId = id();
+  const openedAt = new Date('2025-03-01');
+  const insert = labStockInsert(
+    { lotId, productId: acetone._id, chemicalName: 'Acetone', displayName: 'Acetone', unit: 'L', openedAt, qrCodeData: 'signed', qrCodeImage: 'png' },
+    2,
+    'LAB01'
+  );
+
+  assert.equal(insert.lotId, undefined);
+  assert.equal(insert.labId, undefined);
+  assert.equal(insert.originalQuantity, 2);
+  assert.equal(insert.openedAt, openedAt);
+  assert.equal(insert.openedExpiryDate, null);
+  assert.equal(insert.qrCodeData, 'signed');
+});
+
+test('migration gives each suffixed master a lot and links its lab stock', async () => {
+  const [first, second] = [id(), id()];
+  masters.docs.push(
+    { _id: first, chemicalName: 'Acetone - A', quantity: 5, unit: 'L', createdAt: new Date('2025-01-10T09:00:00Z') },
+    { _id: second, chemicalName: 'Acetone - B', quantity: 2, unit: 'L', createdAt: new Date('2025-01-10T15:00:00Z') }
+  );
+  chemicals.docs.push(
+    { _id: id(), chemicalMasterId: first, labId: 'central-store', chemicalName: 'Acetone - A', displayName: 'Acetone - A', quantity: 3, unit: 'L' },
+    { _id: id(), chemicalMasterId: second, labId: 'LAB01', chemicalName: 'Acetone - B', displayName: 'Acetone - B', quantity: 1, unit: 'L' }
+  );
+
+  const dryRun = await migrateChemicalLots({ dryRun: true });
+  assert.equal(dryRun.lotsCreated, 2);
+  assert.equal(lots.docs.length, 0);
+
+  const result = await migrateChemicalLots();
+  assert.deepEqual([result.lotsCreated, result.renamed, result.liveLinked, result.errors], [2, 2, 2, 0]);
+  assert.deepEqual(lots.docs.map(lot => lot.lotNumber), ['LOT-20250110-001', 'LOT-20250110-002']);
+  assert.ok(masters.docs.every(master => master.chemicalName === 'Acetone' && String(master.productId) === String(acetone._id)));
+  assert.ok(chemicals.docs.every(record => record.displayName === 'Acetone' && record.lotId));
+  assert.notEqual(String(chemicals.docs[0].lotId), String(chemicals.docs[1].lotId));
+
+  // A second run only re-links
+  const again = await migrateChemicalLots();
+  assert.equal(again.lotsCreated, 0);
+  assert.equal(lots.docs.length, 2);
+});
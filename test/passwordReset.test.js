@@ -0,0 +1,150 @@
+// Password reset flow (controllers/authController.js): OTP by email, OTP
+// verification with attempt lockout, single-use reset token. Email goes to a
+// stub transport instead of Brevo; the models are backed by memory.
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const bcrypt = require('bcryptjs');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const { setEmailTransport } = require('../utils/emailSender');
+const User = require('../models/User');
+const PasswordReset = require('../models/PasswordReset');
+const Session = require('../models/Session');
+
+const users = useMemoryModel(User);
+const resets = useMemoryModel(PasswordReset);
+const sessions = useMemoryModel(Session);
+
+const EMAIL = 'lab.assistant@college.edu';
+let sent = [];
+
+// The controller as a freshly started server loads it
+const loadController = () => {
+  delete require.cache[require.resolve('../controllers/authController')];
+  return require('../controllers/authController');
+};
+
+// Run a controller and collect what it responded
+async function call(handler, body) {
+  const response = { statusCode: 200, body: undefined };
+  const res = {
+    status(code) { response.statusCode = code; return this; },
+    json(data) { response.body = data; return this; },
+    send(data) { response.body = data; return this; }
+  };
+  await handler({ body, header: () => undefined }, res);
+  return response;
+}
+
+const otpFromEmail = (email) => email.htmlContent.match(/>(\d{6})<\/div>/)[1];
+const wrongOtp = (otp) => String((Number(otp) % 900000) + 100000 + 1).slice(0, 6);
+
+let auth;
+
+beforeEach(async () => {
+  users.docs.length = 0;
+  resets.docs.length = 0;
+  sessions.docs.length = 0;
+  sent = [];
+  setEmailTransport({ send: async (email) => { sent.push(email); } });
+  users.docs.push({
+    _id: new User()._id,
+    name: 'Lab Assistant',
+    email: EMAIL,
+    password: await bcrypt.hash('old-password', 4),
+    role: 'lab_assistant'
+  });
+  auth = loadController();
+});
+
+after(() => {
+  setEmailTransport();
+  [users, resets, sessions].forEach(model => model.restore());
+});
+
+test('issues an OTP by email and stores only its hash', async () => {
+  const response = await call(auth.requestPasswordReset, { email: EMAIL });
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(sent.length, 1);
+  assert.deepEqual(sent[0].to, [{ email: EMAIL }]);
+  const otp = otpFromEmail(sent[0]);
+  assert.match(otp, /^\d{6}$/);
+
+  const [reset] = resets.docs;
+  assert.equal(reset.email, EMAIL);
+  assert.notEqual(reset.otpHash, otp);
+  assert.ok(await bcrypt.compare(otp, reset.otpHash));
+  assert.ok(reset.otpExpiresAt > new Date());
+});
+
+test('unknown email gets no OTP', async () => {
+  const response = await call(auth.requestPasswordReset, { email: 'nobody@college.edu' });
+
+  assert.equal(response.statusCode, 404);
+  assert.equal(sent.length, 0);
+});
+
+test('locks the reset after MAX_OTP_ATTEMPTS wrong OTPs', async () => {
+  await call(auth.requestPasswordReset, { email: EMAIL });
+  const otp = otpFromEmail(sent[0]);
+
+  for (let attempt = 1; attempt < 5; attempt++) {
+    const response = await call(auth.verifyOtp, { email: EMAIL, otp: wrongOtp(otp) });
+    assert.equal(response.statusCode, 400);
+    assert.equal(response.body.attemptsRemaining, 5 - attempt);
+  }
+  const locked = await call(auth.verifyOtp, { email: EMAIL, otp: wrongOtp(otp) });
+  assert.equal(locked.statusCode, 429);
+  assert.ok(new Date(locked.body.lockedUntil) > new Date());
+
+  // Neither the right OTP nor a new one gets through while locked
+  assert.equal((await call(auth.verifyOtp, { email: EMAIL, otp })).statusCode, 429);
+  assert.equal((await call(auth.requestPasswordReset, { email: EMAIL })).statusCode, 429);
+  assert.equal(sent.length, 1);
+});
+
+test('an expired OTP is refused', async () => {
+  await call(auth.requestPasswordReset, { email: EMAIL });
+  const otp = otpFromEmail(sent[0]);
+  resets.docs[0].otpExpiresAt = new Date(Date.now() - 1000);
+
+  const response = await call(auth.verifyOtp, { email: EMAIL, otp });
+
+  assert.equal(response.statusCode, 400);
+  assert.equal(response.body.msg, 'OTP has expired');
+  assert.equal(resets.docs[0].otpHash, undefined);
+});
+
+test('the reset token works once', async () => {
+  await call(auth.requestPasswordReset, { email: EMAIL });
+  const verified = await call(auth.verifyOtp, { email: EMAIL, otp: otpFromEmail(sent[0]) });
+  assert.equal(verified.statusCode, 200);
+  const { token } = verified.body;
+
+  // The OTP is consumed by the verification
+  assert.equal((await call(auth.verifyOtp, { email: EMAIL, otp: otpFromEmail(sent[0]) })).statusCode, 400);
+
+  const first = await call(auth.resetPassword, { email: EMAIL, token, newPassword: 'new-password' });
+  assert.equal(first.statusCode, 200);
+  assert.ok(await bcrypt.compare('new-password', users.docs[0].password));
+
+  const second = await call(auth.resetPassword, { email: EMAIL, token, newPassword: 'another-password' });
+  assert.equal(second.statusCode, 400);
+  assert.ok(await bcrypt.compare('new-password', users.docs[0].password));
+});
+
+test('a reset survives a server restart', async () => {
+  await call(auth.requestPasswordReset, { email: EMAIL });
+  const otp = otpFromEmail(sent[0]);
+
+  // Nothing of the reset lives in the controller's memory
+  auth = loadController();
+  const verified = await call(auth.verifyOtp, { email: EMAIL, otp });
+  assert.equal(verified.statusCode, 200);
+
+  auth = loadController();
+  const reset = await call(auth.resetPassword, { email: EMAIL, token: verified.body.token, newPassword: 'new-password' });
+  assert.equal(reset.statusCode, 200);
+  assert.ok(await bcrypt.compare('new-password', users.docs[0].password));
+  assert.equal(resets.docs.length, 0);
+});
@@ -0,0 +1,70 @@
+// Permission registry (config/permissions.js) and requirePermission()
+// (middleware/permissionMiddleware.js)
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { checkPermission, getLabAccess, readableLabs, permissionsForRole } = require('../config/permissions');
+const requirePermission = require('../middleware/permissionMiddleware');
+
+const assistant = {
+  role: 'lab_assistant',
+  labId: 'LAB01',
+  labAssignments: [
+    { labId: 'LAB02', permission: 'read_write' },
+    { labId: 'LAB03', permission: 'read' },
+    { labId: 'LAB04', permission: 'read_write', isActive: false }
+  ]
+};
+const admin = { role: 'central_store_admin' };
+const faculty = { role: 'faculty' };
+
+// Run the middleware and collect what it answered
+function run(middleware, user, { params = {}, body = {}, query = {} } = {}) {
+  const outcome = { next: false, statusCode: null };
+  const res = {
+    status(code) { outcome.statusCode = code; return this; },
+    json(data) { outcome.body = data; return this; }
+  };
+  middleware({ user, params, body, query }, res, () => { outcome.next = true; });
+  return outcome;
+}
+
+test('lab access comes from active assignments and the legacy labId', () => {
+  assert.equal(getLabAccess(assistant, 'LAB01'), 'read_write');
+  assert.equal(getLabAccess(assistant, 'LAB02'), 'read_write');
+  assert.equal(getLabAccess(assistant, 'LAB03'), 'read');
+  assert.equal(getLabAccess(assistant, 'LAB04'), null);
+  assert.deepEqual(readableLabs(assistant), ['LAB01', 'LAB02', 'LAB03']);
+});
+
+test('lab-scoped permissions need the right access to that lab', () => {
+  assert.deepEqual(checkPermission(assistant, 'chemical.view_lab', 'LAB03'), { allowed: true });
+  assert.deepEqual(checkPermission(assistant, 'chemical.open', 'LAB03'), { allowed: false, reason: 'lab' });
+  assert.deepEqual(checkPermission(assistant, 'chemical.open', 'LAB02'), { allowed: true });
+  assert.deepEqual(checkPermission(assistant, 'chemical.view_lab', 'LAB04'), { allowed: false, reason: 'lab' });
+});
+
+test('global roles act on every lab; other roles only hold their own permissions', () => {
+  assert.deepEqual(checkPermission(admin, 'chemical.open', 'LAB09'), { allowed: true });
+  assert.deepEqual(checkPermission(faculty, 'chemical.view_lab', 'LAB01'), { allowed: false, reason: 'role' });
+  assert.equal(checkPermission(admin, 'no.such_permission').allowed, false);
+  assert.ok(permissionsForRole('faculty').includes('request.create'));
+  assert.ok(!permissionsForRole('faculty').includes('chemical.add'));
+});
+
+test('requirePermission checks the lab named in the request', () => {
+  const canOpen = requirePermission('chemical.open', { labParam: 'labId' });
+
+  assert.equal(run(canOpen, assistant, { params: { labId: 'LAB02' } }).next, true);
+  assert.equal(run(canOpen, assistant, { body: { labId: 'LAB01' } }).next, true);
+
+  const refused = run(canOpen, assistant, { query: { labId: 'LAB03' } });
+  assert.equal(refused.statusCode, 403);
+  assert.match(refused.body.message, /access to lab LAB03/);
+
+  assert.equal(run(canOpen, assistant).statusCode, 400);
+  assert.equal(run(canOpen, faculty, { params: { labId: 'LAB01' } }).statusCode, 403);
+});
+
+test('an unknown permission fails when the route is defined', () => {
+  assert.throws(() => requirePermission('chemical.teleport'), /Unknown permission/);
+});
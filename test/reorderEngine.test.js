@@ -0,0 +1,117 @@
+// Reorder engine (utils/reorderEngine.js): reorder points, suggested quantities
+// and the central store's draft quotation, on memory models. The stock and
+// demand aggregations are answered from canned rows.
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const Product = require('../models/Product');
+const ChemicalLive = require('../models/ChemicalLive');
+const GlasswareLive = require('../models/GlasswareLive');
+const OtherProductLive = require('../models/OtherProductLive');
+const EquipmentLive = require('../models/EquipmentLive');
+const StockLedger = require('../models/StockLedger');
+const Quotation = require('../models/Quotation');
+const Indent = require('../models/Indent');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { computeReorderSuggestions, runReorder } = require('../utils/reorderEngine');
+
+const products = useMemoryModel(Product);
+const quotations = useMemoryModel(Quotation);
+const indents = useMemoryModel(Indent);
+const notifications = useMemoryModel(Notification);
+const users = useMemoryModel(User);
+const models = [products, quotations, indents, notifications, users];
+
+// Rows each model's aggregate() returns
+const aggregated = new Map();
+const aggregating = [ChemicalLive, GlasswareLive, OtherProductLive, EquipmentLive, StockLedger];
+const originalAggregates = aggregating.map(Model => Model.aggregate);
+aggregating.forEach(Model => { Model.aggregate = async () => aggregated.get(Model) || []; });
+
+const id = () => new mongoose.Types.ObjectId();
+// Default settings: 90 days of demand, 14 days lead time, 30 days cover
+const acetone = { _id: id(), name: 'Acetone', category: 'chemical', unit: 'L', thresholdValue: 10 };
+const beaker = { _id: id(), name: 'Beaker', variant: '250 mL', category: 'glassware', unit: 'pcs', thresholdValue: 5, leadTimeDays: 0 };
+const microscope = { _id: id(), name: 'Microscope', category: 'equipment', thresholdValue: 2 };
+const admin = { _id: id(), name: 'Store admin', email: 'store@example.org', role: 'central_store_admin' };
+
+const originalLog = console.log;
+
+beforeEach(() => {
+  models.forEach(model => { model.docs.length = 0; });
+  products.docs.push({ ...acetone }, { ...beaker }, { ...microscope });
+  users.docs.push({ ...admin });
+  aggregated.clear();
+  // 4 L and 500 mL of acetone, 10 beakers and one microscope free; 90 L of acetone left in 90 days
+  aggregated.set(ChemicalLive, [
+    { _id: { productId: acetone._id, unit: 'L' }, quantity: 4 },
+    { _id: { productId: acetone._id, unit: 'mL' }, quantity: 500 }
+  ]);
+  aggregated.set(GlasswareLive, [{ _id: { productId: beaker._id, unit: 'pcs' }, quantity: 10 }]);
+  aggregated.set(EquipmentLive, [{ _id: microscope._id, quantity: 1 }]);
+  aggregated.set(StockLedger, [{ _id: { productId: acetone._id, unit: 'L' }, quantity: 90 }]);
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+  aggregating.forEach((Model, index) => { Model.aggregate = originalAggregates[index]; });
+  models.forEach(model => model.restore());
+});
+
+test('suggests what tops stock up to the reorder point plus cover, most urgent first', async () => {
+  const { settings, suggestions } = await computeReorderSuggestions();
+
+  assert.deepEqual(settings, { lookbackDays: 90, leadTimeDays: 14, coverDays: 30 });
+  assert.deepEqual(suggestions.map(suggestion => suggestion.name), ['Acetone', 'Microscope']);
+
+  const [chemical, equipment] = suggestions;
+  assert.equal(chemical.stock, 4.5);
+  assert.equal(chemical.dailyDemand, 1);
+  assert.equal(chemical.reorderPoint, 24);
+  assert.equal(chemical.quantity, 49.5);
+  assert.deepEqual([equipment.unit, equipment.reorderPoint, equipment.quantity], ['pcs', 2, 1]);
+});
+
+test('submitted orders count towards stock, matched by product or by name', async () => {
+  quotations.docs.push(
+    { _id: id(), createdByRole: 'central_store_admin', status: 'approved', chemicals: [{ chemicalName: 'acetone', quantity: 5000, unit: 'mL' }] },
+    { _id: id(), createdByRole: 'central_store_admin', status: 'draft', chemicals: [{ chemicalName: 'Acetone', quantity: 100, unit: 'L' }] }
+  );
+  indents.docs.push({ _id: id(), createdByRole: 'central_store_admin', status: 'pending', equipment: [{ equipmentName: 'Scope', productId: microscope._id, quantity: 1, unit: 'pcs' }] });
+
+  const { suggestions } = await computeReorderSuggestions({ coverDays: 0 });
+
+  assert.deepEqual(suggestions.map(suggestion => [suggestion.name, suggestion.onOrder, suggestion.quantity]), [['Acetone', 5, 14.5]]);
+});
+
+test('a run writes the draft quotation once and raises its lines later', async () => {
+  const first = await runReorder();
+
+  assert.deepEqual([first.added, first.updated, first.draft.created], [2, 0, true]);
+  const [draft] = quotations.docs;
+  assert.equal(draft.status, 'draft');
+  assert.deepEqual(draft.chemicals.map(line => [line.chemicalName, line.quantity, line.unit]), [['Acetone', 49.5, 'L']]);
+  assert.deepEqual(draft.equipment.map(line => [line.equipmentName, line.quantity]), [['Microscope', 1]]);
+  assert.equal(String(draft.createdBy), String(admin._id));
+  assert.equal(notifications.docs.length, 1);
+
+  // More demand: the acetone line is raised, the microscope line left alone
+  aggregated.set(StockLedger, [{ _id: { productId: acetone._id, unit: 'L' }, quantity: 180 }]);
+  const second = await runReorder();
+
+  assert.deepEqual([second.added, second.updated, second.draft.created], [0, 1, false]);
+  assert.equal(quotations.docs.length, 1);
+  assert.equal(quotations.docs[0].chemicals[0].quantity, 93.5);
+  assert.equal(quotations.docs[0].comments.length, 2);
+});
+
+test('a dry run writes nothing', async () => {
+  const result = await runReorder({ dryRun: true, target: 'indent' });
+
+  assert.equal(result.suggestions.length, 2);
+  assert.equal(result.draft, null);
+  assert.equal(indents.docs.length + quotations.docs.length + notifications.docs.length, 0);
+});
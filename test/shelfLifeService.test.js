@@ -0,0 +1,103 @@
+// Shelf life after opening (services/shelfLifeService.js): the effective expiry
+// and opening containers, on memory models
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const Product = require('../models/Product');
+const ChemicalLive = require('../models/ChemicalLive');
+const Lot = require('../models/Lot');
+const {
+  ShelfLifeError,
+  openedExpiryFor,
+  effectiveExpiry,
+  expiryBasis,
+  expiresBeforeFilter,
+  openContainer
+} = require('../services/shelfLifeService');
+
+const products = useMemoryModel(Product);
+const chemicals = useMemoryModel(ChemicalLive);
+const lots = useMemoryModel(Lot);
+const models = [products, chemicals, lots];
+
+const LAB = 'LAB01';
+const id = () => new mongoose.Types.ObjectId();
+const day = (iso) => new Date(`${iso}T00:00:00Z`);
+const acetone = { _id: id(), name: 'Acetone', category: 'chemical', unit: 'L', shelfLifeAfterOpeningDays: 30 };
+
+const originalLog = console.log;
+
+beforeEach(() => {
+  models.forEach(model => { model.docs.length = 0; });
+  products.docs.push({ ...acetone });
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+  models.forEach(model => model.restore());
+});
+
+test('the earlier of the manufacturer and after-opening dates wins', () => {
+  const manufacturer = day('2026-12-31');
+
+  assert.deepEqual(effectiveExpiry({ expiryDate: manufacturer, openedExpiryDate: day('2026-06-30') }), day('2026-06-30'));
+  assert.equal(expiryBasis({ expiryDate: manufacturer, openedExpiryDate: day('2026-06-30') }), 'openedExpiryDate');
+
+  assert.deepEqual(effectiveExpiry({ expiryDate: manufacturer, openedExpiryDate: day('2027-03-01') }), manufacturer);
+  assert.equal(expiryBasis({ expiryDate: manufacturer, openedExpiryDate: day('2027-03-01') }), 'expiryDate');
+
+  assert.deepEqual(effectiveExpiry({ openedExpiryDate: day('2026-06-30') }), day('2026-06-30'));
+  assert.equal(effectiveExpiry({}), null);
+  assert.equal(expiryBasis({ openedExpiryDate: null }), null);
+});
+
+test('the after-opening date only exists with an opening and a rule', () => {
+  assert.deepEqual(openedExpiryFor(day('2026-01-01'), 30), day('2026-01-31'));
+  assert.equal(openedExpiryFor(null, 30), null);
+  assert.equal(openedExpiryFor(day('2026-01-01'), null), null);
+});
+
+test('the expired filter catches either date', async () => {
+  chemicals.docs.push(
+    { _id: id(), labId: LAB, displayName: 'Old', quantity: 1, unit: 'L', expiryDate: day('2026-01-01') },
+    { _id: id(), labId: LAB, displayName: 'Opened', quantity: 1, unit: 'L', expiryDate: day('2027-01-01'), openedExpiryDate: day('2026-02-01') },
+    { _id: id(), labId: LAB, displayName: 'Fresh', quantity: 1, unit: 'L', expiryDate: day('2027-01-01') },
+    { _id: id(), labId: LAB, displayName: 'Undated', quantity: 1, unit: 'L' }
+  );
+
+  const expired = await ChemicalLive.find(expiresBeforeFilter(day('2026-03-01')));
+  assert.deepEqual(expired.map(record => record.displayName), ['Old', 'Opened']);
+});
+
+test('opening a container dates it once, by record id or lot number', async () => {
+  const lotId = id();
+  lots.docs.push({ _id: lotId, lotNumber: 'LOT-20260101-001', productId: acetone._id });
+  const recordId = id();
+  chemicals.docs.push({ _id: recordId, labId: LAB, productId: acetone._id, lotId, displayName: 'Acetone', quantity: 2, unit: 'L', expiryDate: day('2027-01-01') });
+
+  const opened = await openContainer({ labId: LAB, lotNumber: ' lot-20260101-001 ', openedAt: '2026-01-01T00:00:00Z' });
+  assert.equal(opened.alreadyOpen, false);
+  assert.deepEqual(opened.record.openedExpiryDate, day('2026-01-31'));
+  assert.deepEqual(effectiveExpiry(opened.record), day('2026-01-31'));
+
+  const again = await openContainer({ labId: LAB, chemicalLiveId: recordId, openedAt: '2026-01-10T00:00:00Z' });
+  assert.equal(again.alreadyOpen, true);
+  assert.deepEqual(chemicals.docs[0].openedAt, day('2026-01-01'));
+});
+
+test('refuses future openings, empty containers and unknown records', async () => {
+  const recordId = id();
+  chemicals.docs.push({ _id: recordId, labId: LAB, productId: acetone._id, displayName: 'Acetone', quantity: 0, unit: 'L' });
+  const refused = (params, statusCode, message) =>
+    assert.rejects(openContainer({ labId: LAB, ...params }), error => error instanceof ShelfLifeError && error.statusCode === statusCode && message.test(error.message));
+
+  await refused({ chemicalLiveId: recordId }, 409, /no stock left/);
+  await refused({ chemicalLiveId: id() }, 404, /not found in LAB01/);
+  await refused({ lotNumber: 'LOT-X' }, 404, /Lot LOT-X not found/);
+  await refused({}, 400, /chemicalLiveId or lotNumber is required/);
+
+  chemicals.docs[0].quantity = 1;
+  await refused({ chemicalLiveId: recordId, openedAt: new Date(Date.now() + 86400000) }, 400, /cannot be in the future/);
+});
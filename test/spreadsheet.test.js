@@ -0,0 +1,100 @@
+// Spreadsheet reader (utils/spreadsheet.js) on well-formed and hostile uploads
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const zlib = require('zlib');
+const { readSpreadsheet, SpreadsheetError } = require('../utils/spreadsheet');
+
+// Zip archive of deflated parts; the reader does not check CRCs, so they are left 0
+function zip(parts) {
+  const locals = [];
+  const centrals = [];
+  let offset = 0;
+  for (const [name, content] of Object.entries(parts)) {
+    const data = zlib.deflateRawSync(Buffer.from(content));
+    const fileName = Buffer.from(name);
+    const local = Buffer.alloc(30);
+    local.writeUInt32LE(0x04034b50, 0);
+    local.writeUInt16LE(8, 8);
+    local.writeUInt32LE(data.length, 18);
+    local.writeUInt16LE(fileName.length, 26);
+    const central = Buffer.alloc(46);
+    central.writeUInt32LE(0x02014b50, 0);
+    central.writeUInt16LE(8, 10);
+    central.writeUInt32LE(data.length, 20);
+    central.writeUInt16LE(fileName.length, 28);
+    central.writeUInt32LE(offset, 42);
+    locals.push(local, fileName, data);
+    centrals.push(central, fileName);
+    offset += local.length + fileName.length + data.length;
+  }
+  const directory = Buffer.concat(centrals);
+  const end = Buffer.alloc(22);
+  end.writeUInt32LE(0x06054b50, 0);
+  end.writeUInt16LE(Object.keys(parts).length, 10);
+  end.writeUInt32LE(directory.length, 12);
+  end.writeUInt32LE(offset, 16);
+  return Buffer.concat([...locals, directory, end]);
+}
+
+const sheetXml = (rows) => `<worksheet><sheetData>${rows.join('')}</sheetData></worksheet>`;
+const xlsx = (rows) => zip({ 'xl/worksheets/sheet1.xml': sheetXml(rows) });
+const inlineRow = (number, values) =>
+  `<row r="${number}">${values.map((value, column) => `<c r="${String.fromCharCode(65 + column)}${number}" t="inlineStr"><is><t>${value}</t></is></c>`).join('')}</row>`;
+
+const rejects = (fn, message) => assert.throws(fn, (error) => error instanceof SpreadsheetError && message.test(error.message));
+
+test('reads CSV rows keyed by header with spreadsheet row numbers', () => {
+  const csv = Buffer.from('﻿name;quantity\n\n"Acetone; pure";2\r\nEthanol;5\n');
+  const { headers, rows } = readSpreadsheet(csv, 'intake.csv');
+
+  assert.deepEqual(headers, ['name', 'quantity']);
+  assert.deepEqual(rows, [
+    { rowNumber: 3, values: { name: 'Acetone; pure', quantity: '2' } },
+    { rowNumber: 4, values: { name: 'Ethanol', quantity: '5' } }
+  ]);
+});
+
+test('reads the first worksheet of an XLSX file', () => {
+  const file = xlsx([inlineRow(2, ['name', 'quantity']), inlineRow(5, ['Acetone', '2'])]);
+  const { headers, rows } = readSpreadsheet(file, 'intake.xlsx');
+
+  assert.deepEqual(headers, ['name', 'quantity']);
+  assert.deepEqual(rows, [{ rowNumber: 5, values: { name: 'Acetone', quantity: '2' } }]);
+});
+
+test('stops at maxRows data rows', () => {
+  const csv = Buffer.from('name\nA\nB\nC\n');
+  assert.equal(readSpreadsheet(csv, 'intake.csv', { maxRows: 3 }).rows.length, 3);
+  rejects(() => readSpreadsheet(csv, 'intake.csv', { maxRows: 2 }), /more than 2 rows/);
+
+  const file = xlsx([inlineRow(1, ['name']), inlineRow(2, ['A']), inlineRow(3, ['B'])]);
+  rejects(() => readSpreadsheet(file, 'intake.xlsx', { maxRows: 1 }), /more than 1 rows/);
+});
+
+test('rejects row numbers and cell references outside the sheet', () => {
+  rejects(() => readSpreadsheet(xlsx([inlineRow(1, ['name']), inlineRow(99999999, ['A'])]), 'intake.xlsx'), /Invalid row number/);
+  rejects(() => readSpreadsheet(xlsx([inlineRow(5, ['name']), inlineRow(3, ['A'])]), 'intake.xlsx'), /Invalid row number/);
+  const wide = '<row r="1"><c r="ZZZZ1" t="inlineStr"><is><t>name</t></is></c></row>';
+  rejects(() => readSpreadsheet(xlsx([wide]), 'intake.xlsx'), /Invalid cell reference/);
+});
+
+test('rejects zip offsets that point outside the file', () => {
+  const file = xlsx([inlineRow(1, ['name'])]);
+
+  const badDirectory = Buffer.from(file);
+  badDirectory.writeUInt32LE(file.length + 1000, file.length - 6);
+  rejects(() => readSpreadsheet(badDirectory, 'intake.xlsx'), /Corrupt XLSX file/);
+
+  const badSize = Buffer.from(file);
+  const central = file.length - 22 - file.readUInt32LE(file.length - 10);
+  badSize.writeUInt32LE(0xffffffff, central + 20);
+  rejects(() => readSpreadsheet(badSize, 'intake.xlsx'), /Corrupt XLSX file/);
+
+  rejects(() => readSpreadsheet(file.subarray(0, 40), 'intake.xlsx'), /XLSX file/);
+});
+
+test('refuses to inflate oversized parts', () => {
+  const bomb = zip({ 'xl/worksheets/sheet1.xml': sheetXml([`<row r="1">${' '.repeat(40 * 1024 * 1024)}</row>`]) });
+  assert.ok(bomb.length < 100 * 1024);
+  rejects(() => readSpreadsheet(bomb, 'intake.xlsx'), /larger than 32 MB unpacked/);
+});
@@ -0,0 +1,97 @@
+// Per-lab min / par / max stock levels (services/stockLevelService.js): the
+// replenishment report and allocations to par, on memory models. The lab
+// stock aggregations are answered from canned rows.
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const LabStockLevel = require('../models/LabStockLevel');
+const Product = require('../models/Product');
+const Transfer = require('../models/Transfer');
+const ChemicalLive = require('../models/ChemicalLive');
+const GlasswareLive = require('../models/GlasswareLive');
+const OtherProductLive = require('../models/OtherProductLive');
+const EquipmentLive = require('../models/EquipmentLive');
+const { replenishmentReport, replenishmentAllocations } = require('../services/stockLevelService');
+
+const levels = useMemoryModel(LabStockLevel);
+const products = useMemoryModel(Product);
+const transfers = useMemoryModel(Transfer);
+const chemicals = useMemoryModel(ChemicalLive);
+const models = [levels, products, transfers, chemicals];
+
+// Rows each model's aggregate() returns
+const aggregated = new Map();
+const aggregating = [ChemicalLive, GlasswareLive, OtherProductLive, EquipmentLive];
+const originalAggregates = aggregating.map(Model => Model.aggregate);
+aggregating.forEach(Model => { Model.aggregate = async () => aggregated.get(Model) || []; });
+
+const LAB = 'LAB01';
+const id = () => new mongoose.Types.ObjectId();
+const acetone = { _id: id(), name: 'Acetone', category: 'chemical', unit: 'L' };
+const ethanol = { _id: id(), name: 'Ethanol', category: 'chemical', unit: 'L' };
+const beaker = { _id: id(), name: 'Beaker', variant: '250 mL', category: 'glassware', unit: 'pcs' };
+const microscope = { _id: id(), name: 'Microscope', category: 'equipment' };
+const level = (product, minLevel, parLevel, maxLevel) => ({ _id: id(), labId: LAB, productId: product._id, minLevel, parLevel, maxLevel });
+const row = (product, quantity, unit) => ({ _id: { labId: LAB, productId: product._id, unit }, quantity });
+
+const originalLog = console.log;
+
+beforeEach(() => {
+  models.forEach(model => { model.docs.length = 0; });
+  products.docs.push({ ...acetone }, { ...ethanol }, { ...beaker }, { ...microscope });
+  levels.docs.push(level(acetone, 2, 5, 8), level(ethanol, 2, 4), level(beaker, 5, 10, 12), level(microscope, 1, 1));
+  aggregated.clear();
+  // 1.5 L of acetone, 20 beakers and a microscope in the lab; 1 L of acetone on its way
+  aggregated.set(ChemicalLive, [row(acetone, 1, 'L'), row(acetone, 500, 'mL')]);
+  aggregated.set(GlasswareLive, [row(beaker, 20, 'pcs')]);
+  aggregated.set(EquipmentLive, [{ _id: { labId: LAB, productId: microscope._id }, quantity: 1 }]);
+  transfers.docs.push({ _id: id(), fromLabId: 'LAB02', toLabId: LAB, status: 'requested', items: [{ productId: acetone._id, quantity: 1, unit: 'L' }] });
+  console.log = () => {};
+});
+
+after(() => {
+  console.log = originalLog;
+  aggregating.forEach((Model, index) => { Model.aggregate = originalAggregates[index]; });
+  models.forEach(model => model.restore());
+});
+
+test('levels are reported neediest first, counting incoming transfers', async () => {
+  const report = await replenishmentReport({ labIds: [LAB] });
+
+  assert.deepEqual(report.map(({ name, status, stock, incoming, needed }) => [name, status, stock, incoming, needed]), [
+    ['Ethanol', 'below_min', 0, 0, 4],
+    ['Acetone', 'below_par', 1.5, 1, 2.5],
+    ['Beaker (250 mL)', 'over_max', 20, 0, 0],
+    ['Microscope', 'ok', 1, 0, 0]
+  ]);
+  assert.equal(report[3].unit, 'pcs');
+  assert.deepEqual(await replenishmentReport({ labIds: ['LAB09'] }), []);
+});
+
+test('allocations to par are capped by what the central store can allocate', async () => {
+  const batch = (product, quantity, expiryDate) =>
+    ({ _id: id(), labId: 'central-store', productId: product._id, chemicalName: product.name, displayName: product.name, quantity, unit: 'L', expiryDate });
+  chemicals.docs.push(
+    batch(acetone, 10, new Date('2099-01-01')),
+    batch(ethanol, 1, new Date('2099-01-01')),
+    batch(ethanol, 3, new Date('2000-01-01'))
+  );
+
+  const { allocations, shortfalls } = await replenishmentAllocations(LAB);
+
+  assert.deepEqual(allocations.map(({ chemicalName, quantity, unit }) => [chemicalName, quantity, unit]), [['Ethanol', 1, 'L'], ['Acetone', 2.5, 'L']]);
+  assert.deepEqual(shortfalls.map(({ name, needed, allocatable }) => [name, needed, allocatable]), [['Ethanol', 4, 1]]);
+
+  const urgent = await replenishmentAllocations(LAB, { belowMinOnly: true });
+  assert.deepEqual(urgent.allocations.map(allocation => allocation.chemicalName), ['Ethanol']);
+});
+
+test('a level needs min <= par <= max', async () => {
+  const errors = (fields) => new LabStockLevel({ labId: LAB, productId: acetone._id, ...fields })
+    .validate().then(() => [], error => Object.keys(error.errors));
+
+  assert.deepEqual(await errors({ minLevel: 2, parLevel: 5, maxLevel: 8 }), []);
+  assert.deepEqual(await errors({ minLevel: 5, parLevel: 2 }), ['parLevel']);
+  assert.deepEqual(await errors({ minLevel: 2, parLevel: 5, maxLevel: 4 }), ['maxLevel']);
+});
@@ -0,0 +1,97 @@
+// Units of work (utils/stockTransaction.js) losing races, against a fake replica set
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { runStockTransaction, raceSafeUpsert } = require('../utils/stockTransaction');
+
+const duplicateKey = () => Object.assign(new Error('E11000 duplicate key error'), { code: 11000 });
+
+// Session that records what happened to its transactions
+function fakeSession(log) {
+  let active = false;
+  return {
+    startTransaction() { active = true; log.push('start'); },
+    async commitTransaction() { active = false; log.push('commit'); },
+    async abortTransaction() { active = false; log.push('abort'); },
+    inTransaction: () => active,
+    endSession() {}
+  };
+}
+
+let log;
+const originals = {};
+
+before(() => {
+  originals.startSession = mongoose.startSession;
+  originals.db = mongoose.connection.db;
+  mongoose.connection.db = { admin: () => ({ command: async () => ({ setName: 'rs0' }) }) };
+  mongoose.startSession = async () => fakeSession(log);
+});
+
+after(() => {
+  mongoose.startSession = originals.startSession;
+  mongoose.connection.db = originals.db;
+});
+
+test('a transaction that lost a first-write race fails once with a retryable conflict', async () => {
+  log = [];
+  // Caller state changed inside the unit of work, as controllers do with the request they allocate
+  const request = { isAllocated: false, allocationHistory: [] };
+  const results = [];
+  let runs = 0;
+  let upserts = 0;
+  const allocate = () => runStockTransaction(async (tx) => {
+    runs += 1;
+    if (request.isAllocated) throw new Error('already allocated');
+    request.isAllocated = true;
+    request.allocationHistory.push({ quantity: 1 });
+    results.push('allocated');
+    return raceSafeUpsert(async () => {
+      upserts += 1;
+      if (upserts === 1) throw duplicateKey();
+      return 'bumped';
+    }, tx.session);
+  });
+
+  const error = await allocate().catch(caught => caught);
+  assert.equal(error.retryUnitOfWork, true);
+  assert.equal(runs, 1);
+  assert.equal(request.allocationHistory.length, 1);
+  assert.deepEqual(results, ['allocated']);
+  assert.deepEqual(log, ['start', 'abort']);
+
+  // The errorHandler turns it into a 409 the client can retry
+  let response;
+  const res = { set() {}, status(code) { response = { code }; return this; }, json(body) { response.body = body; } };
+  const originalError = console.error;
+  console.error = () => {};
+  require('../middleware/errorHandler')(error, {}, res);
+  console.error = originalError;
+  assert.equal(response.code, 409);
+  assert.equal(response.body.retryable, true);
+
+  // The client's retry starts from fresh state (the server reloads the request)
+  request.isAllocated = false;
+  request.allocationHistory = [];
+  assert.equal(await allocate(), 'bumped');
+  assert.equal(request.allocationHistory.length, 1);
+  assert.deepEqual(log, ['start', 'abort', 'start', 'commit']);
+});
+
+test('other errors abort the transaction', async () => {
+  log = [];
+  await assert.rejects(runStockTransaction(async () => { throw new Error('boom'); }), /boom/);
+  assert.deepEqual(log, ['start', 'abort']);
+});
+
+test('outside a transaction the upsert itself is tried again', async () => {
+  let upserts = 0;
+  const result = await raceSafeUpsert(async () => {
+    upserts += 1;
+    if (upserts === 1) throw duplicateKey();
+    return 'bumped';
+  }, null);
+
+  assert.equal(result, 'bumped');
+  assert.equal(upserts, 2);
+});
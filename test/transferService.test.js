@@ -0,0 +1,146 @@
+// Transfer status flow (services/transferService.js): each step only moves a
+// transfer that is still in the status it was loaded in, so a reservation is
+// released or spent once. Runs as a compensating saga on memory models; stock
+// changes go to recording stubs.
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const stockService = require('../services/stockService');
+const Transfer = require('../models/Transfer');
+const User = require('../models/User');
+const Notification = require('../models/Notification');
+const GlasswareTransaction = require('../models/GlasswareTransaction');
+const StorageLocation = require('../models/StorageLocation');
+
+process.env.MONGO_TRANSACTIONS = 'false';
+
+const transfers = useMemoryModel(Transfer);
+const users = useMemoryModel(User);
+const notifications = useMemoryModel(Notification);
+const glasswareTransactions = useMemoryModel(GlasswareTransaction);
+const locations = useMemoryModel(StorageLocation);
+const models = [transfers, users, notifications, glasswareTransactions, locations];
+
+let stockCalls = [];
+let failStock = false;
+const originalStock = { ...stockService };
+const recording = (name, result = () => ({})) => async (Model, filter, quantity) => {
+  await new Promise(resolve => setImmediate(resolve));
+  if (failStock) throw new Error('stock write failed');
+  stockCalls.push([name, Model.modelName, quantity]);
+  return result(filter);
+};
+stockService.releaseStock = recording('release');
+stockService.decrementStock = recording('decrement', () => ({ name: 'Beaker', unit: 'pcs', variant: '250 mL', condition: 'good' }));
+stockService.incrementStock = recording('increment', () => ({ _id: new mongoose.Types.ObjectId(), labId: 'LAB02' }));
+const transferService = require('../services/transferService');
+
+// The service logs each step; keep that out of the test runner's output
+const originalLog = console.log;
+console.log = () => {};
+
+const requester = new mongoose.Types.ObjectId();
+const admin = new mongoose.Types.ObjectId();
+
+beforeEach(() => {
+  models.forEach(model => { model.docs.length = 0; });
+  stockCalls = [];
+  failStock = false;
+  users.docs.push(
+    { _id: new mongoose.Types.ObjectId(), role: 'lab_assistant', labAssignments: [{ labId: 'LAB02', isActive: true }] },
+    { _id: admin, role: 'central_store_admin' }
+  );
+  transfers.docs.push({
+    _id: new mongoose.Types.ObjectId(),
+    transferNumber: 'TRF-20250314-001',
+    fromLabId: 'LAB01',
+    toLabId: 'LAB02',
+    status: 'requested',
+    items: [{ _id: new mongoose.Types.ObjectId(), category: 'glassware', sourceId: new mongoose.Types.ObjectId(), name: 'Beaker', quantity: 4, unit: 'pcs' }],
+    history: [{ status: 'requested', at: new Date('2025-03-14T09:00:00Z'), by: requester }]
+  });
+});
+
+after(() => {
+  Object.assign(stockService, originalStock);
+  console.log = originalLog;
+  models.forEach(model => model.restore());
+});
+
+const load = () => Transfer.findById(transfers.docs[0]._id);
+const statusOf = (error) => error.statusCode;
+
+test('moves through approval, dispatch and receipt', async () => {
+  const approved = await transferService.approveTransfer(await load(), { userId: admin });
+  assert.equal(approved.status, 'approved');
+  assert.equal(String(approved.approvedBy), String(admin));
+
+  const dispatched = await transferService.dispatchTransfer(approved, { userId: requester });
+  assert.equal(dispatched.status, 'dispatched');
+  assert.deepEqual(stockCalls, []);
+
+  const received = await transferService.receiveTransfer(dispatched, { userId: requester });
+  assert.equal(received.status, 'received');
+  assert.deepEqual(stockCalls, [['decrement', 'GlasswareLive', 4], ['increment', 'GlasswareLive', 4]]);
+  assert.ok(transfers.docs[0].items[0].destinationId);
+  assert.equal(glasswareTransactions.docs.length, 1);
+  assert.deepEqual(transfers.docs[0].history.map(entry => entry.status), ['requested', 'approved', 'dispatched', 'received']);
+  assert.equal(notifications.docs.length, 3);
+});
+
+test('a step out of order is refused with 409', async () => {
+  await assert.rejects(
+    transferService.receiveTransfer(await load(), { userId: requester }),
+    error => statusOf(error) === 409 && /it is requested/.test(error.message)
+  );
+  assert.throws(() => transferService.rejectTransfer({ status: 'requested' }, { userId: admin }), /reason is required/);
+
+  await transferService.dispatchTransfer(await transferService.approveTransfer(await load(), { userId: admin }), { userId: requester });
+  await assert.rejects(
+    transferService.cancelTransfer(await load(), { userId: requester }),
+    error => statusOf(error) === 409 && /it is dispatched/.test(error.message)
+  );
+  assert.deepEqual(stockCalls, []);
+});
+
+test('of two concurrent closes one releases the reservation, the other gets 409', async () => {
+  const [first, second] = [await load(), await load()];
+
+  const results = await Promise.allSettled([
+    transferService.cancelTransfer(first, { userId: requester }),
+    transferService.rejectTransfer(second, { userId: admin, reason: 'Not needed' })
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  const refused = results.find(result => result.status === 'rejected').reason;
+  assert.equal(statusOf(refused), 409);
+  assert.match(refused.message, /changed by another request/);
+  assert.deepEqual(stockCalls, [['release', 'GlasswareLive', 4]]);
+  assert.equal(transfers.docs[0].history.length, 2);
+});
+
+test('of two concurrent receipts only one moves the stock', async () => {
+  await transferService.dispatchTransfer(await transferService.approveTransfer(await load(), { userId: admin }), { userId: requester });
+  const [first, second] = [await load(), await load()];
+
+  const results = await Promise.allSettled([
+    transferService.receiveTransfer(first, { userId: requester }),
+    transferService.receiveTransfer(second, { userId: requester })
+  ]);
+
+  assert.deepEqual(results.map(result => result.status).sort(), ['fulfilled', 'rejected']);
+  assert.equal(statusOf(results.find(result => result.status === 'rejected').reason), 409);
+  assert.deepEqual(stockCalls.map(([name]) => name), ['decrement', 'increment']);
+  assert.equal(glasswareTransactions.docs.length, 1);
+});
+
+test('a release that fails leaves the transfer as it was', async () => {
+  failStock = true;
+
+  await assert.rejects(transferService.cancelTransfer(await load(), { userId: requester }), /stock write failed/);
+
+  assert.equal(transfers.docs[0].status, 'requested');
+  assert.equal(transfers.docs[0].cancelledBy, undefined);
+  assert.deepEqual(transfers.docs[0].history.map(entry => entry.status), ['requested']);
+});
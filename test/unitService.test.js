@@ -0,0 +1,91 @@
+// Unit-of-measure registry and conversions (services/unitService.js)
+const { test, beforeEach, after } = require('node:test');
+const assert = require('node:assert/strict');
+const mongoose = require('mongoose');
+const { useMemoryModel } = require('./helpers/memoryModels');
+const Product = require('../models/Product');
+const {
+  UnitConversionError,
+  normalizeUnit,
+  convertQuantity,
+  toProductUnit,
+  validateChemicalUnits,
+  migrateChemicalUnits
+} = require('../services/unitService');
+
+const products = useMemoryModel(Product);
+
+beforeEach(() => {
+  products.docs.length = 0;
+});
+
+after(() => {
+  products.restore();
+});
+
+const refused = (fn, message) => assert.throws(fn, error => error instanceof UnitConversionError && error.statusCode === 400 && message.test(error.message));
+
+test('aliases resolve to the canonical symbol', () => {
+  assert.equal(normalizeUnit(' ML '), 'mL');
+  assert.equal(normalizeUnit('Litres'), 'L');
+  assert.equal(normalizeUnit('µg'), 'ug');
+  assert.equal(normalizeUnit('nos'), 'pcs');
+  assert.equal(normalizeUnit('bottle'), null);
+  assert.equal(normalizeUnit(undefined), null);
+});
+
+test('converts within a dimension without float noise', () => {
+  assert.equal(convertQuantity(500, 'mL', 'L'), 0.5);
+  assert.equal(convertQuantity(0.1, 'L', 'ml'), 100);
+  assert.equal(convertQuantity(2.5, 'kg', 'g'), 2500);
+  assert.equal(convertQuantity(250, 'mcg', 'mg'), 0.25);
+  assert.equal(convertQuantity(3, 'dozen', 'pcs'), 36);
+});
+
+test('identical unit text passes through, even when unregistered', () => {
+  assert.equal(convertQuantity(4, 'bottle', 'Bottle '), 4);
+});
+
+test('refuses unknown units and conversions across dimensions', () => {
+  refused(() => convertQuantity(1, 'bottle', 'mL'), /Unknown unit "bottle"/);
+  refused(() => convertQuantity(1, 'g', 'mL'), /Cannot convert g \(mass\) to mL \(volume\)/);
+});
+
+test('only chemical quantities are converted to the product unit', () => {
+  assert.equal(toProductUnit({ category: 'chemical', unit: 'L' }, 750, 'mL'), 0.75);
+  assert.equal(toProductUnit({ category: 'glassware', unit: 'pcs' }, 2, 'dozen'), 2);
+  assert.equal(toProductUnit({ category: 'chemical' }, 750, 'mL'), 750);
+});
+
+test('request lines are checked against the unit the chemical is stocked in', async () => {
+  products.docs.push({ _id: new mongoose.Types.ObjectId(), name: 'Acetone', category: 'chemical', unit: 'L' });
+
+  assert.deepEqual(await validateChemicalUnits([{ chemicalName: 'Acetone - A', unit: 'ml' }]), []);
+  const errors = await validateChemicalUnits([
+    { chemicalName: 'Acetone', unit: 'kg' },
+    { chemicalName: 'Ethanol', unit: 'jar' }
+  ]);
+  assert.equal(errors.length, 2);
+  assert.match(errors[0], /kg \(mass\) cannot be converted to L \(volume\)/);
+  assert.match(errors[1], /unknown unit "jar"/);
+});
+
+test('the migration stores canonical symbols and lists unknown units', async () => {
+  const id = () => new mongoose.Types.ObjectId();
+  products.docs.push(
+    { _id: id(), name: 'Acetone', category: 'chemical', unit: 'litre' },
+    { _id: id(), name: 'Ethanol', category: 'chemical', unit: 'mL' },
+    { _id: id(), name: 'Indicator', category: 'chemical', unit: 'vial' },
+    { _id: id(), name: 'Beaker', category: 'glassware', unit: 'nos' }
+  );
+
+  const dryRun = await migrateChemicalUnits({ dryRun: true });
+  assert.equal(dryRun.normalized, 1);
+  assert.equal(products.docs[0].unit, 'litre');
+
+  const result = await migrateChemicalUnits();
+  assert.equal(result.products, 3);
+  assert.equal(result.normalized, 1);
+  assert.deepEqual(result.unknown.map(product => product.unit), ['vial']);
+  assert.deepEqual(products.docs.map(product => product.unit), ['L', 'mL', 'vial', 'nos']);
+});
@@ -0,0 +1,46 @@
+// Day-numbered document numbers: LOT-20250301-001, TRF-20250301-014, ...
+// The number is taken from a NumberCounter with $inc instead of by sorting the
+// existing numbers, which as strings put "-999" after "-1000".
+const NumberCounter = require('../models/NumberCounter');
+
+const MIN_DIGITS = 3;
+
+// Highest number already issued under `prefix`, compared as numbers
+async function highestIssued(Model, field, prefix) {
+  const docs = await Model.find({ [field]: new RegExp(`^${prefix}\\d+$`) }, field).lean();
+  return docs.reduce((highest, doc) => Math.max(highest, parseInt(doc[field].slice(prefix.length), 10)), 0);
+}
+
+/**
+ * Next number of the day for a document series. Numbers are padded to three
+ * digits and simply grow longer after 999.
+ * @param {mongoose.Model} Model - model holding the numbers
+ * @param {string} field - e.g. 'lotNumber'
+ * @param {string} code - series code, e.g. 'LOT'
+ * @param {Date} [date]
+ * @returns {Promise<string>} (callers still retry on a duplicate key)
+ */
+async function nextDayNumber(Model, field, code, date = new Date()) {
+  const prefix = `${code}-${date.toISOString().slice(0, 10).replace(/-/g, '')}-`;
+  let counter = await NumberCounter.findOneAndUpdate(
+    { counterKey: prefix },
+    { $inc: { sequence: 1 } },
+    { upsert: true, new: true }
+  );
+  if (counter.sequence === 1) {
+    // First number of the day from the counter: continue after any issued without it
+    const highest = await highestIssued(Model, field, prefix);
+    if (highest > 0) {
+      counter = await NumberCounter.findOneAndUpdate(
+        { counterKey: prefix },
+        { $max: { sequence: highest + 1 } },
+        { new: true }
+      );
+    }
+  }
+  return `${prefix}${String(counter.sequence).padStart(MIN_DIGITS, '0')}`;
+}
+
+module.exports = {
+  nextDayNumber
+};
@@ -6,27 +6,41 @@ const defaultClient = SibApiV3Sdk.ApiClient.instance;
 const apiKey = defaultClient.authentications['api-key'];
 apiKey.apiKey = process.env.BREVO_API_KEY;
 
+// Brevo transactional email is the default transport
+const brevoTransport = {
+  send: (emailData) => new SibApiV3Sdk.TransactionalEmailsApi().sendTransacEmail(emailData)
+};
+
+let transport = brevoTransport;
+
+// Swap the transport (e.g. a stub that records messages in tests); call with no argument to restore Brevo
+const setEmailTransport = (customTransport) => {
+  transport = customTransport || brevoTransport;
+};
+
+const defaultSender = (name) => ({
+  email: process.env.BREVO_SENDER_EMAIL || 'ravi@pydahsoft.in',
+  name: process.env.BREVO_SENDER_NAME || name
+});
+
+// emailData: { to: [{ email, name }], subject, htmlContent, sender }
+const sendEmail = (emailData) => transport.send(emailData);
+
 const sendOtpEmail = async (email, otp) => {
   try {
-    const apiInstance = new SibApiV3Sdk.TransactionalEmailsApi();
-    const sendSmtpEmail = new SibApiV3Sdk.SendSmtpEmail();
-    
-    sendSmtpEmail.subject = "Your Password Reset OTP";
-    sendSmtpEmail.htmlContent = `
+    await sendEmail({
+      subject: "Your Password Reset OTP",
+      htmlContent: `
       <p>Your OTP for password reset is: <strong>${otp}</strong></p>
       <p>This OTP is valid for 10 minutes.</p>
-    `;
-    sendSmtpEmail.sender = { 
-      name: "Pydah Pharmacy stocks management system", 
-      email: "ravi@pydahsoft.in" 
-    };
-    sendSmtpEmail.to = [{ email }];
-    
-    await apiInstance.sendTransacEmail(sendSmtpEmail);
+    `,
+      sender: defaultSender("Pydah Pharmacy stocks management system"),
+      to: [{ email }]
+    });
   } catch (error) {
     console.error('Error sending email:', error);
     throw new Error('Failed to send OTP email');
   }
 };
 
-module.exports = { sendOtpEmail };
\ No newline at end of file
+module.exports = { sendEmail, sendOtpEmail, setEmailTransport, defaultSender };
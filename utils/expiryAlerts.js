@@ -1,71 +1,230 @@
-// Expiry Checker Job 
-const ChemicalMaster = require('../models/ChemicalMaster');
+// Expiry Alert Engine
+// Scans live stock in every lab, compares days-to-expiry against the per-category
+// thresholds in ExpiryAlertSetting and notifies central store admins plus the
+// lab assistants assigned to the affected lab. ExpiryAlertLog makes each
+// (batch, date field, threshold) alert at most once.
+const cron = require('node-cron');
+const ChemicalLive = require('../models/ChemicalLive');
+const GlasswareLive = require('../models/GlasswareLive');
+const OtherProductLive = require('../models/OtherProductLive');
+const EquipmentLive = require('../models/EquipmentLive');
+const ExpiryAlertSetting = require('../models/ExpiryAlertSetting');
+const ExpiryAlertLog = require('../models/ExpiryAlertLog');
 const Notification = require('../models/Notification');
-const mongoose = require('mongoose');
-const moment = require('moment');
-const cron = require('node-cron');  // To schedule the expiry check task
-
-
-// // Helper function to send email notifications (optional)
-// const sendEmailNotification = async (email, subject, message) => {
-//   const transporter = nodemailer.createTransport({
-//     service: 'gmail',
-//     auth: {
-//       user: process.env.EMAIL_USER,
-//       pass: process.env.EMAIL_PASS,
-//     },
-//   });
-
-//   const mailOptions = {
-//     from: process.env.EMAIL_USER,
-//     to: email,
-//     subject: subject,
-//     text: message,
-//   };
-
-//   await transporter.sendMail(mailOptions);
-// };
-
-// Function to send expiry alerts
-const sendExpiryAlert = async (chemical) => {
-  const alertMessage = `Chemical ${chemical.ChemicalName} (Batch ID: ${chemical.batchId}) is nearing expiry. Expiry Date: ${chemical.expiryDate}`;
-  
-  // Save the notification to the database (notifications for admins or users)
-  const notification = new Notification({
-    userId: new mongoose.Types.ObjectId('6815bfe6d9560f9a781c422f'), // Assuming you have a userId field in the chemical document
-    title: 'Chemical Expiry Alert',
-    message: alertMessage,
-    date: new Date(),
-    status: 'unread',
-    type: 'error'
-  });
+const User = require('../models/User');
+const { effectiveExpiry, expiryBasis } = require('../services/shelfLifeService');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const DEFAULT_THRESHOLDS = [90, 30, 7];
+const CATEGORIES = ['chemical', 'glassware', 'equipment', 'others'];
+const MAX_ITEMS_IN_MESSAGE = 5;
 
-  await notification.save();
+// Live collections scanned by the engine. Glassware and equipment are alerted
+// on their expiry date and their warranty date separately.
+// Opened chemicals are alerted on the earlier of their manufacturer expiry and
+// their use-by date after opening (`pickDates`).
+const SOURCES = [
+  {
+    model: ChemicalLive,
+    itemType: 'ChemicalLive',
+    category: 'chemical',
+    dateFields: ['expiryDate', 'openedExpiryDate'],
+    pickDates: (doc) => [{ dateField: expiryBasis(doc), date: effectiveExpiry(doc) }],
+    baseQuery: { quantity: { $gt: 0 } },
+    describe: (doc) => ({ name: doc.displayName || doc.chemicalName, batchId: null })
+  },
+  {
+    model: GlasswareLive,
+    itemType: 'GlasswareLive',
+    category: 'glassware',
+    dateFields: ['expiryDate', 'warranty'],
+    baseQuery: { quantity: { $gt: 0 } },
+    describe: (doc) => ({ name: doc.variant ? `${doc.name} (${doc.variant})` : doc.name, batchId: doc.batchId })
+  },
+  {
+    model: OtherProductLive,
+    itemType: 'OtherProductLive',
+    category: 'others',
+    dateFields: ['expiryDate'],
+    baseQuery: { quantity: { $gt: 0 } },
+    describe: (doc) => ({ name: doc.variant ? `${doc.name} (${doc.variant})` : doc.name, batchId: doc.batchId })
+  },
+  {
+    model: EquipmentLive,
+    itemType: 'EquipmentLive',
+    category: 'equipment',
+    dateFields: ['expiryDate', 'warranty'],
+    baseQuery: { status: { $ne: 'Discarded' } },
+    describe: (doc) => ({ name: `${doc.name}${doc.variant ? ` (${doc.variant})` : ''} #${doc.itemId}`, batchId: doc.batchId })
+  }
+];
 
-  console.log(`Expiry alert sent for ${chemical.chemicalName}`);
+// Thresholds per category, falling back to the defaults when nothing is configured
+const getThresholdSettings = async () => {
+  const saved = await ExpiryAlertSetting.find().lean();
+  return CATEGORIES.reduce((acc, category) => {
+    const setting = saved.find(s => s.category === category);
+    acc[category] = {
+      category,
+      thresholds: setting ? [...setting.thresholds].sort((a, b) => b - a) : [...DEFAULT_THRESHOLDS],
+      isActive: setting ? setting.isActive : true
+    };
+    return acc;
+  }, {});
 };
 
-// Function to check for chemicals nearing expiry
-const checkForExpiringChemicals = async () => {
-  // Get all chemicals with an expiry date within 30 days
-  const today = moment();
-  const alertThresholdDate = today.add(30, 'days').toDate();
+// Dates an item is alerted on: the source's own choice, else every date field that is set
+const pickDates = (source, doc) => {
+  if (source.pickDates) return source.pickDates(doc);
+  return source.dateFields
+    .filter(field => doc[field])
+    .map(dateField => ({ dateField, date: new Date(doc[dateField]) }));
+};
 
-  // Find chemicals whose expiry date is within the threshold
-  const expiringChemicals = await ChemicalMaster.find({
-    expiryDate: { $lte: alertThresholdDate },
-  });
+// Nearest threshold already crossed for this many days left; 0 means expired
+const pickThreshold = (daysLeft, thresholds) => {
+  if (daysLeft <= 0) return 0;
+  const crossed = thresholds.filter(t => daysLeft <= t);
+  return crossed.length ? Math.min(...crossed) : null;
+};
 
-  // Loop through expiring chemicals and send alerts
-  expiringChemicals.forEach(async (chemical) => {
-    await sendExpiryAlert(chemical);
-  });
+// Central store admins always; lab assistants only for their own labs
+const getRecipients = async (labId) => {
+  const filters = [{ role: 'central_store_admin' }];
+  if (labId !== 'central-store') {
+    filters.push({
+      role: 'lab_assistant',
+      $or: [
+        { labAssignments: { $elemMatch: { labId, isActive: true } } },
+        { labId }
+      ]
+    });
+  }
+  return User.find({ $or: filters }).select('_id role');
+};
+
+const formatAlert = (alert) => {
+  const batch = alert.batchId ? ` [${alert.batchId}]` : '';
+  const label = alert.dateField === 'warranty' ? 'warranty' : 'expiry';
+  if (alert.threshold === 0) {
+    if (alert.dateField === 'openedExpiryDate') return `${alert.name}${batch} is past its use-by date after opening`;
+    return `${alert.name}${batch} ${label === 'warranty' ? 'warranty has lapsed' : 'has expired'}`;
+  }
+  if (alert.dateField === 'openedExpiryDate') {
+    return `${alert.name}${batch} must be used within ${alert.daysLeft} day(s) (opened)`;
+  }
+  return `${alert.name}${batch} ${label} in ${alert.daysLeft} day(s)`;
+};
+
+const buildLabMessage = (labId, labName, alerts) => {
+  const listed = alerts.slice(0, MAX_ITEMS_IN_MESSAGE).map(formatAlert).join('; ');
+  const more = alerts.length > MAX_ITEMS_IN_MESSAGE ? `; and ${alerts.length - MAX_ITEMS_IN_MESSAGE} more` : '';
+  return `Expiry alert for ${labName || labId}: ${listed}${more}.`;
 };
 
-// Schedule the expiry check to run daily at midnight
-cron.schedule('0 0 * * *', () => {
-  console.log('Checking for chemicals nearing expiry...');
-  checkForExpiringChemicals();
-});
+// Record the alert; returns null when this date of the batch was already alerted at this threshold
+const recordAlert = async (alert) => {
+  try {
+    return await ExpiryAlertLog.create(alert);
+  } catch (error) {
+    if (error.code === 11000) return null;
+    throw error;
+  }
+};
+
+/**
+ * Run one scan over all live stock and send the alerts that are due.
+ * @param {Object} [options]
+ * @param {Date} [options.now] - reference date (defaults to the current time)
+ * @returns {Promise<{scanned: number, alerted: number, labs: Object}>}
+ */
+const runExpiryAlerts = async ({ now = new Date() } = {}) => {
+  const settings = await getThresholdSettings();
+  const alertsByLab = {};
+  let scanned = 0;
+
+  for (const source of SOURCES) {
+    const setting = settings[source.category];
+    if (!setting.isActive || setting.thresholds.length === 0) continue;
+
+    const horizon = new Date(now.getTime() + Math.max(...setting.thresholds) * DAY_MS);
+    const docs = await source.model.find({
+      ...source.baseQuery,
+      $or: source.dateFields.map(field => ({ [field]: { $ne: null, $lte: horizon } }))
+    }).lean();
+    scanned += docs.length;
 
-module.exports = { checkForExpiringChemicals };
+    for (const doc of docs) {
+      for (const { dateField, date } of pickDates(source, doc)) {
+        const daysLeft = Math.ceil((date.getTime() - now.getTime()) / DAY_MS);
+        const threshold = pickThreshold(daysLeft, setting.thresholds);
+        if (threshold === null) continue;
+
+        const { name, batchId } = source.describe(doc);
+        const logged = await recordAlert({
+          itemType: source.itemType,
+          itemId: doc._id,
+          category: source.category,
+          name,
+          batchId,
+          labId: doc.labId,
+          dateField,
+          expiryDate: date,
+          threshold,
+          daysLeft
+        });
+        if (!logged) continue;
+
+        if (!alertsByLab[doc.labId]) {
+          alertsByLab[doc.labId] = { labName: doc.labName, alerts: [] };
+        }
+        alertsByLab[doc.labId].alerts.push(logged);
+      }
+    }
+  }
+
+  const labs = {};
+  for (const [labId, { labName, alerts }] of Object.entries(alertsByLab)) {
+    alerts.sort((a, b) => a.daysLeft - b.daysLeft);
+    const recipients = await getRecipients(labId);
+    const message = buildLabMessage(labId, labName, alerts);
+    const type = alerts.some(a => a.threshold <= 7) ? 'error' : 'warning';
+
+    for (const recipient of recipients) {
+      await Notification.create({ userId: recipient._id, message, type });
+    }
+
+    await ExpiryAlertLog.updateMany(
+      { _id: { $in: alerts.map(a => a._id) } },
+      { $set: { notifiedUsers: recipients.map(r => r._id) } }
+    );
+
+    labs[labId] = { alerts: alerts.length, recipients: recipients.length };
+    console.log(`⏰ Expiry alerts for ${labId}: ${alerts.length} item(s), ${recipients.length} recipient(s)`);
+  }
+
+  const alerted = Object.values(labs).reduce((sum, lab) => sum + lab.alerts, 0);
+  return { scanned, alerted, labs };
+};
+
+// Schedule the daily scan (EXPIRY_ALERT_CRON overrides the midnight default)
+const scheduleExpiryAlerts = () => {
+  const expression = process.env.EXPIRY_ALERT_CRON || '0 0 * * *';
+  return cron.schedule(expression, async () => {
+    console.log('Checking for items nearing expiry...');
+    try {
+      await runExpiryAlerts();
+    } catch (error) {
+      console.error('Expiry alert run failed:', error);
+    }
+  });
+};
+
+module.exports = {
+  DEFAULT_THRESHOLDS,
+  CATEGORIES,
+  getThresholdSettings,
+  pickThreshold,
+  runExpiryAlerts,
+  scheduleExpiryAlerts
+};
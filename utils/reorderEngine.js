@@ -0,0 +1,295 @@
+// Reorder Engine
+// Compares the free central-store stock of every product with its reorder
+// point (config/reorder.js) and puts the shortfall on the central store's
+// draft quotation (or indent), creating the draft when there is none. Lines
+// the engine writes carry the productId, so later runs raise them instead of
+// adding duplicates. Nothing is ordered until an admin submits the draft.
+const cron = require('node-cron');
+const Product = require('../models/Product');
+const ChemicalLive = require('../models/ChemicalLive');
+const GlasswareLive = require('../models/GlasswareLive');
+const OtherProductLive = require('../models/OtherProductLive');
+const EquipmentLive = require('../models/EquipmentLive');
+const StockLedger = require('../models/StockLedger');
+const Quotation = require('../models/Quotation');
+const Indent = require('../models/Indent');
+const Notification = require('../models/Notification');
+const User = require('../models/User');
+const { toProductUnit, roundQuantity } = require('../services/unitService');
+const {
+  REORDER_DEFAULTS,
+  REORDER_TARGET,
+  DEMAND_MOVEMENTS,
+  ON_ORDER_STATUSES,
+  ORDER_LINES,
+  COUNT_UNIT
+} = require('../config/reorder');
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const CENTRAL_STORE = 'central-store';
+const DRAFT_MODELS = { quotation: Quotation, indent: Indent };
+const FREE_QUANTITY = { $subtract: ['$quantity', { $ifNull: ['$reservedQuantity', 0] }] };
+
+// Name of a product on an order line (non-chemicals are told apart by variant)
+const lineName = (product) =>
+  (product.category !== 'chemical' && product.variant ? `${product.name} (${product.variant})` : product.name);
+
+const lineUnit = (product) => product.unit || COUNT_UNIT;
+
+// Quantity in the product's unit, or null when a chemical quantity does not convert
+function inProductUnit(product, quantity, unit) {
+  try {
+    return toProductUnit(product, quantity, unit);
+  } catch (error) {
+    console.warn(`⚠️ Reorder: ${product.name} has a quantity in ${unit}, which does not convert to ${product.unit}`);
+    return null;
+  }
+}
+
+// Chemicals to the unit's precision, counted items to whole units (always up)
+const roundUp = (product, quantity) =>
+  (product.category === 'chemical' ? roundQuantity(Math.ceil(quantity * 100) / 100) : Math.ceil(quantity));
+
+// Add a quantity to a product's total in `totals`
+function addTo(totals, products, productId, quantity, unit) {
+  const product = productId && products.get(String(productId));
+  if (!product) return;
+  const converted = inProductUnit(product, quantity, unit);
+  if (converted === null) return;
+  totals.set(product.key, (totals.get(product.key) || 0) + converted);
+}
+
+// Free central-store stock per product; equipment counts the available items
+async function centralStock(products, ids) {
+  const stock = new Map();
+  const match = { labId: CENTRAL_STORE, productId: { $in: ids } };
+
+  for (const Model of [ChemicalLive, GlasswareLive, OtherProductLive]) {
+    const rows = await Model.aggregate([
+      { $match: match },
+      { $group: { _id: { productId: '$productId', unit: '$unit' }, quantity: { $sum: FREE_QUANTITY } } }
+    ]);
+    rows.forEach(row => addTo(stock, products, row._id.productId, row.quantity, row._id.unit));
+  }
+
+  const equipment = await EquipmentLive.aggregate([
+    { $match: { ...match, status: 'Available' } },
+    { $group: { _id: '$productId', quantity: { $sum: 1 } } }
+  ]);
+  equipment.forEach(row => addTo(stock, products, row._id, row.quantity));
+  return stock;
+}
+
+// Stock that left the central store per product since `since`
+async function centralDemand(products, ids, since) {
+  const demand = new Map();
+  const rows = await StockLedger.aggregate([
+    {
+      $match: {
+        labId: CENTRAL_STORE,
+        productId: { $in: ids },
+        movementType: { $in: DEMAND_MOVEMENTS },
+        quantity: { $lt: 0 },
+        createdAt: { $gte: since }
+      }
+    },
+    { $group: { _id: { productId: '$productId', unit: '$unit' }, quantity: { $sum: { $abs: '$quantity' } } } }
+  ]);
+  rows.forEach(row => addTo(demand, products, row._id.productId, row.quantity, row._id.unit));
+  return demand;
+}
+
+// Quantities on submitted central-store quotations and indents that are not delivered yet.
+// Lines without a productId are matched on their name.
+async function onOrder(products) {
+  const ordered = new Map();
+  const byName = new Map([...products.values()].map(product => [lineName(product).toLowerCase(), product]));
+
+  const documents = [];
+  for (const [target, Model] of Object.entries(DRAFT_MODELS)) {
+    documents.push(...await Model.find({
+      createdByRole: 'central_store_admin',
+      status: { $in: ON_ORDER_STATUSES[target] }
+    }).lean());
+  }
+
+  const lists = [...new Map(Object.values(ORDER_LINES).map(line => [line.list, line])).values()];
+  for (const document of documents) {
+    for (const { list, nameField } of lists) {
+      for (const line of document[list] || []) {
+        const product = line.productId
+          ? products.get(String(line.productId))
+          : byName.get(String(line[nameField] || '').toLowerCase());
+        if (product) addTo(ordered, products, product._id, line.quantity, line.unit);
+      }
+    }
+  }
+  return ordered;
+}
+
+/**
+ * Products whose free central-store stock plus quantities on order are below
+ * their reorder point, most urgent first.
+ * @param {Object} [options] - lookbackDays, leadTimeDays, coverDays override config/reorder.js
+ * @param {Date} [options.now]
+ * @returns {Promise<{ settings: Object, suggestions: Array }>}
+ */
+const computeReorderSuggestions = async ({ now = new Date(), ...overrides } = {}) => {
+  const settings = { ...REORDER_DEFAULTS };
+  Object.keys(settings).forEach(key => {
+    if (overrides[key] !== undefined && overrides[key] !== null) settings[key] = Number(overrides[key]);
+  });
+
+  const list = await Product.find()
+    .select('name unit category variant thresholdValue leadTimeDays')
+    .lean();
+  const products = new Map(list.map(product => [String(product._id), { ...product, key: String(product._id) }]));
+  const ids = list.map(product => product._id);
+  const since = new Date(now.getTime() - settings.lookbackDays * DAY_MS);
+
+  const [stock, demand, ordered] = await Promise.all([
+    centralStock(products, ids),
+    centralDemand(products, ids, since),
+    onOrder(products)
+  ]);
+
+  const suggestions = [];
+  for (const product of products.values()) {
+    const inStock = roundQuantity(stock.get(product.key) || 0);
+    const pending = roundQuantity(ordered.get(product.key) || 0);
+    const dailyDemand = settings.lookbackDays > 0 ? (demand.get(product.key) || 0) / settings.lookbackDays : 0;
+    const leadTimeDays = product.leadTimeDays !== undefined && product.leadTimeDays !== null
+      ? product.leadTimeDays
+      : settings.leadTimeDays;
+    const reorderPoint = roundQuantity((product.thresholdValue || 0) + dailyDemand * leadTimeDays);
+    if (inStock + pending >= reorderPoint) continue;
+
+    const quantity = roundUp(product, reorderPoint + dailyDemand * settings.coverDays - inStock - pending);
+    if (quantity <= 0) continue;
+
+    suggestions.push({
+      productId: product._id,
+      name: lineName(product),
+      category: product.category,
+      unit: lineUnit(product),
+      stock: inStock,
+      onOrder: pending,
+      threshold: product.thresholdValue,
+      dailyDemand: roundQuantity(dailyDemand),
+      leadTimeDays,
+      reorderPoint,
+      quantity
+    });
+  }
+
+  suggestions.sort((a, b) => (a.stock + a.onOrder) / a.reorderPoint - (b.stock + b.onOrder) / b.reorderPoint);
+  return { settings, suggestions };
+};
+
+// Put one suggestion on the draft: a new line, or a raise of the product's existing line.
+// Returns 'added', 'updated' or null when the line already asks for enough.
+function applySuggestion(draft, suggestion) {
+  const { list, nameField } = ORDER_LINES[suggestion.category];
+  const name = suggestion.name.toLowerCase();
+  const line = draft[list].find(entry =>
+    (entry.productId ? String(entry.productId) === String(suggestion.productId)
+      : String(entry[nameField] || '').toLowerCase() === name));
+  const remarks = `Reorder: ${suggestion.stock} ${suggestion.unit} free in central store` +
+    `${suggestion.onOrder ? `, ${suggestion.onOrder} on order` : ''}, reorder point ${suggestion.reorderPoint}`;
+
+  if (!line) {
+    draft[list].push({
+      [nameField]: suggestion.name,
+      productId: suggestion.productId,
+      quantity: suggestion.quantity,
+      unit: suggestion.unit,
+      remarks,
+      ...(suggestion.category === 'others' ? { specifications: 'Other product' } : {})
+    });
+    return 'added';
+  }
+
+  const current = inProductUnit(suggestion, line.quantity, line.unit);
+  if (current === null || current >= suggestion.quantity) return null;
+  line.productId = suggestion.productId;
+  line.quantity = suggestion.quantity;
+  line.unit = suggestion.unit;
+  line.remarks = remarks;
+  return 'updated';
+}
+
+// The central store's latest draft of the target kind, or a new one
+async function findOrCreateDraft(target, userId) {
+  const Model = DRAFT_MODELS[target];
+  const draft = await Model.findOne({ createdByRole: 'central_store_admin', status: 'draft' })
+    .sort({ createdAt: -1 });
+  if (draft) return { draft, created: false };
+  return {
+    draft: new Model({ createdByRole: 'central_store_admin', createdBy: userId, status: 'draft', comments: [] }),
+    created: true
+  };
+}
+
+/**
+ * Run the engine once: compute suggestions and write them to the draft.
+ * @param {Object} [options]
+ * @param {ObjectId} [options.userId] - owner of a new draft (defaults to the first central store admin)
+ * @param {string} [options.target] - 'quotation' or 'indent' (defaults to REORDER_TARGET)
+ * @param {boolean} [options.dryRun] - only compute the suggestions
+ * @returns {Promise<{ target, settings, suggestions, draft, added, updated }>}
+ */
+const runReorder = async ({ userId, target = REORDER_TARGET, dryRun = false, ...options } = {}) => {
+  const { settings, suggestions } = await computeReorderSuggestions(options);
+  const result = { target, settings, suggestions, draft: null, added: 0, updated: 0 };
+  if (dryRun || suggestions.length === 0) return result;
+
+  const owner = userId || (await User.findOne({ role: 'central_store_admin' }).sort({ createdAt: 1 }).select('_id') || {})._id;
+  if (!owner) {
+    console.warn('⚠️ Reorder: no central store admin to own the draft, nothing written');
+    return result;
+  }
+
+  const { draft, created } = await findOrCreateDraft(target, owner);
+  for (const suggestion of suggestions) {
+    const change = applySuggestion(draft, suggestion);
+    if (change) result[change] += 1;
+  }
+  result.draft = { id: draft._id, created };
+  if (result.added + result.updated === 0) return result;
+
+  draft.comments.push({
+    text: `Reorder engine: ${result.added} item(s) added, ${result.updated} raised`,
+    author: owner,
+    role: 'central_store_admin'
+  });
+  await draft.save();
+
+  const message = `Reorder engine ${created ? 'created' : 'updated'} the draft ${target}: ` +
+    `${result.added} item(s) added, ${result.updated} raised. Please review.`;
+  const admins = await User.find({ role: 'central_store_admin' }).select('_id');
+  for (const admin of admins) {
+    await Notification.create({ userId: admin._id, message, type: 'info' });
+  }
+
+  console.log(`🛒 Reorder: ${suggestions.length} product(s) below reorder point, draft ${target} ${draft._id} (${result.added} added, ${result.updated} raised)`);
+  return result;
+};
+
+// Schedule the daily run (REORDER_CRON overrides the 01:00 default)
+const scheduleReorder = () => {
+  const expression = process.env.REORDER_CRON || '0 1 * * *';
+  return cron.schedule(expression, async () => {
+    console.log('Checking stock against reorder points...');
+    try {
+      await runReorder();
+    } catch (error) {
+      console.error('Reorder run failed:', error);
+    }
+  });
+};
+
+module.exports = {
+  computeReorderSuggestions,
+  runReorder,
+  scheduleReorder
+};
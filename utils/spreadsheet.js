@@ -0,0 +1,280 @@
+// Spreadsheet reader for uploads: CSV (comma or semicolon separated, quoted
+// fields, UTF-8 with or without BOM) and XLSX (first worksheet). An XLSX file
+// is a zip of XML parts; the few parts needed are inflated with zlib and read
+// directly. Cell values come back as strings; Excel dates stay serial numbers
+// (days since 1899-12-30), see excelSerialToDate().
+// Uploads are untrusted: every zip offset is bounds-checked, inflated parts,
+// columns and row numbers are capped, and parsing stops at the row limit.
+const zlib = require('zlib');
+
+// Largest XML part inflated from an XLSX file
+const MAX_XLSX_PART_SIZE = 32 * 1024 * 1024; // 32 MB
+// Excel's own sheet limits
+const MAX_ROW_NUMBER = 1048576;
+const MAX_COLUMNS = 16384;
+
+class SpreadsheetError extends Error {
+  constructor(message, statusCode = 400) {
+    super(message);
+    this.name = 'SpreadsheetError';
+    this.statusCode = statusCode;
+    this.code = 'IMPORT';
+  }
+}
+
+// Non-empty rows of a sheet with their spreadsheet row numbers; more than
+// `maxRows` data rows (after the header) stop the parse
+function createTable(maxRows) {
+  const rows = [];
+  return {
+    rows,
+    add(number, cells) {
+      if (cells.every(cell => cell === undefined || String(cell).trim() === '')) return;
+      if (rows.length > maxRows) {
+        throw new SpreadsheetError(`The sheet has more than ${maxRows} rows; split it into sheets of at most ${maxRows}`);
+      }
+      rows.push({ number, cells: Array.from(cells, cell => cell ?? '') });
+    }
+  };
+}
+
+// ---------- CSV ----------
+
+function parseCsv(text, table) {
+  const content = text.replace(/^\uFEFF/, '');
+  const firstLine = content.split(/\r?\n/, 1)[0];
+  const delimiter = (firstLine.split(';').length > firstLine.split(',').length) ? ';' : ',';
+
+  let number = 1;
+  let row = [];
+  let field = '';
+  let quoted = false;
+  for (let i = 0; i < content.length; i += 1) {
+    const char = content[i];
+    if (quoted) {
+      if (char === '"' && content[i + 1] === '"') {
+        field += '"';
+        i += 1;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"' && field === '') {
+      quoted = true;
+    } else if (char === delimiter) {
+      row.push(field);
+      field = '';
+    } else if (char === '\n' || char === '\r') {
+      if (char === '\r' && content[i + 1] === '\n') i += 1;
+      row.push(field);
+      table.add(number, row);
+      number += 1;
+      row = [];
+      field = '';
+    } else {
+      field += char;
+    }
+  }
+  if (quoted) throw new SpreadsheetError('CSV file has an unterminated quoted field');
+  if (field !== '' || row.length) {
+    row.push(field);
+    table.add(number, row);
+  }
+}
+
+// ---------- XLSX ----------
+
+const corrupt = () => new SpreadsheetError('Corrupt XLSX file');
+
+// Entries of a zip archive by name, read from its central directory
+function unzip(buffer) {
+  // Offsets and sizes come from the file: check each before reading at it
+  const need = (offset, length) => {
+    if (!Number.isInteger(offset) || offset < 0 || offset + length > buffer.length) throw corrupt();
+  };
+
+  let end = -1;
+  for (let i = buffer.length - 22; i >= Math.max(0, buffer.length - 65557); i -= 1) {
+    if (buffer.readUInt32LE(i) === 0x06054b50) {
+      end = i;
+      break;
+    }
+  }
+  if (end < 0) throw new SpreadsheetError('Not a valid XLSX file');
+
+  const entries = new Map();
+  const count = buffer.readUInt16LE(end + 10);
+  let offset = buffer.readUInt32LE(end + 16);
+  for (let n = 0; n < count; n += 1) {
+    need(offset, 46);
+    if (buffer.readUInt32LE(offset) !== 0x02014b50) throw corrupt();
+    const method = buffer.readUInt16LE(offset + 10);
+    const compressedSize = buffer.readUInt32LE(offset + 20);
+    const nameLength = buffer.readUInt16LE(offset + 28);
+    const extraLength = buffer.readUInt16LE(offset + 30);
+    const commentLength = buffer.readUInt16LE(offset + 32);
+    const localOffset = buffer.readUInt32LE(offset + 42);
+    need(offset + 46, nameLength);
+    const name = buffer.toString('utf8', offset + 46, offset + 46 + nameLength);
+    entries.set(name, { method, compressedSize, localOffset });
+    offset += 46 + nameLength + extraLength + commentLength;
+  }
+
+  return (name) => {
+    const entry = entries.get(name);
+    if (!entry) return null;
+    need(entry.localOffset, 30);
+    if (buffer.readUInt32LE(entry.localOffset) !== 0x04034b50) throw corrupt();
+    const start = entry.localOffset + 30
+      + buffer.readUInt16LE(entry.localOffset + 26)
+      + buffer.readUInt16LE(entry.localOffset + 28);
+    need(start, entry.compressedSize);
+    const data = buffer.subarray(start, start + entry.compressedSize);
+    if (entry.method === 0) return data.toString('utf8');
+    if (entry.method === 8) {
+      try {
+        return zlib.inflateRawSync(data, { maxOutputLength: MAX_XLSX_PART_SIZE }).toString('utf8');
+      } catch (error) {
+        if (error.code === 'ERR_BUFFER_TOO_LARGE') {
+          throw new SpreadsheetError(`XLSX part ${name} is larger than ${MAX_XLSX_PART_SIZE / (1024 * 1024)} MB unpacked`);
+        }
+        throw corrupt();
+      }
+    }
+    throw new SpreadsheetError(`Unsupported compression in XLSX part ${name}`);
+  };
+}
+
+// Character references outside Unicode are left as written
+const codePoint = (match, hex, code) => {
+  const value = parseInt(code, hex ? 16 : 10);
+  return value <= 0x10ffff ? String.fromCodePoint(value) : match;
+};
+
+const decodeXml = (text) => text
+  .replace(/&lt;/g, '<')
+  .replace(/&gt;/g, '>')
+  .replace(/&quot;/g, '"')
+  .replace(/&apos;/g, "'")
+  .replace(/&#(x?)([0-9a-fA-F]+);/g, codePoint)
+  .replace(/&amp;/g, '&');
+
+// Text of all <t> runs inside an XML fragment
+const textOf = (xml) => decodeXml([...xml.matchAll(/<t(?:\s[^>]*)?>([\s\S]*?)<\/t>/g)].map(match => match[1]).join(''));
+
+const attribute = (tag, name) => {
+  const match = tag.match(new RegExp(`\\s${name}="([^"]*)"`));
+  return match ? decodeXml(match[1]) : null;
+};
+
+// Zero-based column of a cell reference ("C7" -> 2)
+function columnIndex(ref) {
+  const letters = ref.match(/^([A-Z]{1,3})\d*$/);
+  const index = letters ? [...letters[1]].reduce((sum, char) => sum * 26 + char.charCodeAt(0) - 64, 0) - 1 : -1;
+  if (index < 0 || index >= MAX_COLUMNS) throw new SpreadsheetError(`Invalid cell reference "${ref}" in XLSX file`);
+  return index;
+}
+
+// Path of the workbook's first worksheet
+function firstSheetPath(read) {
+  const workbook = read('xl/workbook.xml');
+  const rels = read('xl/_rels/workbook.xml.rels');
+  const sheet = workbook && workbook.match(/<sheet\s[^>]*>/);
+  const id = sheet && attribute(sheet[0], 'r:id');
+  if (id && rels) {
+    const rel = [...rels.matchAll(/<Relationship\s[^>]*>/g)].map(match => match[0]).find(tag => attribute(tag, 'Id') === id);
+    const target = rel && attribute(rel, 'Target');
+    if (target) return target.startsWith('/') ? target.slice(1) : `xl/${target}`;
+  }
+  return 'xl/worksheets/sheet1.xml';
+}
+
+function parseXlsx(buffer, table) {
+  const read = unzip(buffer);
+  const sheet = read(firstSheetPath(read));
+  if (!sheet) throw new SpreadsheetError('XLSX file has no worksheet');
+  const sharedXml = read('xl/sharedStrings.xml');
+  const shared = sharedXml ? [...sharedXml.matchAll(/<si>([\s\S]*?)<\/si>/g)].map(match => textOf(match[1])) : [];
+
+  let previous = 0;
+  for (const [, rowTag, rowXml] of sheet.matchAll(/<row(\s[^>]*)?>([\s\S]*?)<\/row>/g)) {
+    const rowNumber = Number(attribute(rowTag || '', 'r')) || previous + 1;
+    if (!Number.isInteger(rowNumber) || rowNumber <= previous || rowNumber > MAX_ROW_NUMBER) {
+      throw new SpreadsheetError(`Invalid row number ${rowNumber} in XLSX file`);
+    }
+    previous = rowNumber;
+    const cells = [];
+    let next = 0;
+    for (const [, cellTag, cellXml = ''] of rowXml.matchAll(/<c(\s[^>]*?)(?:\/>|>([\s\S]*?)<\/c>)/g)) {
+      const ref = attribute(cellTag, 'r');
+      const index = ref ? columnIndex(ref) : next;
+      const type = attribute(cellTag, 't');
+      const raw = (cellXml.match(/<v>([\s\S]*?)<\/v>/) || [])[1];
+      let value = '';
+      if (type === 's') value = shared[Number(raw)] ?? '';
+      else if (type === 'inlineStr') value = textOf(cellXml);
+      else if (type === 'b') value = raw === '1' ? 'TRUE' : 'FALSE';
+      else if (raw !== undefined) value = decodeXml(raw);
+      // Formatted but empty cells far to the right would only pad the row
+      if (value !== '') cells[index] = value;
+      next = index + 1;
+    }
+    table.add(rowNumber, cells);
+  }
+}
+
+// ---------- Public ----------
+
+/**
+ * Rows of an uploaded CSV or XLSX file, keyed by header. The first non-empty
+ * row is the header; empty rows are dropped.
+ * @param {Buffer} buffer
+ * @param {string} fileName - decides the format by extension
+ * @param {{ maxRows?: number }} [options] - more data rows than maxRows is a SpreadsheetError
+ * @returns {{ headers: string[], rows: Array<{ rowNumber: number, values: Object<string, string> }> }}
+ * `rowNumber` is the row as numbered in the spreadsheet (header = its own row number)
+ * @throws {SpreadsheetError} for unreadable, corrupt or oversized files
+ */
+function readSpreadsheet(buffer, fileName, { maxRows = Infinity } = {}) {
+  const table = createTable(maxRows);
+  if (/\.xlsx$/i.test(fileName)) {
+    try {
+      parseXlsx(buffer, table);
+    } catch (error) {
+      // Anything a damaged file trips over besides the checks above
+      if (error instanceof SpreadsheetError) throw error;
+      throw corrupt();
+    }
+  } else if (/\.csv$/i.test(fileName)) {
+    parseCsv(buffer.toString('utf8'), table);
+  } else {
+    throw new SpreadsheetError('Upload a .csv or .xlsx file');
+  }
+
+  const [header, ...data] = table.rows;
+  if (!header) throw new SpreadsheetError('The spreadsheet is empty');
+
+  const headers = header.cells.map(cell => String(cell).trim());
+  const rows = data.map(row => {
+    const values = {};
+    headers.forEach((name, column) => {
+      if (name) values[name] = String(row.cells[column] ?? '').trim();
+    });
+    return { rowNumber: row.number, values };
+  });
+  return { headers, rows };
+}
+
+/**
+ * Date of an Excel serial day number (1900 date system).
+ * @param {number} serial
+ * @returns {Date}
+ */
+const excelSerialToDate = (serial) => new Date(Math.round((serial - 25569) * 86400000));
+
+module.exports = {
+  SpreadsheetError,
+  readSpreadsheet,
+  excelSerialToDate
+};
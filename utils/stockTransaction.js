@@ -0,0 +1,160 @@
+// utils/stockTransaction.js
+// All-or-nothing execution for multi-document stock movements.
+// On a replica set / mongos the work runs inside a MongoDB transaction. On a
+// standalone mongod (no transaction support) it runs as a compensating saga:
+// every write registers an undo step and the steps are replayed in reverse
+// order if anything fails. A unit of work is never rerun here: callers keep
+// state from inside it (documents they changed, result arrays), so a transaction
+// that lost a race fails with a retryable 409 and the client sends it again.
+const mongoose = require('mongoose');
+
+let transactionSupport = null; // cached after the first probe
+
+// Detect whether the connected deployment supports multi-document transactions
+async function supportsTransactions() {
+  if (transactionSupport !== null) return transactionSupport;
+
+  if (process.env.MONGO_TRANSACTIONS === 'false') {
+    transactionSupport = false;
+    return transactionSupport;
+  }
+
+  try {
+    const info = await mongoose.connection.db.admin().command({ hello: 1 });
+    transactionSupport = Boolean(info.setName || info.msg === 'isdbgrid');
+  } catch (error) {
+    console.warn('⚠️ Could not detect transaction support, using compensating rollback:', error.message);
+    transactionSupport = false;
+  }
+
+  console.log(`🔒 Stock movements use ${transactionSupport ? 'MongoDB transactions' : 'compensating rollback'}`);
+  return transactionSupport;
+}
+
+class StockTransactionContext {
+  constructor(session) {
+    this.session = session;
+    this.compensations = [];
+    this.afterCommitTasks = [];
+    if (session) session.$afterCommit = this.afterCommitTasks;
+  }
+
+  get mode() {
+    return this.session ? 'transaction' : 'saga';
+  }
+
+  // Register an undo step (only needed without a real transaction)
+  compensate(undo) {
+    if (!this.session) this.compensations.push(undo);
+  }
+
+  // Run once the whole unit of work has committed (notifications, housekeeping)
+  afterCommit(task) {
+    this.afterCommitTasks.push(task);
+  }
+
+  // Create a document inside the unit of work; it is removed again on rollback
+  async create(Model, data) {
+    const [doc] = await Model.create([data], { session: this.session });
+    this.compensate(() => Model.deleteOne({ _id: doc._id }));
+    return doc;
+  }
+}
+
+async function rollbackSaga(context) {
+  const failures = [];
+  for (const undo of [...context.compensations].reverse()) {
+    try {
+      await undo();
+    } catch (error) {
+      failures.push(error);
+      console.error('❌ Compensation step failed:', error.message);
+    }
+  }
+  return failures;
+}
+
+async function runAfterCommit(tasks) {
+  for (const task of tasks) {
+    try {
+      await task();
+    } catch (error) {
+      console.error('⚠️ After-commit task failed:', error.message);
+    }
+  }
+}
+
+/**
+ * Run `work(context)` as a single unit. Writes must pass `context.session`
+ * and register undo steps with `context.compensate()` (or use `context.create()`).
+ * Rejects with the original error after rolling everything back; the error gets
+ * `rolledBack = true` and, if some undo steps failed, `rollbackErrors`.
+ */
+async function runStockTransaction(work) {
+  const useTransaction = await supportsTransactions();
+  const session = useTransaction ? await mongoose.startSession() : null;
+  const context = new StockTransactionContext(session);
+
+  try {
+    if (session) session.startTransaction();
+    const result = await work(context);
+    if (session) await session.commitTransaction();
+    await runAfterCommit(context.afterCommitTasks);
+    return result;
+  } catch (error) {
+    if (session) {
+      if (session.inTransaction()) {
+        await session.abortTransaction().catch(abortError => {
+          console.error('❌ Failed to abort transaction:', abortError.message);
+        });
+      }
+    } else {
+      const failures = await rollbackSaga(context);
+      if (failures.length > 0) error.rollbackErrors = failures.map(f => f.message);
+    }
+    error.rolledBack = true;
+    throw error;
+  } finally {
+    if (session) session.endSession();
+  }
+}
+
+/**
+ * Run an upsert that two writers may race on: a balance / sequence document
+ * created by the first movement of its key. The loser gets a duplicate key.
+ * Without a transaction the upsert is run again and now updates the winner's
+ * document. Inside a transaction it cannot be: the server has aborted the
+ * transaction, so the error is marked `retryUnitOfWork` and the errorHandler
+ * answers 409 with `retryable: true` (stockService.isWriteConflict).
+ * @param {() => Promise<*>} upsert
+ * @param {ClientSession|null} session - the session `upsert` writes with
+ */
+async function raceSafeUpsert(upsert, session) {
+  try {
+    return await upsert();
+  } catch (error) {
+    if (error.code !== 11000) throw error;
+    if (session && session.inTransaction()) {
+      error.retryUnitOfWork = true;
+      throw error;
+    }
+    return upsert();
+  }
+}
+
+// Defer `task` until the session's transaction commits (runs now when there is
+// none, returning what it returns)
+function runWhenCommitted(session, task) {
+  if (session && session.inTransaction() && session.$afterCommit) {
+    session.$afterCommit.push(task);
+    return undefined;
+  }
+  return task();
+}
+
+module.exports = {
+  supportsTransactions,
+  runStockTransaction,
+  raceSafeUpsert,
+  runWhenCommitted
+};
@@ -0,0 +1,255 @@
+// utils/websocketManager.js
+// Real-time push channel: a WebSocket server mounted on the Express HTTP server.
+// Clients connect to /ws?token=<JWT> (same token as the REST API) and are placed
+// in rooms: user:<userId>, role:<role> and lab:<labId> for every assigned lab.
+// A socket belongs to the session of its token: it is closed when that session
+// is revoked (sessionService calls closeSessionSockets) and on the next
+// heartbeat when the session was revoked elsewhere or has expired.
+const { WebSocketServer, WebSocket } = require('ws');
+const { verifyToken } = require('../middleware/authMiddleware');
+const { activeSessionIds } = require('../services/sessionService');
+
+const WS_PATH = '/ws';
+const HEARTBEAT_INTERVAL = 30 * 1000; // 30 seconds
+const SESSION_REVOKED_CODE = 4401; // close code for a revoked or expired session
+
+// Roles that may subscribe to any lab room
+const ALL_LAB_ROLES = ['admin', 'central_store_admin'];
+
+let wss = null;
+let heartbeatTimer = null;
+
+// room name -> Set of sockets
+const rooms = new Map();
+
+const userRoom = (userId) => `user:${userId}`;
+const roleRoom = (role) => `role:${role}`;
+const labRoom = (labId) => `lab:${labId}`;
+
+function joinRoom(socket, room) {
+  if (!rooms.has(room)) rooms.set(room, new Set());
+  rooms.get(room).add(socket);
+  socket.rooms.add(room);
+}
+
+function leaveRoom(socket, room) {
+  const members = rooms.get(room);
+  if (members) {
+    members.delete(socket);
+    if (members.size === 0) rooms.delete(room);
+  }
+  socket.rooms.delete(room);
+}
+
+function leaveAllRooms(socket) {
+  for (const room of [...socket.rooms]) {
+    leaveRoom(socket, room);
+  }
+}
+
+// Lab IDs a user is allowed to follow (legacy labId + active labAssignments)
+function getUserLabIds(user) {
+  const labIds = new Set();
+  if (user.labId) labIds.add(user.labId);
+  (user.labAssignments || [])
+    .filter(assignment => assignment.isActive)
+    .forEach(assignment => labIds.add(assignment.labId));
+  return [...labIds];
+}
+
+function canJoinLab(user, labId) {
+  if (ALL_LAB_ROLES.includes(user.role)) return true;
+  return getUserLabIds(user).includes(labId);
+}
+
+function send(socket, payload) {
+  if (socket.readyState === WebSocket.OPEN) {
+    socket.send(JSON.stringify(payload));
+  }
+}
+
+// Extract the JWT from ?token=, the Authorization header or the subprotocol
+function extractToken(req) {
+  const url = new URL(req.url, 'http://localhost');
+  const queryToken = url.searchParams.get('token');
+  if (queryToken) return queryToken;
+
+  const header = req.headers.authorization;
+  if (header) return header.replace('Bearer ', '');
+
+  const protocol = req.headers['sec-websocket-protocol'];
+  if (protocol) {
+    const bearer = protocol.split(',').map(p => p.trim()).find(p => p.startsWith('bearer.'));
+    if (bearer) return bearer.slice('bearer.'.length);
+  }
+  return null;
+}
+
+// Handle subscribe/unsubscribe/ping messages from a connected client
+function handleClientMessage(socket, raw) {
+  let message;
+  try {
+    message = JSON.parse(raw.toString());
+  } catch (error) {
+    return send(socket, { event: 'error', data: { message: 'Invalid JSON message' } });
+  }
+
+  const { type, labId } = message;
+
+  if (type === 'ping') {
+    return send(socket, { event: 'pong', data: { timestamp: new Date() } });
+  }
+
+  if (type === 'subscribe' && labId) {
+    if (!canJoinLab(socket.user, labId)) {
+      return send(socket, { event: 'error', data: { message: `No access to lab ${labId}` } });
+    }
+    joinRoom(socket, labRoom(labId));
+    return send(socket, { event: 'subscribed', data: { room: labRoom(labId) } });
+  }
+
+  if (type === 'unsubscribe' && labId) {
+    leaveRoom(socket, labRoom(labId));
+    return send(socket, { event: 'unsubscribed', data: { room: labRoom(labId) } });
+  }
+
+  send(socket, { event: 'error', data: { message: 'Unknown message type' } });
+}
+
+/**
+ * Attach the WebSocket server to an existing HTTP server.
+ * Connections are authenticated during the upgrade; invalid tokens get a 401.
+ */
+function initWebSocket(server) {
+  if (wss) return wss;
+
+  wss = new WebSocketServer({ noServer: true });
+
+  server.on('upgrade', async (req, socket, head) => {
+    const { pathname } = new URL(req.url, 'http://localhost');
+    if (pathname !== WS_PATH) {
+      socket.destroy();
+      return;
+    }
+
+    try {
+      const token = extractToken(req);
+      if (!token) throw new Error('No token provided');
+      const user = await verifyToken(token);
+      if (!user) throw new Error('User not found');
+
+      wss.handleUpgrade(req, socket, head, (ws) => {
+        wss.emit('connection', ws, req, user);
+      });
+    } catch (error) {
+      console.error('WebSocket auth error:', error.message);
+      socket.write('HTTP/1.1 401 Unauthorized\r\n\r\n');
+      socket.destroy();
+    }
+  });
+
+  wss.on('connection', (socket, req, user) => {
+    socket.user = user;
+    socket.sessionId = user.sessionId;
+    socket.rooms = new Set();
+    socket.isAlive = true;
+
+    joinRoom(socket, userRoom(user._id));
+    joinRoom(socket, roleRoom(user.role));
+    getUserLabIds(user).forEach(labId => joinRoom(socket, labRoom(labId)));
+
+    send(socket, {
+      event: 'connected',
+      data: { userId: user._id, role: user.role, rooms: [...socket.rooms] }
+    });
+
+    socket.on('pong', () => { socket.isAlive = true; });
+    socket.on('message', (raw) => handleClientMessage(socket, raw));
+    socket.on('close', () => leaveAllRooms(socket));
+    socket.on('error', (error) => {
+      console.error('WebSocket client error:', error.message);
+    });
+  });
+
+  // Drop dead connections so rooms don't leak sockets, and close the sockets
+  // of sessions that are no longer active
+  heartbeatTimer = setInterval(async () => {
+    wss.clients.forEach(socket => {
+      if (!socket.isAlive) {
+        leaveAllRooms(socket);
+        return socket.terminate();
+      }
+      socket.isAlive = false;
+      socket.ping();
+    });
+
+    try {
+      const sessionIds = [...new Set([...wss.clients].map(socket => socket.sessionId))];
+      if (sessionIds.length === 0) return;
+      const active = await activeSessionIds(sessionIds);
+      closeSockets(socket => !active.has(socket.sessionId));
+    } catch (error) {
+      console.error('WebSocket session check failed:', error.message);
+    }
+  }, HEARTBEAT_INTERVAL);
+  heartbeatTimer.unref();
+
+  wss.on('close', () => clearInterval(heartbeatTimer));
+
+  console.log(`🔌 WebSocket server listening on ${WS_PATH}`);
+  return wss;
+}
+
+// Close every socket matching `predicate` with the session-revoked code
+function closeSockets(predicate) {
+  if (!wss) return 0;
+  let closed = 0;
+  wss.clients.forEach(socket => {
+    if (!predicate(socket)) return;
+    leaveAllRooms(socket);
+    socket.close(SESSION_REVOKED_CODE, 'Session revoked');
+    closed += 1;
+  });
+  return closed;
+}
+
+/**
+ * Close the sockets of a revoked session, or of every session of a user.
+ * @param {{ sessionId?: string, userId?: string }} target
+ * @returns {number} sockets closed
+ */
+function closeSessionSockets({ sessionId, userId }) {
+  return closeSockets(socket =>
+    (sessionId && socket.sessionId === String(sessionId))
+    || (userId && String(socket.user._id) === String(userId)));
+}
+
+/**
+ * Push an event to every socket in the given rooms (each socket at most once).
+ */
+function emitToRooms(roomNames, event, data) {
+  if (!wss) return 0;
+  const recipients = new Set();
+  roomNames.forEach(room => {
+    (rooms.get(room) || []).forEach(socket => recipients.add(socket));
+  });
+  const payload = { event, data, timestamp: new Date() };
+  recipients.forEach(socket => send(socket, payload));
+  return recipients.size;
+}
+
+const emitToUser = (userId, event, data) => emitToRooms([userRoom(userId)], event, data);
+const emitToRole = (role, event, data) => emitToRooms([roleRoom(role)], event, data);
+const emitToLab = (labId, event, data) => emitToRooms([labRoom(labId)], event, data);
+
+module.exports = {
+  initWebSocket,
+  closeSessionSockets,
+  emitToRooms,
+  emitToUser,
+  emitToRole,
+  emitToLab,
+  userRoom,
+  roleRoom,
+  labRoom
+};